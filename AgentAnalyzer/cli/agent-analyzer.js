@@ -0,0 +1,253 @@
+#!/usr/bin/env node
+/**
+ * Command Line Interface for AgentAnalyzer
+ * Lints agent packages in CI pipelines: agent-analyzer lint <package.zip|folder>
+ */
+
+import { readFileSync } from 'node:fs';
+import { writeFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { lintPackage } from './lint.js';
+import { Severity } from '../js/services/analysis-service.js';
+import { RULES_FILE_NAME } from '../js/services/rule-registry.js';
+import { BASELINE_FILE_NAME, createBaseline, getSuppressions } from '../js/services/suppression-service.js';
+import { LlmProvider, PROVIDER_DEFAULTS, isLlmConfigured } from '../js/services/llm-service.js';
+import { SEVERITY_ORDER, toSarif, toJUnit, toMarkdown, toHtml, formatLocation } from '../js/services/report-service.js';
+
+/**
+ * Process exit codes
+ */
+const ExitCode = {
+    OK: 0,
+    FAILED: 1,
+    ERROR: 2
+};
+
+/**
+ * Output formats
+ */
+const FORMATS = ['text', 'json', 'sarif', 'junit', 'markdown', 'html'];
+
+/**
+ * Values accepted by --fail-on: any finding at or above the severity fails the run
+ */
+const FAIL_ON_LEVELS = [Severity.CRITICAL, Severity.WARNING, Severity.SUGGESTION, 'never'];
+
+/**
+ * Environment variable that holds the AI provider's API key
+ */
+const AI_KEY_VARIABLE = 'AGENT_ANALYZER_AI_KEY';
+
+const USAGE = `Usage: agent-analyzer lint <package.zip|folder> [options]
+
+Options:
+  -f, --format <format>    Output format: ${FORMATS.join(', ')} (default: text)
+  --fail-on <severity>     Exit with code 1 when a finding is at or above this
+                           severity: ${FAIL_ON_LEVELS.join(', ')} (default: critical)
+  -c, --config <file>      Rules file (default: ${RULES_FILE_NAME} in the working
+                           folder, else the one in the package)
+  -b, --baseline <file>    Baseline of known findings to suppress (default:
+                           ${BASELINE_FILE_NAME} in the package)
+  --write-baseline <file>  Write a baseline that accepts the current findings,
+                           so later runs only report new ones
+  -o, --output <file>      Write the report to a file instead of stdout
+  --ai <provider>          Add AI analysis with a provider: openai, azure-openai,
+                           anthropic or openai-compatible. The API key is read
+                           from ${AI_KEY_VARIABLE}
+  --ai-endpoint <url>      Endpoint of the AI provider (default: the provider's)
+  --ai-model <name>        Model name
+  --ai-deployment <name>   Azure OpenAI deployment name
+  -h, --help               Show this help
+  -v, --version            Show the version
+
+Suppressed findings are reported but never fail the run.
+Exit codes: 0 passed, 1 findings at or above --fail-on, 2 usage or package error`;
+
+process.exitCode = await main(process.argv.slice(2));
+
+/**
+ * Runs the command line
+ * @param {Array} args - Command line arguments
+ * @returns {Promise<number>} Exit code
+ */
+async function main(args) {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args,
+            allowPositionals: true,
+            options: {
+                format: { type: 'string', short: 'f', default: 'text' },
+                'fail-on': { type: 'string', default: Severity.CRITICAL },
+                config: { type: 'string', short: 'c' },
+                baseline: { type: 'string', short: 'b' },
+                'write-baseline': { type: 'string' },
+                output: { type: 'string', short: 'o' },
+                ai: { type: 'string' },
+                'ai-endpoint': { type: 'string' },
+                'ai-model': { type: 'string' },
+                'ai-deployment': { type: 'string' },
+                help: { type: 'boolean', short: 'h' },
+                version: { type: 'boolean', short: 'v' }
+            }
+        });
+    } catch (error) {
+        return usageError(error.message);
+    }
+
+    const { values, positionals } = parsed;
+
+    if (values.help) {
+        console.log(USAGE);
+        return ExitCode.OK;
+    }
+    if (values.version) {
+        const packageJson = JSON.parse(readFileSync(new URL('../package.json', import.meta.url), 'utf8'));
+        console.log(packageJson.version);
+        return ExitCode.OK;
+    }
+
+    const [command, packagePath, ...extra] = positionals;
+    if (command !== 'lint') {
+        return usageError(command ? `Unknown command "${command}"` : 'No command given');
+    }
+    if (!packagePath || extra.length > 0) {
+        return usageError('lint takes exactly one package (.zip file or folder)');
+    }
+    if (!FORMATS.includes(values.format)) {
+        return usageError(`Unknown format "${values.format}"`);
+    }
+    if (!FAIL_ON_LEVELS.includes(values['fail-on'])) {
+        return usageError(`Unknown severity "${values['fail-on']}" for --fail-on`);
+    }
+
+    if (values.ai && !PROVIDER_DEFAULTS[values.ai]) {
+        return usageError(`Unknown AI provider "${values.ai}"`);
+    }
+    if (values.ai && !isLlmConfigured(getAiSettings(values))) {
+        return usageError(`--ai ${values.ai} needs ${values.ai === LlmProvider.AZURE_OPENAI ? '--ai-endpoint, --ai-deployment and ' : ''}an API key in ${AI_KEY_VARIABLE}`);
+    }
+
+    let report;
+    try {
+        report = await lintPackage(packagePath, {
+            configPath: values.config,
+            baselinePath: values.baseline,
+            ai: values.ai ? getAiSettings(values) : null
+        });
+    } catch (error) {
+        console.error(`agent-analyzer: ${error.code === 'ENOENT' ? `${packagePath} does not exist` : error.message}`);
+        return ExitCode.ERROR;
+    }
+
+    for (const warning of report.warnings) {
+        console.error(`agent-analyzer: ${warning}`);
+    }
+
+    if (values['write-baseline']) {
+        const baseline = createBaseline(report.recommendations, getSuppressions(), null);
+        await writeFile(values['write-baseline'], JSON.stringify(baseline, null, 2) + '\n');
+        console.error(`agent-analyzer: wrote ${baseline.suppressions.length} suppressions to ${values['write-baseline']}`);
+    }
+
+    const output = formatReport(report, values.format, packagePath);
+    if (values.output) {
+        await writeFile(values.output, output + '\n');
+    } else {
+        console.log(output);
+    }
+
+    return hasFailures(report, values['fail-on']) ? ExitCode.FAILED : ExitCode.OK;
+}
+
+/**
+ * Builds the AI settings from the --ai options and the API key variable
+ * @param {Object} values - Parsed options
+ * @returns {Object} Settings for configureLlm
+ */
+function getAiSettings(values) {
+    const defaults = PROVIDER_DEFAULTS[values.ai];
+    return {
+        provider: values.ai,
+        endpoint: values['ai-endpoint'] || defaults.endpoint,
+        model: values['ai-model'] || defaults.model,
+        deployment: values['ai-deployment'] || '',
+        apiKey: process.env[AI_KEY_VARIABLE] || ''
+    };
+}
+
+/**
+ * Formats a report for output
+ * @param {Object} report - Report from lintPackage
+ * @param {string} format - One of FORMATS
+ * @param {string} packagePath - Path of the package, for locations in SARIF
+ * @returns {string} Formatted report
+ */
+function formatReport(report, format, packagePath) {
+    switch (format) {
+        case 'json':
+            return JSON.stringify(report, null, 2);
+        case 'sarif':
+            // Zip entries cannot be opened by viewers, so only folder packages get a base path
+            return JSON.stringify(toSarif(report, {
+                baseUri: packagePath.toLowerCase().endsWith('.zip') ? undefined : packagePath
+            }), null, 2);
+        case 'junit':
+            return toJUnit(report);
+        case 'markdown':
+            return toMarkdown(report);
+        case 'html':
+            return toHtml(report);
+        default:
+            return formatText(report);
+    }
+}
+
+/**
+ * Formats a report as readable text, one finding per line
+ * @param {Object} report - Report from lintPackage
+ * @returns {string} Text report
+ */
+function formatText(report) {
+    const lines = [];
+
+    for (const recommendation of report.recommendations) {
+        if (recommendation.severity === Severity.SUCCESS || recommendation.suppressed) continue;
+
+        const location = formatLocation(recommendation.location) || report.package;
+        lines.push(`${location}  ${recommendation.severity}  ${recommendation.title}: ${recommendation.description}`);
+    }
+
+    const { counts, message } = report.summary;
+    lines.push('');
+    const suppressed = counts.suppressed ? `, ${counts.suppressed} suppressed` : '';
+    lines.push(`${report.package}: ${counts.critical} critical, ${counts.warning} warnings, ${counts.suggestion} suggestions${suppressed}. ${message}`);
+    return lines.join('\n');
+}
+
+/**
+ * Checks whether a report has findings at or above the --fail-on severity
+ * @param {Object} report - Report from lintPackage
+ * @param {string} failOn - One of FAIL_ON_LEVELS
+ * @returns {boolean} True if the run fails
+ */
+function hasFailures(report, failOn) {
+    if (failOn === 'never') return false;
+
+    const threshold = SEVERITY_ORDER.indexOf(failOn);
+    return report.recommendations.some(recommendation => {
+        if (recommendation.suppressed) return false;
+        const rank = SEVERITY_ORDER.indexOf(recommendation.severity);
+        return rank >= 0 && rank <= threshold;
+    });
+}
+
+/**
+ * Prints a usage error
+ * @param {string} message - What was wrong with the arguments
+ * @returns {number} The usage error exit code
+ */
+function usageError(message) {
+    console.error(`agent-analyzer: ${message}\n\n${USAGE}`);
+    return ExitCode.ERROR;
+}
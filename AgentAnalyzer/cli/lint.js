@@ -0,0 +1,227 @@
+/**
+ * Package Linting for the AgentAnalyzer CLI
+ * Reads an agent package from a zip or folder and runs the analyzers on it
+ */
+
+import { readFile, readdir, stat } from 'node:fs/promises';
+import { basename, dirname, join, resolve } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import JSZip from 'jszip';
+import { loadFiles, isImageFile } from '../js/services/zip-service.js';
+import { parseAgentPackage, selectDeclarativeAgent, findApiDefinitions, getGraphConnectors, AgentType } from '../js/services/agent-parser.js';
+import { analyzeAgent } from '../js/services/analysis-service.js';
+import { configureLlm } from '../js/services/llm-service.js';
+import { analyzeCopilotConnectors, analyzeApiConnectors } from '../js/services/connector-analyzer.js';
+import { createReport } from '../js/services/report-service.js';
+import { setSchemaLoader } from '../js/utils/schema-validator.js';
+import {
+    RULES_FILE_NAME,
+    configureRules,
+    readPackageRulesFile,
+    registerRuleModule,
+    applyRuleSettings
+} from '../js/services/rule-registry.js';
+import {
+    setSuppressions,
+    applySuppressions,
+    getAgentKey,
+    parseBaseline,
+    readPackageBaseline
+} from '../js/services/suppression-service.js';
+
+/**
+ * Folder that holds the bundled schemas
+ */
+const SCHEMAS_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', 'schemas');
+
+/**
+ * Folders that are never part of a package
+ */
+const IGNORED_FOLDERS = ['.git', 'node_modules'];
+
+/**
+ * Analyzes an agent package with the same rules as the web app
+ * @param {string} packagePath - Path of a .zip file or a package folder
+ * @param {Object} [options] - { configPath } of the rules file; by default the one in
+ *     the working folder, else the one at the root of the package. { baselinePath } of
+ *     the baseline file; by default the one at the root of the package. { ai } settings
+ *     of the AI provider; without them no AI analysis runs.
+ * @returns {Promise<Object>} Report from createReport, with warnings about the rules file
+ */
+export async function lintPackage(packagePath, options = {}) {
+    const info = await stat(packagePath);
+    const files = info.isDirectory() ? await readFolder(packagePath) : await readZip(packagePath);
+    if (files.length === 0) {
+        throw new Error(`No files found in ${packagePath}`);
+    }
+
+    loadFiles(files);
+    setSchemaLoader(async path => JSON.parse(await readFile(join(SCHEMAS_DIR, path), 'utf8')));
+    const warnings = await loadRulesFile(options.configPath);
+    setSuppressions(await loadBaseline(options.baselinePath));
+    if (options.ai) {
+        configureLlm(options.ai);
+    }
+
+    const agentInfo = parseAgentPackage();
+    if (agentInfo.type === AgentType.UNKNOWN && agentInfo.error) {
+        throw new Error(agentInfo.error);
+    }
+
+    // Analyze each agent of a multi-agent package; package-level findings repeat, so keep one of each
+    const agentCount = agentInfo.declarativeAgents?.length || 1;
+    const recommendations = [];
+    for (let index = 0; index < agentCount; index++) {
+        const agent = agentCount > 1 ? selectDeclarativeAgent(agentInfo, index) : agentInfo;
+        const results = await analyzeAgent(agent);
+        recommendations.push(...results.recommendations);
+
+        const connectors = getGraphConnectors(agent);
+        if (connectors.length > 0) {
+            const results = analyzeCopilotConnectors(connectors);
+            recommendations.push(...applySuppressions(applyRuleSettings(results.recommendations), getAgentKey(agent)));
+        }
+    }
+
+    const apiFiles = findApiDefinitions();
+    if (apiFiles.length > 0) {
+        recommendations.push(...applySuppressions(applyRuleSettings(analyzeApiConnectors(apiFiles).recommendations), null));
+    }
+
+    return {
+        ...createReport(basename(packagePath), agentInfo, dedupeRecommendations(recommendations)),
+        warnings
+    };
+}
+
+/**
+ * Applies the rules file and registers the custom rule modules it lists
+ * @param {string} [configPath] - Path of the rules file given on the command line
+ * @returns {Promise<Array>} Warnings about the rules file
+ */
+async function loadRulesFile(configPath) {
+    const diskPath = configPath || join(process.cwd(), RULES_FILE_NAME);
+    let config = null;
+    let configDir = null;
+
+    try {
+        config = JSON.parse(await readFile(diskPath, 'utf8'));
+        configDir = dirname(resolve(diskPath));
+    } catch (error) {
+        if (configPath || error.code !== 'ENOENT') {
+            throw new Error(`Cannot read rules file ${diskPath}: ${error.message}`);
+        }
+        config = readPackageRulesFile();
+    }
+
+    const warnings = [];
+    for (const modulePath of Array.isArray(config?.customRules) ? config.customRules : []) {
+        // Custom rules are code, so only a rules file on disk may load them
+        if (!configDir) {
+            warnings.push(`Custom rules in the package's ${RULES_FILE_NAME} are not loaded; pass the rules file with --config`);
+            break;
+        }
+        const url = pathToFileURL(resolve(configDir, modulePath)).href;
+        registerRuleModule(await import(url), modulePath);
+    }
+
+    return [...warnings, ...configureRules(config)];
+}
+
+/**
+ * Reads the baseline file of known findings
+ * @param {string} [baselinePath] - Path of the baseline file given on the command line
+ * @returns {Promise<Array>} Suppressions from the file, or from the package's baseline file
+ */
+async function loadBaseline(baselinePath) {
+    if (!baselinePath) {
+        return readPackageBaseline();
+    }
+
+    let data;
+    try {
+        data = JSON.parse(await readFile(baselinePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Cannot read baseline file ${baselinePath}: ${error.message}`);
+    }
+    return parseBaseline(data, baselinePath);
+}
+
+/**
+ * Reads the files of a zip package
+ * @param {string} zipPath - Path of the zip file
+ * @returns {Promise<Array>} Array of { path, content, isImage }
+ */
+async function readZip(zipPath) {
+    let zip;
+    try {
+        zip = await JSZip.loadAsync(await readFile(zipPath));
+    } catch (error) {
+        throw new Error(`${zipPath} is not a valid zip archive`);
+    }
+
+    const files = [];
+    for (const entry of Object.values(zip.files)) {
+        if (entry.dir) continue;
+        const isImage = isImageFile(entry.name);
+        files.push({
+            path: entry.name,
+            content: await entry.async(isImage ? 'base64' : 'string'),
+            isImage
+        });
+    }
+    return files;
+}
+
+/**
+ * Reads the files of a package folder
+ * @param {string} folderPath - Path of the folder
+ * @param {string} [prefix] - Package path of the folder ('' for the package root)
+ * @returns {Promise<Array>} Array of { path, content, isImage } with paths relative to the package root
+ */
+async function readFolder(folderPath, prefix = '') {
+    const files = [];
+
+    for (const entry of await readdir(folderPath, { withFileTypes: true })) {
+        const fullPath = join(folderPath, entry.name);
+        const path = prefix + entry.name;
+
+        if (entry.isDirectory()) {
+            if (!IGNORED_FOLDERS.includes(entry.name)) {
+                files.push(...await readFolder(fullPath, `${path}/`));
+            }
+        } else if (entry.isFile()) {
+            const isImage = isImageFile(path);
+            const content = await readFile(fullPath);
+            files.push({
+                path,
+                content: isImage ? content.toString('base64') : content.toString('utf8'),
+                isImage
+            });
+        }
+    }
+
+    return files;
+}
+
+/**
+ * Removes recommendations that were reported more than once
+ * @param {Array} recommendations - Recommendations from all analyzers
+ * @returns {Array} Recommendations without duplicates
+ */
+function dedupeRecommendations(recommendations) {
+    const seen = new Set();
+    return recommendations.filter(recommendation => {
+        const key = [
+            recommendation.severity,
+            recommendation.category,
+            recommendation.title,
+            recommendation.description,
+            recommendation.location?.file,
+            recommendation.location?.line
+        ].join('|');
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
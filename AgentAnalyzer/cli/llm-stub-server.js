@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+/**
+ * LLM Stub Server for AgentAnalyzer
+ * Answers OpenAI, Azure OpenAI and Anthropic requests with canned results so AI
+ * analysis can be tested without a model: llm-stub-server [--port 8787] [--responses file]
+ */
+
+import { createServer } from 'node:http';
+import { readFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { createRefContext } from '../js/utils/openapi-refs.js';
+import { createSampleValue } from '../js/utils/openapi-sample.js';
+
+const USAGE = `Usage: llm-stub-server [options]
+
+Options:
+  -p, --port <port>         Port to listen on (default: 8787)
+  -r, --responses <file>    JSON file mapping result names (such as
+                            agent_recommendations) to the result to return;
+                            other results are made up from their schema
+  -h, --help                Show this help
+
+Point AgentAnalyzer at the stub with the provider and endpoint:
+  openai-compatible  http://localhost:<port>/v1
+  azure-openai       http://localhost:<port> (any deployment and key)
+  anthropic          http://localhost:<port> (any key)`;
+
+/**
+ * CORS headers, so the web app can call the stub from another origin
+ */
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Access-Control-Allow-Headers': '*'
+};
+
+const { values } = parseArgs({
+    options: {
+        port: { type: 'string', short: 'p', default: '8787' },
+        responses: { type: 'string', short: 'r' },
+        help: { type: 'boolean', short: 'h' }
+    }
+});
+
+if (values.help) {
+    console.log(USAGE);
+} else {
+    const responses = values.responses ? JSON.parse(readFileSync(values.responses, 'utf8')) : {};
+    const server = createServer((req, res) => handleRequest(req, res, responses));
+    server.listen(Number(values.port), () => {
+        console.error(`llm-stub-server: listening on http://localhost:${server.address().port}`);
+    });
+}
+
+/**
+ * Handles one request
+ * @param {Object} req - Incoming request
+ * @param {Object} res - Server response
+ * @param {Object} responses - Canned results by result name
+ */
+async function handleRequest(req, res, responses) {
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204, CORS_HEADERS);
+        res.end();
+        return;
+    }
+
+    let body;
+    try {
+        const chunks = [];
+        for await (const chunk of req) chunks.push(chunk);
+        body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch (error) {
+        sendJson(res, 400, { error: { message: 'Request body is not valid JSON' } });
+        return;
+    }
+
+    const path = new URL(req.url, 'http://localhost').pathname;
+    console.error(`llm-stub-server: ${req.method} ${path}`);
+
+    if (req.method === 'POST' && path.endsWith('/chat/completions')) {
+        const format = body.response_format?.json_schema;
+        const content = format
+            ? JSON.stringify(getResult(responses, format.name, format.schema))
+            : getText(responses);
+        sendJson(res, 200, {
+            id: 'stub',
+            object: 'chat.completion',
+            model: body.model || 'stub',
+            choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }]
+        });
+    } else if (req.method === 'POST' && path.endsWith('/v1/messages')) {
+        const tool = body.tools?.find(t => t.name === body.tool_choice?.name);
+        const content = tool
+            ? [{ type: 'tool_use', id: 'stub', name: tool.name, input: getResult(responses, tool.name, tool.input_schema) }]
+            : [{ type: 'text', text: getText(responses) }];
+        sendJson(res, 200, {
+            id: 'stub',
+            type: 'message',
+            role: 'assistant',
+            model: body.model || 'stub',
+            content,
+            stop_reason: tool ? 'tool_use' : 'end_turn'
+        });
+    } else {
+        sendJson(res, 404, { error: { message: `Unknown path ${path}` } });
+    }
+}
+
+/**
+ * Gets the structured result for a request
+ * @param {Object} responses - Canned results by result name
+ * @param {string} name - Result name
+ * @param {Object} schema - JSON schema of the result
+ * @returns {*} Canned result, else a sample made from the schema
+ */
+function getResult(responses, name, schema) {
+    if (name in responses) return responses[name];
+    return createSampleValue(createRefContext('result.json', schema, () => null), schema) ?? {};
+}
+
+/**
+ * Gets the text answer for a request without a schema
+ * @param {Object} responses - Canned results by result name
+ * @returns {string} Text
+ */
+function getText(responses) {
+    return typeof responses.text === 'string' ? responses.text : 'Stub response';
+}
+
+/**
+ * Sends a JSON response
+ * @param {Object} res - Server response
+ * @param {number} status - HTTP status
+ * @param {Object} data - Response body
+ */
+function sendJson(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...CORS_HEADERS });
+    res.end(JSON.stringify(data));
+}
@@ -6,29 +6,58 @@
 import { loadConfig, isConfigured } from './config.js';
 import { initializeMsal, signIn, signOut, isSignedIn, getUserDisplayName } from './auth/msal-auth.js';
 import { extractZip, clearZip, downloadZip, hasModifiedFiles, getAllFiles } from './services/zip-service.js';
-import { parseAgentPackage, AgentType } from './services/agent-parser.js';
-import { analyzeAgent } from './services/analysis-service.js';
-import { runDeepAnalysis } from './services/deep-analysis-service.js';
+import { parseAgentPackage, selectDeclarativeAgent, getDeclarativeAgentPath, AgentType } from './services/agent-parser.js';
+import { analyzeAgent, generateSummary, rewriteInstructions, summarizeLocalAnalysis } from './services/analysis-service.js';
+import { runDeepAnalysis, updateDeepAnalysisSummary } from './services/deep-analysis-service.js';
 import {
     saveAgent,
+    getStoredAgents,
     getStoredAgent,
+    getAgentAnalysis,
     updateAnalysisResults,
-    updateStoredFiles,
-    deleteStoredAgent
+    deleteStoredAgent,
+    getStoredSuppressions,
+    addSuppression,
+    removeSuppression,
+    RevisionSource
 } from './services/storage-service.js';
 import { initFileTree, renderFileTree, clearSelection } from './components/file-tree.js';
-import { initFileViewer, openFile, closeViewer, hasUnsavedChanges } from './components/file-viewer.js';
+import { initFileViewer, openFile, closeViewer, hasUnsavedChanges, revealPointer, revealPosition, applyEdit } from './components/file-viewer.js';
 import { initAgentDetails, renderAgentDetails, clearAgentDetails } from './components/agent-details.js';
+import { initAgentSwitcher, renderAgentSwitcher, clearAgentSwitcher } from './components/agent-switcher.js';
 import { initDragDrop, resetDragDrop } from './components/drag-drop.js';
 import { initAnalysisPanel, renderBasicResults, renderSharePointResults, renderConnectorsResults, renderApiResults, clearResults, showResults } from './components/analysis-panel.js';
 import { initDeepAnalysisOptions, updateDeepAnalysisState, resetOptions, disableControls, enableControls } from './components/deep-analysis-options.js';
 import { renderDeepAnalysisResults } from './components/deep-analysis-results.js';
 import { initAgentHistory, renderHistory, highlightAgent } from './components/agent-history.js';
+import { initExportMenu, setExportEnabled } from './components/export-menu.js';
+import { initFixPreview, showFixPreview } from './components/fix-preview.js';
+import { initInstructionRewriter, showInstructionRewrite } from './components/instruction-rewriter.js';
+import { initLlmSettings } from './components/llm-settings.js';
+import { initPackageCompare, updateCompareAvailability, showPackageCompare } from './components/package-compare.js';
+import { initHistoryTransfer, showHistoryImport } from './components/history-transfer.js';
+import { isHistoryArchive } from './services/history-archive-service.js';
+import { createSnapshot } from './services/package-diff-service.js';
+import { previewFix, createInstructionsFix } from './services/quick-fix-service.js';
+import { collectRecommendations, createReport, toSarif, toJUnit, toHtml, toMarkdown } from './services/report-service.js';
+import { downloadFile } from './utils/file-utils.js';
+import { configureRules, readPackageRulesFile, registerRuleModule, RULES_FILE_NAME } from './services/rule-registry.js';
+import {
+    setSuppressions,
+    applySuppressions,
+    createSuppression,
+    createBaseline,
+    readPackageBaseline,
+    getAgentKey,
+    BASELINE_FILE_NAME
+} from './services/suppression-service.js';
 
 // Application State
 let currentAgentInfo = null;
 let currentAgentId = null;
+let storedSuppressions = []; // Findings dismissed for the stored agent, loaded with it
 let packageFileName = '';
+let currentAnalysis = {}; // { basicAnalysis, deepAnalysis } of the selected agent, for export
 
 // File tabs state
 let openFileTabs = []; // Array of { path, name, isModified }
@@ -71,16 +100,20 @@ const elements = {
     // Agent Details
     agentTypeBadge: null,
     agentName: null,
+    agentSwitcher: null,
     agentDescription: null,
     instructionsToggle: null,
     instructionsContent: null,
     agentInstructions: null,
     agentProperties: null,
+    capabilityDetailsSection: null,
+    capabilityDetails: null,
     starterPromptsSection: null,
     starterPrompts: null,
 
     // Analysis Options
     analyzeBtn: null,
+    rewriteBtn: null,
     chkSharepoint: null,
     chkCopilotConnectors: null,
     chkApiConnectors: null,
@@ -93,6 +126,10 @@ const elements = {
     editorContainer: null,
     imagePreview: null,
     previewImage: null,
+    cardPreview: null,
+    cardPreviewSelect: null,
+    cardPreviewContent: null,
+    cardPreviewIssues: null,
     undoBtn: null,
     saveBtn: null,
     cancelBtn: null,
@@ -106,6 +143,8 @@ const elements = {
     sharepointResultsPanel: null,
     connectorsResultsPanel: null,
     apiResultsPanel: null,
+    exportBtn: null,
+    exportMenuList: null,
 
     // Footer
     downloadBtn: null,
@@ -113,7 +152,62 @@ const elements = {
 
     // Loading
     loadingOverlay: null,
-    loadingText: null
+    loadingText: null,
+
+    // Quick fix preview
+    fixPreviewDialog: null,
+    fixPreviewTitle: null,
+    fixPreviewFile: null,
+    fixPreviewDiff: null,
+    fixPreviewApply: null,
+    fixPreviewCancel: null,
+
+    // Instruction Rewrite
+    rewriteDialog: null,
+    rewriteScore: null,
+    rewriteCount: null,
+    rewriteDiff: null,
+    rewriteAcceptAll: null,
+    rewriteRejectAll: null,
+    rewriteApply: null,
+    rewriteCancel: null,
+
+    // AI Settings
+    aiSettingsBtn: null,
+    aiSettingsDialog: null,
+    aiProvider: null,
+    aiEndpoint: null,
+    aiModel: null,
+    aiDeployment: null,
+    aiApiVersion: null,
+    aiApiKey: null,
+    aiRememberKey: null,
+    aiSettingsStatus: null,
+    aiSettingsTest: null,
+    aiSettingsSave: null,
+    aiSettingsCancel: null,
+
+    // Package Compare
+    compareBtn: null,
+    compareDialog: null,
+    compareBase: null,
+    compareTarget: null,
+    compareSummary: null,
+    compareFileName: null,
+    compareDiff: null,
+    compareClose: null,
+
+    // History Export and Import
+    historyExportBtn: null,
+    historyImportBtn: null,
+    historyImportInput: null,
+    historyTransferDialog: null,
+    historyTransferTitle: null,
+    historyTransferHint: null,
+    historyTransferList: null,
+    historyTransferAll: null,
+    historyTransferCancel: null,
+    historyTransferConfirm: null
 };
 
 /**
@@ -124,7 +218,10 @@ async function init() {
     initElements();
 
     // Load configuration
-    await loadConfig();
+    const config = await loadConfig();
+
+    // Register the custom rules the deployment configures
+    await loadCustomRules(config.customRules);
 
     // Initialize MSAL
     await initializeMsal();
@@ -181,16 +278,20 @@ function initElements() {
     // Agent Details
     elements.agentTypeBadge = document.getElementById('agent-type-badge');
     elements.agentName = document.getElementById('agent-name');
+    elements.agentSwitcher = document.getElementById('agent-switcher');
     elements.agentDescription = document.getElementById('agent-description');
     elements.instructionsToggle = document.getElementById('instructions-toggle');
     elements.instructionsContent = document.getElementById('instructions-content');
     elements.agentInstructions = document.getElementById('agent-instructions');
     elements.agentProperties = document.getElementById('agent-properties');
+    elements.capabilityDetailsSection = document.getElementById('capability-details-section');
+    elements.capabilityDetails = document.getElementById('capability-details');
     elements.starterPromptsSection = document.getElementById('starter-prompts-section');
     elements.starterPrompts = document.getElementById('starter-prompts');
 
     // Analysis Options
     elements.analyzeBtn = document.getElementById('analyze-btn');
+    elements.rewriteBtn = document.getElementById('rewrite-btn');
     elements.chkSharepoint = document.getElementById('chk-sharepoint');
     elements.chkCopilotConnectors = document.getElementById('chk-copilot-connectors');
     elements.chkApiConnectors = document.getElementById('chk-api-connectors');
@@ -203,6 +304,10 @@ function initElements() {
     elements.editorContainer = document.getElementById('editor-container');
     elements.imagePreview = document.getElementById('image-preview');
     elements.previewImage = document.getElementById('preview-image');
+    elements.cardPreview = document.getElementById('card-preview');
+    elements.cardPreviewSelect = document.getElementById('card-preview-select');
+    elements.cardPreviewContent = document.getElementById('card-preview-content');
+    elements.cardPreviewIssues = document.getElementById('card-preview-issues');
     elements.editorPlaceholder = null; // No longer used - file tabs handle empty state
     elements.undoBtn = document.getElementById('undo-btn');
     elements.saveBtn = document.getElementById('save-btn');
@@ -217,6 +322,8 @@ function initElements() {
     elements.sharepointResultsPanel = document.getElementById('sharepoint-results');
     elements.connectorsResultsPanel = document.getElementById('connectors-results');
     elements.apiResultsPanel = document.getElementById('api-results');
+    elements.exportBtn = document.getElementById('export-btn');
+    elements.exportMenuList = document.getElementById('export-menu-list');
 
     // Footer
     elements.downloadBtn = document.getElementById('download-btn');
@@ -225,6 +332,61 @@ function initElements() {
     // Loading
     elements.loadingOverlay = document.getElementById('loading-overlay');
     elements.loadingText = document.getElementById('loading-text');
+
+    // Quick fix preview
+    elements.fixPreviewDialog = document.getElementById('fix-preview-dialog');
+    elements.fixPreviewTitle = document.getElementById('fix-preview-title');
+    elements.fixPreviewFile = document.getElementById('fix-preview-file');
+    elements.fixPreviewDiff = document.getElementById('fix-preview-diff');
+    elements.fixPreviewApply = document.getElementById('fix-preview-apply');
+    elements.fixPreviewCancel = document.getElementById('fix-preview-cancel');
+
+    // Instruction Rewrite
+    elements.rewriteDialog = document.getElementById('rewrite-dialog');
+    elements.rewriteScore = document.getElementById('rewrite-score');
+    elements.rewriteCount = document.getElementById('rewrite-count');
+    elements.rewriteDiff = document.getElementById('rewrite-diff');
+    elements.rewriteAcceptAll = document.getElementById('rewrite-accept-all');
+    elements.rewriteRejectAll = document.getElementById('rewrite-reject-all');
+    elements.rewriteApply = document.getElementById('rewrite-apply');
+    elements.rewriteCancel = document.getElementById('rewrite-cancel');
+
+    // AI Settings
+    elements.aiSettingsBtn = document.getElementById('ai-settings-btn');
+    elements.aiSettingsDialog = document.getElementById('ai-settings-dialog');
+    elements.aiProvider = document.getElementById('ai-provider');
+    elements.aiEndpoint = document.getElementById('ai-endpoint');
+    elements.aiModel = document.getElementById('ai-model');
+    elements.aiDeployment = document.getElementById('ai-deployment');
+    elements.aiApiVersion = document.getElementById('ai-api-version');
+    elements.aiApiKey = document.getElementById('ai-api-key');
+    elements.aiRememberKey = document.getElementById('ai-remember-key');
+    elements.aiSettingsStatus = document.getElementById('ai-settings-status');
+    elements.aiSettingsTest = document.getElementById('ai-settings-test');
+    elements.aiSettingsSave = document.getElementById('ai-settings-save');
+    elements.aiSettingsCancel = document.getElementById('ai-settings-cancel');
+
+    // Package Compare
+    elements.compareBtn = document.getElementById('compare-btn');
+    elements.compareDialog = document.getElementById('compare-dialog');
+    elements.compareBase = document.getElementById('compare-base');
+    elements.compareTarget = document.getElementById('compare-target');
+    elements.compareSummary = document.getElementById('compare-summary');
+    elements.compareFileName = document.getElementById('compare-file-name');
+    elements.compareDiff = document.getElementById('compare-diff');
+    elements.compareClose = document.getElementById('compare-close');
+
+    // History Export and Import
+    elements.historyExportBtn = document.getElementById('history-export-btn');
+    elements.historyImportBtn = document.getElementById('history-import-btn');
+    elements.historyImportInput = document.getElementById('history-import-input');
+    elements.historyTransferDialog = document.getElementById('history-transfer-dialog');
+    elements.historyTransferTitle = document.getElementById('history-transfer-title');
+    elements.historyTransferHint = document.getElementById('history-transfer-hint');
+    elements.historyTransferList = document.getElementById('history-transfer-list');
+    elements.historyTransferAll = document.getElementById('history-transfer-all');
+    elements.historyTransferCancel = document.getElementById('history-transfer-cancel');
+    elements.historyTransferConfirm = document.getElementById('history-transfer-confirm');
 }
 
 /**
@@ -248,6 +410,10 @@ function initComponents() {
         editorContainer: elements.editorContainer,
         imagePreview: elements.imagePreview,
         previewImage: elements.previewImage,
+        cardPreview: elements.cardPreview,
+        cardPreviewSelect: elements.cardPreviewSelect,
+        cardPreviewContent: elements.cardPreviewContent,
+        cardPreviewIssues: elements.cardPreviewIssues,
         editorPlaceholder: null, // Not used - file tabs handle empty state
         undoBtn: elements.undoBtn,
         saveBtn: elements.saveBtn,
@@ -264,10 +430,18 @@ function initComponents() {
         instructionsContent: elements.instructionsContent,
         agentInstructions: elements.agentInstructions,
         agentProperties: elements.agentProperties,
+        capabilityDetailsSection: elements.capabilityDetailsSection,
+        capabilityDetails: elements.capabilityDetails,
         starterPromptsSection: elements.starterPromptsSection,
         starterPrompts: elements.starterPrompts
     });
 
+    // Agent switcher for packages with several declarative agents
+    initAgentSwitcher({
+        agentSwitcher: elements.agentSwitcher,
+        agentName: elements.agentName
+    }, handleAgentSwitch);
+
     // Analysis panel
     initAnalysisPanel({
         analysisResultsCard: elements.analysisResultsPanel,
@@ -277,8 +451,55 @@ function initComponents() {
         sharepointResultsPanel: elements.sharepointResultsPanel,
         connectorsResultsPanel: elements.connectorsResultsPanel,
         apiResultsPanel: elements.apiResultsPanel
+    }, handleResultLocationSelect, handleSuppressionChange, handleQuickFix);
+
+    // Diff preview of quick fixes
+    initFixPreview({
+        fixPreviewDialog: elements.fixPreviewDialog,
+        fixPreviewTitle: elements.fixPreviewTitle,
+        fixPreviewFile: elements.fixPreviewFile,
+        fixPreviewDiff: elements.fixPreviewDiff,
+        fixPreviewApply: elements.fixPreviewApply,
+        fixPreviewCancel: elements.fixPreviewCancel
+    });
+
+    // Word diff of AI-rewritten instructions
+    initInstructionRewriter({
+        rewriteDialog: elements.rewriteDialog,
+        rewriteScore: elements.rewriteScore,
+        rewriteCount: elements.rewriteCount,
+        rewriteDiff: elements.rewriteDiff,
+        rewriteAcceptAll: elements.rewriteAcceptAll,
+        rewriteRejectAll: elements.rewriteRejectAll,
+        rewriteApply: elements.rewriteApply,
+        rewriteCancel: elements.rewriteCancel
     });
 
+    // AI provider settings
+    initLlmSettings({
+        aiSettingsBtn: elements.aiSettingsBtn,
+        aiSettingsDialog: elements.aiSettingsDialog,
+        aiProvider: elements.aiProvider,
+        aiEndpoint: elements.aiEndpoint,
+        aiModel: elements.aiModel,
+        aiDeployment: elements.aiDeployment,
+        aiApiVersion: elements.aiApiVersion,
+        aiApiKey: elements.aiApiKey,
+        aiRememberKey: elements.aiRememberKey,
+        aiSettingsStatus: elements.aiSettingsStatus,
+        aiSettingsTest: elements.aiSettingsTest,
+        aiSettingsSave: elements.aiSettingsSave,
+        aiSettingsCancel: elements.aiSettingsCancel
+    }, (configured) => {
+        setStatus(configured ? 'AI settings saved' : 'AI settings saved; AI analysis is off until they are complete');
+    });
+
+    // Export of the analysis results
+    initExportMenu({
+        exportBtn: elements.exportBtn,
+        exportMenuList: elements.exportMenuList
+    }, handleExport);
+
     // Deep analysis options
     initDeepAnalysisOptions({
         chkSharepoint: elements.chkSharepoint,
@@ -292,7 +513,33 @@ function initComponents() {
     initAgentHistory({
         historyContainer: elements.historyContainer,
         historyList: elements.historyList
-    }, handleLoadFromHistory, handleDeleteFromHistory);
+    }, handleLoadFromHistory, handleDeleteFromHistory, handleDownloadRevision, showPackageCompare);
+
+    // Compare two versions of a package
+    initPackageCompare({
+        compareBtn: elements.compareBtn,
+        compareDialog: elements.compareDialog,
+        compareBase: elements.compareBase,
+        compareTarget: elements.compareTarget,
+        compareSummary: elements.compareSummary,
+        compareFileName: elements.compareFileName,
+        compareDiff: elements.compareDiff,
+        compareClose: elements.compareClose
+    }, getCurrentSnapshot);
+
+    // Move the history to another browser
+    initHistoryTransfer({
+        historyExportBtn: elements.historyExportBtn,
+        historyImportBtn: elements.historyImportBtn,
+        historyImportInput: elements.historyImportInput,
+        historyTransferDialog: elements.historyTransferDialog,
+        historyTransferTitle: elements.historyTransferTitle,
+        historyTransferHint: elements.historyTransferHint,
+        historyTransferList: elements.historyTransferList,
+        historyTransferAll: elements.historyTransferAll,
+        historyTransferCancel: elements.historyTransferCancel,
+        historyTransferConfirm: elements.historyTransferConfirm
+    }, handleHistoryImported);
 }
 
 /**
@@ -308,6 +555,7 @@ function setupEventListeners() {
 
     // Analyze button
     elements.analyzeBtn?.addEventListener('click', handleAnalyze);
+    elements.rewriteBtn?.addEventListener('click', handleRewriteInstructions);
 
     // Download button
     elements.downloadBtn?.addEventListener('click', handleDownload);
@@ -611,6 +859,12 @@ async function handleSignOut() {
  * @param {File} file - The dropped/selected file
  */
 async function handleFileDrop(file) {
+    // A history archive exported from another browser is imported rather than opened
+    if (await isHistoryArchive(file)) {
+        await showHistoryImport(file);
+        return;
+    }
+
     showLoading('Extracting package...');
     setStatus('Loading package...');
 
@@ -625,21 +879,22 @@ async function handleFileDrop(file) {
         // Parse the agent
         currentAgentInfo = parseAgentPackage();
 
-        // Save to localStorage
+        // Save to the history
         const files = getAllFiles();
-        currentAgentId = saveAgent({
+        currentAgentId = await saveAgent({
             fileName: packageFileName,
             agentInfo: currentAgentInfo,
             files: files
         });
+        storedSuppressions = currentAgentId ? await getStoredSuppressions(currentAgentId) : [];
 
         // Update history panel
-        renderHistory();
+        await renderHistory();
 
         // Show workspace
         showWorkspace(tree);
 
-        setStatus(`Loaded: ${packageFileName}`);
+        setStatus(currentAgentId ? `Loaded: ${packageFileName}` : `Loaded: ${packageFileName} (could not save it to the history)`);
     } catch (error) {
         console.error('Error loading package:', error);
         setStatus('Error loading package');
@@ -649,6 +904,57 @@ async function handleFileDrop(file) {
     }
 }
 
+/**
+ * Registers custom rule modules listed in app-config.json
+ * @param {Array} [modulePaths] - Module paths relative to the app
+ */
+async function loadCustomRules(modulePaths) {
+    for (const modulePath of modulePaths || []) {
+        try {
+            registerRuleModule(await import(new URL(modulePath, document.baseURI).href), modulePath);
+        } catch (error) {
+            console.error(`Error loading custom rules from ${modulePath}:`, error);
+        }
+    }
+}
+
+/**
+ * Applies the rules file of the loaded package, or the default rule settings if it has none.
+ * Runs before each analysis so edits to the rules file take effect.
+ */
+function applyPackageRules() {
+    try {
+        const config = readPackageRulesFile();
+        if (config?.customRules) {
+            console.warn(`Custom rules in the package's ${RULES_FILE_NAME} are not loaded; add them to customRules in app-config.json`);
+        }
+        for (const warning of configureRules(config)) {
+            console.warn(warning);
+        }
+    } catch (error) {
+        configureRules(null);
+        alert(`${error.message}\n\nThe default rule settings are used instead.`);
+    }
+
+    loadSuppressions();
+}
+
+/**
+ * Loads the suppressions of the package's baseline file and the findings dismissed for the stored agent
+ * @returns {Array} Suppressions from the baseline file, empty if it is missing or invalid
+ */
+function loadSuppressions() {
+    let baseline = [];
+    try {
+        baseline = readPackageBaseline();
+    } catch (error) {
+        console.warn(`${error.message}; the baseline file is ignored`);
+    }
+
+    setSuppressions([...baseline, ...(currentAgentId ? storedSuppressions : [])]);
+    return baseline;
+}
+
 /**
  * Handles loading an agent from history
  * @param {string} id - Agent ID to load
@@ -658,7 +964,7 @@ async function handleLoadFromHistory(id) {
     setStatus('Loading saved agent...');
 
     try {
-        const storedAgent = getStoredAgent(id);
+        const storedAgent = await getStoredAgent(id);
         if (!storedAgent) {
             throw new Error('Agent not found in storage');
         }
@@ -691,6 +997,7 @@ async function handleLoadFromHistory(id) {
 
         // Set application state
         currentAgentId = storedAgent.id;
+        storedSuppressions = storedAgent.suppressions || [];
         currentAgentInfo = storedAgent.agentInfo;
         packageFileName = storedAgent.fileName;
 
@@ -704,21 +1011,7 @@ async function handleLoadFromHistory(id) {
         highlightAgent(id);
 
         // Restore analysis results if available
-        if (storedAgent.basicAnalysis) {
-            renderBasicResults(storedAgent.basicAnalysis);
-        }
-        if (storedAgent.deepAnalysis) {
-            if (storedAgent.deepAnalysis.sharepoint) {
-                renderSharePointResults(storedAgent.deepAnalysis.sharepoint);
-            }
-            if (storedAgent.deepAnalysis.copilotConnectors) {
-                renderConnectorsResults(storedAgent.deepAnalysis.copilotConnectors);
-            }
-            if (storedAgent.deepAnalysis.apiConnectors) {
-                renderApiResults(storedAgent.deepAnalysis.apiConnectors);
-            }
-            showResults();
-        }
+        renderStoredAnalysis(getAgentAnalysis(storedAgent, currentAgentInfo.selectedAgentIndex || 0));
 
         setStatus(`Loaded: ${packageFileName} (from history)`);
     } catch (error) {
@@ -730,6 +1023,52 @@ async function handleLoadFromHistory(id) {
     }
 }
 
+/**
+ * Renders previously saved analysis results
+ * @param {Object} analysis - Stored { basicAnalysis, deepAnalysis }
+ */
+function renderStoredAnalysis({ basicAnalysis, deepAnalysis }) {
+    setCurrentAnalysis({ basicAnalysis, deepAnalysis });
+
+    if (basicAnalysis) {
+        renderBasicResults(basicAnalysis);
+    }
+    if (deepAnalysis) {
+        if (deepAnalysis.sharepoint) {
+            renderSharePointResults(deepAnalysis.sharepoint);
+        }
+        if (deepAnalysis.copilotConnectors) {
+            renderConnectorsResults(deepAnalysis.copilotConnectors);
+        }
+        if (deepAnalysis.apiConnectors) {
+            renderApiResults(deepAnalysis.apiConnectors);
+        }
+        showResults();
+    }
+}
+
+/**
+ * Handles selecting another declarative agent of a multi-agent package
+ * @param {number} index - Index of the selected declarative agent
+ */
+async function handleAgentSwitch(index) {
+    if (!currentAgentInfo) return;
+
+    currentAgentInfo = selectDeclarativeAgent(currentAgentInfo, index);
+    renderAgentDetails(currentAgentInfo);
+    updateDeepAnalysisState(currentAgentInfo);
+
+    // Show the results of the selected agent only
+    clearResults();
+    setCurrentAnalysis({});
+    if (currentAgentId) {
+        const storedAgent = (await getStoredAgents()).find(agent => agent.id === currentAgentId);
+        renderStoredAnalysis(getAgentAnalysis(storedAgent, index));
+    }
+
+    setStatus(`Showing agent: ${currentAgentInfo.agentName || currentAgentInfo.name}`);
+}
+
 /**
  * Builds a file tree structure from a files Map
  * @param {Map} filesMap - Map of file paths to file data
@@ -830,16 +1169,77 @@ async function importFilesToZipService(filesMap) {
 
 /**
  * Handles deleting an agent from history
- * @param {string} id - Agent ID that was deleted
+ * @param {Array} ids - IDs of the deleted agent's revisions
  */
-function handleDeleteFromHistory(id) {
+function handleDeleteFromHistory(ids) {
     // If this is the currently loaded agent, close it
-    if (id === currentAgentId) {
+    if (ids.includes(currentAgentId)) {
         handleClosePackage();
     }
+    updateCompareAvailability();
     setStatus('Agent deleted from history');
 }
 
+/**
+ * Handles a history archive being imported
+ * @param {Object} counts - { added, skipped } revision counts
+ */
+async function handleHistoryImported({ added, skipped }) {
+    await renderHistory();
+    if (currentAgentId) {
+        highlightAgent(currentAgentId);
+    }
+    updateCompareAvailability();
+    setStatus(`Imported ${added} version(s)${skipped > 0 ? `, ${skipped} already in the history` : ''}`);
+}
+
+/**
+ * Handles downloading a revision from history without opening it
+ * @param {string} id - Revision ID
+ */
+async function handleDownloadRevision(id) {
+    try {
+        const storedAgent = await getStoredAgent(id);
+        if (!storedAgent?.files) {
+            throw new Error('File contents not available for this version.');
+        }
+
+        const files = new Map(Object.entries(storedAgent.files));
+        await downloadZip(`${storedAgent.fileName.replace(/\.zip$/i, '')}_v${storedAgent.revision || 1}.zip`, files);
+        setStatus(`Downloaded version ${storedAgent.revision || 1} of ${storedAgent.fileName}`);
+    } catch (error) {
+        console.error('Download error:', error);
+        alert('Download failed: ' + (error.message || 'Unknown error'));
+    }
+}
+
+/**
+ * Keeps the open package in the history as a new revision of its agent, if its files changed
+ * @returns {Promise<boolean>} False if the revision could not be saved
+ */
+async function saveRevision() {
+    if (!currentAgentId) return true;
+
+    const id = await saveAgent({
+        fileName: packageFileName,
+        agentInfo: currentAgentInfo,
+        files: getAllFiles(),
+        source: RevisionSource.SAVE,
+        parentId: currentAgentId
+    });
+    if (!id) {
+        setStatus('Could not save the changes to the history');
+        return false;
+    }
+    if (id === currentAgentId) return true;
+
+    currentAgentId = id;
+    await renderHistory();
+    highlightAgent(id);
+    updateCompareAvailability();
+    return true;
+}
+
 /**
  * Shows the workspace with the given file tree
  * @param {Object} tree - File tree structure
@@ -853,15 +1253,18 @@ function showWorkspace(tree) {
 
     // Render agent details
     renderAgentDetails(currentAgentInfo);
+    renderAgentSwitcher(currentAgentInfo);
 
-    // Enable analyze button
+    // Enable analyze button; only declarative agents have instructions to rewrite
     elements.analyzeBtn.disabled = false;
+    elements.rewriteBtn.disabled = currentAgentInfo.type !== AgentType.DECLARATIVE;
 
     // Update deep analysis options
     updateDeepAnalysisState(currentAgentInfo);
 
     // Enable download button
     elements.downloadBtn.disabled = false;
+    updateCompareAvailability();
 
     // Ensure Details tab is shown by default
     switchWorkspaceTab('details');
@@ -875,6 +1278,49 @@ function handleFileSelect(path) {
     createFileTab(path);
 }
 
+/**
+ * Handles a click on a result's file location
+ * @param {Object} location - Location with file and a JSON pointer or line
+ */
+function handleResultLocationSelect(location) {
+    createFileTab(location.file);
+    if (location.pointer !== undefined) {
+        revealPointer(location.pointer);
+    } else {
+        revealPosition(location.line, location.column);
+    }
+}
+
+/**
+ * Handles a result's Fix button: previews the edit as a diff, then applies it in the editor
+ * @param {Object} recommendation - Recommendation with a fix
+ * @returns {Promise<boolean>} True if the fix was applied
+ */
+async function handleQuickFix(recommendation) {
+    const { fix } = recommendation;
+
+    const tab = openFileTabs.find(t => t.path === fix.file);
+    if (tab?.isModified) {
+        alert(`"${tab.name}" has unsaved changes. Save or cancel them before applying a fix.`);
+        return false;
+    }
+
+    let preview;
+    try {
+        preview = previewFix(fix);
+    } catch (error) {
+        alert(error.message);
+        return false;
+    }
+
+    if (!await showFixPreview(preview)) return false;
+
+    createFileTab(fix.file);
+    applyEdit(preview.modified);
+    setStatus(`Applied fix: ${fix.label}. Save ${fix.file.split('/').pop()} to keep it, then analyze again.`);
+    return true;
+}
+
 /**
  * Handles file modification
  * @param {string} path - Modified file path
@@ -891,13 +1337,27 @@ function handleFileModified(path, isModified) {
         setStatus(`Viewing: ${path.split('/').pop()}`);
     }
 
-    // Update stored files if we have an agent ID
-    if (currentAgentId && isModified) {
-        const files = getAllFiles();
-        updateStoredFiles(currentAgentId, files);
+    // Each save is kept as a revision in the history
+    if (!isModified) {
+        saveRevision();
     }
 }
 
+/**
+ * Gets the open package for comparing it with the history, including unsaved edits
+ * @returns {Object|null} Snapshot, or null if no package is open
+ */
+function getCurrentSnapshot() {
+    if (!currentAgentInfo) return null;
+
+    return createSnapshot({
+        label: packageFileName,
+        agentInfo: currentAgentInfo,
+        files: getAllFiles(),
+        analysis: currentAnalysis
+    });
+}
+
 /**
  * Handles close package button
  */
@@ -915,7 +1375,9 @@ function handleClosePackage() {
     clearZip();
     currentAgentInfo = null;
     currentAgentId = null;
+    storedSuppressions = [];
     packageFileName = '';
+    setCurrentAnalysis({});
 
     // Close all file tabs
     closeAllFileTabs();
@@ -928,11 +1390,13 @@ function handleClosePackage() {
     closeViewer();
     clearSelection();
     clearAgentDetails();
+    clearAgentSwitcher();
     clearResults();
     resetOptions();
 
     // Disable buttons
     elements.analyzeBtn.disabled = true;
+    elements.rewriteBtn.disabled = true;
     elements.downloadBtn.disabled = true;
 
     // Reset drag drop
@@ -940,6 +1404,7 @@ function handleClosePackage() {
 
     // Refresh history
     renderHistory();
+    updateCompareAvailability();
 
     // Switch to details tab (reset tab state)
     switchWorkspaceTab('details');
@@ -955,14 +1420,16 @@ async function handleAnalyze() {
 
     showLoading('Analyzing agent...');
     setStatus('Running analysis...');
+    applyPackageRules();
 
     try {
         const results = await analyzeAgent(currentAgentInfo);
         renderBasicResults(results);
+        setCurrentAnalysis({ ...currentAnalysis, basicAnalysis: results });
 
         // Save analysis results to storage
         if (currentAgentId) {
-            updateAnalysisResults(currentAgentId, 'basic', results);
+            await updateAnalysisResults(currentAgentId, 'basic', results, currentAgentInfo.selectedAgentIndex || 0);
             renderHistory(); // Refresh history to show analysis status
         }
 
@@ -976,6 +1443,64 @@ async function handleAnalyze() {
     }
 }
 
+/**
+ * Handles the rewrite instructions button: asks the model for improved instructions,
+ * lets the user accept changes in a word diff and writes the result to the agent file
+ */
+async function handleRewriteInstructions() {
+    if (!currentAgentInfo) return;
+
+    const agentPath = getDeclarativeAgentPath(currentAgentInfo);
+    const original = currentAgentInfo.instructions || '';
+    if (!agentPath || /^\$\[file\(/.test(original.trim())) {
+        alert('The instructions are not defined inline in the declarative agent file. Edit the referenced file instead.');
+        return;
+    }
+
+    const tab = openFileTabs.find(t => t.path === agentPath);
+    if (tab?.isModified) {
+        alert(`"${tab.name}" has unsaved changes. Save or cancel them before rewriting the instructions.`);
+        return;
+    }
+
+    showLoading('Rewriting instructions...');
+    setStatus('Rewriting instructions...');
+
+    let rewritten;
+    try {
+        rewritten = await rewriteInstructions(currentAgentInfo);
+    } catch (error) {
+        console.error('Rewrite error:', error);
+        setStatus('Rewrite failed');
+        alert('Rewrite failed: ' + (error.message || 'Unknown error'));
+        return;
+    } finally {
+        hideLoading();
+    }
+
+    // Compare the basic analysis of the current and the merged instructions
+    const instructions = await showInstructionRewrite(original, rewritten,
+        text => summarizeLocalAnalysis({ ...currentAgentInfo, instructions: text }));
+    if (instructions === null) {
+        setStatus('Rewrite cancelled');
+        return;
+    }
+
+    let preview;
+    try {
+        const fix = createInstructionsFix(agentPath, original, instructions);
+        if (!fix) throw new Error(`${agentPath} has no instructions to replace`);
+        preview = previewFix(fix);
+    } catch (error) {
+        alert(error.message);
+        return;
+    }
+
+    createFileTab(agentPath);
+    applyEdit(preview.modified);
+    setStatus(`Rewrote instructions. Save ${agentPath.split('/').pop()} to keep them, then analyze again.`);
+}
+
 /**
  * Handles deep analysis
  * @param {Object} options - Selected deep analysis options
@@ -985,6 +1510,7 @@ async function handleDeepAnalysis(options) {
 
     showLoading('Running deep analysis...');
     setStatus('Running deep analysis...');
+    applyPackageRules();
     disableControls();
 
     try {
@@ -993,10 +1519,11 @@ async function handleDeepAnalysis(options) {
         });
 
         const summary = renderDeepAnalysisResults(results);
+        setCurrentAnalysis({ ...currentAnalysis, deepAnalysis: results });
 
         // Save deep analysis results to storage
         if (currentAgentId) {
-            updateAnalysisResults(currentAgentId, 'deep', results);
+            await updateAnalysisResults(currentAgentId, 'deep', results, currentAgentInfo.selectedAgentIndex || 0);
             renderHistory(); // Refresh history to show analysis status
         }
 
@@ -1011,6 +1538,106 @@ async function handleDeepAnalysis(options) {
     }
 }
 
+/**
+ * Handles dismissing a finding with a reason, or restoring a dismissed one
+ * @param {Object} recommendation - The finding
+ * @param {boolean} suppress - True to dismiss, false to restore
+ */
+async function handleSuppressionChange(recommendation, suppress) {
+    if (!currentAgentInfo || !currentAgentId) return;
+
+    const agentKey = getAgentKey(currentAgentInfo);
+    if (suppress) {
+        const reason = prompt(`Why is "${recommendation.title}" acceptable for this agent?`);
+        if (!reason?.trim()) return;
+        storedSuppressions = await addSuppression(currentAgentId, createSuppression(recommendation, reason.trim(), agentKey));
+    } else {
+        storedSuppressions = await removeSuppression(currentAgentId, createSuppression(recommendation, '', agentKey));
+    }
+
+    loadSuppressions();
+
+    // Apply the change to the shown results without analyzing again
+    const { basicAnalysis, deepAnalysis } = currentAnalysis;
+    const agentIndex = currentAgentInfo.selectedAgentIndex || 0;
+    if (basicAnalysis) {
+        basicAnalysis.recommendations = applySuppressions(basicAnalysis.recommendations, agentKey);
+        basicAnalysis.summary = generateSummary(basicAnalysis.recommendations);
+        renderBasicResults(basicAnalysis);
+        updateAnalysisResults(currentAgentId, 'basic', basicAnalysis, agentIndex);
+    }
+    if (deepAnalysis) {
+        for (const section of [deepAnalysis.sharepoint, deepAnalysis.copilotConnectors, deepAnalysis.apiConnectors]) {
+            if (section?.recommendations) {
+                section.recommendations = applySuppressions(section.recommendations, agentKey);
+            }
+        }
+        updateDeepAnalysisSummary(deepAnalysis);
+        renderDeepAnalysisResults(deepAnalysis);
+        updateAnalysisResults(currentAgentId, 'deep', deepAnalysis, agentIndex);
+    }
+
+    setStatus(suppress ? `Dismissed: ${recommendation.title}` : `Restored: ${recommendation.title}`);
+}
+
+/**
+ * Remembers the analysis results of the selected agent and enables exporting them
+ * @param {Object} analysis - { basicAnalysis, deepAnalysis }, either may be missing
+ */
+function setCurrentAnalysis(analysis) {
+    currentAnalysis = analysis;
+    setExportEnabled(Boolean(analysis.basicAnalysis || analysis.deepAnalysis));
+}
+
+/**
+ * Handles an export menu selection by downloading the combined results
+ * @param {string} format - sarif, junit, html, markdown or baseline
+ */
+function handleExport(format) {
+    if (!currentAgentInfo) return;
+
+    if (format === 'baseline') {
+        exportBaseline();
+        return;
+    }
+
+    const report = createReport(packageFileName, currentAgentInfo, collectRecommendations(currentAnalysis));
+    const baseName = packageFileName.replace(/\.zip$/i, '') + '-analysis';
+
+    switch (format) {
+        case 'sarif':
+            downloadFile(JSON.stringify(toSarif(report), null, 2), `${baseName}.sarif`, 'application/sarif+json');
+            break;
+        case 'junit':
+            downloadFile(toJUnit(report), `${baseName}.xml`, 'application/xml');
+            break;
+        case 'html':
+            downloadFile(toHtml(report), `${baseName}.html`, 'text/html');
+            break;
+        case 'markdown':
+            downloadFile(toMarkdown(report), `${baseName}.md`, 'text/markdown');
+            break;
+        default:
+            return;
+    }
+
+    setStatus(`Exported ${report.recommendations.length} results`);
+}
+
+/**
+ * Downloads a baseline file that accepts the current findings. Added to the package,
+ * it suppresses them for everyone who analyzes it, in the app or with the CLI.
+ */
+function exportBaseline() {
+    const agentKey = getAgentKey(currentAgentInfo);
+    const recommendations = collectRecommendations(currentAnalysis);
+    const kept = [...loadSuppressions(), ...storedSuppressions];
+    const baseline = createBaseline(recommendations, kept, agentKey);
+
+    downloadFile(JSON.stringify(baseline, null, 2), BASELINE_FILE_NAME, 'application/json');
+    setStatus(`Exported a baseline with ${baseline.suppressions.length} suppressions; add ${BASELINE_FILE_NAME} to the root of the package`);
+}
+
 /**
  * Handles download button click
  */
@@ -1024,13 +1651,10 @@ async function handleDownload() {
         const downloadName = packageFileName.replace('.zip', '_modified.zip');
         await downloadZip(downloadName);
 
-        // Update stored files after download (in case of modifications)
-        if (currentAgentId) {
-            const files = getAllFiles();
-            updateStoredFiles(currentAgentId, files);
-        }
+        // Keep the downloaded package as a revision (in case of modifications)
+        const saved = await saveRevision();
 
-        setStatus('Download complete');
+        setStatus(saved ? 'Download complete' : 'Download complete; the changes could not be saved to the history');
     } catch (error) {
         console.error('Download error:', error);
         setStatus('Download failed');
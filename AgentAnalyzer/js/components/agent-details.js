@@ -14,6 +14,8 @@ let instructionsToggle = null;
 let instructionsContent = null;
 let agentInstructions = null;
 let agentPropertiesElement = null;
+let capabilityDetailsSection = null;
+let capabilityDetailsElement = null;
 let starterPromptsSection = null;
 let starterPromptsElement = null;
 
@@ -29,6 +31,8 @@ export function initAgentDetails(elements) {
     instructionsContent = elements.instructionsContent;
     agentInstructions = elements.agentInstructions;
     agentPropertiesElement = elements.agentProperties;
+    capabilityDetailsSection = elements.capabilityDetailsSection;
+    capabilityDetailsElement = elements.capabilityDetails;
     starterPromptsSection = elements.starterPromptsSection;
     starterPromptsElement = elements.starterPrompts;
 
@@ -65,6 +69,13 @@ export function renderAgentDetails(agentInfo) {
     // Properties
     renderProperties(agentInfo);
 
+    // Capability scoping details, or the components of a custom agent
+    if (agentInfo.type === AgentType.CUSTOM) {
+        renderCustomAgentComponents(agentInfo);
+    } else {
+        renderCapabilityDetails(agentInfo.capabilities);
+    }
+
     // Starter prompts
     renderStarterPrompts(agentInfo.conversationStarters);
 }
@@ -127,11 +138,23 @@ function renderProperties(agentInfo) {
     // Add capabilities as chips
     if (agentInfo.capabilities && agentInfo.capabilities.length > 0) {
         for (const cap of agentInfo.capabilities) {
-            const chip = createPropertyChip(cap.type, true);
+            const chip = createPropertyChip(cap.type, true, cap.supportedBySchema === false ? 'outdated' : null);
+            if (cap.supportedBySchema === false) {
+                chip.title = `Requires schema v${cap.minSchemaVersion} or later`;
+            }
             agentPropertiesElement.appendChild(chip);
         }
     }
 
+    // Add custom agent components as chips
+    if (agentInfo.type === AgentType.CUSTOM) {
+        const kinds = [...new Set((agentInfo.components || []).map(c => c.label))];
+        for (const kind of kinds) {
+            agentPropertiesElement.appendChild(createPropertyChip(kind, true));
+        }
+        agentPropertiesElement.appendChild(createPropertyChip('SSO', !!agentInfo.webApplicationInfo));
+    }
+
     // Add boolean properties
     if (agentInfo.properties) {
         for (const [key, prop] of Object.entries(agentInfo.properties)) {
@@ -143,9 +166,16 @@ function renderProperties(agentInfo) {
         }
     }
 
-    // Add schema version if available
+    // Add schema version if available, flagging fields the declared version doesn't support
     if (agentInfo.schemaVersion) {
-        const chip = createPropertyChip(`Schema v${agentInfo.schemaVersion}`, true, 'info');
+        const outdated = agentInfo.unsupportedFeatures?.length > 0;
+        const label = outdated
+            ? `Schema v${agentInfo.schemaVersion} (needs v${agentInfo.requiredSchemaVersion})`
+            : `Schema v${agentInfo.schemaVersion}`;
+        const chip = createPropertyChip(label, !outdated, outdated ? 'outdated' : 'info');
+        if (outdated) {
+            chip.title = agentInfo.unsupportedFeatures.map(f => `${f.feature} (v${f.requiredVersion})`).join('\n');
+        }
         agentPropertiesElement.appendChild(chip);
     }
 
@@ -177,6 +207,202 @@ function createPropertyChip(label, enabled, variant = null) {
     return chip;
 }
 
+/**
+ * Labels for the conversation kinds a Teams URL can identify
+ */
+const TEAMS_URL_KIND_LABELS = {
+    channel: 'Channel',
+    team: 'Team',
+    meeting: 'Meeting chat',
+    chat: 'Chat',
+    unknown: 'Teams link'
+};
+
+/**
+ * Renders how each capability is scoped (sites, mailboxes, tables, files, ...)
+ * @param {Array} capabilities - Parsed capabilities
+ */
+function renderCapabilityDetails(capabilities) {
+    if (!capabilityDetailsElement) return;
+
+    const items = (capabilities || []).map(cap => ({
+        title: cap.name,
+        lines: getCapabilityDetailLines(cap)
+    }));
+
+    renderDetailCards('Capability Scope:', items);
+}
+
+/**
+ * Renders the bots, message extensions, static tabs and custom engine agents of a custom agent
+ * @param {Object} agentInfo - The parsed custom agent information
+ */
+function renderCustomAgentComponents(agentInfo) {
+    const items = [];
+
+    for (const agent of agentInfo.customEngineAgents || []) {
+        items.push({
+            title: 'Custom Engine Agent',
+            lines: [
+                { text: `Bot: ${agent.id}`, missing: !agent.bot },
+                ...(agent.disclaimer ? [{ text: `Disclaimer: ${agent.disclaimer}` }] : [])
+            ]
+        });
+    }
+
+    for (const bot of agentInfo.bots || []) {
+        const commands = bot.commandLists.flatMap(list => list.commands);
+        items.push({
+            title: 'Bot',
+            lines: [
+                { text: `ID: ${bot.botId || '(missing)'}`, missing: !bot.botId },
+                { text: `Scopes: ${bot.scopes.join(', ') || 'none'}` },
+                ...commands.map(command => ({ text: `/${command.title}${command.description ? ` - ${command.description}` : ''}` }))
+            ]
+        });
+    }
+
+    for (const ext of agentInfo.messageExtensions || []) {
+        items.push({
+            title: ext.type === 'apiBased' ? 'Message Extension (API)' : 'Message Extension',
+            lines: [
+                ...(ext.botId ? [{ text: `Bot: ${ext.botId}` }] : []),
+                ...(ext.apiSpecificationFile ? [{ text: `API: ${ext.apiSpecificationFile}`, missing: !ext.apiSpecificationPath }] : []),
+                { text: `Auth: ${ext.authType}` },
+                ...ext.commands.map(command => ({ text: `${command.title || command.id} (${command.type})` }))
+            ]
+        });
+    }
+
+    for (const tab of agentInfo.staticTabs || []) {
+        items.push({
+            title: `Static Tab: ${tab.name}`,
+            lines: [
+                ...(tab.contentUrl ? [{ text: tab.contentUrl }] : []),
+                { text: `Scopes: ${tab.scopes.join(', ') || 'none'}` }
+            ]
+        });
+    }
+
+    if (agentInfo.webApplicationInfo) {
+        items.push({
+            title: 'Single Sign-On',
+            lines: [
+                { text: `App ID: ${agentInfo.webApplicationInfo.id}` },
+                ...(agentInfo.webApplicationInfo.resource ? [{ text: `Resource: ${agentInfo.webApplicationInfo.resource}` }] : [])
+            ]
+        });
+    }
+
+    if (agentInfo.validDomains?.length > 0) {
+        items.push({
+            title: 'Valid Domains',
+            lines: agentInfo.validDomains.map(domain => ({ text: domain }))
+        });
+    }
+
+    renderDetailCards('Components:', items);
+}
+
+/**
+ * Renders detail cards into the capability details section
+ * @param {string} label - Section label
+ * @param {Array} items - Array of { title, lines } where lines are { text, missing }
+ */
+function renderDetailCards(label, items) {
+    if (!capabilityDetailsElement) return;
+
+    capabilityDetailsElement.innerHTML = '';
+
+    for (const { title, lines } of items) {
+        if (lines.length === 0) continue;
+
+        const item = document.createElement('div');
+        item.className = 'capability-detail';
+        item.innerHTML = `
+            <div class="capability-detail-title">${escapeHtml(title)}</div>
+            <ul class="capability-detail-lines">
+                ${lines.map(line => `<li class="${line.missing ? 'missing' : ''}">${escapeHtml(line.text)}</li>`).join('')}
+            </ul>
+        `;
+        capabilityDetailsElement.appendChild(item);
+    }
+
+    if (capabilityDetailsSection) {
+        const labelElement = capabilityDetailsSection.querySelector('label');
+        if (labelElement) {
+            labelElement.textContent = label;
+        }
+        capabilityDetailsSection.style.display = capabilityDetailsElement.children.length > 0 ? 'block' : 'none';
+    }
+}
+
+/**
+ * Builds the display lines describing a capability's scope
+ * @param {Object} cap - Parsed capability
+ * @returns {Array} Array of { text, missing } lines
+ */
+function getCapabilityDetailLines(cap) {
+    switch (cap.type) {
+        case 'SharePoint':
+            return (cap.sources || []).map(source => ({
+                text: source.type === 'url' ? source.url : `Site ${source.siteId || '?'}${source.listId ? `, list ${source.listId}` : ''}`
+            }));
+        case 'GraphConnectors':
+            return (cap.connectors || []).map(conn => ({ text: `Connection: ${conn.connectionId}` }));
+        case 'WebSearch':
+            return cap.sites?.length > 0
+                ? cap.sites.map(site => ({ text: site.url }))
+                : [{ text: 'Entire web (not scoped to sites)' }];
+        case 'TeamsMessages':
+            return cap.urls?.length > 0
+                ? cap.urls.map(item => ({ text: `${TEAMS_URL_KIND_LABELS[item.kind]}: ${item.url}` }))
+                : [{ text: 'All chats, channels and meetings the user can access' }];
+        case 'Email':
+            return getEmailDetailLines(cap.scope);
+        case 'Dataverse':
+            return (cap.knowledgeSources || []).map(source => ({
+                text: `${source.hostName || 'Unknown host'}${source.tables.length > 0 ? ` - tables: ${source.tables.join(', ')}` : ' - all tables'}`
+            }));
+        case 'People':
+            return [{ text: cap.includeRelatedContent ? 'Includes related documents, emails and Teams messages' : 'People profiles only' }];
+        case 'EmbeddedKnowledge':
+            return [
+                ...(cap.files || []).map(file => ({
+                    text: file.exists ? file.file : `${file.file} (not found in package)`,
+                    missing: !file.exists
+                })),
+                ...(cap.snapshotId ? [{ text: `Snapshot: ${cap.snapshotId}` }] : [])
+            ];
+        default:
+            return [];
+    }
+}
+
+/**
+ * Builds the display lines for an Email capability scope
+ * @param {Object} scope - Parsed email scope
+ * @returns {Array} Array of { text } lines
+ */
+function getEmailDetailLines(scope) {
+    if (!scope) return [];
+
+    const lines = [];
+    if (scope.sharedMailbox) {
+        lines.push({ text: `Shared mailbox: ${scope.sharedMailbox} (user's own mailbox is not searched)` });
+    }
+    for (const mailbox of scope.groupMailboxes) {
+        lines.push({ text: `Group mailbox: ${mailbox}` });
+    }
+    if (scope.folders.length > 0) {
+        lines.push({ text: `Folders: ${scope.folders.join(', ')}` });
+    }
+    if (lines.length === 0) {
+        lines.push({ text: 'All folders in the user\'s mailbox' });
+    }
+    return lines;
+}
+
 /**
  * Renders starter prompts / conversation starters
  * @param {Array} starters - Array of conversation starters
@@ -219,6 +445,7 @@ function renderError(message) {
     agentDescriptionElement.textContent = message;
     agentInstructions.textContent = '-';
     agentPropertiesElement.innerHTML = '';
+    renderCapabilityDetails([]);
     starterPromptsSection.style.display = 'none';
 }
 
@@ -232,6 +459,7 @@ export function clearAgentDetails() {
     agentDescriptionElement.textContent = '-';
     agentInstructions.textContent = '-';
     agentPropertiesElement.innerHTML = '';
+    renderCapabilityDetails([]);
     starterPromptsSection.style.display = 'none';
 }
 
@@ -1,27 +1,34 @@
 /**
  * Agent History Component for AgentAnalyzer
- * Displays list of previously processed agents
+ * Displays list of previously processed agents, each with a timeline of its revisions
  */
 
-import { getStoredAgents, deleteStoredAgent, getStorageStats } from '../services/storage-service.js';
+import { getAgentTimelines, deleteStoredAgent, getStorageStats, getAgentAnalysis, RevisionSource } from '../services/storage-service.js';
 import { AgentType } from '../services/agent-parser.js';
 
 let historyContainer = null;
 let historyList = null;
 let onLoadAgentCallback = null;
 let onDeleteAgentCallback = null;
+let onDownloadRevisionCallback = null;
+let onCompareRevisionsCallback = null;
+const expandedTimelines = new Set(); // Identities of agents whose timeline is shown
 
 /**
  * Initializes the agent history component
  * @param {Object} elements - DOM element references
- * @param {Function} onLoadAgent - Callback when agent is selected to load
- * @param {Function} onDeleteAgent - Callback when agent is deleted
+ * @param {Function} onLoadAgent - Callback when a revision is selected to load (restore)
+ * @param {Function} onDeleteAgent - Callback with the IDs of the revisions of a deleted agent
+ * @param {Function} onDownloadRevision - Callback when a revision is to be downloaded
+ * @param {Function} onCompareRevisions - Callback with the IDs of two revisions to diff (older, newer)
  */
-export function initAgentHistory(elements, onLoadAgent, onDeleteAgent) {
+export function initAgentHistory(elements, onLoadAgent, onDeleteAgent, onDownloadRevision, onCompareRevisions) {
     historyContainer = elements.historyContainer;
     historyList = elements.historyList;
     onLoadAgentCallback = onLoadAgent;
     onDeleteAgentCallback = onDeleteAgent;
+    onDownloadRevisionCallback = onDownloadRevision;
+    onCompareRevisionsCallback = onCompareRevisions;
 
     // Initial render
     renderHistory();
@@ -30,15 +37,15 @@ export function initAgentHistory(elements, onLoadAgent, onDeleteAgent) {
 /**
  * Renders the agent history list
  */
-export function renderHistory() {
+export async function renderHistory() {
     if (!historyList) return;
 
-    const agents = getStoredAgents();
-    const stats = getStorageStats();
+    const [timelines, stats] = await Promise.all([getAgentTimelines(), getStorageStats()]);
+    const activeId = historyList.querySelector('.history-item.active, .history-revision.active')?.dataset.id;
 
     historyList.innerHTML = '';
 
-    if (agents.length === 0) {
+    if (timelines.length === 0) {
         historyList.innerHTML = `
             <div class="history-empty">
                 <p>No previously processed agents</p>
@@ -53,29 +60,60 @@ export function renderHistory() {
     const header = document.createElement('div');
     header.className = 'history-header';
     header.innerHTML = `
-        <span class="history-count">${agents.length} agent(s)</span>
-        <span class="history-size">${stats.dataSizeFormatted}</span>
+        <span class="history-count">${timelines.length} agent(s)</span>
+        <span class="history-size" title="${stats.savedSize > 0 ? `${stats.savedSizeFormatted} saved by sharing files between versions` : ''}">${stats.dataSizeFormatted}</span>
     `;
+    header.appendChild(createStorageMeter(stats));
     historyList.appendChild(header);
 
     // Render each agent
-    for (const agent of agents) {
-        const item = createAgentHistoryItem(agent);
-        historyList.appendChild(item);
+    for (const timeline of timelines) {
+        historyList.appendChild(createAgentHistoryItem(timeline));
     }
 
+    if (activeId) {
+        highlightAgent(activeId);
+    }
     updateHistoryVisibility(true);
 }
 
 /**
- * Creates a history item element for an agent
- * @param {Object} agent - Stored agent data
- * @returns {HTMLElement} History item element
+ * Creates the meter of the browser storage the app uses
+ * @param {Object} stats - From getStorageStats
+ * @returns {HTMLElement} Meter element, empty when the browser gives no estimate
+ */
+function createStorageMeter(stats) {
+    const meter = document.createElement('div');
+    meter.className = 'storage-meter';
+    if (!stats.quota) return meter;
+
+    const percent = Math.min(100, (stats.usage / stats.quota) * 100);
+    const level = percent >= 90 ? 'critical' : percent >= 70 ? 'warning' : '';
+    meter.title = `${percent.toFixed(1)}% of the storage available to this site`;
+    meter.innerHTML = `
+        <div class="storage-meter-bar" role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="${Math.round(percent)}">
+            <div class="storage-meter-fill ${level}" style="width: ${percent}%"></div>
+        </div>
+        <span class="storage-meter-text">${stats.usageFormatted} of ${stats.quotaFormatted} used</span>
+    `;
+    return meter;
+}
+
+/**
+ * Creates a history item element for an agent, showing its latest revision
+ * @param {Object} timeline - Agent from getAgentTimelines
+ * @returns {HTMLElement} History group element with the item and the timeline
  */
-function createAgentHistoryItem(agent) {
+function createAgentHistoryItem(timeline) {
+    const agent = timeline.latest;
+    const group = document.createElement('div');
+    group.className = 'history-group';
+    group.dataset.identity = timeline.identity;
+
     const item = document.createElement('div');
     item.className = 'history-item';
     item.dataset.id = agent.id;
+    group.appendChild(item);
 
     const agentTypeClass = agent.agentType === AgentType.DECLARATIVE ? 'da' : 'ca';
     const agentTypeLabel = agent.agentType === AgentType.DECLARATIVE ? 'DA' : 'CA';
@@ -98,6 +136,11 @@ function createAgentHistoryItem(agent) {
                 ${hasBasicAnalysis ? '<span class="status-badge analyzed">Analyzed</span>' : ''}
                 ${hasDeepAnalysis ? '<span class="status-badge deep">Deep</span>' : ''}
                 ${!hasBasicAnalysis && !hasDeepAnalysis ? '<span class="status-badge pending">Not analyzed</span>' : ''}
+                ${timeline.revisions.length > 1 ? `
+                    <button class="status-badge revisions-toggle" title="Show the timeline" aria-expanded="false">
+                        ${timeline.revisions.length} versions
+                    </button>
+                ` : ''}
             </div>
         </div>
         <div class="history-item-actions">
@@ -128,10 +171,98 @@ function createAgentHistoryItem(agent) {
     });
     deleteBtn.addEventListener('click', (e) => {
         e.stopPropagation();
-        handleDeleteAgent(agent.id, agent.agentName);
+        handleDeleteAgent(timeline.revisions.map(revision => revision.id), agent.agentName);
+    });
+
+    if (timeline.revisions.length > 1) {
+        const timelineList = createTimeline(timeline.revisions);
+        group.appendChild(timelineList);
+
+        const toggle = item.querySelector('.revisions-toggle');
+        toggle.addEventListener('click', (e) => {
+            e.stopPropagation();
+            setTimelineExpanded(group, !expandedTimelines.has(timeline.identity));
+        });
+        setTimelineExpanded(group, expandedTimelines.has(timeline.identity));
+    }
+
+    return group;
+}
+
+/**
+ * Creates the timeline of an agent's revisions
+ * @param {Array} revisions - Stored revisions, newest first
+ * @returns {HTMLElement} Timeline list element
+ */
+function createTimeline(revisions) {
+    const list = document.createElement('ol');
+    list.className = 'history-timeline';
+
+    revisions.forEach((revision, index) => {
+        const previous = revisions[index + 1];
+        const scores = getScores(revision);
+
+        const row = document.createElement('li');
+        row.className = 'history-revision';
+        row.dataset.id = revision.id;
+        row.innerHTML = `
+            <div class="history-revision-info">
+                <span class="history-revision-number">v${revision.revision || 1}</span>
+                <span>${revision.source === RevisionSource.SAVE ? 'Saved' : 'Uploaded'}</span>
+                <span class="history-item-date" title="${escapeHtml(new Date(revision.uploadedAt).toLocaleString())}">${formatDate(revision.uploadedAt)}</span>
+            </div>
+            <div class="history-revision-scores">
+                ${scores
+                    ? ['critical', 'warning', 'suggestion'].map(severity => `<span class="revision-score ${severity}" title="${severity}">${scores[severity]}</span>`).join('')
+                    : '<span class="revision-score">Not analyzed</span>'}
+            </div>
+            <div class="history-revision-actions">
+                <button class="history-revision-btn restore-btn" title="Open this version">Restore</button>
+                <button class="history-revision-btn download-btn" title="Download this version">Download</button>
+                <button class="history-revision-btn diff-btn" title="Compare with the previous version" ${previous ? '' : 'disabled'}>Diff</button>
+            </div>
+        `;
+
+        row.querySelector('.restore-btn').addEventListener('click', () => handleLoadAgent(revision.id));
+        row.querySelector('.download-btn').addEventListener('click', () => onDownloadRevisionCallback?.(revision.id));
+        row.querySelector('.diff-btn').addEventListener('click', () => onCompareRevisionsCallback?.(previous.id, revision.id));
+        list.appendChild(row);
     });
 
-    return item;
+    return list;
+}
+
+/**
+ * Shows or hides the timeline of an agent
+ * @param {HTMLElement} group - History group element
+ * @param {boolean} expanded - Whether to show the timeline
+ */
+function setTimelineExpanded(group, expanded) {
+    if (expanded) {
+        expandedTimelines.add(group.dataset.identity);
+    } else {
+        expandedTimelines.delete(group.dataset.identity);
+    }
+    group.querySelector('.history-timeline')?.classList.toggle('hidden', !expanded);
+    group.querySelector('.revisions-toggle')?.setAttribute('aria-expanded', String(expanded));
+}
+
+/**
+ * Counts the open findings of a revision's analysis
+ * @param {Object} revision - Stored revision
+ * @returns {Object|null} { critical, warning, suggestion }, or null if it was not analyzed
+ */
+function getScores(revision) {
+    const { basicAnalysis, deepAnalysis } = getAgentAnalysis(revision, revision.agentInfo?.selectedAgentIndex || 0);
+    if (!basicAnalysis && !deepAnalysis) return null;
+
+    const basic = basicAnalysis?.summary?.counts || {};
+    const deep = deepAnalysis?.summary || {};
+    return {
+        critical: (Number(basic.critical) || 0) + (Number(deep.critical) || 0),
+        warning: (Number(basic.warning) || 0) + (Number(deep.warnings) || 0),
+        suggestion: (Number(basic.suggestion) || 0) + (Number(deep.suggestions) || 0)
+    };
 }
 
 /**
@@ -145,17 +276,18 @@ function handleLoadAgent(id) {
 }
 
 /**
- * Handles deleting an agent from history
- * @param {string} id - Agent ID
+ * Handles deleting an agent, with all its revisions, from history
+ * @param {Array} ids - Revision IDs
  * @param {string} name - Agent name for confirmation
  */
-function handleDeleteAgent(id, name) {
-    if (confirm(`Delete "${name}" from history? This cannot be undone.`)) {
-        const deleted = deleteStoredAgent(id);
+async function handleDeleteAgent(ids, name) {
+    const versions = ids.length > 1 ? ` and its ${ids.length} versions` : '';
+    if (confirm(`Delete "${name}"${versions} from history? This cannot be undone.`)) {
+        const deleted = await deleteStoredAgent(ids);
         if (deleted) {
-            renderHistory();
+            await renderHistory();
             if (onDeleteAgentCallback) {
-                onDeleteAgentCallback(id);
+                onDeleteAgentCallback(ids);
             }
         }
     }
@@ -200,15 +332,18 @@ export function hideHistory() {
  */
 export function highlightAgent(id) {
     // Remove existing highlight
-    const existing = historyList?.querySelector('.history-item.active');
-    if (existing) {
-        existing.classList.remove('active');
-    }
+    historyList?.querySelectorAll('.history-item.active, .history-revision.active').forEach(element => {
+        element.classList.remove('active');
+    });
 
-    // Add new highlight
+    // Add new highlight; an older revision is shown in its agent's timeline
     const item = historyList?.querySelector(`.history-item[data-id="${id}"]`);
+    const revision = historyList?.querySelector(`.history-revision[data-id="${id}"]`);
+    revision?.classList.add('active');
     if (item) {
         item.classList.add('active');
+    } else if (revision) {
+        setTimelineExpanded(revision.closest('.history-group'), true);
     }
 }
 
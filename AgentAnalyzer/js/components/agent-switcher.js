@@ -0,0 +1,75 @@
+/**
+ * Agent Switcher Component for AgentAnalyzer
+ * Lets users pick which declarative agent of a multi-agent package is shown
+ */
+
+let switcherElement = null;
+let agentNameElement = null;
+let onSelectCallback = null;
+
+/**
+ * Initializes the agent switcher component
+ * @param {Object} elements - DOM element references
+ * @param {Function} onSelect - Callback with the selected agent index
+ */
+export function initAgentSwitcher(elements, onSelect) {
+    switcherElement = elements.agentSwitcher;
+    agentNameElement = elements.agentName;
+    onSelectCallback = onSelect;
+
+    if (switcherElement) {
+        switcherElement.addEventListener('change', () => {
+            if (onSelectCallback) {
+                onSelectCallback(parseInt(switcherElement.value, 10));
+            }
+        });
+    }
+}
+
+/**
+ * Renders the switcher for a package, shown only when it has several declarative agents
+ * @param {Object} agentInfo - Parsed agent information
+ */
+export function renderAgentSwitcher(agentInfo) {
+    if (!switcherElement) return;
+
+    const agents = agentInfo?.declarativeAgents || [];
+    if (agents.length < 2) {
+        clearAgentSwitcher();
+        return;
+    }
+
+    switcherElement.innerHTML = agents.map((agent, index) => {
+        const label = agent.error
+            ? `${agent.file} (${agent.error})`
+            : agent.name || agent.file || `Agent ${index + 1}`;
+        return `<option value="${index}">${escapeHtml(label)}</option>`;
+    }).join('');
+
+    switcherElement.value = String(agentInfo.selectedAgentIndex || 0);
+    switcherElement.title = `${agents.length} declarative agents in this package`;
+    switcherElement.classList.remove('hidden');
+    agentNameElement?.classList.add('hidden');
+}
+
+/**
+ * Hides the switcher and shows the plain agent name again
+ */
+export function clearAgentSwitcher() {
+    if (!switcherElement) return;
+
+    switcherElement.innerHTML = '';
+    switcherElement.classList.add('hidden');
+    agentNameElement?.classList.remove('hidden');
+}
+
+/**
+ * Escapes HTML special characters
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
@@ -4,6 +4,7 @@
  */
 
 import { Severity } from '../services/analysis-service.js';
+import { SuppressionSource } from '../services/suppression-service.js';
 
 // DOM Elements
 let analysisResultsCard = null;
@@ -14,11 +15,24 @@ let sharepointResultsPanel = null;
 let connectorsResultsPanel = null;
 let apiResultsPanel = null;
 
+// Callbacks
+let onLocationSelectCallback = null;
+let onSuppressionChangeCallback = null;
+let onQuickFixCallback = null;
+
 /**
  * Initializes the analysis panel component
  * @param {Object} elements - Object containing DOM element references
+ * @param {Function} onLocationSelect - Callback when a result's file location is clicked
+ * @param {Function} onSuppressionChange - Callback with (recommendation, suppress) when a
+ *     finding is dismissed (true) or restored (false)
+ * @param {Function} onQuickFix - Callback when a result's Fix button is clicked; resolves to
+ *     true if the fix was applied
  */
-export function initAnalysisPanel(elements) {
+export function initAnalysisPanel(elements, onLocationSelect, onSuppressionChange, onQuickFix) {
+    onLocationSelectCallback = onLocationSelect;
+    onSuppressionChangeCallback = onSuppressionChange;
+    onQuickFixCallback = onQuickFix;
     analysisResultsCard = elements.analysisResultsCard;
     resultsSummary = elements.resultsSummary;
     resultsTabBar = elements.resultsTabBar;
@@ -58,6 +72,7 @@ function updateResultsSummary(summary) {
         <span class="summary-item critical">${summary.counts.critical} Critical</span>
         <span class="summary-item warning">${summary.counts.warning} Warnings</span>
         <span class="summary-item success">${summary.counts.suggestion} Suggestions</span>
+        ${summary.counts.suppressed ? `<span class="summary-item suppressed">${summary.counts.suppressed} Suppressed</span>` : ''}
     `;
 }
 
@@ -238,6 +253,7 @@ function createSummarySection(summary) {
             <span class="count critical">${summary.counts.critical} Critical</span>
             <span class="count warning">${summary.counts.warning} Warnings</span>
             <span class="count suggestion">${summary.counts.suggestion} Suggestions</span>
+            ${summary.counts.suppressed ? `<span class="count suppressed">${summary.counts.suppressed} Suppressed</span>` : ''}
         </div>
     `;
 
@@ -258,11 +274,27 @@ function createResultSection(category, recommendations) {
     header.textContent = category;
     section.appendChild(header);
 
-    for (const rec of recommendations) {
+    for (const rec of recommendations.filter(r => !r.suppressed)) {
         const item = createResultItem(rec);
         section.appendChild(item);
     }
 
+    // Suppressed findings stay available but collapsed
+    const suppressed = recommendations.filter(r => r.suppressed);
+    if (suppressed.length > 0) {
+        const details = document.createElement('details');
+        details.className = 'result-suppressed';
+
+        const summary = document.createElement('summary');
+        summary.textContent = `${suppressed.length} suppressed`;
+        details.appendChild(summary);
+
+        for (const rec of suppressed) {
+            details.appendChild(createResultItem(rec));
+        }
+        section.appendChild(details);
+    }
+
     return section;
 }
 
@@ -282,11 +314,141 @@ function createResultItem(rec) {
         </div>
         <p class="result-item-description">${escapeHtml(rec.description)}</p>
         ${rec.suggestion ? `<p class="result-item-suggestion"><strong>Suggestion:</strong> ${escapeHtml(rec.suggestion)}</p>` : ''}
+        ${rec.suppressed ? createSuppressedNote(rec.suppressed) : ''}
     `;
 
+    if (rec.ruleId) {
+        item.querySelector('.result-item-header').appendChild(createRuleBadge(rec));
+    }
+
+    if (rec.location) {
+        item.appendChild(createLocationLink(rec.location));
+    }
+
+    const action = createSuppressionAction(rec);
+    if (action) {
+        item.querySelector('.result-item-header').appendChild(action);
+    }
+
+    const fixButton = createFixButton(rec);
+    if (fixButton) {
+        item.querySelector('.result-item-header').appendChild(fixButton);
+    }
+
     return item;
 }
 
+/**
+ * Creates the note that says why a result is suppressed
+ * @param {Object} suppressed - { reason, source } of the suppression
+ * @returns {string} Note markup
+ */
+function createSuppressedNote(suppressed) {
+    const source = suppressed.source === SuppressionSource.BASELINE ? ' (baseline file)' : '';
+    return `<p class="result-item-suppression"><strong>Suppressed:</strong> ${escapeHtml(suppressed.reason)}${source}</p>`;
+}
+
+/**
+ * Creates the button that dismisses a finding, or restores a dismissed one.
+ * Findings suppressed by the baseline file are restored by editing the file.
+ * @param {Object} rec - Recommendation object
+ * @returns {HTMLElement|null} Button element, or null if the result has no action
+ */
+function createSuppressionAction(rec) {
+    if (!onSuppressionChangeCallback || rec.severity === Severity.SUCCESS) return null;
+    if (rec.suppressed?.source === SuppressionSource.BASELINE) return null;
+
+    const button = document.createElement('button');
+    button.className = 'result-item-action';
+    button.textContent = rec.suppressed ? 'Restore' : 'Dismiss';
+    button.title = rec.suppressed ? 'Report this finding again' : 'Dismiss this finding with a reason';
+    button.addEventListener('click', () => onSuppressionChangeCallback(rec, !rec.suppressed));
+
+    return button;
+}
+
+/**
+ * Creates the rule ID badge of a result, linked to the rule's docs when they are a web page
+ * @param {Object} rec - Recommendation object with a ruleId
+ * @returns {HTMLElement} Badge element
+ */
+function createRuleBadge(rec) {
+    const docs = getDocsUrl(rec.docs);
+    const badge = document.createElement(docs ? 'a' : 'span');
+    badge.className = 'result-item-rule';
+    badge.textContent = rec.ruleId;
+
+    if (docs) {
+        badge.href = docs;
+        badge.target = '_blank';
+        badge.rel = 'noopener';
+        badge.title = 'Open the docs for this rule';
+    }
+
+    return badge;
+}
+
+/**
+ * Checks that a rule's docs link is an http or https URL
+ * @param {*} docs - Docs link of a rule
+ * @returns {string|null} The URL, or null if it is not a web page
+ */
+function getDocsUrl(docs) {
+    if (typeof docs !== 'string') return null;
+
+    try {
+        const { protocol } = new URL(docs);
+        return protocol === 'http:' || protocol === 'https:' ? docs : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Creates the button that applies a result's quick fix
+ * @param {Object} rec - Recommendation object
+ * @returns {HTMLElement|null} Button element, or null if the result has no fix
+ */
+function createFixButton(rec) {
+    if (!rec.fix || rec.suppressed || !onQuickFixCallback) return null;
+
+    const button = document.createElement('button');
+    button.className = 'result-item-action result-item-fix';
+    button.textContent = 'Fix';
+    button.title = `${rec.fix.label} (${rec.fix.file})`;
+    button.addEventListener('click', async () => {
+        if (await onQuickFixCallback(rec)) {
+            button.textContent = 'Fixed';
+            button.disabled = true;
+        }
+    });
+
+    return button;
+}
+
+/**
+ * Creates a link to the file location a result refers to
+ * @param {Object} location - Location with file, pointer, line and column
+ * @returns {HTMLElement} Location link element
+ */
+function createLocationLink(location) {
+    const link = document.createElement('button');
+    link.className = 'result-item-location';
+
+    const fileName = location.file.split('/').pop();
+    const position = location.line ? `:${location.line}:${location.column}` : '';
+    link.textContent = `${fileName}${position}`;
+    link.title = location.pointer ? `${location.file} (${location.pointer})` : location.file;
+
+    link.addEventListener('click', () => {
+        if (onLocationSelectCallback) {
+            onLocationSelectCallback(location);
+        }
+    });
+
+    return link;
+}
+
 /**
  * Creates a stats grid
  * @param {Array} stats - Array of stat objects with label and value
@@ -318,7 +480,8 @@ function createSourceSection(source) {
     const section = document.createElement('div');
     section.className = 'source-section';
 
-    const url = source.parsedUrl?.siteUrl || source.source?.url || 'Unknown Source';
+    const url = source.parsedUrl?.siteUrl || source.resolvedUrl || source.source?.url
+        || (source.source?.siteId ? `Site ${source.source.siteId}` : 'Unknown Source');
 
     section.innerHTML = `
         <h5>${escapeHtml(url)}</h5>
@@ -398,7 +561,7 @@ function createApiFileSection(file) {
         </h5>
         <p>Type: ${file.type || 'Unknown'} | Version: ${file.version || 'Unknown'}</p>
         ${file.operations?.length > 0 ? `<p>Operations: ${file.operations.length}</p>` : ''}
-        ${file.issues?.length > 0 ? `<ul class="file-issues">${file.issues.map(i => `<li class="issue">${escapeHtml(i.message)}</li>`).join('')}</ul>` : ''}
+        ${file.issues?.length > 0 ? `<ul class="file-issues">${file.issues.map(i => `<li class="issue">${i.line ? `Line ${i.line}: ` : ''}${escapeHtml(i.message)}</li>`).join('')}</ul>` : ''}
     `;
 
     return section;
@@ -480,5 +643,6 @@ export function clearResults() {
     if (sharepointResultsPanel) sharepointResultsPanel.innerHTML = '';
     if (connectorsResultsPanel) connectorsResultsPanel.innerHTML = '';
     if (apiResultsPanel) apiResultsPanel.innerHTML = '';
+    updateResultsSummary(null);
     hideResults();
 }
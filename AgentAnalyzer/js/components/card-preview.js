@@ -0,0 +1,116 @@
+/**
+ * Card Preview Component for AgentAnalyzer
+ * Renders plugin response Adaptive Cards bound to sample data, next to the editor
+ */
+
+let previewElement = null;
+let selectElement = null;
+let contentElement = null;
+let issuesElement = null;
+let currentPreviews = [];
+
+/**
+ * Initializes the card preview component
+ * @param {Object} elements - DOM element references
+ */
+export function initCardPreview(elements) {
+    previewElement = elements.cardPreview;
+    selectElement = elements.cardPreviewSelect;
+    contentElement = elements.cardPreviewContent;
+    issuesElement = elements.cardPreviewIssues;
+
+    if (selectElement) {
+        selectElement.addEventListener('change', () => {
+            renderCard(currentPreviews[parseInt(selectElement.value, 10)]);
+        });
+    }
+}
+
+/**
+ * Shows the card previews of the current file, or hides the pane when there are none
+ * @param {Array} previews - Array of { name, card, data, issues } from getStaticTemplatePreviews
+ */
+export function renderCardPreview(previews) {
+    if (!previewElement) return;
+
+    if (!previews || previews.length === 0) {
+        clearCardPreview();
+        return;
+    }
+
+    // Keep the selected function across re-renders while the file is edited
+    const selectedName = currentPreviews[parseInt(selectElement.value, 10)]?.name;
+    const selectedIndex = Math.max(0, previews.findIndex(preview => preview.name === selectedName));
+    currentPreviews = previews;
+
+    selectElement.innerHTML = previews.map((preview, index) =>
+        `<option value="${index}">${escapeHtml(preview.name)}</option>`
+    ).join('');
+    selectElement.value = String(selectedIndex);
+    selectElement.classList.toggle('hidden', previews.length < 2);
+
+    previewElement.classList.remove('hidden');
+    renderCard(previews[selectedIndex]);
+}
+
+/**
+ * Hides the card preview pane
+ */
+export function clearCardPreview() {
+    if (!previewElement) return;
+
+    currentPreviews = [];
+    previewElement.classList.add('hidden');
+    selectElement.innerHTML = '';
+    contentElement.innerHTML = '';
+    issuesElement.innerHTML = '';
+}
+
+/**
+ * Renders one card with the Adaptive Cards SDK, bound to its sample data
+ * @param {Object} preview - { name, card, data, issues }
+ */
+function renderCard(preview) {
+    if (!preview) return;
+
+    contentElement.innerHTML = '';
+    issuesElement.innerHTML = preview.issues.map(issue =>
+        `<li class="card-preview-issue">${escapeHtml(issue.message)}</li>`
+    ).join('');
+
+    if (preview.data === null) {
+        issuesElement.insertAdjacentHTML('afterbegin',
+            '<li class="card-preview-note">No response schema found; expressions are shown unbound.</li>');
+    }
+
+    if (typeof AdaptiveCards === 'undefined' || typeof ACData === 'undefined') {
+        contentElement.innerHTML = '<p class="card-preview-note">The Adaptive Cards renderer could not be loaded.</p>';
+        return;
+    }
+
+    try {
+        const payload = preview.data === null
+            ? preview.card
+            : new ACData.Template(preview.card).expand({ $root: preview.data });
+
+        const adaptiveCard = new AdaptiveCards.AdaptiveCard();
+        adaptiveCard.parse(payload);
+        const rendered = adaptiveCard.render();
+        if (rendered) {
+            contentElement.appendChild(rendered);
+        }
+    } catch (error) {
+        contentElement.innerHTML = `<p class="card-preview-note">Card could not be rendered: ${escapeHtml(error.message)}</p>`;
+    }
+}
+
+/**
+ * Escapes HTML special characters
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
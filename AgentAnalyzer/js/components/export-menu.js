@@ -0,0 +1,52 @@
+/**
+ * Export Menu Component for AgentAnalyzer
+ * Offers the analysis results as SARIF, JUnit XML, HTML or Markdown downloads, or as a baseline file
+ */
+
+let buttonElement = null;
+let listElement = null;
+let onExportCallback = null;
+
+/**
+ * Initializes the export menu component
+ * @param {Object} elements - DOM element references
+ * @param {Function} onExport - Callback with the selected format (sarif, junit, html, markdown or baseline)
+ */
+export function initExportMenu(elements, onExport) {
+    buttonElement = elements.exportBtn;
+    listElement = elements.exportMenuList;
+    onExportCallback = onExport;
+
+    if (!buttonElement || !listElement) return;
+
+    buttonElement.addEventListener('click', (e) => {
+        e.stopPropagation();
+        listElement.classList.toggle('hidden');
+    });
+
+    listElement.addEventListener('click', (e) => {
+        const item = e.target.closest('[data-format]');
+        if (!item) return;
+
+        listElement.classList.add('hidden');
+        if (onExportCallback) {
+            onExportCallback(item.dataset.format);
+        }
+    });
+
+    // Close the menu when clicking anywhere else
+    document.addEventListener('click', () => listElement.classList.add('hidden'));
+}
+
+/**
+ * Enables the export menu once there are results to export
+ * @param {boolean} enabled - Whether results are available
+ */
+export function setExportEnabled(enabled) {
+    if (!buttonElement) return;
+
+    buttonElement.disabled = !enabled;
+    if (!enabled) {
+        listElement.classList.add('hidden');
+    }
+}
@@ -6,11 +6,21 @@
 import { getFileContent, updateFileContent, revertFileContent } from '../services/zip-service.js';
 import { isEditable, isImage, getEditorLanguage, validateJson, getExtension } from '../services/file-service.js';
 import { getUIConfig } from '../config.js';
+import { validateDocument } from '../utils/schema-validator.js';
+import { getPointerLocation } from '../utils/json-source-map.js';
+import { parseDocumentWithPointers, parseYamlWithPointers, isYamlPath } from '../utils/yaml-source-map.js';
+import { getStaticTemplatePreviews } from '../services/plugin-analyzer.js';
+import { initCardPreview, renderCardPreview, clearCardPreview } from './card-preview.js';
+
+const SCHEMA_MARKER_OWNER = 'agentanalyzer-schema';
+const SCHEMA_VALIDATION_DELAY = 500;
 
 let monacoEditor = null;
+let schemaValidationTimer = null;
 let currentFilePath = null;
 let originalContent = null;
 let isModified = false;
+let contentBeforeFix = null; // Package content before an unsaved quick fix
 let onModifiedCallback = null;
 
 // DOM Elements
@@ -43,6 +53,8 @@ export async function initFileViewer(elements, onModified) {
     editorActions = elements.editorActions;
     onModifiedCallback = onModified;
 
+    initCardPreview(elements);
+
     // Initialize Monaco editor
     await initMonacoEditor();
 
@@ -130,6 +142,8 @@ export function openFile(path) {
         fileViewerCard.classList.remove('hidden');
     }
 
+    clearCardPreview();
+
     if (fileData.isImage) {
         // Show image preview
         showImagePreview(fileData.content, fileName);
@@ -191,6 +205,7 @@ function showInEditor(content, path) {
     // Store original content (formatted version for JSON)
     originalContent = displayContent;
     isModified = false;
+    contentBeforeFix = null;
 
     // Set editor content and language
     const language = getEditorLanguage(path);
@@ -202,6 +217,144 @@ function showInEditor(content, path) {
     // Set read-only based on file type
     const editable = isEditable(path);
     monacoEditor.updateOptions({ readOnly: !editable });
+
+    scheduleSchemaValidation();
+}
+
+/**
+ * Schedules schema validation and the card preview of the editor content, debounced while typing
+ */
+function scheduleSchemaValidation() {
+    clearTimeout(schemaValidationTimer);
+    schemaValidationTimer = setTimeout(() => {
+        updateSchemaMarkers();
+        updateCardPreview();
+    }, SCHEMA_VALIDATION_DELAY);
+}
+
+/**
+ * Previews the Adaptive Card static templates of the current plugin manifest or card file
+ */
+function updateCardPreview() {
+    const path = currentFilePath;
+    if (!monacoEditor || !path || getExtension(path).toLowerCase() !== '.json') {
+        clearCardPreview();
+        return;
+    }
+
+    let document;
+    try {
+        document = JSON.parse(monacoEditor.getValue());
+    } catch (error) {
+        // Keep the last preview while the JSON is being edited
+        return;
+    }
+
+    renderCardPreview(getStaticTemplatePreviews(document, path));
+}
+
+/**
+ * Validates the current JSON file against its schema (or a YAML file for syntax)
+ * and shows the issues as editor markers
+ */
+async function updateSchemaMarkers() {
+    if (!monacoEditor) return;
+
+    const model = monacoEditor.getModel();
+    const path = currentFilePath;
+
+    // Monaco has no YAML language service, so report YAML syntax errors here
+    if (path && isYamlPath(path)) {
+        monaco.editor.setModelMarkers(model, SCHEMA_MARKER_OWNER, getYamlSyntaxMarkers(monacoEditor.getValue()));
+        return;
+    }
+
+    if (!path || getExtension(path).toLowerCase() !== '.json') {
+        monaco.editor.setModelMarkers(model, SCHEMA_MARKER_OWNER, []);
+        return;
+    }
+
+    const content = monacoEditor.getValue();
+    const validation = await validateDocument(content);
+
+    // Ignore results for content that has since changed
+    if (path !== currentFilePath || content !== monacoEditor.getValue()) return;
+
+    // Syntax errors are already reported by Monaco's JSON language support
+    const schemaIssues = validation.issues.filter(issue => issue.keyword !== 'syntax');
+
+    const markers = schemaIssues.map(issue => {
+        const line = issue.line || 1;
+        const column = issue.column || 1;
+        return {
+            severity: issue.severity === 'error' ? monaco.MarkerSeverity.Error : monaco.MarkerSeverity.Warning,
+            message: issue.message,
+            source: validation.schemaName || 'JSON',
+            startLineNumber: line,
+            startColumn: column,
+            endLineNumber: line,
+            endColumn: model.getLineMaxColumn(Math.min(line, model.getLineCount()))
+        };
+    });
+
+    monaco.editor.setModelMarkers(model, SCHEMA_MARKER_OWNER, markers);
+}
+
+/**
+ * Gets an editor marker for the first YAML syntax error in the content
+ * @param {string} content - YAML text
+ * @returns {Array} Zero or one Monaco marker
+ */
+function getYamlSyntaxMarkers(content) {
+    try {
+        parseYamlWithPointers(content);
+        return [];
+    } catch (error) {
+        const line = error.line || 1;
+        const column = error.column || 1;
+        return [{
+            severity: monaco.MarkerSeverity.Error,
+            message: error.message,
+            source: 'YAML',
+            startLineNumber: line,
+            startColumn: column,
+            endLineNumber: line,
+            endColumn: monacoEditor.getModel().getLineMaxColumn(Math.min(line, monacoEditor.getModel().getLineCount()))
+        }];
+    }
+}
+
+/**
+ * Moves the cursor to the value at a JSON pointer in the current JSON or YAML file
+ * @param {string} pointer - JSON pointer of the value to reveal
+ */
+export function revealPointer(pointer) {
+    if (!monacoEditor || pointer === undefined) return;
+
+    let location = null;
+    try {
+        location = getPointerLocation(parseDocumentWithPointers(monacoEditor.getValue(), currentFilePath).pointers, pointer);
+    } catch (error) {
+        // Invalid document - leave the cursor where it is
+        return;
+    }
+
+    if (location) {
+        revealPosition(location.line, location.column);
+    }
+}
+
+/**
+ * Moves the cursor to a line and column in the current file
+ * @param {number} line - 1-based line number
+ * @param {number} [column=1] - 1-based column
+ */
+export function revealPosition(line, column = 1) {
+    if (!monacoEditor || !line) return;
+
+    monacoEditor.setPosition({ lineNumber: line, column });
+    monacoEditor.revealLineInCenter(line);
+    monacoEditor.focus();
 }
 
 /**
@@ -228,7 +381,14 @@ function handleContentChange() {
     const currentContent = monacoEditor.getValue();
     isModified = currentContent !== originalContent;
 
+    // Cancelling or undoing a quick fix also takes it out of the package
+    if (!isModified && contentBeforeFix !== null) {
+        updateFileContent(currentFilePath, contentBeforeFix);
+        contentBeforeFix = null;
+    }
+
     updateButtonStates();
+    scheduleSchemaValidation();
 
     if (onModifiedCallback) {
         onModifiedCallback(currentFilePath, isModified);
@@ -289,6 +449,7 @@ function handleSave() {
     updateFileContent(currentFilePath, content);
     originalContent = content;
     isModified = false;
+    contentBeforeFix = null;
 
     updateButtonStates();
     showSuccess('File saved successfully');
@@ -322,10 +483,14 @@ export function closeViewer() {
     currentFilePath = null;
     originalContent = null;
     isModified = false;
+    contentBeforeFix = null;
+    clearTimeout(schemaValidationTimer);
 
     if (monacoEditor) {
         monacoEditor.setValue('');
+        monaco.editor.setModelMarkers(monacoEditor.getModel(), SCHEMA_MARKER_OWNER, []);
     }
+    clearCardPreview();
 
     // Hide editor and image preview
     if (editorContainer) {
@@ -392,6 +557,7 @@ export function refreshContent() {
         const fileData = getFileContent(currentFilePath);
         if (fileData && !fileData.isImage) {
             originalContent = fileData.content;
+            contentBeforeFix = null;
             monacoEditor.setValue(fileData.content);
             isModified = false;
             updateButtonStates();
@@ -399,6 +565,26 @@ export function refreshContent() {
     }
 }
 
+/**
+ * Replaces the content of the open file with a quick fix as an undoable edit.
+ * The fix is written to the package right away and the file shows as modified
+ * until it is saved; cancelling or undoing the fix restores the package file.
+ * @param {string} content - Fixed file content
+ */
+export function applyEdit(content) {
+    if (!monacoEditor || !currentFilePath) return;
+
+    const previous = getFileContent(currentFilePath).content;
+    updateFileContent(currentFilePath, content);
+
+    const model = monacoEditor.getModel();
+    monacoEditor.pushUndoStop();
+    monacoEditor.executeEdits('quick-fix', [{ range: model.getFullModelRange(), text: content }]);
+    monacoEditor.pushUndoStop();
+
+    contentBeforeFix = contentBeforeFix ?? previous;
+}
+
 /**
  * Gets the Monaco editor instance
  * @returns {Object|null} Monaco editor instance
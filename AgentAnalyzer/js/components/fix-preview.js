@@ -0,0 +1,92 @@
+/**
+ * Fix Preview Component for AgentAnalyzer
+ * Shows the changes a quick fix makes to a file in a diff editor before it is applied
+ */
+
+let dialogElement = null;
+let titleElement = null;
+let fileElement = null;
+let diffContainer = null;
+let applyButton = null;
+let cancelButton = null;
+let diffEditor = null;
+let resolvePreview = null;
+
+/**
+ * Initializes the fix preview component
+ * @param {Object} elements - DOM element references
+ */
+export function initFixPreview(elements) {
+    dialogElement = elements.fixPreviewDialog;
+    titleElement = elements.fixPreviewTitle;
+    fileElement = elements.fixPreviewFile;
+    diffContainer = elements.fixPreviewDiff;
+    applyButton = elements.fixPreviewApply;
+    cancelButton = elements.fixPreviewCancel;
+
+    if (!dialogElement) return;
+
+    applyButton?.addEventListener('click', () => closePreview(true));
+    cancelButton?.addEventListener('click', () => closePreview(false));
+    dialogElement.addEventListener('click', (e) => {
+        if (e.target === dialogElement) closePreview(false);
+    });
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && !dialogElement.classList.contains('hidden')) closePreview(false);
+    });
+}
+
+/**
+ * Shows the diff of a quick fix and waits for the user to apply or cancel it
+ * @param {Object} preview - { file, label, original, modified } from previewFix
+ * @returns {Promise<boolean>} True if the user applies the fix
+ */
+export function showFixPreview(preview) {
+    if (!dialogElement || typeof monaco === 'undefined') {
+        return Promise.resolve(confirm(`${preview.label}\n\nApply this change to ${preview.file}?`));
+    }
+
+    // A preview that is still open counts as cancelled
+    closePreview(false);
+
+    titleElement.textContent = preview.label;
+    fileElement.textContent = preview.file;
+    dialogElement.classList.remove('hidden');
+
+    if (!diffEditor) {
+        diffEditor = monaco.editor.createDiffEditor(diffContainer, {
+            readOnly: true,
+            automaticLayout: true,
+            renderSideBySide: true,
+            minimap: { enabled: false },
+            scrollBeyondLastLine: false,
+            fontSize: 13
+        });
+    }
+
+    const previous = diffEditor.getModel();
+    diffEditor.setModel({
+        original: monaco.editor.createModel(preview.original, 'json'),
+        modified: monaco.editor.createModel(preview.modified, 'json')
+    });
+    previous?.original.dispose();
+    previous?.modified.dispose();
+
+    return new Promise(resolve => {
+        resolvePreview = resolve;
+    });
+}
+
+/**
+ * Hides the preview and settles the pending promise
+ * @param {boolean} applied - Whether the user applies the fix
+ */
+function closePreview(applied) {
+    dialogElement.classList.add('hidden');
+
+    if (resolvePreview) {
+        const resolve = resolvePreview;
+        resolvePreview = null;
+        resolve(applied);
+    }
+}
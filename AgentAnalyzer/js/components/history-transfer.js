@@ -0,0 +1,242 @@
+/**
+ * History Transfer Component for AgentAnalyzer
+ * Exports stored agents to a history archive, and imports an archive from another
+ * browser, asking what to do with the agents that are already stored
+ */
+
+import { getAgentTimelines, getRevisionIdentity, ImportResolution } from '../services/storage-service.js';
+import { createHistoryArchive, readHistoryArchive, importHistoryArchive } from '../services/history-archive-service.js';
+import { downloadFile } from '../utils/file-utils.js';
+
+const Mode = {
+    EXPORT: 'export',
+    IMPORT: 'import'
+};
+
+let dialogElement = null;
+let titleElement = null;
+let hintElement = null;
+let listElement = null;
+let selectAllCheckbox = null;
+let confirmButton = null;
+let cancelButton = null;
+let importInput = null;
+let onImportedCallback = null;
+let mode = null;
+let currentArchive = null; // Archive being imported, from readHistoryArchive
+
+/**
+ * Initializes the history transfer component
+ * @param {Object} elements - DOM element references
+ * @param {Function} onImported - Callback with the { added, skipped } counts after an import
+ */
+export function initHistoryTransfer(elements, onImported) {
+    dialogElement = elements.historyTransferDialog;
+    titleElement = elements.historyTransferTitle;
+    hintElement = elements.historyTransferHint;
+    listElement = elements.historyTransferList;
+    selectAllCheckbox = elements.historyTransferAll;
+    confirmButton = elements.historyTransferConfirm;
+    cancelButton = elements.historyTransferCancel;
+    importInput = elements.historyImportInput;
+    onImportedCallback = onImported;
+
+    if (!dialogElement) return;
+
+    elements.historyExportBtn?.addEventListener('click', showHistoryExport);
+    elements.historyImportBtn?.addEventListener('click', () => importInput?.click());
+    importInput?.addEventListener('change', () => {
+        const file = importInput.files[0];
+        importInput.value = '';
+        if (file) showHistoryImport(file);
+    });
+
+    selectAllCheckbox.addEventListener('change', () => {
+        listElement.querySelectorAll('.history-transfer-check').forEach(checkbox => {
+            checkbox.checked = selectAllCheckbox.checked;
+        });
+        updateConfirmState();
+    });
+    listElement.addEventListener('change', updateConfirmState);
+    confirmButton.addEventListener('click', handleConfirm);
+    cancelButton?.addEventListener('click', hideHistoryTransfer);
+    dialogElement.addEventListener('click', (e) => {
+        if (e.target === dialogElement) hideHistoryTransfer();
+    });
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && !dialogElement.classList.contains('hidden')) hideHistoryTransfer();
+    });
+}
+
+/**
+ * Shows the dialog for choosing the agents to export
+ */
+export async function showHistoryExport() {
+    const timelines = await getAgentTimelines();
+    if (timelines.length === 0) {
+        alert('There are no agents in the history to export.');
+        return;
+    }
+
+    mode = Mode.EXPORT;
+    titleElement.textContent = 'Export History';
+    hintElement.textContent = 'The archive holds every version of the selected agents with their files and dismissed findings.';
+    confirmButton.textContent = 'Export';
+    renderAgents(timelines.map(timeline => ({
+        identity: timeline.identity,
+        latest: timeline.latest,
+        revisionCount: timeline.revisions.length
+    })));
+}
+
+/**
+ * Reads a history archive and shows the dialog for choosing the agents to import
+ * @param {File} file - Archive from an export
+ */
+export async function showHistoryImport(file) {
+    try {
+        currentArchive = await readHistoryArchive(file);
+    } catch (error) {
+        alert(error.message);
+        return;
+    }
+
+    const agents = new Map();
+    for (const revision of currentArchive.agents) {
+        const identity = getRevisionIdentity(revision);
+        const agent = agents.get(identity) || { identity, latest: revision, revisionCount: 0 };
+        if ((revision.revision || 1) >= (agent.latest.revision || 1)) {
+            agent.latest = revision;
+        }
+        agent.revisionCount++;
+        agents.set(identity, agent);
+    }
+    if (agents.size === 0) {
+        alert(`${file.name} holds no agents.`);
+        return;
+    }
+
+    mode = Mode.IMPORT;
+    titleElement.textContent = 'Import History';
+    const exported = currentArchive.exportedAt ? ` exported ${new Date(currentArchive.exportedAt).toLocaleString()}` : '';
+    hintElement.textContent = currentArchive.conflicts.size > 0
+        ? `${file.name}${exported}. ${currentArchive.conflicts.size} of its agents are already in your history; choose what to do with each.`
+        : `${file.name}${exported}.`;
+    confirmButton.textContent = 'Import';
+    renderAgents([...agents.values()]);
+}
+
+/**
+ * Hides the dialog
+ */
+function hideHistoryTransfer() {
+    dialogElement.classList.add('hidden');
+    listElement.innerHTML = '';
+    currentArchive = null;
+    mode = null;
+}
+
+/**
+ * Renders the agents to choose from and shows the dialog
+ * @param {Array} agents - Agents like { identity, latest, revisionCount }
+ */
+function renderAgents(agents) {
+    listElement.innerHTML = agents.map(agent => {
+        const conflict = mode === Mode.IMPORT && currentArchive.conflicts.has(agent.identity);
+        return `
+            <div class="history-transfer-item">
+                <label class="history-transfer-agent">
+                    <input type="checkbox" class="history-transfer-check" checked>
+                    <span class="history-item-name">${escapeHtml(agent.latest.agentName || agent.latest.fileName)}</span>
+                    <span class="history-transfer-meta">${escapeHtml(agent.latest.fileName)}, ${agent.revisionCount} version(s)</span>
+                </label>
+                ${conflict ? `
+                    <label class="history-transfer-conflict">
+                        <span>Already stored:</span>
+                        <select class="history-transfer-resolution">
+                            <option value="${ImportResolution.MERGE}">Add the new versions</option>
+                            <option value="${ImportResolution.REPLACE}">Replace mine</option>
+                            <option value="${ImportResolution.SKIP}">Keep mine</option>
+                        </select>
+                    </label>
+                ` : ''}
+            </div>
+        `;
+    }).join('');
+    // Identities hold agent names, so they are set as data rather than written into the markup
+    listElement.querySelectorAll('.history-transfer-item').forEach((item, index) => {
+        item.dataset.identity = agents[index].identity;
+    });
+
+    selectAllCheckbox.checked = true;
+    updateConfirmState();
+    dialogElement.classList.remove('hidden');
+}
+
+/**
+ * Enables the confirm button when an agent is selected and keeps "Select all" in step
+ */
+function updateConfirmState() {
+    const checkboxes = [...listElement.querySelectorAll('.history-transfer-check')];
+    const selected = checkboxes.filter(checkbox => checkbox.checked).length;
+    confirmButton.disabled = selected === 0;
+    selectAllCheckbox.checked = selected === checkboxes.length;
+    selectAllCheckbox.indeterminate = selected > 0 && selected < checkboxes.length;
+}
+
+/**
+ * Gets the identities of the selected agents
+ * @returns {Set} Identities
+ */
+function getSelectedIdentities() {
+    return new Set([...listElement.querySelectorAll('.history-transfer-item')]
+        .filter(item => item.querySelector('.history-transfer-check').checked)
+        .map(item => item.dataset.identity));
+}
+
+/**
+ * Exports or imports the selected agents
+ */
+async function handleConfirm() {
+    const identities = getSelectedIdentities();
+    confirmButton.disabled = true;
+
+    try {
+        if (mode === Mode.EXPORT) {
+            const ids = (await getAgentTimelines())
+                .filter(timeline => identities.has(timeline.identity))
+                .flatMap(timeline => timeline.revisions.map(revision => revision.id));
+            const { blob } = await createHistoryArchive(ids);
+            downloadFile(blob, `agent-analyzer-history-${new Date().toISOString().slice(0, 10)}.zip`, 'application/zip');
+            hideHistoryTransfer();
+        } else if (mode === Mode.IMPORT) {
+            const resolutions = {};
+            listElement.querySelectorAll('.history-transfer-item').forEach(item => {
+                const select = item.querySelector('.history-transfer-resolution');
+                if (select) resolutions[item.dataset.identity] = select.value;
+            });
+
+            const counts = await importHistoryArchive(currentArchive, resolutions, identities);
+            hideHistoryTransfer();
+            if (onImportedCallback) {
+                onImportedCallback(counts);
+            }
+        }
+    } catch (error) {
+        console.error('History transfer error:', error);
+        alert(`${mode === Mode.EXPORT ? 'Export' : 'Import'} failed: ${error.message || 'Unknown error'}`);
+        updateConfirmState();
+    }
+}
+
+/**
+ * Escapes HTML special characters
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    if (!text) return '';
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
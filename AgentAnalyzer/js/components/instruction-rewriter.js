@@ -0,0 +1,192 @@
+/**
+ * Instruction Rewriter Component for AgentAnalyzer
+ * Shows rewritten instructions as a word-level diff and lets the user pick the changes to keep
+ */
+
+import { diffWords, applyWordDiff } from '../utils/word-diff.js';
+
+let dialogElement = null;
+let diffContainer = null;
+let scoreElement = null;
+let countElement = null;
+let applyButton = null;
+let cancelButton = null;
+let acceptAllButton = null;
+let rejectAllButton = null;
+
+let parts = [];
+let accepted = new Set();
+let summarize = null;
+let originalSummary = null;
+let resolveRewrite = null;
+
+/**
+ * Initializes the instruction rewriter component
+ * @param {Object} elements - DOM element references
+ */
+export function initInstructionRewriter(elements) {
+    dialogElement = elements.rewriteDialog;
+    diffContainer = elements.rewriteDiff;
+    scoreElement = elements.rewriteScore;
+    countElement = elements.rewriteCount;
+    applyButton = elements.rewriteApply;
+    cancelButton = elements.rewriteCancel;
+    acceptAllButton = elements.rewriteAcceptAll;
+    rejectAllButton = elements.rewriteRejectAll;
+
+    if (!dialogElement) return;
+
+    applyButton?.addEventListener('click', () => closeRewrite(true));
+    cancelButton?.addEventListener('click', () => closeRewrite(false));
+    acceptAllButton?.addEventListener('click', () => setAllAccepted(true));
+    rejectAllButton?.addEventListener('click', () => setAllAccepted(false));
+    dialogElement.addEventListener('click', (e) => {
+        if (e.target === dialogElement) closeRewrite(false);
+    });
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && !dialogElement.classList.contains('hidden')) closeRewrite(false);
+    });
+
+    diffContainer?.addEventListener('click', (e) => {
+        const hunk = e.target.closest('.word-diff-hunk');
+        if (hunk) toggleHunk(Number(hunk.dataset.index));
+    });
+    diffContainer?.addEventListener('keydown', (e) => {
+        const hunk = e.target.closest('.word-diff-hunk');
+        if (hunk && (e.key === 'Enter' || e.key === ' ')) {
+            e.preventDefault();
+            toggleHunk(Number(hunk.dataset.index));
+        }
+    });
+}
+
+/**
+ * Shows the diff between the current and rewritten instructions and waits for the user
+ * @param {string} original - Current instructions
+ * @param {string} rewritten - Instructions proposed by the model
+ * @param {Function} getSummary - Returns the basic analysis summary for a version of the instructions
+ * @returns {Promise<string|null>} The instructions with the accepted changes, or null if cancelled
+ */
+export function showInstructionRewrite(original, rewritten, getSummary) {
+    // A rewrite that is still open counts as cancelled
+    closeRewrite(false);
+
+    parts = diffWords(original, rewritten);
+    accepted = new Set(getChangeIndexes());
+    summarize = getSummary;
+    originalSummary = getSummary(original);
+
+    renderDiff();
+    updateState();
+    dialogElement.classList.remove('hidden');
+
+    return new Promise(resolve => {
+        resolveRewrite = resolve;
+    });
+}
+
+/**
+ * Renders the diff; each change hunk is a toggle between the old and the new text
+ */
+function renderDiff() {
+    if (getChangeIndexes().length === 0) {
+        diffContainer.innerHTML = '<p class="rewrite-empty">The model suggested no changes.</p>';
+        return;
+    }
+
+    diffContainer.innerHTML = parts.map((part, index) => {
+        if (part.type === 'equal') return escapeHtml(part.text);
+        return `<span class="word-diff-hunk" data-index="${index}" role="button" tabindex="0" title="Click to accept or reject this change">`
+            + (part.removed ? `<del>${escapeHtml(part.removed)}</del>` : '')
+            + (part.added ? `<ins>${escapeHtml(part.added)}</ins>` : '')
+            + '</span>';
+    }).join('');
+}
+
+/**
+ * Accepts or rejects a change hunk
+ * @param {number} index - Index of the change part
+ */
+function toggleHunk(index) {
+    if (accepted.has(index)) {
+        accepted.delete(index);
+    } else {
+        accepted.add(index);
+    }
+    updateState();
+}
+
+/**
+ * Accepts or rejects every change hunk
+ * @param {boolean} accept - Whether to accept the changes
+ */
+function setAllAccepted(accept) {
+    accepted = new Set(accept ? getChangeIndexes() : []);
+    updateState();
+}
+
+/**
+ * Updates the hunk styles, the accepted count and the analysis comparison
+ */
+function updateState() {
+    diffContainer.querySelectorAll('.word-diff-hunk').forEach(hunk => {
+        const isAccepted = accepted.has(Number(hunk.dataset.index));
+        hunk.classList.toggle('accepted', isAccepted);
+        hunk.setAttribute('aria-pressed', String(isAccepted));
+    });
+
+    const total = getChangeIndexes().length;
+    countElement.textContent = `${accepted.size} of ${total} change(s) accepted`;
+    applyButton.disabled = accepted.size === 0;
+
+    const summary = summarize(applyWordDiff(parts, accepted));
+    scoreElement.innerHTML = `
+        <span class="rewrite-score-label">Basic analysis:</span>
+        ${formatCounts(originalSummary.counts)}
+        <span class="rewrite-score-arrow">&rarr;</span>
+        ${formatCounts(summary.counts)}
+    `;
+}
+
+/**
+ * Formats the severity counts of a summary
+ * @param {Object} counts - Counts from generateSummary
+ * @returns {string} HTML
+ */
+function formatCounts(counts) {
+    return `<span class="rewrite-score-counts">${counts.critical} critical, ${counts.warning} warning(s), ${counts.suggestion} suggestion(s)</span>`;
+}
+
+/**
+ * Gets the indexes of the change parts
+ * @returns {Array} Indexes
+ */
+function getChangeIndexes() {
+    return parts.flatMap((part, index) => (part.type === 'change' ? [index] : []));
+}
+
+/**
+ * Hides the dialog and settles the pending promise
+ * @param {boolean} apply - Whether to apply the accepted changes
+ */
+function closeRewrite(apply) {
+    dialogElement.classList.add('hidden');
+
+    if (resolveRewrite) {
+        const resolve = resolveRewrite;
+        resolveRewrite = null;
+        resolve(apply && accepted.size > 0 ? applyWordDiff(parts, accepted) : null);
+    }
+}
+
+/**
+ * Escapes HTML special characters
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    if (!text) return '';
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
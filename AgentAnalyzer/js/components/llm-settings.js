@@ -0,0 +1,205 @@
+/**
+ * AI Settings Component for AgentAnalyzer
+ * Dialog for choosing the AI provider, its endpoint and model, and the API key
+ */
+
+import {
+    LlmProvider,
+    PROVIDER_DEFAULTS,
+    getLlmSettings,
+    saveLlmSettings,
+    isLlmConfigured,
+    testLlmConnection
+} from '../services/llm-service.js';
+
+let dialogElement = null;
+let providerSelect = null;
+let endpointInput = null;
+let modelInput = null;
+let deploymentInput = null;
+let apiVersionInput = null;
+let apiKeyInput = null;
+let rememberKeyCheckbox = null;
+let statusElement = null;
+let testButton = null;
+let saveButton = null;
+let cancelButton = null;
+let onSaveCallback = null;
+
+/**
+ * Initializes the AI settings component
+ * @param {Object} elements - DOM element references
+ * @param {Function} onSave - Callback after the settings are saved
+ */
+export function initLlmSettings(elements, onSave) {
+    dialogElement = elements.aiSettingsDialog;
+    providerSelect = elements.aiProvider;
+    endpointInput = elements.aiEndpoint;
+    modelInput = elements.aiModel;
+    deploymentInput = elements.aiDeployment;
+    apiVersionInput = elements.aiApiVersion;
+    apiKeyInput = elements.aiApiKey;
+    rememberKeyCheckbox = elements.aiRememberKey;
+    statusElement = elements.aiSettingsStatus;
+    testButton = elements.aiSettingsTest;
+    saveButton = elements.aiSettingsSave;
+    cancelButton = elements.aiSettingsCancel;
+    onSaveCallback = onSave;
+
+    if (!dialogElement) return;
+
+    providerSelect.innerHTML = Object.values(LlmProvider)
+        .map(provider => `<option value="${provider}">${PROVIDER_DEFAULTS[provider].label}</option>`)
+        .join('');
+
+    providerSelect.addEventListener('change', handleProviderChange);
+    elements.aiSettingsBtn?.addEventListener('click', showLlmSettings);
+    testButton?.addEventListener('click', handleTest);
+    saveButton?.addEventListener('click', handleSave);
+    cancelButton?.addEventListener('click', hideLlmSettings);
+    dialogElement.addEventListener('click', (e) => {
+        if (e.target === dialogElement) hideLlmSettings();
+    });
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && !dialogElement.classList.contains('hidden')) hideLlmSettings();
+    });
+}
+
+/**
+ * Shows the dialog with the current settings
+ */
+export function showLlmSettings() {
+    const settings = getLlmSettings();
+
+    providerSelect.value = PROVIDER_DEFAULTS[settings.provider] ? settings.provider : LlmProvider.OPENAI;
+    endpointInput.value = settings.endpoint || '';
+    modelInput.value = settings.model || '';
+    deploymentInput.value = settings.deployment || '';
+    apiVersionInput.value = settings.apiVersion || '';
+    apiKeyInput.value = settings.apiKey || '';
+    rememberKeyCheckbox.checked = Boolean(settings.rememberKey);
+
+    updateProviderFields();
+    setStatus('');
+    dialogElement.classList.remove('hidden');
+    endpointInput.focus();
+}
+
+/**
+ * Hides the dialog
+ */
+function hideLlmSettings() {
+    dialogElement.classList.add('hidden');
+}
+
+/**
+ * Fills in the defaults of the newly selected provider
+ */
+function handleProviderChange() {
+    const defaults = PROVIDER_DEFAULTS[providerSelect.value];
+    endpointInput.value = defaults.endpoint;
+    modelInput.value = defaults.model;
+    updateProviderFields();
+    setStatus('');
+}
+
+/**
+ * Shows the fields the selected provider uses
+ */
+function updateProviderFields() {
+    const isAzure = providerSelect.value === LlmProvider.AZURE_OPENAI;
+    dialogElement.querySelectorAll('.settings-azure-only').forEach(field => field.classList.toggle('hidden', !isAzure));
+    dialogElement.querySelectorAll('.settings-model').forEach(field => field.classList.toggle('hidden', isAzure));
+
+    endpointInput.placeholder = isAzure ? 'https://<resource>.openai.azure.com' : PROVIDER_DEFAULTS[providerSelect.value].endpoint;
+    apiKeyInput.placeholder = providerSelect.value === LlmProvider.OPENAI_COMPATIBLE ? 'Optional for local servers' : '';
+}
+
+/**
+ * Reads the settings from the form
+ * @returns {Object} Settings
+ */
+function readForm() {
+    return {
+        ...getLlmSettings(),
+        provider: providerSelect.value,
+        endpoint: endpointInput.value.trim(),
+        model: modelInput.value.trim(),
+        deployment: deploymentInput.value.trim(),
+        apiVersion: apiVersionInput.value.trim(),
+        apiKey: apiKeyInput.value.trim(),
+        rememberKey: rememberKeyCheckbox.checked
+    };
+}
+
+/**
+ * Sends a test request with the settings in the form
+ */
+async function handleTest() {
+    const settings = readForm();
+    if (!isLlmConfigured(settings)) {
+        setStatus(getMissingMessage(settings), 'error');
+        return;
+    }
+
+    testButton.disabled = true;
+    setStatus('Testing connection...');
+    try {
+        await testLlmConnection(settings);
+        setStatus('Connection works.', 'success');
+    } catch (error) {
+        setStatus(error.message, 'error');
+    } finally {
+        testButton.disabled = false;
+    }
+}
+
+/**
+ * Saves the settings in the form
+ */
+function handleSave() {
+    const settings = readForm();
+    if (!isLlmConfigured(settings) && !confirm(`${getMissingMessage(settings)}\n\nSave anyway? AI analysis stays off until the settings are complete.`)) {
+        return;
+    }
+
+    saveLlmSettings({
+        provider: settings.provider,
+        endpoint: settings.endpoint,
+        model: settings.model,
+        deployment: settings.deployment,
+        apiVersion: settings.apiVersion,
+        apiKey: settings.apiKey,
+        rememberKey: settings.rememberKey
+    });
+    hideLlmSettings();
+
+    if (onSaveCallback) {
+        onSaveCallback(isLlmConfigured());
+    }
+}
+
+/**
+ * Describes what the settings are missing
+ * @param {Object} settings - Settings
+ * @returns {string} Message
+ */
+function getMissingMessage(settings) {
+    if (settings.provider === LlmProvider.AZURE_OPENAI) {
+        return 'Azure OpenAI needs an endpoint, a deployment and an API key.';
+    }
+    if (settings.provider === LlmProvider.OPENAI_COMPATIBLE) {
+        return 'Enter the endpoint and model of the server.';
+    }
+    return `${PROVIDER_DEFAULTS[settings.provider].label} needs an endpoint, a model and an API key.`;
+}
+
+/**
+ * Shows a status message in the dialog
+ * @param {string} message - Message
+ * @param {string} [type] - 'success' or 'error'
+ */
+function setStatus(message, type = '') {
+    statusElement.textContent = message;
+    statusElement.className = `settings-status${type ? ` ${type}` : ''}`;
+}
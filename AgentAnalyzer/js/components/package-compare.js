@@ -0,0 +1,350 @@
+/**
+ * Package Compare Component for AgentAnalyzer
+ * Compares two agents from the history, or the open package with one, side by side:
+ * what changed in the manifest and agent, per-file diffs and the change in findings
+ */
+
+import { getStoredAgents, getStoredAgent } from '../services/storage-service.js';
+import { comparePackages, createStoredSnapshot, FileChange } from '../services/package-diff-service.js';
+
+const CURRENT_PACKAGE = 'current';
+
+let compareButton = null;
+let dialogElement = null;
+let baseSelect = null;
+let targetSelect = null;
+let summaryElement = null;
+let fileNameElement = null;
+let diffContainer = null;
+let closeButton = null;
+let diffEditor = null;
+let getCurrentSnapshotCallback = null;
+let currentComparison = null;
+
+/**
+ * Initializes the package compare component
+ * @param {Object} elements - DOM element references
+ * @param {Function} getCurrentSnapshot - Returns a snapshot of the open package, or null if none is open
+ */
+export function initPackageCompare(elements, getCurrentSnapshot) {
+    compareButton = elements.compareBtn;
+    dialogElement = elements.compareDialog;
+    baseSelect = elements.compareBase;
+    targetSelect = elements.compareTarget;
+    summaryElement = elements.compareSummary;
+    fileNameElement = elements.compareFileName;
+    diffContainer = elements.compareDiff;
+    closeButton = elements.compareClose;
+    getCurrentSnapshotCallback = getCurrentSnapshot;
+
+    if (!dialogElement) return;
+
+    compareButton?.addEventListener('click', () => showPackageCompare());
+    baseSelect.addEventListener('change', renderComparison);
+    targetSelect.addEventListener('change', renderComparison);
+    closeButton?.addEventListener('click', hidePackageCompare);
+    dialogElement.addEventListener('click', (e) => {
+        if (e.target === dialogElement) hidePackageCompare();
+    });
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && !dialogElement.classList.contains('hidden')) hidePackageCompare();
+    });
+
+    updateCompareAvailability();
+}
+
+/**
+ * Enables the compare button when there are two packages to compare
+ */
+export async function updateCompareAvailability() {
+    if (compareButton) {
+        compareButton.disabled = (await getChoices()).length < 2;
+    }
+}
+
+/**
+ * Shows the compare dialog
+ * @param {string} [baseId] - Stored revision to compare from; by default the most recent other one
+ * @param {string} [targetId] - Stored revision to compare to; by default the open package
+ */
+export async function showPackageCompare(baseId, targetId) {
+    const choices = await getChoices();
+    if (choices.length < 2) {
+        alert('Compare needs two packages: open a package that has an earlier upload in Recent Agents, or upload two packages.');
+        return;
+    }
+
+    // Values and labels hold file and agent names, so the options are built as elements
+    for (const select of [baseSelect, targetSelect]) {
+        select.replaceChildren(...choices.map(choice => new Option(choice.label, choice.value)));
+    }
+
+    const isChoice = value => choices.some(choice => choice.value === value);
+    targetSelect.value = targetId && isChoice(targetId) ? targetId : choices[0].value;
+    baseSelect.value = baseId && isChoice(baseId) && baseId !== targetSelect.value
+        ? baseId
+        : choices.find(choice => choice.value !== targetSelect.value).value;
+
+    dialogElement.classList.remove('hidden');
+    renderComparison();
+}
+
+/**
+ * Hides the compare dialog
+ */
+function hidePackageCompare() {
+    dialogElement.classList.add('hidden');
+    currentComparison = null;
+}
+
+/**
+ * Lists the packages that can be compared: the open package first, then the history
+ * @returns {Promise<Array>} Choices like { value, label }
+ */
+async function getChoices() {
+    const current = getCurrentSnapshotCallback ? getCurrentSnapshotCallback() : null;
+    const choices = current ? [{ value: CURRENT_PACKAGE, label: `${current.label} (open)` }] : [];
+
+    for (const agent of await getStoredAgents()) {
+        if (!agent.files) continue;
+        const date = new Date(agent.lastModifiedAt || agent.uploadedAt).toLocaleString();
+        choices.push({ value: agent.id, label: `${agent.fileName} v${agent.revision || 1} (${date})` });
+    }
+
+    return choices;
+}
+
+/**
+ * Gets the snapshot of a choice
+ * @param {string} value - Choice value
+ * @returns {Promise<Object|null>} Snapshot
+ */
+async function getSnapshot(value) {
+    if (value === CURRENT_PACKAGE) {
+        return getCurrentSnapshotCallback();
+    }
+    const storedAgent = await getStoredAgent(value);
+    return storedAgent ? createStoredSnapshot(storedAgent) : null;
+}
+
+/**
+ * Compares the selected packages and renders the result
+ */
+async function renderComparison() {
+    const [base, target] = await Promise.all([getSnapshot(baseSelect.value), getSnapshot(targetSelect.value)]);
+    if (!base || !target || dialogElement.classList.contains('hidden')) return;
+
+    currentComparison = comparePackages(base, target);
+    const { manifest, agent, files, findings } = currentComparison;
+    const changedFiles = files.filter(file => file.change !== FileChange.UNCHANGED);
+
+    summaryElement.innerHTML = `
+        ${renderSection('Manifest', manifest.length === 0 ? '' : `
+            <ul class="compare-list">
+                ${manifest.map(change => `
+                    <li><code>${escapeHtml(change.pointer)}</code>:
+                        ${change.before === undefined ? '' : `<del>${escapeHtml(formatValue(change.before))}</del>`}
+                        ${change.after === undefined ? '' : `<ins>${escapeHtml(formatValue(change.after))}</ins>`}
+                    </li>
+                `).join('')}
+            </ul>
+        `)}
+        ${renderSection('Capabilities', renderListChanges(agent.capabilities, agent.capabilities.changed))}
+        ${renderSection('Knowledge Sources', renderListChanges(agent.knowledge))}
+        ${renderSection('Instructions', agent.instructions.changed ? `
+            <div class="compare-instructions">${agent.instructions.parts.map(part => part.type === 'equal'
+                ? escapeHtml(part.text)
+                : `<del>${escapeHtml(part.removed)}</del><ins>${escapeHtml(part.added)}</ins>`).join('')}</div>
+        ` : '')}
+        ${renderSection('Conversation Starters', renderListChanges(agent.starters))}
+        ${renderSection('Actions', renderListChanges(agent.actions))}
+        ${renderSection('Basic Analysis', renderFindings(findings.basic))}
+        ${renderSection('Deep Analysis', renderFindings(findings.deep))}
+        ${renderSection(`Files (${changedFiles.length} changed)`, changedFiles.length === 0 ? '' : `
+            <ul class="compare-files">
+                ${changedFiles.map(file => `
+                    <li>
+                        <button class="compare-file ${file.change}" title="Show the changes">
+                            <span class="compare-file-change">${file.change[0].toUpperCase()}</span>
+                            ${escapeHtml(file.path)}
+                        </button>
+                    </li>
+                `).join('')}
+            </ul>
+        `)}
+    `;
+
+    summaryElement.querySelectorAll('.compare-file').forEach((button, index) => {
+        button.dataset.path = changedFiles[index].path;
+        button.addEventListener('click', () => showFileDiff(button.dataset.path));
+    });
+
+    if (changedFiles.length > 0) {
+        showFileDiff(changedFiles[0].path);
+    } else {
+        clearFileDiff(baseSelect.value === targetSelect.value ? 'Choose two different packages.' : 'The files are identical.');
+    }
+}
+
+/**
+ * Renders one section of the summary
+ * @param {string} title - Section title
+ * @param {string} content - Section HTML; empty when nothing changed
+ * @returns {string} HTML
+ */
+function renderSection(title, content) {
+    return `
+        <section class="compare-section">
+            <h4>${escapeHtml(title)}</h4>
+            ${content || '<p class="compare-unchanged">No changes</p>'}
+        </section>
+    `;
+}
+
+/**
+ * Renders values that were added, removed or changed
+ * @param {Object} changes - { added, removed }
+ * @param {Array} [changed] - Values present in both that changed
+ * @returns {string} HTML, empty if nothing changed
+ */
+function renderListChanges({ added, removed }, changed = []) {
+    if (added.length + removed.length + changed.length === 0) return '';
+
+    return `
+        <ul class="compare-list">
+            ${added.map(value => `<li><ins>+ ${escapeHtml(value)}</ins></li>`).join('')}
+            ${removed.map(value => `<li><del>− ${escapeHtml(value)}</del></li>`).join('')}
+            ${changed.map(value => `<li class="compare-changed">~ ${escapeHtml(value)} (settings changed)</li>`).join('')}
+        </ul>
+    `;
+}
+
+/**
+ * Renders the change in findings between two analyses
+ * @param {Object|null} delta - From comparePackages, null if either package was not analyzed
+ * @returns {string} HTML
+ */
+function renderFindings(delta) {
+    if (!delta) {
+        return '<p class="compare-unchanged">Analyze both packages to compare their findings.</p>';
+    }
+
+    const counts = ['critical', 'warning', 'suggestion'].map(severity => {
+        const difference = delta.after.counts[severity] - delta.before.counts[severity];
+        const sign = difference > 0 ? '+' : '';
+        return `<span class="compare-count ${severity}">${delta.after.counts[severity]} ${severity} (${sign}${difference})</span>`;
+    }).join('');
+
+    const renderFinding = (recommendation, kind) => `
+        <li class="compare-finding ${kind}">
+            <span class="compare-count ${recommendation.severity}">${escapeHtml(recommendation.severity)}</span>
+            ${escapeHtml(recommendation.title)}
+        </li>
+    `;
+
+    return `
+        <div class="compare-counts">${counts}</div>
+        ${delta.added.length + delta.resolved.length === 0 ? '' : `
+            <ul class="compare-list">
+                ${delta.added.map(recommendation => renderFinding(recommendation, 'added')).join('')}
+                ${delta.resolved.map(recommendation => renderFinding(recommendation, 'resolved')).join('')}
+            </ul>
+        `}
+    `;
+}
+
+/**
+ * Shows the diff of one file
+ * @param {string} path - Package path of the file
+ */
+function showFileDiff(path) {
+    const file = currentComparison?.files.find(f => f.path === path);
+    if (!file) return;
+
+    summaryElement.querySelectorAll('.compare-file').forEach(button => {
+        button.classList.toggle('active', button.dataset.path === path);
+    });
+    fileNameElement.textContent = `${path} (${file.change})`;
+
+    if (file.isImage) {
+        clearFileDiff('Images are not compared line by line.');
+        return;
+    }
+    if (typeof monaco === 'undefined') {
+        clearFileDiff('The editor is still loading.');
+        return;
+    }
+
+    diffContainer.querySelector('.compare-diff-message')?.remove();
+    if (!diffEditor) {
+        diffEditor = monaco.editor.createDiffEditor(diffContainer, {
+            readOnly: true,
+            automaticLayout: true,
+            renderSideBySide: true,
+            minimap: { enabled: false },
+            scrollBeyondLastLine: false,
+            fontSize: 13
+        });
+    }
+
+    const language = getLanguage(path);
+    const previous = diffEditor.getModel();
+    diffEditor.setModel({
+        original: monaco.editor.createModel(file.original, language),
+        modified: monaco.editor.createModel(file.modified, language)
+    });
+    previous?.original.dispose();
+    previous?.modified.dispose();
+}
+
+/**
+ * Replaces the diff with a message
+ * @param {string} message - Message to show
+ */
+function clearFileDiff(message) {
+    if (diffEditor) {
+        const previous = diffEditor.getModel();
+        diffEditor.dispose();
+        previous?.original.dispose();
+        previous?.modified.dispose();
+        diffEditor = null;
+    }
+
+    diffContainer.innerHTML = `<p class="compare-diff-message">${escapeHtml(message)}</p>`;
+    if (!currentComparison?.files.some(file => file.change !== FileChange.UNCHANGED)) {
+        fileNameElement.textContent = '';
+    }
+}
+
+/**
+ * Gets the Monaco language of a file
+ * @param {string} path - File path
+ * @returns {string} Language ID
+ */
+function getLanguage(path) {
+    const extension = path.split('.').pop().toLowerCase();
+    const languages = { json: 'json', yaml: 'yaml', yml: 'yaml', md: 'markdown', html: 'html', js: 'javascript', txt: 'plaintext' };
+    return languages[extension] || 'plaintext';
+}
+
+/**
+ * Formats a JSON value for the manifest changes
+ * @param {*} value - Value
+ * @returns {string} Text
+ */
+function formatValue(value) {
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return text.length > 120 ? `${text.substring(0, 117)}...` : text;
+}
+
+/**
+ * Escapes HTML special characters
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    if (!text) return '';
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
@@ -44,11 +44,16 @@ function getDefaultConfig() {
         azure: {
             clientId: '',
             tenantId: 'common',
-            redirectUri: window.location.origin + window.location.pathname
+            // No window when the rules run headless in the CLI
+            redirectUri: typeof window !== 'undefined' ? window.location.origin + window.location.pathname : ''
         },
-        openai: {
+        // AI analysis; the provider is openai, azure-openai, anthropic or openai-compatible
+        llm: {
+            provider: 'openai',
             endpoint: 'https://api.openai.com/v1',
-            model: 'gpt-4',
+            model: 'gpt-4o',
+            deployment: '',
+            apiVersion: '2024-10-21',
             maxTokens: 4096
         },
         analysis: {
@@ -60,8 +65,16 @@ function getDefaultConfig() {
                 maxRecommendedCount: 5,
                 minDescriptionLength: 20,
                 maxDescriptionLength: 500
+            },
+            apiPlugins: {
+                maxOperations: 20,
+                maxResponseSchemaProperties: 50,
+                maxSchemaDepth: 5,
+                maxAdaptiveCardVersion: '1.5'
             }
         },
+        // Custom rule modules (ES modules, relative to the app) registered at startup
+        customRules: [],
         ui: {
             maxInstructionsPreviewLength: 500,
             editorTheme: 'vs-light'
@@ -137,12 +150,13 @@ export function getGraphScopes() {
 }
 
 /**
- * Gets the OpenAI configuration
- * @returns {Object} OpenAI configuration object
+ * Gets the AI provider configuration
+ * @returns {Object} LLM configuration object
  */
-export function getOpenAIConfig() {
+export function getLlmConfig() {
     const config = getConfig() || getDefaultConfig();
-    return config.openai;
+    // Older configurations have an openai section instead of llm
+    return { ...getDefaultConfig().llm, ...config.openai, ...config.llm };
 }
 
 /**
@@ -151,7 +165,8 @@ export function getOpenAIConfig() {
  */
 export function getAnalysisConfig() {
     const config = getConfig() || getDefaultConfig();
-    return config.analysis;
+    // Fill in sections that an older app-config.json does not have
+    return { ...getDefaultConfig().analysis, ...config.analysis };
 }
 
 /**
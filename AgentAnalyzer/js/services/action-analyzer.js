@@ -0,0 +1,230 @@
+/**
+ * Action Analyzer Service for AgentAnalyzer
+ * Rules that check declarative agent actions end-to-end: action → plugin → OpenAPI
+ */
+
+import { Severity } from './analysis-service.js';
+import { resolveActions } from './action-resolver.js';
+import { getFileContent } from './zip-service.js';
+import { getPointerLocation } from '../utils/json-source-map.js';
+import { parseDocumentWithPointers } from '../utils/yaml-source-map.js';
+
+/**
+ * Analyzes the actions of the selected declarative agent and the package's API files
+ * @param {Object} agentInfo - Parsed agent information
+ * @returns {Array} Array of recommendations
+ */
+export function analyzeActions(agentInfo) {
+    const resolution = resolveActions(agentInfo);
+    const agentIndex = agentInfo.selectedAgentIndex || 0;
+    const actions = resolution.actions.filter(action => action.agentIndex === agentIndex);
+    const recommendations = [];
+    const checkedPlugins = new Set();
+
+    for (const action of actions) {
+        if (action.error) {
+            recommendations.push({
+                severity: Severity.CRITICAL,
+                category: 'Actions',
+                title: 'Broken Action Reference',
+                description: `Action ${action.id ? `"${action.id}"` : `#${action.index + 1}`}: ${action.error}.`,
+                suggestion: 'Point "file" at the plugin manifest, relative to the declarative agent file.',
+                location: getLocation(action.agentPath, `${action.pointer}${action.file ? '/file' : ''}`)
+            });
+            continue;
+        }
+
+        if (checkedPlugins.has(action.pluginPath)) continue;
+        checkedPlugins.add(action.pluginPath);
+        recommendations.push(...analyzePlugin(resolution.plugins.get(action.pluginPath)));
+    }
+
+    for (const path of resolution.orphanedPlugins) {
+        recommendations.push({
+            severity: Severity.WARNING,
+            category: 'Actions',
+            title: 'Unused Plugin Manifest',
+            description: `${path.split('/').pop()} is not referenced by any declarative agent action.`,
+            suggestion: 'Add it to an agent\'s "actions" or remove it from the package.',
+            location: { file: path }
+        });
+    }
+
+    for (const path of resolution.orphanedSpecs) {
+        recommendations.push({
+            severity: Severity.WARNING,
+            category: 'Actions',
+            title: 'Unused OpenAPI Description',
+            description: `${path.split('/').pop()} is not referenced by any plugin runtime or message extension.`,
+            suggestion: 'Reference it from a plugin runtime\'s "spec.url" or remove it from the package.',
+            location: { file: path }
+        });
+    }
+
+    if (actions.length > 0 && recommendations.length === 0) {
+        recommendations.push({
+            severity: Severity.SUCCESS,
+            category: 'Actions',
+            title: 'Actions Resolve',
+            description: `${actions.length} action(s) resolve to their plugin manifests, and every function maps to an OpenAPI operation.`
+        });
+    }
+
+    return recommendations;
+}
+
+/**
+ * Checks one resolved plugin and its runtimes
+ * @param {Object} plugin - Resolved plugin from resolveActions
+ * @returns {Array} Array of recommendations
+ */
+function analyzePlugin(plugin) {
+    const recommendations = [];
+    const fileName = plugin.path.split('/').pop();
+
+    if (plugin.error) {
+        return [{
+            severity: Severity.CRITICAL,
+            category: 'Actions',
+            title: 'Plugin Manifest Unreadable',
+            description: `${fileName}: ${plugin.error}.`,
+            suggestion: 'Fix the JSON syntax in the plugin manifest.',
+            location: { file: plugin.path }
+        }];
+    }
+
+    const functionNames = plugin.functions.map(func => func.name);
+    const bound = new Map();
+
+    for (const runtime of plugin.runtimes) {
+        for (const name of (runtime.runForFunctions || []).filter(n => n !== '*' && !functionNames.includes(n))) {
+            recommendations.push({
+                severity: Severity.WARNING,
+                category: 'Actions',
+                title: 'Unknown Function in Runtime',
+                description: `${fileName}: runtime #${runtime.index + 1} lists "${name}" in run_for_functions, but the plugin declares no such function.`,
+                suggestion: 'Add the function to "functions" or remove it from run_for_functions.',
+                location: getLocation(plugin.path, `${runtime.pointer}/run_for_functions/${runtime.runForFunctions.indexOf(name)}`)
+            });
+        }
+
+        for (const name of runtime.boundFunctions) {
+            if (bound.has(name)) {
+                recommendations.push({
+                    severity: Severity.WARNING,
+                    category: 'Actions',
+                    title: 'Function Served by Several Runtimes',
+                    description: `${fileName}: "${name}" is served by runtimes #${bound.get(name) + 1} and #${runtime.index + 1}.`,
+                    suggestion: 'List each function in the run_for_functions of exactly one runtime.',
+                    location: getLocation(plugin.path, runtime.pointer)
+                });
+            } else {
+                bound.set(name, runtime.index);
+            }
+        }
+
+        recommendations.push(...analyzeRuntime(plugin, runtime));
+    }
+
+    for (const func of plugin.functions.filter(f => f.name && !bound.has(f.name))) {
+        recommendations.push({
+            severity: Severity.WARNING,
+            category: 'Actions',
+            title: 'Function Has No Runtime',
+            description: `${fileName}: no runtime runs "${func.name}", so Copilot cannot call it.`,
+            suggestion: 'Add the function name to a runtime\'s run_for_functions.',
+            location: getLocation(plugin.path, func.pointer)
+        });
+    }
+
+    return recommendations;
+}
+
+/**
+ * Checks that an OpenAPI runtime's spec resolves and maps to the plugin functions
+ * @param {Object} plugin - Resolved plugin
+ * @param {Object} runtime - Resolved runtime of the plugin
+ * @returns {Array} Array of recommendations
+ */
+function analyzeRuntime(plugin, runtime) {
+    const fileName = plugin.path.split('/').pop();
+
+    if (runtime.type !== 'OpenApi' || runtime.remote) return [];
+
+    if (runtime.error) {
+        return [{
+            severity: Severity.CRITICAL,
+            category: 'Actions',
+            title: 'Broken OpenAPI Reference',
+            description: `${fileName}: runtime #${runtime.index + 1}: ${runtime.error}.`,
+            suggestion: 'Point "spec.url" at the OpenAPI description, relative to the plugin manifest.',
+            location: getLocation(plugin.path, `${runtime.pointer}/spec`)
+        }];
+    }
+
+    const spec = runtime.spec;
+    if (spec.error) {
+        return [{
+            severity: Severity.CRITICAL,
+            category: 'Actions',
+            title: 'OpenAPI Description Unreadable',
+            description: `${spec.path.split('/').pop()}: ${spec.error}.`,
+            suggestion: 'Fix the syntax of the OpenAPI description.',
+            location: runtime.specPath
+                ? { file: runtime.specPath, line: spec.line, column: spec.column }
+                : getLocation(plugin.path, `${runtime.pointer}/spec/api_description`)
+        }];
+    }
+
+    const recommendations = [];
+    const operationIds = new Set(spec.operations.map(op => op.operationId).filter(Boolean));
+
+    for (const name of runtime.boundFunctions.filter(n => !operationIds.has(n))) {
+        const func = plugin.functions.find(f => f.name === name);
+        recommendations.push({
+            severity: Severity.CRITICAL,
+            category: 'Actions',
+            title: 'Function Has No Operation',
+            description: `${fileName}: "${name}" has no matching operationId in ${spec.path.split('/').pop()}.`,
+            suggestion: 'Function names must equal the operationId of the OpenAPI operation they call.',
+            location: getLocation(plugin.path, func.pointer)
+        });
+    }
+
+    const unexposed = spec.operations.filter(op => !runtime.boundFunctions.includes(op.operationId));
+    if (unexposed.length > 0 && runtime.specPath) {
+        const names = unexposed.map(op => op.operationId || `${op.method} ${op.path}`);
+        recommendations.push({
+            severity: Severity.SUGGESTION,
+            category: 'Actions',
+            title: 'Operations Without Functions',
+            description: `${runtime.specPath.split('/').pop()} has ${unexposed.length} operation(s) no plugin function calls: ${names.join(', ')}.`,
+            suggestion: 'Add a function for each operation Copilot should use, or remove unused operations from the description.',
+            location: getLocation(runtime.specPath, unexposed[0].pointer)
+        });
+    }
+
+    return recommendations;
+}
+
+/**
+ * Builds a result location for a JSON pointer in a package file
+ * @param {string} path - Package path of a JSON or YAML file
+ * @param {string} pointer - JSON pointer inside the file
+ * @returns {Object} Location with file, pointer, line and column (when found)
+ */
+export function getLocation(path, pointer) {
+    const location = { file: path, pointer };
+
+    try {
+        const position = getPointerLocation(parseDocumentWithPointers(getFileContent(path)?.content || '', path).pointers, pointer);
+        if (position) {
+            location.line = position.line;
+            location.column = position.column;
+        }
+    } catch (error) {
+        // Invalid document - link to the file without a position
+    }
+
+    return location;
+}
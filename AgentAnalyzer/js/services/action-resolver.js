@@ -0,0 +1,316 @@
+/**
+ * Action Resolver Service for AgentAnalyzer
+ * Follows declarative agent actions to their plugin manifests and OpenAPI descriptions
+ */
+
+import { getAllFiles, getFileContent } from './zip-service.js';
+import { findFile } from './file-service.js';
+import { resolveRelativePath } from '../utils/file-utils.js';
+import { findApiDefinitions } from './agent-parser.js';
+import { escapePointerSegment } from '../utils/json-source-map.js';
+import { parseDocumentWithPointers, isYamlPath } from '../utils/yaml-source-map.js';
+
+/**
+ * HTTP methods that can hold an OpenAPI operation
+ */
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+/**
+ * Resolves every action of every declarative agent in the package
+ * @param {Object} agentInfo - Parsed package information from parseAgentPackage
+ * @returns {Object} { actions, plugins, specs, orphanedPlugins, orphanedSpecs }
+ */
+export function resolveActions(agentInfo) {
+    const files = getAllFiles();
+    const plugins = new Map();
+    const specs = new Map();
+    const actions = [];
+
+    (agentInfo.declarativeAgents || []).forEach((agent, agentIndex) => {
+        if (agent.error || !Array.isArray(agent.actions)) return;
+
+        agent.actions.forEach((action, index) => {
+            const resolved = {
+                agentIndex,
+                agentPath: agent.path,
+                index,
+                id: action?.id || '',
+                file: action?.file || '',
+                pointer: `/actions/${index}`,
+                pluginPath: null,
+                error: null
+            };
+
+            if (!resolved.file) {
+                resolved.error = 'Action has no "file"';
+            } else {
+                resolved.pluginPath = resolvePackagePath(files, agent.path, resolved.file);
+                if (!resolved.pluginPath) {
+                    resolved.error = `"${resolved.file}" was not found in the package`;
+                } else if (!plugins.has(resolved.pluginPath)) {
+                    plugins.set(resolved.pluginPath, resolvePlugin(files, resolved.pluginPath, specs));
+                }
+            }
+
+            actions.push(resolved);
+        });
+    });
+
+    return {
+        actions,
+        plugins,
+        specs,
+        ...findOrphans(agentInfo, plugins, specs)
+    };
+}
+
+/**
+ * Resolves a file reference relative to the file that contains it
+ * @param {Map} files - Map of extracted files
+ * @param {string} basePath - Package path of the referencing file
+ * @param {string} reference - Relative path as written in the referencing file
+ * @returns {string|null} Package path of the referenced file, or null if it is missing
+ */
+export function resolvePackagePath(files, basePath, reference) {
+    if (!reference || isRemoteUrl(reference)) return null;
+
+    const path = resolveRelativePath(basePath, reference);
+    if (files.has(path)) return path;
+
+    // Fall back to the loose match the parser uses for manifest references
+    return findFile(files, reference.replace(/^(\.\.?\/)+/, ''));
+}
+
+/**
+ * Checks whether a reference is an absolute URL rather than a package path
+ * @param {string} reference - File reference
+ * @returns {boolean} True for http(s) URLs
+ */
+export function isRemoteUrl(reference) {
+    return /^https?:\/\//i.test(reference || '');
+}
+
+/**
+ * Resolves a plugin manifest and the OpenAPI descriptions its runtimes point at
+ * @param {Map} files - Map of extracted files
+ * @param {string} path - Package path of the plugin manifest
+ * @param {Map} specs - Shared map of resolved OpenAPI descriptions, by path
+ * @returns {Object} Resolved plugin
+ */
+function resolvePlugin(files, path, specs) {
+    const plugin = {
+        path,
+        name: '',
+        functions: [],
+        runtimes: [],
+        error: null
+    };
+
+    const content = parseJsonContent(getFileContent(path)?.content);
+    if (!content || typeof content !== 'object') {
+        plugin.error = 'Plugin manifest is not valid JSON';
+        return plugin;
+    }
+
+    plugin.name = content.name_for_human || content.namespace || path.split('/').pop();
+    plugin.functions = (Array.isArray(content.functions) ? content.functions : []).map((func, index) => ({
+        name: func?.name || '',
+        description: typeof func?.description === 'string' ? func.description : '',
+        pointer: `/functions/${index}`
+    }));
+
+    const runtimes = Array.isArray(content.runtimes) ? content.runtimes : [];
+    plugin.runtimes = runtimes.map((runtime, index) => resolveRuntime(files, path, runtime, index, specs));
+
+    bindFunctions(plugin);
+    return plugin;
+}
+
+/**
+ * Resolves one runtime of a plugin manifest
+ * @param {Map} files - Map of extracted files
+ * @param {string} pluginPath - Package path of the plugin manifest
+ * @param {Object} runtime - Runtime object from the manifest
+ * @param {number} index - Index in the runtimes array
+ * @param {Map} specs - Shared map of resolved OpenAPI descriptions, by path
+ * @returns {Object} Resolved runtime
+ */
+function resolveRuntime(files, pluginPath, runtime, index, specs) {
+    const resolved = {
+        index,
+        type: runtime?.type || '',
+        pointer: `/runtimes/${index}`,
+        runForFunctions: Array.isArray(runtime?.run_for_functions) ? runtime.run_for_functions : null,
+        authType: runtime?.auth?.type || 'None',
+        specUrl: runtime?.spec?.url || '',
+        specPath: null,
+        remote: false,
+        spec: null,
+        boundFunctions: [],
+        error: null
+    };
+
+    if (resolved.type !== 'OpenApi') return resolved;
+
+    if (typeof runtime.spec?.api_description === 'string') {
+        resolved.spec = parseApiDescription(runtime.spec.api_description, `${pluginPath}#${resolved.pointer}`);
+        return resolved;
+    }
+
+    if (!resolved.specUrl) {
+        resolved.error = 'OpenAPI runtime has no "spec.url"';
+    } else if (isRemoteUrl(resolved.specUrl)) {
+        resolved.remote = true;
+    } else {
+        resolved.specPath = resolvePackagePath(files, pluginPath, resolved.specUrl);
+        if (!resolved.specPath) {
+            resolved.error = `"${resolved.specUrl}" was not found in the package`;
+        } else {
+            if (!specs.has(resolved.specPath)) {
+                specs.set(resolved.specPath,
+                    parseApiDescription(getFileContent(resolved.specPath)?.content, resolved.specPath));
+            }
+            resolved.spec = specs.get(resolved.specPath);
+        }
+    }
+
+    return resolved;
+}
+
+/**
+ * Works out which runtime serves each plugin function. Functions named in
+ * run_for_functions belong to that runtime; a runtime without the list, or
+ * with ["*"], serves every function no other runtime names explicitly.
+ * @param {Object} plugin - Resolved plugin (runtimes are updated in place)
+ */
+function bindFunctions(plugin) {
+    const functionNames = plugin.functions.map(func => func.name).filter(Boolean);
+    const explicit = new Set();
+
+    for (const runtime of plugin.runtimes) {
+        if (runtime.runForFunctions && !runtime.runForFunctions.includes('*')) {
+            runtime.runForFunctions.forEach(name => explicit.add(name));
+        }
+    }
+
+    for (const runtime of plugin.runtimes) {
+        runtime.boundFunctions = runtime.runForFunctions && !runtime.runForFunctions.includes('*')
+            ? runtime.runForFunctions.filter(name => functionNames.includes(name))
+            : functionNames.filter(name => !explicit.has(name));
+    }
+}
+
+/**
+ * Parses a JSON or YAML OpenAPI description and lists its operations
+ * @param {string} text - OpenAPI description text
+ * @param {string} path - Where the description came from (a file path, or
+ *   "plugin.json#/runtimes/0" for an inline api_description)
+ * @returns {Object} { path, format, document, operations, error, line, column }
+ */
+export function parseApiDescription(text, path) {
+    const result = {
+        path,
+        format: 'json',
+        document: null,
+        operations: [],
+        error: null,
+        line: null,
+        column: null
+    };
+
+    if (typeof text !== 'string') {
+        result.error = 'File could not be read';
+        return result;
+    }
+
+    // Files go by extension; inline descriptions are JSON only when they look like it
+    const inline = path.includes('#');
+    result.format = isYamlPath(path) || (inline && !text.trimStart().startsWith('{')) ? 'yaml' : 'json';
+
+    let content;
+    try {
+        content = parseDocumentWithPointers(text, result.format === 'yaml' ? 'spec.yaml' : 'spec.json').data;
+    } catch (error) {
+        result.error = `OpenAPI description is not valid ${result.format.toUpperCase()}: ${error.message}`;
+        result.line = error.line || null;
+        result.column = error.column || null;
+        return result;
+    }
+
+    if (!content || typeof content !== 'object') {
+        result.error = 'OpenAPI description is not an object';
+        return result;
+    }
+
+    result.document = content;
+    result.operations = listOperations(content);
+    return result;
+}
+
+/**
+ * Lists the operations of an OpenAPI document
+ * @param {Object} spec - Parsed OpenAPI document
+ * @returns {Array} Array of { operationId, method, path, pointer }
+ */
+export function listOperations(spec) {
+    const operations = [];
+
+    for (const [route, item] of Object.entries(spec?.paths || {})) {
+        if (!item || typeof item !== 'object') continue;
+
+        for (const method of HTTP_METHODS) {
+            if (!item[method] || typeof item[method] !== 'object') continue;
+            operations.push({
+                operationId: item[method].operationId || '',
+                method: method.toUpperCase(),
+                path: route,
+                pointer: `/paths/${escapePointerSegment(route)}/${method}`
+            });
+        }
+    }
+
+    return operations;
+}
+
+/**
+ * Finds plugin manifests and OpenAPI descriptions that nothing in the package references
+ * @param {Object} agentInfo - Parsed package information
+ * @param {Map} plugins - Resolved plugins, by path
+ * @param {Map} specs - Resolved OpenAPI descriptions, by path
+ * @returns {Object} { orphanedPlugins, orphanedSpecs }
+ */
+function findOrphans(agentInfo, plugins, specs) {
+    const files = getAllFiles();
+    const manifestPath = findFile(files, 'manifest.json');
+    const extensions = agentInfo.manifest?.composeExtensions || agentInfo.messageExtensions || [];
+    const extensionSpecs = new Set(extensions
+        .map(ext => resolvePackagePath(files, manifestPath, ext.apiSpecificationFile))
+        .filter(Boolean));
+
+    const orphanedPlugins = [];
+    const orphanedSpecs = [];
+
+    for (const definition of findApiDefinitions()) {
+        if (definition.type === 'plugin' && !plugins.has(definition.path)) {
+            orphanedPlugins.push(definition.path);
+        } else if (definition.type === 'openapi' && !specs.has(definition.path) && !extensionSpecs.has(definition.path)) {
+            orphanedSpecs.push(definition.path);
+        }
+    }
+
+    return { orphanedPlugins, orphanedSpecs };
+}
+
+/**
+ * Parses JSON without throwing
+ * @param {string} text - JSON text
+ * @returns {*} Parsed value, or null if the text is not valid JSON
+ */
+function parseJsonContent(text) {
+    if (typeof text !== 'string') return null;
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        return null;
+    }
+}
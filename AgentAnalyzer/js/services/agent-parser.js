@@ -4,7 +4,8 @@
  */
 
 import { getFileContent, getAllFiles } from './zip-service.js';
-import { parseJsonFile, findFile, findAllFiles } from './file-service.js';
+import { parseJsonFile, parseDocumentFile, findFile, findAllFiles } from './file-service.js';
+import { findUnsupportedFeatures, getRequiredSchemaVersion, getCapabilityVersion, compareVersions } from '../utils/schema-versions.js';
 
 /**
  * Agent types enumeration
@@ -63,7 +64,7 @@ function determineAgentType(manifest) {
     if (manifest.copilotAgents && manifest.copilotAgents.declarativeAgents) {
         return AgentType.DECLARATIVE;
     }
-    // Add more detection logic for custom agents as needed
+    // Custom engine agents, bots, message extensions and tab apps
     return AgentType.CUSTOM;
 }
 
@@ -111,21 +112,57 @@ function parseDeclarativeAgent(manifest, files) {
 
         // Parse the declarative agent content
         const parsedDA = parseDeclarativeAgentContent(daContent, daPath);
+        parsedDA.file = daFile;
         result.declarativeAgents.push(parsedDA);
     }
 
     // Set primary agent details from the first declarative agent
-    if (result.declarativeAgents.length > 0 && !result.declarativeAgents[0].error) {
-        const primaryDA = result.declarativeAgents[0];
-        result.agentName = primaryDA.name || result.name;
-        result.agentDescription = primaryDA.description || result.description;
-        result.instructions = primaryDA.instructions;
-        result.capabilities = primaryDA.capabilities;
-        result.conversationStarters = primaryDA.conversationStarters;
-        result.schemaVersion = primaryDA.schemaVersion;
+    return selectDeclarativeAgent(result, 0);
+}
+
+/**
+ * Returns a view of a parsed package with one of its declarative agents
+ * promoted to the top-level agent fields used by the details and analysis panels
+ * @param {Object} agentInfo - Parsed package information from parseAgentPackage
+ * @param {number} index - Index into agentInfo.declarativeAgents
+ * @returns {Object} Agent information for the selected declarative agent
+ */
+export function selectDeclarativeAgent(agentInfo, index) {
+    const selected = agentInfo.declarativeAgents?.[index];
+    if (!selected) {
+        return { ...agentInfo, selectedAgentIndex: index };
     }
 
-    return result;
+    // An agent file that failed to load has nothing to show beyond the manifest
+    if (selected.error) {
+        return {
+            ...agentInfo,
+            selectedAgentIndex: index,
+            agentName: agentInfo.name,
+            agentDescription: agentInfo.description,
+            instructions: '',
+            capabilities: [],
+            conversationStarters: [],
+            properties: {},
+            schemaVersion: null,
+            requiredSchemaVersion: null,
+            unsupportedFeatures: []
+        };
+    }
+
+    return {
+        ...agentInfo,
+        selectedAgentIndex: index,
+        agentName: selected.name || agentInfo.name,
+        agentDescription: selected.description || agentInfo.description,
+        instructions: selected.instructions,
+        capabilities: selected.capabilities,
+        conversationStarters: selected.conversationStarters,
+        properties: selected.properties,
+        schemaVersion: selected.schemaVersion,
+        requiredSchemaVersion: selected.requiredSchemaVersion,
+        unsupportedFeatures: selected.unsupportedFeatures
+    };
 }
 
 /**
@@ -135,9 +172,14 @@ function parseDeclarativeAgent(manifest, files) {
  * @returns {Object} Parsed declarative agent details
  */
 function parseDeclarativeAgentContent(content, path) {
+    const schemaVersion = extractSchemaVersion(content.$schema) || extractSchemaVersion(content.version);
+
     const result = {
         path: path,
-        schemaVersion: content.$schema ? extractSchemaVersion(content.$schema) : null,
+        id: content.id || '',
+        schemaVersion: schemaVersion,
+        requiredSchemaVersion: getRequiredSchemaVersion(content),
+        unsupportedFeatures: findUnsupportedFeatures(content, schemaVersion),
         version: content.version || '1.0',
         name: content.name || '',
         description: content.description || '',
@@ -150,7 +192,7 @@ function parseDeclarativeAgentContent(content, path) {
 
     // Parse capabilities
     if (content.capabilities) {
-        result.capabilities = parseCapabilities(content.capabilities);
+        result.capabilities = parseCapabilities(content.capabilities, schemaVersion);
     }
 
     // Parse conversation starters (starter prompts)
@@ -176,16 +218,20 @@ function parseDeclarativeAgentContent(content, path) {
 /**
  * Parses capabilities from the declarative agent
  * @param {Array} capabilities - The capabilities array
+ * @param {string|null} schemaVersion - Declared schema version
  * @returns {Array} Parsed capabilities
  */
-function parseCapabilities(capabilities) {
+function parseCapabilities(capabilities, schemaVersion) {
     const parsed = [];
 
     for (const cap of capabilities) {
+        const minSchemaVersion = getCapabilityVersion(cap.name);
         const capabilityInfo = {
             name: cap.name || 'Unknown',
             type: determineCapabilityType(cap),
             enabled: true,
+            minSchemaVersion: minSchemaVersion,
+            supportedBySchema: !schemaVersion || !minSchemaVersion || compareVersions(minSchemaVersion, schemaVersion) <= 0,
             raw: cap
         };
 
@@ -198,10 +244,27 @@ function parseCapabilities(capabilities) {
             capabilityInfo.connectors = parseGraphConnectors(cap);
         } else if (cap.name === 'WebSearch') {
             capabilityInfo.type = 'WebSearch';
+            capabilityInfo.sites = parseWebSearchSites(cap);
         } else if (cap.name === 'CodeInterpreter') {
             capabilityInfo.type = 'CodeInterpreter';
-        } else if (cap.name === 'ImageGenerator') {
+        } else if (cap.name === 'ImageGenerator' || cap.name === 'GraphicArt') {
             capabilityInfo.type = 'ImageGenerator';
+        } else if (cap.name === 'TeamsMessages') {
+            capabilityInfo.type = 'TeamsMessages';
+            capabilityInfo.urls = parseTeamsMessageUrls(cap);
+        } else if (cap.name === 'Email') {
+            capabilityInfo.type = 'Email';
+            capabilityInfo.scope = parseEmailScope(cap);
+        } else if (cap.name === 'Dataverse') {
+            capabilityInfo.type = 'Dataverse';
+            capabilityInfo.knowledgeSources = parseDataverseSources(cap);
+        } else if (cap.name === 'People') {
+            capabilityInfo.type = 'People';
+            capabilityInfo.includeRelatedContent = cap.include_related_content === true;
+        } else if (cap.name === 'EmbeddedKnowledge') {
+            capabilityInfo.type = 'EmbeddedKnowledge';
+            capabilityInfo.files = parseEmbeddedKnowledgeFiles(cap);
+            capabilityInfo.snapshotId = cap.embedded_resource_snapshot_id || null;
         }
 
         parsed.push(capabilityInfo);
@@ -277,11 +340,112 @@ function parseGraphConnectors(cap) {
 }
 
 /**
- * Extracts schema version from schema URL
- * @param {string} schemaUrl - The schema URL
+ * Parses the sites a WebSearch capability is scoped to
+ * @param {Object} cap - The capability object
+ * @returns {Array} Array of site URLs (empty when web search is unscoped)
+ */
+function parseWebSearchSites(cap) {
+    if (!Array.isArray(cap.sites)) return [];
+
+    return cap.sites.map(site => ({
+        url: typeof site === 'string' ? site : site?.url || ''
+    }));
+}
+
+/**
+ * Parses the Teams URLs a TeamsMessages capability is scoped to
+ * @param {Object} cap - The capability object
+ * @returns {Array} Array of Teams URLs with the kind of conversation each identifies
+ */
+function parseTeamsMessageUrls(cap) {
+    if (!Array.isArray(cap.urls)) return [];
+
+    return cap.urls.map(item => {
+        const url = typeof item === 'string' ? item : item?.url || '';
+        return {
+            url: url,
+            kind: getTeamsUrlKind(url)
+        };
+    });
+}
+
+/**
+ * Determines what kind of Teams conversation a URL points to
+ * @param {string} url - The Teams URL
+ * @returns {string} One of channel, team, meeting, chat or unknown
+ */
+function getTeamsUrlKind(url) {
+    const lower = url.toLowerCase();
+    if (lower.includes('/l/meetup-join/')) return 'meeting';
+    if (lower.includes('/l/channel/')) return 'channel';
+    if (lower.includes('/l/team/')) return 'team';
+    if (lower.includes('/l/chat/')) return 'chat';
+    return 'unknown';
+}
+
+/**
+ * Parses the mailbox and folder scoping of an Email capability
+ * @param {Object} cap - The capability object
+ * @returns {Object} Email scope information
+ */
+function parseEmailScope(cap) {
+    return {
+        folders: Array.isArray(cap.folders)
+            ? cap.folders.map(folder => typeof folder === 'string' ? folder : folder?.folder_id || '')
+            : [],
+        sharedMailbox: cap.shared_mailbox || null,
+        groupMailboxes: Array.isArray(cap.group_mailboxes) ? cap.group_mailboxes : []
+    };
+}
+
+/**
+ * Parses the knowledge sources of a Dataverse capability
+ * @param {Object} cap - The capability object
+ * @returns {Array} Array of Dataverse knowledge sources with their table names
+ */
+function parseDataverseSources(cap) {
+    if (!Array.isArray(cap.knowledge_sources)) return [];
+
+    return cap.knowledge_sources.map(source => ({
+        hostName: source?.host_name || '',
+        skill: source?.skill || '',
+        tables: Array.isArray(source?.tables)
+            ? source.tables.map(table => typeof table === 'string' ? table : table?.table_name || '')
+            : []
+    }));
+}
+
+/**
+ * Parses the embedded knowledge files and checks they are present in the package
+ * @param {Object} cap - The capability object
+ * @returns {Array} Array of embedded files with their package path
+ */
+function parseEmbeddedKnowledgeFiles(cap) {
+    if (!Array.isArray(cap.files)) return [];
+
+    const files = getAllFiles();
+
+    return cap.files.map(item => {
+        const file = typeof item === 'string' ? item : item?.file || '';
+        const relativePath = file.replace(/^\.?\//, '');
+        const path = relativePath ? (files.has(relativePath) ? relativePath : findFile(files, relativePath)) : null;
+
+        return {
+            file: file,
+            path: path,
+            exists: !!path
+        };
+    });
+}
+
+/**
+ * Extracts schema version from a schema URL or version string
+ * @param {string} schemaUrl - The schema URL or version (e.g. "v1.5")
  * @returns {string|null} The version string
  */
 function extractSchemaVersion(schemaUrl) {
+    if (!schemaUrl || typeof schemaUrl !== 'string') return null;
+
     // Match patterns like "v1.5" or "1.5" in the URL
     const match = schemaUrl.match(/v?(\d+\.\d+)/);
     return match ? match[1] : null;
@@ -319,22 +483,145 @@ function extractProperties(content) {
 }
 
 /**
- * Parses a Custom Agent package
+ * Parses a Custom Agent package (bots, message extensions, static tabs
+ * and custom engine agents declared in manifest.json)
  * @param {Object} manifest - The parsed manifest.json
  * @param {Map} files - Map of extracted files
  * @returns {Object} Parsed custom agent information
  */
 function parseCustomAgent(manifest, files) {
-    return {
+    const result = {
         type: AgentType.CUSTOM,
         manifest: manifest,
         name: manifest.name?.short || manifest.name?.full || 'Custom Agent',
         description: manifest.description?.short || manifest.description?.full || '',
         version: manifest.version || '1.0.0',
-        message: 'Custom Agent analysis is not yet implemented (TBD)',
-        // Placeholder for future implementation
+        manifestVersion: manifest.manifestVersion || null,
+        shortName: manifest.name?.short || '',
+        shortDescription: manifest.description?.short || '',
+        bots: parseBots(manifest.bots),
+        messageExtensions: parseMessageExtensions(manifest.composeExtensions, files),
+        staticTabs: parseStaticTabs(manifest.staticTabs),
+        customEngineAgents: [],
+        webApplicationInfo: manifest.webApplicationInfo
+            ? { id: manifest.webApplicationInfo.id || '', resource: manifest.webApplicationInfo.resource || '' }
+            : null,
+        validDomains: Array.isArray(manifest.validDomains) ? manifest.validDomains : [],
         components: []
     };
+
+    result.agentName = manifest.name?.full || result.name;
+    result.agentDescription = manifest.description?.full || result.description;
+
+    // Custom engine agents point at one of the bots
+    for (const agent of manifest.copilotAgents?.customEngineAgents || []) {
+        result.customEngineAgents.push({
+            id: agent.id || '',
+            type: agent.type || 'bot',
+            disclaimer: agent.disclaimer?.text || '',
+            bot: result.bots.find(bot => bot.botId === agent.id) || null
+        });
+    }
+
+    // Bot commands surface as prompt starters in personal and Copilot scope
+    result.conversationStarters = result.bots.flatMap(bot =>
+        bot.commandLists
+            .filter(list => list.scopes.includes('personal') || list.scopes.includes('copilot'))
+            .flatMap(list => list.commands.map(command => ({
+                title: command.title,
+                text: command.description || command.title
+            }))));
+
+    result.components = [
+        ...result.customEngineAgents.map(agent => ({ kind: 'customEngineAgent', label: 'Custom Engine Agent', id: agent.id })),
+        ...result.bots.map(bot => ({ kind: 'bot', label: 'Bot', id: bot.botId })),
+        ...result.messageExtensions.map(ext => ({ kind: 'messageExtension', label: 'Message Extension', id: ext.botId || ext.id })),
+        ...result.staticTabs.map(tab => ({ kind: 'staticTab', label: 'Static Tab', id: tab.entityId }))
+    ];
+
+    return result;
+}
+
+/**
+ * Parses the bots declared in the manifest
+ * @param {Array} bots - The manifest bots array
+ * @returns {Array} Parsed bots
+ */
+function parseBots(bots) {
+    if (!Array.isArray(bots)) return [];
+
+    return bots.map(bot => ({
+        botId: bot.botId || '',
+        scopes: Array.isArray(bot.scopes) ? bot.scopes : [],
+        isNotificationOnly: bot.isNotificationOnly === true,
+        supportsFiles: bot.supportsFiles === true,
+        commandLists: (Array.isArray(bot.commandLists) ? bot.commandLists : []).map(list => ({
+            scopes: Array.isArray(list.scopes) ? list.scopes : [],
+            commands: (Array.isArray(list.commands) ? list.commands : []).map(command => ({
+                title: command.title || '',
+                description: command.description || ''
+            }))
+        }))
+    }));
+}
+
+/**
+ * Parses the message extensions (composeExtensions) declared in the manifest
+ * @param {Array} extensions - The manifest composeExtensions array
+ * @param {Map} files - Map of extracted files
+ * @returns {Array} Parsed message extensions
+ */
+function parseMessageExtensions(extensions, files) {
+    if (!Array.isArray(extensions)) return [];
+
+    return extensions.map(ext => {
+        const type = ext.composeExtensionType || (ext.apiSpecificationFile ? 'apiBased' : 'botBased');
+        const specFile = ext.apiSpecificationFile || null;
+        const specPath = specFile ? findFile(files, specFile.replace(/^\.?\//, '')) : null;
+
+        return {
+            id: ext.id || '',
+            botId: ext.botId || '',
+            type: type,
+            authType: ext.authorization?.authType || 'none',
+            supportsSingleSignOn: ext.authorization?.microsoftEntraConfiguration?.supportsSingleSignOn === true,
+            apiSpecificationFile: specFile,
+            apiSpecificationPath: specPath,
+            commands: (Array.isArray(ext.commands) ? ext.commands : []).map(command => ({
+                id: command.id || '',
+                type: command.type || 'query',
+                title: command.title || '',
+                description: command.description || '',
+                semanticDescription: command.semanticDescription || '',
+                parameters: (Array.isArray(command.parameters) ? command.parameters : []).map(param => ({
+                    name: param.name || '',
+                    title: param.title || '',
+                    description: param.description || '',
+                    semanticDescription: param.semanticDescription || ''
+                }))
+            })),
+            domains: (Array.isArray(ext.messageHandlers) ? ext.messageHandlers : [])
+                .flatMap(handler => handler.value?.domains || [])
+        };
+    });
+}
+
+/**
+ * Parses the static tabs declared in the manifest
+ * @param {Array} tabs - The manifest staticTabs array
+ * @returns {Array} Parsed static tabs
+ */
+function parseStaticTabs(tabs) {
+    if (!Array.isArray(tabs)) return [];
+
+    return tabs.map(tab => ({
+        entityId: tab.entityId || '',
+        name: tab.name || tab.entityId || '',
+        contentUrl: tab.contentUrl || '',
+        websiteUrl: tab.websiteUrl || '',
+        contentBotId: tab.contentBotId || '',
+        scopes: Array.isArray(tab.scopes) ? tab.scopes : []
+    }));
 }
 
 /**
@@ -345,12 +632,12 @@ export function findApiDefinitions() {
     const files = getAllFiles();
     const apiFiles = [];
 
-    // Look for OpenAPI/Swagger files
-    const jsonFiles = findAllFiles(files, /\.(json|yaml|yml)$/i);
+    // Look for OpenAPI/Swagger files (JSON or YAML)
+    const candidateFiles = findAllFiles(files, /\.(json|yaml|yml)$/i);
 
-    for (const path of jsonFiles) {
-        const content = parseJsonFile(path);
-        if (content) {
+    for (const path of candidateFiles) {
+        const content = parseDocumentFile(path);
+        if (content && typeof content === 'object') {
             // Check if it's an OpenAPI file
             if (content.openapi || content.swagger || content.paths) {
                 apiFiles.push({
@@ -368,11 +655,28 @@ export function findApiDefinitions() {
                 });
             }
         }
+        // YAML files in a package are API descriptions; keep broken ones so their errors get reported
+        else if (!content && /\.ya?ml$/i.test(path)) {
+            apiFiles.push({
+                path: path,
+                type: 'invalid',
+                version: 'unknown'
+            });
+        }
     }
 
     return apiFiles;
 }
 
+/**
+ * Gets the package path of the selected declarative agent file
+ * @param {Object} agentInfo - The parsed agent information
+ * @returns {string|null} Path of the file, or null for custom agents and missing files
+ */
+export function getDeclarativeAgentPath(agentInfo) {
+    return agentInfo?.declarativeAgents?.[agentInfo.selectedAgentIndex || 0]?.path || null;
+}
+
 /**
  * Gets the SharePoint sources from the parsed agent
  * @param {Object} agentInfo - The parsed agent information
@@ -1,20 +1,190 @@
 /**
  * Analysis Service for AgentAnalyzer
- * Handles AI-powered analysis using OpenAI
+ * Handles AI-powered analysis using the configured AI provider
  */
 
-import { getOpenAIConfig } from '../config.js';
+import { requestCompletion, isLlmConfigured, configureLlm } from './llm-service.js';
+import { getAllFiles } from './zip-service.js';
+import { validateDocument, DocumentKind } from '../utils/schema-validator.js';
+import { AgentType, getDeclarativeAgentPath } from './agent-parser.js';
+import { analyzeCustomAgent } from './custom-agent-analyzer.js';
+import { analyzePackage } from './package-analyzer.js';
+import { analyzeActions } from './action-analyzer.js';
+import { analyzeConsistency, reviewConsistency } from './consistency-analyzer.js';
+import { analyzeStarterQuality, findSimilarStarters } from './starter-analyzer.js';
+import { analyzeSecurity } from './security-analyzer.js';
+import { registerRules, getRuleOptions, runCustomRules, applyRuleSettings, compileRulePattern } from './rule-registry.js';
+import { applySuppressions, getAgentKey } from './suppression-service.js';
+import { createSchemaVersionFix, createCapabilityFix, createStarterDedupeFix } from './quick-fix-service.js';
+import { Severity } from './severity.js';
+import { DOCS_BASE_URL } from '../utils/analyzer-text.js';
+
+// The analyzers import Severity from here
+export { Severity };
 
 /**
- * Recommendation severity levels
+ * Structured output of the AI analysis
  */
-export const Severity = {
-    CRITICAL: 'critical',
-    WARNING: 'warning',
-    SUGGESTION: 'suggestion',
-    SUCCESS: 'success'
+const AI_RECOMMENDATIONS_SCHEMA = {
+    type: 'object',
+    properties: {
+        recommendations: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    severity: { type: 'string', enum: [Severity.CRITICAL, Severity.WARNING, Severity.SUGGESTION] },
+                    category: { type: 'string' },
+                    title: { type: 'string' },
+                    description: { type: 'string' },
+                    suggestion: { type: 'string' }
+                },
+                required: ['severity', 'category', 'title', 'description', 'suggestion'],
+                additionalProperties: false
+            }
+        }
+    },
+    required: ['recommendations'],
+    additionalProperties: false
 };
 
+/**
+ * Structured output of the instructions rewrite
+ */
+const AI_INSTRUCTIONS_SCHEMA = {
+    type: 'object',
+    properties: {
+        instructions: { type: 'string' }
+    },
+    required: ['instructions'],
+    additionalProperties: false
+};
+
+/**
+ * Rules of the local analysis; their options can be changed in the rules file
+ */
+registerRules([
+    {
+        id: 'instructions/missing',
+        severity: Severity.CRITICAL,
+        category: 'Instructions',
+        title: 'Missing Instructions',
+        description: 'The agent has instructions.',
+        docs: DOCS_BASE_URL + 'declarative-agent-instructions'
+    },
+    {
+        id: 'instructions/length',
+        severity: Severity.WARNING,
+        category: 'Instructions',
+        title: 'Instructions Length',
+        description: 'Instructions are neither too short to guide the agent nor too long to follow.',
+        docs: DOCS_BASE_URL + 'declarative-agent-instructions',
+        options: { minLength: 100, maxLength: 8000 }
+    },
+    {
+        id: 'instructions/key-elements',
+        severity: Severity.SUGGESTION,
+        category: 'Instructions',
+        title: 'Consider Adding Key Elements',
+        description: 'Instructions cover role, scope, response format, restrictions and examples.',
+        docs: DOCS_BASE_URL + 'declarative-agent-instructions',
+        patternOptions: ['elements'],
+        options: {
+            elements: {
+                'Role Definition': 'role|persona|act as',
+                'Scope Definition': 'scope|limitation|boundary',
+                'Response Format': 'format|response|output',
+                'Restrictions': 'don\'t|do not|never|avoid',
+                'Examples': 'example|such as|like'
+            }
+        }
+    },
+    {
+        id: 'instructions/vague-language',
+        severity: Severity.SUGGESTION,
+        category: 'Instructions',
+        title: 'Vague Language Detected',
+        description: 'Instructions do not rely on vague phrases such as "try to" or "if possible".',
+        docs: DOCS_BASE_URL + 'declarative-agent-instructions',
+        patternOptions: ['phrases'],
+        options: {
+            phrases: ['be helpful', 'do your best', 'try to', 'if possible', 'might|maybe|perhaps'],
+            maxMatches: 2
+        }
+    },
+    {
+        id: 'description/missing',
+        severity: Severity.WARNING,
+        category: 'Description',
+        title: 'Missing Description',
+        description: 'The agent has a description.',
+        docs: DOCS_BASE_URL + 'declarative-agent-manifest-1.5'
+    },
+    {
+        id: 'description/length',
+        severity: Severity.WARNING,
+        category: 'Description',
+        title: 'Description Length',
+        description: 'The description is long enough to explain the agent and short enough to stay focused.',
+        docs: DOCS_BASE_URL + 'declarative-agent-manifest-1.5',
+        options: { minLength: 20, maxLength: 500 }
+    },
+    {
+        id: 'starters/missing',
+        severity: Severity.SUGGESTION,
+        category: 'Starter Prompts',
+        title: 'No Conversation Starters',
+        description: 'The agent has conversation starters.',
+        docs: DOCS_BASE_URL + 'declarative-agent-manifest-1.5'
+    },
+    {
+        id: 'starters/count',
+        severity: Severity.SUGGESTION,
+        category: 'Starter Prompts',
+        title: 'Number of Conversation Starters',
+        description: 'The agent has enough conversation starters to show what it does, without overwhelming users.',
+        docs: DOCS_BASE_URL + 'declarative-agent-manifest-1.5',
+        options: { min: 3, max: 6 }
+    },
+    {
+        id: 'starters/similar',
+        severity: Severity.SUGGESTION,
+        category: 'Starter Prompts',
+        title: 'Similar Starters Detected',
+        description: 'Each conversation starter shows a different use case.',
+        docs: DOCS_BASE_URL + 'declarative-agent-manifest-1.5',
+        options: { threshold: 0.6 }
+    },
+    {
+        id: 'schema/error',
+        severity: Severity.CRITICAL,
+        category: 'Schema',
+        title: 'Schema Error',
+        description: 'Package files match their official schema.'
+    },
+    {
+        id: 'schema/warning',
+        severity: Severity.WARNING,
+        category: 'Schema',
+        title: 'Schema Warning',
+        description: 'Package files follow their official schema without warnings.'
+    },
+    {
+        id: 'schema/more-issues',
+        severity: Severity.WARNING,
+        category: 'Schema',
+        title: 'More Schema Issues',
+        description: 'Schema issues beyond the first few of a file are summarized.'
+    },
+    {
+        id: 'ai/recommendation',
+        severity: Severity.SUGGESTION,
+        category: 'AI Analysis',
+        title: 'AI Recommendation',
+        description: 'Recommendations from the optional AI review of the agent.'
+    }
+]);
+
 /**
  * Analyzes the agent instructions against best practices
  * @param {Object} agentInfo - The parsed agent information
@@ -31,11 +201,33 @@ export async function analyzeAgent(agentInfo) {
     const localAnalysis = performLocalAnalysis(agentInfo);
     results.recommendations.push(...localAnalysis);
 
+    // Check how the agents of a multi-agent package relate to each other
+    results.recommendations.push(...analyzePackage(agentInfo));
+
+    // Follow actions through their plugin manifests to the OpenAPI descriptions
+    if (agentInfo.type === AgentType.DECLARATIVE) {
+        results.recommendations.push(...analyzeActions(agentInfo));
+    }
+
+    // Validate package files against the official schemas
+    const schemaAnalysis = await analyzeSchemaCompliance();
+    results.recommendations.push(...schemaAnalysis);
+
     // Perform AI analysis if configured
     const aiAnalysis = await performAIAnalysis(agentInfo);
     if (aiAnalysis) {
         results.recommendations.push(...aiAnalysis);
     }
+    if (agentInfo.type === AgentType.DECLARATIVE) {
+        results.recommendations.push(...await reviewConsistency(agentInfo));
+    }
+
+    // Run custom rules, then apply the rules file (rule IDs, disabled rules, severities)
+    results.recommendations.push(...await runCustomRules(agentInfo));
+    results.recommendations = applyRuleSettings(results.recommendations);
+
+    // Mark the findings that are dismissed or in the baseline
+    results.recommendations = applySuppressions(results.recommendations, getAgentKey(agentInfo));
 
     // Generate summary
     results.summary = generateSummary(results.recommendations);
@@ -43,6 +235,16 @@ export async function analyzeAgent(agentInfo) {
     return results;
 }
 
+/**
+ * Summarizes the local rule-based analysis of an agent, for comparing edits such as
+ * rewritten instructions without running the full analysis
+ * @param {Object} agentInfo - The parsed agent information
+ * @returns {Object} Summary object
+ */
+export function summarizeLocalAnalysis(agentInfo) {
+    return generateSummary(applyRuleSettings(performLocalAnalysis(agentInfo)));
+}
+
 /**
  * Performs local rule-based analysis
  * @param {Object} agentInfo - The parsed agent information
@@ -51,6 +253,16 @@ export async function analyzeAgent(agentInfo) {
 function performLocalAnalysis(agentInfo) {
     const recommendations = [];
 
+    // Custom agents have no instructions or capabilities; they get their own rule set
+    if (agentInfo.type === AgentType.CUSTOM) {
+        const desc = agentInfo.agentDescription || agentInfo.description;
+        if (desc) {
+            recommendations.push(...analyzeDescription(desc));
+        }
+        recommendations.push(...analyzeCustomAgent(agentInfo));
+        return recommendations;
+    }
+
     // Check instructions
     if (agentInfo.instructions) {
         const instructionsAnalysis = analyzeInstructions(agentInfo.instructions);
@@ -61,7 +273,8 @@ function performLocalAnalysis(agentInfo) {
             category: 'Instructions',
             title: 'Missing Instructions',
             description: 'No instructions found for the agent. Instructions are essential for defining agent behavior.',
-            suggestion: 'Add clear, specific instructions that define the agent\'s purpose and behavior.'
+            suggestion: 'Add clear, specific instructions that define the agent\'s purpose and behavior.',
+            ruleId: 'instructions/missing'
         });
     }
 
@@ -76,13 +289,14 @@ function performLocalAnalysis(agentInfo) {
             category: 'Description',
             title: 'Missing Description',
             description: 'No description found for the agent.',
-            suggestion: 'Add a clear description that explains what the agent does.'
+            suggestion: 'Add a clear description that explains what the agent does.',
+            ruleId: 'description/missing'
         });
     }
 
     // Check conversation starters
     if (agentInfo.conversationStarters && agentInfo.conversationStarters.length > 0) {
-        const startersAnalysis = analyzeConversationStarters(agentInfo.conversationStarters);
+        const startersAnalysis = analyzeConversationStarters(agentInfo.conversationStarters, getDeclarativeAgentPath(agentInfo));
         recommendations.push(...startersAnalysis);
     } else {
         recommendations.push({
@@ -90,16 +304,31 @@ function performLocalAnalysis(agentInfo) {
             category: 'Starter Prompts',
             title: 'No Conversation Starters',
             description: 'No starter prompts defined for the agent.',
-            suggestion: 'Add 3-5 conversation starters to help users understand how to interact with the agent.'
+            suggestion: 'Add 3-5 conversation starters to help users understand how to interact with the agent.',
+            ruleId: 'starters/missing'
         });
     }
 
+    if (agentInfo.type === AgentType.DECLARATIVE) {
+        recommendations.push(...analyzeStarterQuality(agentInfo));
+    }
+
     // Check capabilities
     if (agentInfo.capabilities) {
-        const capAnalysis = analyzeCapabilities(agentInfo.capabilities);
+        const capAnalysis = analyzeCapabilities(agentInfo.capabilities, getDeclarativeAgentPath(agentInfo));
         recommendations.push(...capAnalysis);
     }
 
+    // Cross-check instructions and starters against capabilities and actions
+    if (agentInfo.type === AgentType.DECLARATIVE) {
+        recommendations.push(...analyzeConsistency(agentInfo));
+    }
+
+    // Scan for prompt-injection and data-exfiltration risks
+    if (agentInfo.type === AgentType.DECLARATIVE) {
+        recommendations.push(...analyzeSecurity(agentInfo));
+    }
+
     return recommendations;
 }
 
@@ -111,46 +340,42 @@ function performLocalAnalysis(agentInfo) {
 function analyzeInstructions(instructions) {
     const recommendations = [];
     const length = instructions.length;
+    const { minLength, maxLength } = getRuleOptions('instructions/length');
 
     // Check length
-    if (length < 100) {
+    if (length < minLength) {
         recommendations.push({
             severity: Severity.WARNING,
             category: 'Instructions',
             title: 'Instructions Too Short',
             description: `Instructions are only ${length} characters. Short instructions may not provide enough guidance.`,
-            suggestion: 'Expand instructions to include specific behaviors, response formats, and edge cases.'
+            suggestion: 'Expand instructions to include specific behaviors, response formats, and edge cases.',
+            ruleId: 'instructions/length'
         });
-    } else if (length > 8000) {
+    } else if (length > maxLength) {
         recommendations.push({
             severity: Severity.WARNING,
             category: 'Instructions',
             title: 'Instructions Very Long',
             description: `Instructions are ${length} characters. Very long instructions may be difficult to follow.`,
-            suggestion: 'Consider condensing instructions or prioritizing key behaviors.'
+            suggestion: 'Consider condensing instructions or prioritizing key behaviors.',
+            ruleId: 'instructions/length'
         });
     } else {
         recommendations.push({
             severity: Severity.SUCCESS,
             category: 'Instructions',
             title: 'Instructions Length Appropriate',
-            description: `Instructions length (${length} characters) is within recommended range.`
+            description: `Instructions length (${length} characters) is within recommended range.`,
+            ruleId: 'instructions/length'
         });
     }
 
-    // Check for key elements
-    const keyElements = [
-        { pattern: /role|persona|act as/i, name: 'Role Definition' },
-        { pattern: /scope|limitation|boundary/i, name: 'Scope Definition' },
-        { pattern: /format|response|output/i, name: 'Response Format' },
-        { pattern: /don't|do not|never|avoid/i, name: 'Restrictions' },
-        { pattern: /example|such as|like/i, name: 'Examples' }
-    ];
-
+    // Check for key elements (the rule options map each element name to a pattern)
     const missingElements = [];
-    for (const element of keyElements) {
-        if (!element.pattern.test(instructions)) {
-            missingElements.push(element.name);
+    for (const [name, pattern] of Object.entries(getRuleOptions('instructions/key-elements').elements || {})) {
+        if (!compileRulePattern(pattern, 'i').test(instructions)) {
+            missingElements.push(name);
         }
     }
 
@@ -160,27 +385,22 @@ function analyzeInstructions(instructions) {
             category: 'Instructions',
             title: 'Consider Adding Key Elements',
             description: `Instructions may be missing: ${missingElements.join(', ')}.`,
-            suggestion: 'Best practice instructions typically include role definition, scope, response format, restrictions, and examples.'
+            suggestion: 'Best practice instructions typically include role definition, scope, response format, restrictions, and examples.',
+            ruleId: 'instructions/key-elements'
         });
     }
 
     // Check for vague language
-    const vaguePatterns = [
-        /be helpful/i,
-        /do your best/i,
-        /try to/i,
-        /if possible/i,
-        /might|maybe|perhaps/i
-    ];
-
-    const vagueMatches = vaguePatterns.filter(p => p.test(instructions));
-    if (vagueMatches.length > 2) {
+    const { phrases, maxMatches } = getRuleOptions('instructions/vague-language');
+    const vagueMatches = (phrases || []).filter(phrase => compileRulePattern(phrase, 'i').test(instructions));
+    if (vagueMatches.length > maxMatches) {
         recommendations.push({
             severity: Severity.SUGGESTION,
             category: 'Instructions',
             title: 'Vague Language Detected',
             description: 'Instructions contain vague language that may lead to inconsistent behavior.',
-            suggestion: 'Use specific, actionable language. Instead of "try to be helpful", specify exact behaviors.'
+            suggestion: 'Use specific, actionable language. Instead of "try to be helpful", specify exact behaviors.',
+            ruleId: 'instructions/vague-language'
         });
     }
 
@@ -195,29 +415,33 @@ function analyzeInstructions(instructions) {
 function analyzeDescription(description) {
     const recommendations = [];
     const length = description.length;
+    const { minLength, maxLength } = getRuleOptions('description/length');
 
-    if (length < 20) {
+    if (length < minLength) {
         recommendations.push({
             severity: Severity.WARNING,
             category: 'Description',
             title: 'Description Too Short',
             description: 'The agent description is very brief.',
-            suggestion: 'Add a more detailed description explaining the agent\'s purpose and capabilities.'
+            suggestion: 'Add a more detailed description explaining the agent\'s purpose and capabilities.',
+            ruleId: 'description/length'
         });
-    } else if (length > 500) {
+    } else if (length > maxLength) {
         recommendations.push({
             severity: Severity.SUGGESTION,
             category: 'Description',
             title: 'Description May Be Too Long',
             description: 'Consider if the description can be more concise.',
-            suggestion: 'Keep descriptions focused on the main purpose. Move details to instructions.'
+            suggestion: 'Keep descriptions focused on the main purpose. Move details to instructions.',
+            ruleId: 'description/length'
         });
     } else {
         recommendations.push({
             severity: Severity.SUCCESS,
             category: 'Description',
             title: 'Description Length Appropriate',
-            description: 'Description length is within recommended range.'
+            description: 'Description length is within recommended range.',
+            ruleId: 'description/length'
         });
     }
 
@@ -227,49 +451,55 @@ function analyzeDescription(description) {
 /**
  * Analyzes conversation starters
  * @param {Array} starters - Array of conversation starters
+ * @param {string|null} agentPath - Path of the declarative agent file, for quick fixes
  * @returns {Array} Array of recommendations
  */
-function analyzeConversationStarters(starters) {
+function analyzeConversationStarters(starters, agentPath) {
     const recommendations = [];
+    const { min, max } = getRuleOptions('starters/count');
 
-    if (starters.length < 3) {
+    if (starters.length < min) {
         recommendations.push({
             severity: Severity.SUGGESTION,
             category: 'Starter Prompts',
             title: 'Few Conversation Starters',
             description: `Only ${starters.length} starter prompt(s) defined.`,
-            suggestion: 'Add at least 3-5 conversation starters to showcase different agent capabilities.'
+            suggestion: `Add at least ${min} conversation starters to showcase different agent capabilities.`,
+            ruleId: 'starters/count'
         });
-    } else if (starters.length > 6) {
+    } else if (starters.length > max) {
         recommendations.push({
             severity: Severity.SUGGESTION,
             category: 'Starter Prompts',
             title: 'Many Conversation Starters',
             description: `${starters.length} starters defined. Too many options may overwhelm users.`,
-            suggestion: 'Consider reducing to 4-6 of the most important conversation starters.'
+            suggestion: `Consider reducing to at most ${max} of the most important conversation starters.`,
+            ruleId: 'starters/count'
         });
     } else {
         recommendations.push({
             severity: Severity.SUCCESS,
             category: 'Starter Prompts',
             title: 'Good Number of Starters',
-            description: `${starters.length} conversation starters defined.`
+            description: `${starters.length} conversation starters defined.`,
+            ruleId: 'starters/count'
         });
     }
 
     // Check for variety
-    const texts = starters.map(s => (s.text || s.title || '').toLowerCase());
-    const hasSimilar = texts.some((t, i) =>
-        texts.some((t2, j) => i !== j && (t.includes(t2) || t2.includes(t)))
-    );
+    const similar = findSimilarStarters(starters, getRuleOptions('starters/similar').threshold);
 
-    if (hasSimilar) {
+    if (similar.length > 0) {
+        const fix = createStarterDedupeFix(agentPath);
+        const pairs = similar.map(({ first, second }) => `"${starters[first].text}" and "${starters[second].text}"`);
         recommendations.push({
             severity: Severity.SUGGESTION,
             category: 'Starter Prompts',
             title: 'Similar Starters Detected',
-            description: 'Some conversation starters appear similar.',
-            suggestion: 'Ensure each starter demonstrates a different capability or use case.'
+            description: `Some conversation starters are near-duplicates: ${pairs.join('; ')}.`,
+            suggestion: 'Ensure each starter demonstrates a different capability or use case.',
+            ruleId: 'starters/similar',
+            ...(fix ? { fix } : {})
         });
     }
 
@@ -279,9 +509,10 @@ function analyzeConversationStarters(starters) {
 /**
  * Analyzes agent capabilities
  * @param {Array} capabilities - Array of capabilities
+ * @param {string|null} agentPath - Path of the declarative agent file, for quick fixes
  * @returns {Array} Array of recommendations
  */
-function analyzeCapabilities(capabilities) {
+function analyzeCapabilities(capabilities, agentPath) {
     const recommendations = [];
 
     // Check for SharePoint with Excel files but no Code Interpreter
@@ -289,67 +520,442 @@ function analyzeCapabilities(capabilities) {
     const hasCodeInterpreter = capabilities.some(c => c.type === 'CodeInterpreter');
 
     if (hasSharePoint && !hasCodeInterpreter) {
+        const fix = createCapabilityFix(agentPath, 'CodeInterpreter');
         recommendations.push({
             severity: Severity.SUGGESTION,
             category: 'Capabilities',
             title: 'Consider Code Interpreter',
             description: 'SharePoint capability is enabled. If your knowledge sources contain Excel files, Code Interpreter is recommended.',
-            suggestion: 'Enable Code Interpreter capability for Excel data analysis.'
+            suggestion: 'Enable Code Interpreter capability for Excel data analysis.',
+            ...(fix ? { fix } : {})
         });
     }
 
+    for (const cap of capabilities) {
+        switch (cap.type) {
+            case 'WebSearch':
+                recommendations.push(...analyzeWebSearch(cap));
+                break;
+            case 'TeamsMessages':
+                recommendations.push(...analyzeTeamsMessages(cap));
+                break;
+            case 'Email':
+                recommendations.push(...analyzeEmail(cap));
+                break;
+            case 'Dataverse':
+                recommendations.push(...analyzeDataverse(cap));
+                break;
+            case 'People':
+                recommendations.push(...analyzePeople(cap));
+                break;
+            case 'ImageGenerator':
+                recommendations.push(...analyzeImageGenerator(cap));
+                break;
+            case 'EmbeddedKnowledge':
+                recommendations.push(...analyzeEmbeddedKnowledge(cap));
+                break;
+        }
+    }
+
     return recommendations;
 }
 
 /**
- * Performs AI-powered analysis using OpenAI
- * @param {Object} agentInfo - The parsed agent information
- * @returns {Promise<Array|null>} Array of recommendations or null
+ * Analyzes WebSearch site scoping
+ * @param {Object} cap - Parsed WebSearch capability
+ * @returns {Array} Array of recommendations
  */
-async function performAIAnalysis(agentInfo) {
-    const config = getOpenAIConfig();
+function analyzeWebSearch(cap) {
+    const recommendations = [];
 
-    if (!config.endpoint || !config.apiKey) {
-        return null;
+    if (!cap.sites || cap.sites.length === 0) {
+        recommendations.push({
+            severity: Severity.SUGGESTION,
+            category: 'Capabilities',
+            title: 'Web Search Not Scoped',
+            description: 'Web search can ground answers on any public website.',
+            suggestion: 'If the agent should only use specific sources, list up to 4 sites in the WebSearch "sites" array.'
+        });
+        return recommendations;
     }
 
-    const prompt = buildAnalysisPrompt(agentInfo);
+    for (const site of cap.sites) {
+        let url;
+        try {
+            url = new URL(site.url);
+        } catch (e) {
+            url = null;
+        }
 
-    try {
-        const response = await fetch(`${config.endpoint}/chat/completions`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${config.apiKey}`
-            },
-            body: JSON.stringify({
-                model: config.model,
-                messages: [
-                    {
-                        role: 'system',
-                        content: getSystemPrompt()
-                    },
-                    {
-                        role: 'user',
-                        content: prompt
-                    }
-                ],
-                max_tokens: config.maxTokens,
-                temperature: 0.3
-            })
+        if (!url || (url.protocol !== 'http:' && url.protocol !== 'https:')) {
+            recommendations.push({
+                severity: Severity.WARNING,
+                category: 'Capabilities',
+                title: 'Invalid Web Search Site',
+                description: `"${site.url}" is not an absolute http(s) URL.`,
+                suggestion: 'Use a full URL such as https://contoso.com/docs.'
+            });
+            continue;
+        }
+
+        const pathSegments = url.pathname.split('/').filter(Boolean);
+        if (url.search || pathSegments.length > 2) {
+            recommendations.push({
+                severity: Severity.WARNING,
+                category: 'Capabilities',
+                title: 'Unsupported Web Search Site URL',
+                description: `"${site.url}" has ${url.search ? 'query parameters' : 'more than two path segments'}. Web search sites only support up to two path levels and no query string.`,
+                suggestion: 'Shorten the URL to the site root or a section with at most two path segments.'
+            });
+        }
+    }
+
+    return recommendations;
+}
+
+/**
+ * Analyzes TeamsMessages URL scoping
+ * @param {Object} cap - Parsed TeamsMessages capability
+ * @returns {Array} Array of recommendations
+ */
+function analyzeTeamsMessages(cap) {
+    const recommendations = [];
+
+    if (!cap.urls || cap.urls.length === 0) {
+        recommendations.push({
+            severity: Severity.SUGGESTION,
+            category: 'Capabilities',
+            title: 'Teams Messages Not Scoped',
+            description: 'The agent can search every chat, channel and meeting the user has access to.',
+            suggestion: 'Add up to 5 Teams channel, team or meeting URLs to focus the agent on relevant conversations.'
         });
+        return recommendations;
+    }
+
+    for (const item of cap.urls) {
+        if (!/^https:\/\/teams\.(microsoft\.com|cloud\.microsoft)\//i.test(item.url)) {
+            recommendations.push({
+                severity: Severity.WARNING,
+                category: 'Capabilities',
+                title: 'Invalid Teams URL',
+                description: `"${item.url}" does not look like a Teams link.`,
+                suggestion: 'Use "Get link to channel", "Get link to team" or the meeting join link from Teams.'
+            });
+        } else if (item.kind === 'unknown') {
+            recommendations.push({
+                severity: Severity.SUGGESTION,
+                category: 'Capabilities',
+                title: 'Unrecognized Teams URL',
+                description: `"${item.url}" is not a channel, team or meeting chat link.`,
+                suggestion: 'TeamsMessages URLs should identify a Teams channel, team or meeting chat.'
+            });
+        }
+    }
+
+    return recommendations;
+}
+
+/**
+ * Analyzes Email mailbox and folder scoping
+ * @param {Object} cap - Parsed Email capability
+ * @returns {Array} Array of recommendations
+ */
+function analyzeEmail(cap) {
+    const recommendations = [];
+    const scope = cap.scope || { folders: [], sharedMailbox: null, groupMailboxes: [] };
+    const smtpPattern = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
 
-        if (!response.ok) {
-            console.error('OpenAI API error:', response.status);
-            return null;
+    const mailboxes = [scope.sharedMailbox, ...scope.groupMailboxes].filter(Boolean);
+    for (const mailbox of mailboxes) {
+        if (!smtpPattern.test(mailbox)) {
+            recommendations.push({
+                severity: Severity.WARNING,
+                category: 'Capabilities',
+                title: 'Invalid Mailbox Address',
+                description: `"${mailbox}" is not a valid SMTP address.`,
+                suggestion: 'Use the primary SMTP address of the shared or group mailbox.'
+            });
         }
+    }
 
-        const data = await response.json();
-        const content = data.choices?.[0]?.message?.content;
+    if (scope.sharedMailbox) {
+        recommendations.push({
+            severity: Severity.SUGGESTION,
+            category: 'Capabilities',
+            title: 'Email Limited to Shared Mailbox',
+            description: `Only ${scope.sharedMailbox} is searched; emails in the user's own mailbox are not used.`,
+            suggestion: 'Remove "shared_mailbox" if the agent should also search the user\'s mailbox.'
+        });
+    }
+
+    if (!scope.sharedMailbox && scope.groupMailboxes.length === 0 && scope.folders.length === 0) {
+        recommendations.push({
+            severity: Severity.SUGGESTION,
+            category: 'Capabilities',
+            title: 'Email Not Scoped',
+            description: 'The agent can search every folder in the user\'s mailbox.',
+            suggestion: 'Use "folders" (e.g. Inbox, SentItems) or a shared mailbox to narrow the emails the agent reads.'
+        });
+    }
+
+    return recommendations;
+}
+
+/**
+ * Analyzes Dataverse knowledge sources
+ * @param {Object} cap - Parsed Dataverse capability
+ * @returns {Array} Array of recommendations
+ */
+function analyzeDataverse(cap) {
+    const recommendations = [];
+    const sources = cap.knowledgeSources || [];
+
+    if (sources.length === 0) {
+        recommendations.push({
+            severity: Severity.WARNING,
+            category: 'Capabilities',
+            title: 'Dataverse Has No Knowledge Sources',
+            description: 'The Dataverse capability does not define any knowledge_sources.',
+            suggestion: 'Add a knowledge source with the environment host_name, skill and the tables the agent should use.'
+        });
+        return recommendations;
+    }
+
+    sources.forEach((source, index) => {
+        const label = source.hostName || `knowledge source ${index + 1}`;
+
+        if (!source.hostName) {
+            recommendations.push({
+                severity: Severity.WARNING,
+                category: 'Capabilities',
+                title: 'Dataverse Host Missing',
+                description: `Dataverse knowledge source ${index + 1} has no host_name.`,
+                suggestion: 'Set host_name to the Dataverse environment host, e.g. contoso.crm.dynamics.com.'
+            });
+        } else if (!/\.crm\d*\.dynamics\.com$/i.test(source.hostName)) {
+            recommendations.push({
+                severity: Severity.SUGGESTION,
+                category: 'Capabilities',
+                title: 'Unusual Dataverse Host',
+                description: `"${source.hostName}" does not look like a Dataverse environment host.`,
+                suggestion: 'Use the environment host name only (no https:// or path), e.g. contoso.crm.dynamics.com.'
+            });
+        }
+
+        if (!source.skill) {
+            recommendations.push({
+                severity: Severity.WARNING,
+                category: 'Capabilities',
+                title: 'Dataverse Skill Missing',
+                description: `Dataverse source ${label} has no skill identifier.`,
+                suggestion: 'Set skill to the Copilot knowledge configuration ID from the Dataverse environment.'
+            });
+        }
 
-        if (content) {
-            return parseAIResponse(content);
+        if (source.tables.length === 0) {
+            recommendations.push({
+                severity: Severity.SUGGESTION,
+                category: 'Capabilities',
+                title: 'Dataverse Tables Not Scoped',
+                description: `Dataverse source ${label} does not list any tables.`,
+                suggestion: 'List the tables the agent needs to keep answers focused and relevant.'
+            });
         }
+    });
+
+    return recommendations;
+}
+
+/**
+ * Analyzes the People capability
+ * @param {Object} cap - Parsed People capability
+ * @returns {Array} Array of recommendations
+ */
+function analyzePeople(cap) {
+    if (cap.includeRelatedContent) {
+        return [{
+            severity: Severity.SUGGESTION,
+            category: 'Capabilities',
+            title: 'People Search Includes Related Content',
+            description: 'People results include related documents, emails and Teams messages.',
+            suggestion: 'Confirm the agent needs related content; otherwise remove include_related_content to keep answers to profile data.'
+        }];
+    }
+    return [];
+}
+
+/**
+ * Analyzes the image generation capability
+ * @param {Object} cap - Parsed image generation capability
+ * @returns {Array} Array of recommendations
+ */
+function analyzeImageGenerator(cap) {
+    if (cap.name === 'ImageGenerator') {
+        return [{
+            severity: Severity.WARNING,
+            category: 'Capabilities',
+            title: 'Unknown Capability Name',
+            description: '"ImageGenerator" is not a declarative agent capability name.',
+            suggestion: 'Use "GraphicArt" to enable image generation.'
+        }];
+    }
+    return [];
+}
+
+/**
+ * Maximum number of embedded knowledge files
+ */
+const MAX_EMBEDDED_FILES = 10;
+
+/**
+ * File types supported as embedded knowledge
+ */
+const EMBEDDED_FILE_EXTENSIONS = ['.doc', '.docx', '.ppt', '.pptx', '.xls', '.xlsx', '.txt', '.pdf'];
+
+/**
+ * Analyzes embedded knowledge files
+ * @param {Object} cap - Parsed EmbeddedKnowledge capability
+ * @returns {Array} Array of recommendations
+ */
+function analyzeEmbeddedKnowledge(cap) {
+    const recommendations = [];
+    const files = cap.files || [];
+
+    if (files.length > MAX_EMBEDDED_FILES) {
+        recommendations.push({
+            severity: Severity.CRITICAL,
+            category: 'Capabilities',
+            title: 'Too Many Embedded Files',
+            description: `${files.length} embedded knowledge files are listed; the limit is ${MAX_EMBEDDED_FILES}.`,
+            suggestion: 'Move additional documents to SharePoint and reference them with OneDriveAndSharePoint.'
+        });
+    }
+
+    for (const file of files) {
+        if (!file.exists) {
+            recommendations.push({
+                severity: Severity.CRITICAL,
+                category: 'Capabilities',
+                title: 'Embedded File Missing',
+                description: `"${file.file}" is referenced by EmbeddedKnowledge but is not in the package.`,
+                suggestion: 'Add the file to the app package or fix the relative path.'
+            });
+            continue;
+        }
+
+        const extension = file.file.substring(file.file.lastIndexOf('.')).toLowerCase();
+        if (!EMBEDDED_FILE_EXTENSIONS.includes(extension)) {
+            recommendations.push({
+                severity: Severity.WARNING,
+                category: 'Capabilities',
+                title: 'Unsupported Embedded File Type',
+                description: `"${file.file}" is not a supported embedded knowledge file type.`,
+                suggestion: `Use one of: ${EMBEDDED_FILE_EXTENSIONS.join(', ')}.`
+            });
+        }
+    }
+
+    return recommendations;
+}
+
+/**
+ * Maximum schema issues reported per file before they are summarized
+ */
+const MAX_SCHEMA_ISSUES_PER_FILE = 10;
+
+/**
+ * Display names for schema-validated document kinds
+ */
+const DOCUMENT_KIND_LABELS = {
+    [DocumentKind.MANIFEST]: 'app manifest',
+    [DocumentKind.DECLARATIVE_AGENT]: 'declarative agent',
+    [DocumentKind.PLUGIN]: 'API plugin'
+};
+
+/**
+ * Validates the package's manifest, declarative agent and plugin files
+ * against the bundled JSON schemas
+ * @returns {Promise<Array>} Array of recommendations
+ */
+async function analyzeSchemaCompliance() {
+    const recommendations = [];
+    const validatedFiles = [];
+
+    for (const [path, fileData] of getAllFiles()) {
+        if (fileData.isImage || !path.toLowerCase().endsWith('.json')) continue;
+
+        const validation = await validateDocument(fileData.content);
+        if (!validation.kind) continue;
+
+        const fileName = path.split('/').pop();
+        const kindLabel = DOCUMENT_KIND_LABELS[validation.kind];
+        validatedFiles.push(fileName);
+
+        for (const issue of validation.issues.slice(0, MAX_SCHEMA_ISSUES_PER_FILE)) {
+            const position = issue.line ? `line ${issue.line}, column ${issue.column}` : 'document';
+            const fix = issue.requiredVersion ? createSchemaVersionFix(path, issue.requiredVersion) : null;
+            recommendations.push({
+                severity: issue.severity === 'error' ? Severity.CRITICAL : Severity.WARNING,
+                category: 'Schema',
+                title: issue.severity === 'error' ? `Schema Error in ${fileName}` : `Schema Warning in ${fileName}`,
+                description: `${position}${issue.pointer ? ` (${issue.pointer})` : ''}: ${issue.message}`,
+                suggestion: issue.requiredVersion
+                    ? `Bump "$schema" and "version" to v${issue.requiredVersion}, or remove the field.`
+                    : `Update the file to match the ${kindLabel} schema v${validation.schemaVersion}.`,
+                location: {
+                    file: path,
+                    pointer: issue.pointer,
+                    line: issue.line,
+                    column: issue.column
+                },
+                ruleId: issue.severity === 'error' ? 'schema/error' : 'schema/warning',
+                ...(fix ? { fix } : {})
+            });
+        }
+
+        const remaining = validation.issues.length - MAX_SCHEMA_ISSUES_PER_FILE;
+        if (remaining > 0) {
+            recommendations.push({
+                severity: Severity.WARNING,
+                category: 'Schema',
+                title: `More Schema Issues in ${fileName}`,
+                description: `${remaining} additional schema issue(s) were found in ${fileName}.`,
+                suggestion: 'Open the file in the editor to see every issue marked inline.',
+                ruleId: 'schema/more-issues'
+            });
+        }
+    }
+
+    if (validatedFiles.length > 0 && recommendations.length === 0) {
+        recommendations.push({
+            severity: Severity.SUCCESS,
+            category: 'Schema',
+            title: 'Schema Validation Passed',
+            description: `${validatedFiles.join(', ')} ${validatedFiles.length === 1 ? 'matches' : 'match'} the official schemas.`
+        });
+    }
+
+    return recommendations;
+}
+
+/**
+ * Performs AI-powered analysis using the configured AI provider
+ * @param {Object} agentInfo - The parsed agent information
+ * @returns {Promise<Array|null>} Array of recommendations or null
+ */
+async function performAIAnalysis(agentInfo) {
+    if (!isLlmConfigured()) {
+        return null;
+    }
+
+    try {
+        const result = await requestCompletion({
+            system: getSystemPrompt(),
+            prompt: buildAnalysisPrompt(agentInfo),
+            schema: AI_RECOMMENDATIONS_SCHEMA,
+            schemaName: 'agent_recommendations'
+        });
+        return parseAIResponse(result);
     } catch (error) {
         console.error('AI analysis error:', error);
     }
@@ -357,6 +963,28 @@ async function performAIAnalysis(agentInfo) {
     return null;
 }
 
+/**
+ * Asks the model for improved instructions that follow the same guidance as the analysis
+ * @param {Object} agentInfo - The parsed agent information
+ * @returns {Promise<string>} The rewritten instructions
+ * @throws {Error} If AI is not configured or the request fails
+ */
+export async function rewriteInstructions(agentInfo) {
+    const result = await requestCompletion({
+        system: getRewriteSystemPrompt(),
+        prompt: buildAnalysisPrompt(agentInfo),
+        schema: AI_INSTRUCTIONS_SCHEMA,
+        schemaName: 'rewritten_instructions'
+    });
+
+    const rewritten = String(result?.instructions || '').trim();
+    if (!rewritten) {
+        throw new Error('The model returned no instructions.');
+    }
+
+    return rewritten;
+}
+
 /**
  * Gets the system prompt for AI analysis
  * @returns {string} System prompt
@@ -367,14 +995,7 @@ function getSystemPrompt() {
 - Microsoft Copilot Studio Generative Mode Guidance
 - Microsoft Copilot Studio Authoring Instructions
 
-Return your analysis as a JSON array of recommendation objects with this structure:
-{
-    "severity": "critical|warning|suggestion",
-    "category": "Category Name",
-    "title": "Short Title",
-    "description": "Detailed description of the issue",
-    "suggestion": "Specific actionable recommendation"
-}
+Return each recommendation with a severity (critical, warning or suggestion), a category name, a short title, a detailed description of the issue and a specific actionable suggestion.
 
 Focus on:
 1. Instructions clarity and completeness
@@ -383,6 +1004,30 @@ Focus on:
 4. Overall agent design best practices`;
 }
 
+/**
+ * Gets the system prompt for rewriting instructions
+ * @returns {string} System prompt
+ */
+function getRewriteSystemPrompt() {
+    const { maxLength } = getRuleOptions('instructions/length');
+
+    return `You are an expert in Microsoft 365 Copilot agent development. Rewrite the instructions of the provided agent following best practices from:
+- Microsoft Declarative Agent Instructions Guide
+- Microsoft Copilot Studio Generative Mode Guidance
+- Microsoft Copilot Studio Authoring Instructions
+
+The rewritten instructions should:
+1. Define the agent's role
+2. State the scope: what the agent does and does not handle
+3. Specify the response format
+4. List restrictions, using specific and actionable language instead of vague phrases
+5. Include short examples
+6. Keep the intent, terminology and details of the current instructions, and use the agent's capabilities and conversation starters as context
+7. Stay under ${maxLength} characters
+
+Return the rewritten instructions as plain text, without a preamble.`;
+}
+
 /**
  * Builds the analysis prompt for AI
  * @param {Object} agentInfo - The parsed agent information
@@ -403,35 +1048,28 @@ ${JSON.stringify(agentInfo.conversationStarters || [], null, 2)}
 
 Capabilities: ${agentInfo.capabilities?.map(c => c.type).join(', ') || 'None'}
 
-Please analyze and provide recommendations in JSON format.`;
+Please analyze and provide recommendations.`;
 }
 
 /**
- * Parses the AI response into recommendation objects
- * @param {string} content - The AI response content
+ * Converts the structured AI result into recommendation objects
+ * @param {Object} result - Result matching AI_RECOMMENDATIONS_SCHEMA
  * @returns {Array} Array of recommendations
  */
-function parseAIResponse(content) {
-    try {
-        // Try to extract JSON from the response
-        const jsonMatch = content.match(/\[[\s\S]*\]/);
-        if (jsonMatch) {
-            const recommendations = JSON.parse(jsonMatch[0]);
-            // Validate and normalize recommendations
-            return recommendations.map(r => ({
-                severity: r.severity || Severity.SUGGESTION,
-                category: r.category || 'AI Analysis',
-                title: r.title || 'Recommendation',
-                description: r.description || '',
-                suggestion: r.suggestion || '',
-                source: 'AI'
-            }));
-        }
-    } catch (error) {
-        console.error('Error parsing AI response:', error);
-    }
+function parseAIResponse(result) {
+    const recommendations = Array.isArray(result?.recommendations) ? result.recommendations : [];
+    const severities = [Severity.CRITICAL, Severity.WARNING, Severity.SUGGESTION];
 
-    return [];
+    // Providers without strict structured outputs may still return partial objects
+    return recommendations.map(r => ({
+        severity: severities.includes(r.severity) ? r.severity : Severity.SUGGESTION,
+        category: r.category || 'AI Analysis',
+        title: r.title || 'Recommendation',
+        description: r.description || '',
+        suggestion: r.suggestion || '',
+        source: 'AI',
+        ruleId: 'ai/recommendation'
+    }));
 }
 
 /**
@@ -439,17 +1077,21 @@ function parseAIResponse(content) {
  * @param {Array} recommendations - Array of recommendations
  * @returns {Object} Summary object
  */
-function generateSummary(recommendations) {
+export function generateSummary(recommendations) {
     const counts = {
         critical: 0,
         warning: 0,
         suggestion: 0,
         success: 0,
+        suppressed: 0,
         total: recommendations.length
     };
 
     for (const rec of recommendations) {
-        if (counts[rec.severity] !== undefined) {
+        // Suppressed findings are counted but do not affect the status
+        if (rec.suppressed) {
+            counts.suppressed++;
+        } else if (counts[rec.severity] !== undefined) {
             counts[rec.severity]++;
         }
     }
@@ -490,10 +1132,9 @@ function getSummaryMessage(status, counts) {
 }
 
 /**
- * Updates the OpenAI API key at runtime
+ * Updates the AI provider's API key for this session
  * @param {string} apiKey - The new API key
  */
 export function setApiKey(apiKey) {
-    const config = getOpenAIConfig();
-    config.apiKey = apiKey;
+    configureLlm({ apiKey });
 }
@@ -7,6 +7,107 @@ import { getAnalysisConfig } from '../config.js';
 import { Severity } from './analysis-service.js';
 import { getAllFiles, getFileContent } from './zip-service.js';
 import { parseJsonFile, findAllFiles } from './file-service.js';
+import { parseDocumentWithPointers, isYamlPath } from '../utils/yaml-source-map.js';
+import { getPointerLocation, escapePointerSegment } from '../utils/json-source-map.js';
+import { createRefContext, resolveRef, walkSchema } from '../utils/openapi-refs.js';
+import { analyzePluginManifest, PLUGIN_MANIFEST_RULES } from './plugin-analyzer.js';
+import { registerRules, getRuleOptions } from './rule-registry.js';
+import { createOperationIdFix } from './quick-fix-service.js';
+import { DOCS_BASE_URL } from '../utils/analyzer-text.js';
+
+/**
+ * HTTP methods whose operations change data and should ask the user first
+ */
+const CONSEQUENTIAL_METHODS = ['post', 'put', 'patch', 'delete'];
+
+/**
+ * Schema keywords Copilot cannot use when filling in request parameters
+ */
+const UNSUPPORTED_SCHEMA_KEYWORDS = ['oneOf', 'anyOf', 'allOf'];
+
+/**
+ * Recommendations raised from OpenAPI issues, by issue type; options holds the
+ * defaults of rules with limits
+ */
+const API_PLUGIN_RULES = {
+    broken_ref: {
+        severity: Severity.CRITICAL,
+        title: 'Broken $ref',
+        suggestion: 'Point each $ref at an existing definition in the same file or another file in the package. Remote $refs must be bundled into the package.'
+    },
+    circular_ref: {
+        severity: Severity.WARNING,
+        title: 'Circular $ref',
+        suggestion: 'Break the cycle or flatten the recursive schema; Copilot cannot expand schemas that refer back to themselves.'
+    },
+    unsupported_schema: {
+        severity: Severity.WARNING,
+        title: 'Unsupported Schema Constructs',
+        suggestion: 'Replace oneOf, anyOf and allOf in request parameters and bodies with a single flat schema.'
+    },
+    too_many_operations: {
+        severity: Severity.WARNING,
+        title: 'Too Many Operations',
+        suggestion: 'Split the API into several plugins, or expose only the operations Copilot needs.',
+        options: () => ({ maxOperations: getAnalysisConfig().apiPlugins.maxOperations })
+    },
+    large_response_schema: {
+        severity: Severity.WARNING,
+        title: 'Large Response Schema',
+        suggestion: 'Trim responses to the fields Copilot needs; large or deeply nested responses are truncated and slow down answers.',
+        options: () => ({
+            maxProperties: getAnalysisConfig().apiPlugins.maxResponseSchemaProperties,
+            maxDepth: getAnalysisConfig().apiPlugins.maxSchemaDepth
+        })
+    },
+    unsupported_auth: {
+        severity: Severity.CRITICAL,
+        title: 'Unsupported Authentication',
+        suggestion: 'API plugins support no auth, API keys in a header or query, HTTP bearer tokens and OAuth 2.0 authorization code.'
+    },
+    missing_operation_id: {
+        severity: Severity.WARNING,
+        title: 'Missing operationId',
+        suggestion: 'Give every operation a unique operationId; plugin functions refer to operations by their operationId.'
+    },
+    missing_confirmation: {
+        severity: Severity.SUGGESTION,
+        title: 'Confirm Operations That Change Data',
+        suggestion: 'Set x-openai-isConsequential: true so Copilot always asks before calling the operation, or false if it is safe to call without asking.'
+    }
+};
+
+/**
+ * Docs for the OpenAPI and plugin manifest rules
+ */
+const OPENAPI_DOCS_URL = `${DOCS_BASE_URL}openapi-document-guidance`;
+const PLUGIN_MANIFEST_DOCS_URL = `${DOCS_BASE_URL}api-plugin-manifest-2.2`;
+
+registerRules([
+    ...Object.entries(API_PLUGIN_RULES).map(([type, rule]) => createApiRule(type, rule, OPENAPI_DOCS_URL)),
+    ...Object.entries(PLUGIN_MANIFEST_RULES).map(([type, rule]) => createApiRule(type, rule, PLUGIN_MANIFEST_DOCS_URL)),
+    {
+        id: 'copilot-connectors/too-many-connectors',
+        severity: Severity.WARNING,
+        category: 'Copilot Connectors',
+        title: 'Too Many Connectors',
+        description: 'The agent uses at most maxConnectors Copilot connectors.',
+        docs: DOCS_BASE_URL + 'knowledge-sources',
+        options: () => ({ maxConnectors: getAnalysisConfig().connectors.maxRecommendedCount })
+    },
+    {
+        id: 'copilot-connectors/improve-connector-descriptions',
+        severity: Severity.SUGGESTION,
+        category: 'Copilot Connectors',
+        title: 'Improve Connector Descriptions',
+        description: 'Connector descriptions are between minLength and maxLength characters long.',
+        docs: DOCS_BASE_URL + 'knowledge-sources',
+        options: () => ({
+            minLength: getAnalysisConfig().connectors.minDescriptionLength,
+            maxLength: getAnalysisConfig().connectors.maxDescriptionLength
+        })
+    }
+]);
 
 /**
  * Analyzes Copilot (Graph) Connectors
@@ -25,7 +126,10 @@ export function analyzeCopilotConnectors(connectors) {
         }
     };
 
-    const config = getAnalysisConfig();
+    const config = {
+        ...getRuleOptions('copilot-connectors/improve-connector-descriptions'),
+        ...getRuleOptions('copilot-connectors/too-many-connectors')
+    };
 
     for (const connector of connectors) {
         const connectorResult = analyzeConnector(connector, config);
@@ -51,7 +155,7 @@ export function analyzeCopilotConnectors(connectors) {
 /**
  * Analyzes a single connector
  * @param {Object} connector - The connector configuration
- * @param {Object} config - Analysis configuration
+ * @param {Object} config - { minLength, maxLength, maxConnectors } from the connector rules
  * @returns {Object} Connector analysis result
  */
 function analyzeConnector(connector, config) {
@@ -62,8 +166,7 @@ function analyzeConnector(connector, config) {
         issues: []
     };
 
-    const minLength = config.connectors.minDescriptionLength;
-    const maxLength = config.connectors.maxDescriptionLength;
+    const { minLength, maxLength } = config;
 
     // Check for missing description
     if (!connector.description) {
@@ -110,13 +213,13 @@ function analyzeConnector(connector, config) {
 /**
  * Generates recommendations for connectors
  * @param {Object} results - Analysis results
- * @param {Object} config - Analysis configuration
+ * @param {Object} config - { minLength, maxLength, maxConnectors } from the connector rules
  * @returns {Array} Array of recommendations
  */
 function generateConnectorRecommendations(results, config) {
     const recommendations = [];
     const { totalConnectors, withoutDescriptions } = results.summary;
-    const maxRecommended = config.connectors.maxRecommendedCount;
+    const maxRecommended = config.maxConnectors;
 
     // Too many connectors
     if (totalConnectors > maxRecommended) {
@@ -125,7 +228,8 @@ function generateConnectorRecommendations(results, config) {
             category: 'Copilot Connectors',
             title: 'Too Many Connectors',
             description: `Your agent uses ${totalConnectors} connectors (recommended maximum: ${maxRecommended}).`,
-            suggestion: 'Consider reducing the number of connectors or splitting functionality into child agents for better performance and accuracy.'
+            suggestion: 'Consider reducing the number of connectors or splitting functionality into child agents for better performance and accuracy.',
+            ruleId: 'copilot-connectors/too-many-connectors'
         });
     }
 
@@ -155,7 +259,8 @@ function generateConnectorRecommendations(results, config) {
             category: 'Copilot Connectors',
             title: 'Improve Connector Descriptions',
             description: `${shortDescConnectors.length} connector(s) have brief descriptions that could be expanded.`,
-            suggestion: 'Expand descriptions to clearly explain what data each connector provides and when it should be used.'
+            suggestion: 'Expand descriptions to clearly explain what data each connector provides and when it should be used.',
+            ruleId: 'copilot-connectors/improve-connector-descriptions'
         });
     }
 
@@ -235,29 +340,40 @@ function analyzeApiFile(path) {
         return result;
     }
 
-    // Try to parse JSON
+    // Parse JSON or YAML, keeping the position of syntax errors
+    const format = isYamlPath(path) ? 'YAML' : 'JSON';
     let parsed;
+    let pointers;
     try {
-        parsed = JSON.parse(content.content);
-        result.isValid = true;
+        ({ data: parsed, pointers } = parseDocumentWithPointers(content.content, path));
     } catch (error) {
         result.issues.push({
-            type: 'invalid_json',
-            message: `Invalid JSON: ${error.message}`,
-            line: extractLineNumber(error.message)
+            type: format === 'YAML' ? 'invalid_yaml' : 'invalid_json',
+            message: `Invalid ${format}: ${error.message}`,
+            line: error.line || extractLineNumber(error.message),
+            column: error.column || null
         });
         return result;
     }
 
+    if (!parsed || typeof parsed !== 'object') {
+        result.issues.push({
+            type: 'unknown_format',
+            message: `File is not a ${format} object`
+        });
+        return result;
+    }
+    result.isValid = true;
+
     // Determine API type
     if (parsed.openapi) {
         result.type = 'OpenAPI';
         result.version = parsed.openapi;
-        analyzeOpenApiSpec(parsed, result);
+        analyzeOpenApiSpec(parsed, result, createRefContext(path, parsed, loadRefDocument));
     } else if (parsed.swagger) {
         result.type = 'Swagger';
         result.version = parsed.swagger;
-        analyzeOpenApiSpec(parsed, result);
+        analyzeOpenApiSpec(parsed, result, createRefContext(path, parsed, loadRefDocument));
     } else if (parsed.schema_version || parsed.functions) {
         result.type = 'Plugin';
         result.version = parsed.schema_version || 'unknown';
@@ -266,19 +382,59 @@ function analyzeApiFile(path) {
         result.type = 'Unknown';
         result.issues.push({
             type: 'unknown_format',
-            message: 'File is valid JSON but not a recognized API format'
+            message: `File is valid ${format} but not a recognized API format`
         });
     }
 
+    addIssuePositions(result, pointers);
     return result;
 }
 
+/**
+ * Loads another package document that a $ref points at
+ * @param {string} path - Package path of the document
+ * @returns {*} Parsed document, or null if it is missing or invalid
+ */
+function loadRefDocument(path) {
+    const content = getFileContent(path);
+    if (!content) return null;
+
+    try {
+        return parseDocumentWithPointers(content.content, path).data;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Adds line and column to the file and operation issues that carry a pointer
+ * @param {Object} result - File analysis result
+ * @param {Object} pointers - Pointer map of the file
+ */
+function addIssuePositions(result, pointers) {
+    const issues = [...result.issues, ...result.operations.flatMap(op => op.issues)];
+
+    for (const issue of issues.filter(i => i.pointer !== undefined && !i.line)) {
+        const position = getPointerLocation(pointers, issue.pointer);
+        if (position) {
+            issue.line = position.line;
+            issue.column = position.column;
+        }
+    }
+}
+
 /**
  * Analyzes an OpenAPI specification
  * @param {Object} spec - The OpenAPI specification
  * @param {Object} result - The result object to update
+ * @param {Object} refs - Reference context for resolving $refs
  */
-function analyzeOpenApiSpec(spec, result) {
+function analyzeOpenApiSpec(spec, result, refs) {
+    const config = {
+        ...getRuleOptions('api-plugins/too-many-operations'),
+        ...getRuleOptions('api-plugins/large-response-schema')
+    };
+
     // Check for info section
     if (!spec.info) {
         result.issues.push({
@@ -304,15 +460,39 @@ function analyzeOpenApiSpec(spec, result) {
 
     // Analyze paths/operations
     if (spec.paths) {
-        for (const [path, methods] of Object.entries(spec.paths)) {
+        for (const [path, pathItem] of Object.entries(spec.paths)) {
+            const pointer = `/paths/${escapePointerSegment(path)}`;
+            const resolved = resolveRef(refs, pathItem);
+            if (resolved.error) {
+                result.issues.push(createRefIssue(resolved.error, `Path "${path}"`, pointer));
+                continue;
+            }
+            if (!resolved.value || typeof resolved.value !== 'object') continue;
+
+            const methods = resolved.value;
             for (const [method, operation] of Object.entries(methods)) {
-                if (['get', 'post', 'put', 'patch', 'delete'].includes(method.toLowerCase())) {
-                    const opResult = analyzeOperation(path, method, operation);
+                if (['get', 'post', 'put', 'patch', 'delete'].includes(method.toLowerCase()) && operation && typeof operation === 'object') {
+                    const opResult = analyzeOperation(path, method, operation, {
+                        refs,
+                        config,
+                        pathParameters: Array.isArray(methods.parameters) ? methods.parameters : [],
+                        pointer: `${pointer}/${method}`
+                    });
                     result.operations.push(opResult);
                 }
             }
         }
     }
+
+    if (result.operations.length > config.maxOperations) {
+        result.issues.push({
+            type: 'too_many_operations',
+            message: `${result.operations.length} operations; Copilot works best with at most ${config.maxOperations} per plugin`,
+            pointer: '/paths'
+        });
+    }
+
+    analyzeSecuritySchemes(spec, result, refs);
 }
 
 /**
@@ -320,9 +500,10 @@ function analyzeOpenApiSpec(spec, result) {
  * @param {string} path - The endpoint path
  * @param {string} method - The HTTP method
  * @param {Object} operation - The operation definition
+ * @param {Object} context - { refs, config, pathParameters, pointer } for the operation
  * @returns {Object} Operation analysis result
  */
-function analyzeOperation(path, method, operation) {
+function analyzeOperation(path, method, operation, context) {
     const result = {
         path: path,
         method: method.toUpperCase(),
@@ -332,6 +513,7 @@ function analyzeOperation(path, method, operation) {
         issues: [],
         parameters: []
     };
+    const label = `${result.method} ${path}`;
 
     // Check for description
     if (!operation.description && !operation.summary) {
@@ -345,36 +527,64 @@ function analyzeOperation(path, method, operation) {
     if (!operation.operationId) {
         result.issues.push({
             type: 'missing_operation_id',
-            message: 'Operation is missing an operationId'
+            message: `${label} is missing an operationId`,
+            pointer: context.pointer
         });
     }
 
-    // Analyze parameters
-    if (operation.parameters) {
-        for (const param of operation.parameters) {
-            const paramResult = {
-                name: param.name,
-                in: param.in,
-                hasDescription: !!param.description,
-                required: param.required || false
-            };
+    // Analyze parameters, following $refs into components and other package files
+    for (const { param, docPath, pointer } of resolveParameters(context, operation, result, label)) {
+        const paramResult = {
+            name: param.name,
+            in: param.in,
+            hasDescription: !!param.description,
+            required: param.required || false
+        };
 
-            if (!param.description) {
+        if (!param.description) {
+            result.issues.push({
+                type: 'missing_param_description',
+                message: `Parameter "${param.name}" is missing a description`
+            });
+        }
+
+        const schema = param.schema || Object.values(param.content || {})[0]?.schema;
+        if (schema) {
+            checkRequestSchema(context.refs, schema, docPath, result, `${label}: parameter "${param.name}"`, pointer);
+        }
+
+        result.parameters.push(paramResult);
+    }
+
+    // Check request body
+    if (operation.requestBody) {
+        const pointer = `${context.pointer}/requestBody`;
+        const body = resolveRef(context.refs, operation.requestBody);
+        if (body.error) {
+            result.issues.push(createRefIssue(body.error, `${label}: request body`, pointer));
+        } else if (body.value && typeof body.value === 'object') {
+            if (!body.value.description) {
                 result.issues.push({
-                    type: 'missing_param_description',
-                    message: `Parameter "${param.name}" is missing a description`
+                    type: 'missing_body_description',
+                    message: 'Request body is missing a description'
                 });
             }
-
-            result.parameters.push(paramResult);
+            for (const media of Object.values(body.value.content || {})) {
+                if (media?.schema) {
+                    checkRequestSchema(context.refs, media.schema, body.docPath, result, `${label}: request body`, pointer);
+                }
+            }
         }
     }
 
-    // Check request body
-    if (operation.requestBody && !operation.requestBody.description) {
+    checkResponseSchema(context, operation, result, label);
+
+    // Operations that change data should say whether Copilot must confirm them first
+    if (CONSEQUENTIAL_METHODS.includes(method.toLowerCase()) && operation['x-openai-isConsequential'] === undefined) {
         result.issues.push({
-            type: 'missing_body_description',
-            message: 'Request body is missing a description'
+            type: 'missing_confirmation',
+            message: `${label} changes data but does not set x-openai-isConsequential`,
+            pointer: context.pointer
         });
     }
 
@@ -382,53 +592,194 @@ function analyzeOperation(path, method, operation) {
 }
 
 /**
- * Analyzes a plugin manifest
- * @param {Object} manifest - The plugin manifest
- * @param {Object} result - The result object to update
+ * Resolves the path-level and operation-level parameters of an operation.
+ * Operation parameters override path parameters with the same name and location.
+ * @param {Object} context - Operation context from analyzeOpenApiSpec
+ * @param {Object} operation - The operation definition
+ * @param {Object} result - Operation result that collects $ref issues
+ * @param {string} label - "METHOD /path" used in messages
+ * @returns {Array} Array of { param, docPath, pointer }
  */
-function analyzePluginManifest(manifest, result) {
-    // Check for functions
-    if (manifest.functions) {
-        for (const func of manifest.functions) {
-            const funcResult = {
-                path: func.name || 'unknown',
-                method: 'FUNCTION',
-                operationId: func.name || 'unknown',
-                hasDescription: !!func.description,
-                description: func.description || '',
-                issues: [],
-                parameters: []
-            };
-
-            if (!func.description) {
-                funcResult.issues.push({
-                    type: 'missing_description',
-                    message: 'Function is missing a description'
-                });
+function resolveParameters(context, operation, result, label) {
+    const parameters = new Map();
+    const sources = [
+        { list: context.pathParameters, pointer: context.pointer.substring(0, context.pointer.lastIndexOf('/')) },
+        { list: Array.isArray(operation.parameters) ? operation.parameters : [], pointer: context.pointer }
+    ];
+
+    for (const source of sources) {
+        source.list.forEach((node, index) => {
+            const pointer = `${source.pointer}/parameters/${index}`;
+            const resolved = resolveRef(context.refs, node);
+            if (resolved.error) {
+                result.issues.push(createRefIssue(resolved.error, `${label}: parameter #${index + 1}`, pointer));
+                return;
             }
+            if (!resolved.value || typeof resolved.value !== 'object') return;
 
-            // Check parameters
-            if (func.parameters?.properties) {
-                for (const [name, param] of Object.entries(func.parameters.properties)) {
-                    const paramResult = {
-                        name: name,
-                        hasDescription: !!param.description,
-                        required: func.parameters.required?.includes(name) || false
-                    };
-
-                    if (!param.description) {
-                        funcResult.issues.push({
-                            type: 'missing_param_description',
-                            message: `Parameter "${name}" is missing a description`
-                        });
-                    }
-
-                    funcResult.parameters.push(paramResult);
-                }
-            }
+            const param = resolved.value;
+            parameters.set(`${param.in}:${param.name}`, { param, docPath: resolved.docPath, pointer });
+        });
+    }
+
+    return [...parameters.values()];
+}
+
+/**
+ * Checks a request schema for $ref problems and constructs Copilot cannot fill in
+ * @param {Object} refs - Reference context
+ * @param {Object} schema - The schema (or a { $ref } to it)
+ * @param {string} docPath - Package path of the document that holds the schema
+ * @param {Object} result - Operation result to add issues to
+ * @param {string} label - What the schema belongs to, used in messages
+ * @param {string} pointer - Pointer to report the issues at
+ */
+function checkRequestSchema(refs, schema, docPath, result, label, pointer) {
+    const unsupported = new Set();
+    const walk = walkSchema(refs, schema, node => {
+        UNSUPPORTED_SCHEMA_KEYWORDS.filter(keyword => Array.isArray(node[keyword])).forEach(keyword => unsupported.add(keyword));
+    }, docPath);
+
+    addWalkIssues(walk, result, label, pointer);
 
-            result.operations.push(funcResult);
+    if (unsupported.size > 0) {
+        result.issues.push({
+            type: 'unsupported_schema',
+            message: `${label} uses ${[...unsupported].join(', ')}`,
+            pointer
+        });
+    }
+}
+
+/**
+ * Checks the size and depth of the schema of an operation's success response
+ * @param {Object} context - Operation context from analyzeOpenApiSpec
+ * @param {Object} operation - The operation definition
+ * @param {Object} result - Operation result to add issues to
+ * @param {string} label - "METHOD /path" used in messages
+ */
+function checkResponseSchema(context, operation, result, label) {
+    const status = Object.keys(operation.responses || {}).find(code => /^2(\d\d|XX)$/i.test(code));
+    if (!status) return;
+
+    const pointer = `${context.pointer}/responses/${status}`;
+    const response = resolveRef(context.refs, operation.responses[status]);
+    if (response.error) {
+        result.issues.push(createRefIssue(response.error, `${label}: response ${status}`, pointer));
+        return;
+    }
+
+    // OpenAPI 3 nests the schema under a media type; Swagger 2 puts it on the response
+    const content = response.value?.content;
+    const schema = content
+        ? (content['application/json'] || Object.values(content)[0])?.schema
+        : response.value?.schema;
+    if (!schema) return;
+
+    let properties = 0;
+    let depth = 0;
+    const walk = walkSchema(context.refs, schema, (node, position) => {
+        properties += Object.keys(node.properties || {}).length;
+        depth = Math.max(depth, position.depth);
+    }, response.docPath);
+
+    addWalkIssues(walk, result, `${label}: response ${status}`, pointer);
+
+    const { maxProperties, maxDepth } = context.config;
+    if (properties > maxProperties || depth > maxDepth) {
+        result.issues.push({
+            type: 'large_response_schema',
+            message: `${label}: response ${status} schema has ${properties} properties nested ${depth} levels deep (limits: ${maxProperties} properties, ${maxDepth} levels)`,
+            pointer
+        });
+    }
+}
+
+/**
+ * Turns the $ref problems found while walking a schema into issues
+ * @param {Object} walk - { errors, cycles } from walkSchema
+ * @param {Object} result - Operation result to add issues to
+ * @param {string} label - What the schema belongs to, used in messages
+ * @param {string} pointer - Pointer to report the issues at
+ */
+function addWalkIssues(walk, result, label, pointer) {
+    for (const error of walk.errors) {
+        result.issues.push(createRefIssue(error, label, pointer));
+    }
+    for (const cycle of new Set(walk.cycles)) {
+        result.issues.push({ type: 'circular_ref', message: `${label}: ${cycle}`, pointer });
+    }
+}
+
+/**
+ * Creates the issue for a $ref that could not be resolved
+ * @param {string} error - Error from resolveRef
+ * @param {string} label - What holds the $ref, used in the message
+ * @param {string} pointer - Pointer to the $ref
+ * @returns {Object} Issue
+ */
+function createRefIssue(error, label, pointer) {
+    return {
+        type: error.startsWith('Circular') ? 'circular_ref' : 'broken_ref',
+        message: `${label}: ${error}`,
+        pointer
+    };
+}
+
+/**
+ * Checks that security schemes use authentication types API plugins support:
+ * none, API key in a header or query, HTTP bearer, and OAuth 2.0 authorization code
+ * @param {Object} spec - The OpenAPI specification
+ * @param {Object} result - File analysis result to add issues to
+ * @param {Object} refs - Reference context
+ */
+function analyzeSecuritySchemes(spec, result, refs) {
+    const isSwagger = !!spec.swagger;
+    const schemes = (isSwagger ? spec.securityDefinitions : spec.components?.securitySchemes) || {};
+    const basePointer = isSwagger ? '/securityDefinitions' : '/components/securitySchemes';
+
+    for (const [name, node] of Object.entries(schemes)) {
+        const pointer = `${basePointer}/${escapePointerSegment(name)}`;
+        const resolved = resolveRef(refs, node);
+        if (resolved.error) {
+            result.issues.push(createRefIssue(resolved.error, `Security scheme "${name}"`, pointer));
+            continue;
+        }
+
+        const problem = getUnsupportedAuth(resolved.value || {}, isSwagger);
+        if (problem) {
+            result.issues.push({
+                type: 'unsupported_auth',
+                message: `Security scheme "${name}" uses ${problem}`,
+                pointer
+            });
+        }
+    }
+}
+
+/**
+ * Describes why a security scheme is not supported by API plugins
+ * @param {Object} scheme - Resolved security scheme
+ * @param {boolean} isSwagger - Whether the scheme comes from a Swagger 2 document
+ * @returns {string|null} Description of the unsupported part, or null if supported
+ */
+function getUnsupportedAuth(scheme, isSwagger) {
+    switch (scheme.type) {
+        case 'apiKey':
+            return scheme.in === 'cookie' ? 'an API key in a cookie' : null;
+        case 'http':
+            return (scheme.scheme || '').toLowerCase() === 'bearer' ? null : `HTTP ${scheme.scheme || 'unknown'} authentication`;
+        case 'basic':
+            return 'HTTP basic authentication';
+        case 'oauth2': {
+            const flows = isSwagger ? [scheme.flow] : Object.keys(scheme.flows || {});
+            const unsupported = flows.filter(flow => flow !== 'authorizationCode' && flow !== 'accessCode');
+            return unsupported.length > 0 ? `the OAuth 2.0 ${unsupported.join(', ')} flow` : null;
         }
+        case 'openIdConnect':
+            return 'OpenID Connect discovery';
+        default:
+            return scheme.type ? `the unknown type "${scheme.type}"` : null;
     }
 }
 
@@ -445,14 +796,17 @@ function generateApiRecommendations(results) {
     if (invalidFiles > 0) {
         const invalidFileNames = results.files
             .filter(f => !f.isValid)
-            .map(f => f.fileName);
+            .map(f => {
+                const line = f.issues.find(issue => issue.line)?.line;
+                return line ? `${f.fileName} (line ${line})` : f.fileName;
+            });
 
         recommendations.push({
             severity: Severity.CRITICAL,
             category: 'API Connectors',
             title: 'Invalid API Files',
-            description: `${invalidFiles} file(s) contain invalid JSON: ${invalidFileNames.join(', ')}`,
-            suggestion: 'Fix JSON syntax errors before deployment.'
+            description: `${invalidFiles} file(s) contain syntax errors: ${invalidFileNames.join(', ')}`,
+            suggestion: 'Fix JSON or YAML syntax errors before deployment.'
         });
     }
 
@@ -485,6 +839,33 @@ function generateApiRecommendations(results) {
         });
     }
 
+    // $ref resolution, Copilot API plugin limits and plugin manifest checks
+    for (const [type, rule] of Object.entries({ ...API_PLUGIN_RULES, ...PLUGIN_MANIFEST_RULES })) {
+        const issues = collectIssues(results, type);
+        if (issues.length === 0) continue;
+
+        const examples = issues.slice(0, 3).map(({ file, issue }) => `${file.fileName}: ${issue.message}`);
+        const more = issues.length > examples.length ? ` (and ${issues.length - examples.length} more)` : '';
+        const first = issues[0];
+        const fix = createApiFix(type, issues);
+
+        recommendations.push({
+            severity: rule.severity,
+            category: 'API Connectors',
+            title: rule.title,
+            description: `${examples.join('; ')}${more}.`,
+            suggestion: rule.suggestion,
+            location: {
+                file: first.file.path,
+                pointer: first.issue.pointer,
+                line: first.issue.line,
+                column: first.issue.column
+            },
+            ruleId: getApiRuleId(type),
+            ...(fix ? { fix } : {})
+        });
+    }
+
     // Check for examples
     recommendations.push({
         severity: Severity.SUGGESTION,
@@ -507,6 +888,37 @@ function generateApiRecommendations(results) {
     return recommendations;
 }
 
+/**
+ * Collects the file and operation issues of one type across all API files
+ * @param {Object} results - Analysis results
+ * @param {string} type - Issue type
+ * @returns {Array} Array of { file, issue }
+ */
+function collectIssues(results, type) {
+    const collected = [];
+
+    for (const file of results.files) {
+        const issues = [...file.issues, ...file.operations.flatMap(op => op.issues)];
+        issues.filter(issue => issue.type === type).forEach(issue => collected.push({ file, issue }));
+    }
+
+    return collected;
+}
+
+/**
+ * Creates the quick fix for the issues of one type, if the type has one
+ * @param {string} type - Issue type
+ * @param {Array} issues - Array of { file, issue } from collectIssues
+ * @returns {Object|null} Fix for the first file with the issues
+ */
+function createApiFix(type, issues) {
+    if (type !== 'missing_operation_id') return null;
+
+    const file = issues[0].file;
+    const pointers = issues.filter(entry => entry.file === file).map(({ issue }) => issue.pointer);
+    return createOperationIdFix(file.path, pointers);
+}
+
 /**
  * Extracts line number from error message
  * @param {string} message - Error message
@@ -516,3 +928,31 @@ function extractLineNumber(message) {
     const match = message.match(/line (\d+)/i);
     return match ? parseInt(match[1], 10) : null;
 }
+
+/**
+ * Creates the registry entry of an OpenAPI or plugin manifest rule
+ * @param {string} type - Issue type, such as broken_ref
+ * @param {Object} rule - Rule from API_PLUGIN_RULES or PLUGIN_MANIFEST_RULES
+ * @param {string} docs - Docs URL
+ * @returns {Object} Rule for registerRules
+ */
+function createApiRule(type, rule, docs) {
+    return {
+        id: getApiRuleId(type),
+        severity: rule.severity,
+        category: 'API Connectors',
+        title: rule.title,
+        description: rule.suggestion,
+        docs,
+        ...(rule.options ? { options: rule.options } : {})
+    };
+}
+
+/**
+ * Gets the rule ID of an OpenAPI or plugin manifest issue type
+ * @param {string} type - Issue type, such as broken_ref
+ * @returns {string} Rule ID, such as api-plugins/broken-ref
+ */
+function getApiRuleId(type) {
+    return `api-plugins/${type.replace(/_/g, '-')}`;
+}
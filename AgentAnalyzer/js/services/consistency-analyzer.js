@@ -0,0 +1,313 @@
+/**
+ * Consistency Analyzer Service for AgentAnalyzer
+ * Cross-checks instructions and conversation starters against the agent's
+ * capabilities and actions, with heuristics and an optional AI review
+ */
+
+import { Severity } from './severity.js';
+import { registerRules, getRuleOptions, compileRulePattern, checkPattern } from './rule-registry.js';
+import { resolveActions } from './action-resolver.js';
+import { getDeclarativeAgentPath } from './agent-parser.js';
+import { createCapabilityFix } from './quick-fix-service.js';
+import { requestCompletion, isLlmConfigured } from './llm-service.js';
+import { DOCS_BASE_URL, findUnnegatedMatch } from '../utils/analyzer-text.js';
+
+const DOCS_URL = `${DOCS_BASE_URL}declarative-agent-instructions`;
+
+/**
+ * Things instructions and starters ask for, with the capabilities that provide them.
+ * Each pattern is a case-insensitive regular expression; the first capability is the
+ * one a quick fix adds.
+ */
+const CAPABILITY_NEEDS = {
+    'web search': {
+        pattern: 'search(ing)? (the )?(web|internet)|web search|\\bbing\\b|online sources|public websites?',
+        capabilities: ['WebSearch']
+    },
+    'spreadsheets': {
+        pattern: 'spreadsheets?|\\bexcel\\b|workbooks?|\\.xlsx\\b|\\.csv\\b',
+        capabilities: ['OneDriveAndSharePoint', 'EmbeddedKnowledge']
+    },
+    'SharePoint or OneDrive content': {
+        pattern: 'sharepoint|onedrive|document librar(y|ies)',
+        capabilities: ['OneDriveAndSharePoint']
+    },
+    'email': {
+        pattern: '\\b(e-?mails?|inbox|outlook)\\b',
+        capabilities: ['Email']
+    },
+    'Teams messages': {
+        pattern: 'teams (messages?|chats?|channels?|conversations?)',
+        capabilities: ['TeamsMessages']
+    },
+    'meetings': {
+        pattern: '\\bmeetings?\\b|transcripts?',
+        capabilities: ['Meetings']
+    },
+    'people': {
+        pattern: 'org(anization(al)?)? chart|who reports to|people search',
+        capabilities: ['People']
+    },
+    'charts and data analysis': {
+        pattern: '\\b(charts?|graphs?|plots?|visuali[sz]ations?)\\b|analy[sz]e (the )?data',
+        capabilities: ['CodeInterpreter']
+    },
+    'image generation': {
+        pattern: '(generate|create|draw|design) (an? )?(images?|pictures?|illustrations?|logos?)',
+        capabilities: ['GraphicArt']
+    },
+    'Dataverse': {
+        pattern: 'dataverse|dynamics 365',
+        capabilities: ['Dataverse']
+    },
+    'Copilot connectors': {
+        pattern: '(graph|copilot) connectors?',
+        capabilities: ['GraphConnectors']
+    }
+};
+
+/**
+ * Structured output of the AI consistency review
+ */
+const AI_CONSISTENCY_SCHEMA = {
+    type: 'object',
+    properties: {
+        findings: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    severity: { type: 'string', enum: [Severity.WARNING, Severity.SUGGESTION] },
+                    title: { type: 'string' },
+                    description: { type: 'string' },
+                    suggestion: { type: 'string' }
+                },
+                required: ['severity', 'title', 'description', 'suggestion'],
+                additionalProperties: false
+            }
+        }
+    },
+    required: ['findings'],
+    additionalProperties: false
+};
+
+registerRules([
+    {
+        id: 'consistency/missing-capability',
+        severity: Severity.WARNING,
+        category: 'Consistency',
+        title: 'Instructions Need a Missing Capability',
+        description: 'Everything the instructions ask the agent to use is backed by a capability.',
+        docs: DOCS_URL,
+        options: { needs: CAPABILITY_NEEDS },
+        optionChecks: { needs: checkNeed }
+    },
+    {
+        id: 'consistency/unsupported-starter',
+        severity: Severity.SUGGESTION,
+        category: 'Consistency',
+        title: 'Starter Needs a Missing Capability',
+        description: 'Conversation starters only ask for what the agent\'s capabilities support.',
+        docs: DOCS_URL
+    },
+    {
+        id: 'consistency/unmentioned-action',
+        severity: Severity.SUGGESTION,
+        category: 'Consistency',
+        title: 'Action Not Mentioned in Instructions',
+        description: 'Instructions explain when to call each action function.',
+        docs: DOCS_URL
+    },
+    {
+        id: 'consistency/ai-review',
+        severity: Severity.SUGGESTION,
+        category: 'Consistency',
+        title: 'AI Consistency Review',
+        description: 'Findings of the optional AI review of instructions, starters and capabilities.'
+    }
+]);
+
+/**
+ * Checks that instructions and starters match the capabilities and actions of a declarative agent
+ * @param {Object} agentInfo - The parsed agent information
+ * @returns {Array} Array of recommendations
+ */
+export function analyzeConsistency(agentInfo) {
+    const recommendations = [];
+    const instructions = agentInfo.instructions || '';
+    const capabilityNames = new Set((agentInfo.capabilities || []).map(capability => capability.name));
+    const agentPath = getDeclarativeAgentPath(agentInfo);
+    const needs = Object.entries(getRuleOptions('consistency/missing-capability').needs || {});
+
+    for (const [need, { pattern, capabilities }] of needs) {
+        if (capabilities.some(name => capabilityNames.has(name))) continue;
+
+        const mention = findMention(instructions, pattern);
+        if (mention) {
+            const fix = createCapabilityFix(agentPath, capabilities[0]);
+            recommendations.push({
+                severity: Severity.WARNING,
+                category: 'Consistency',
+                title: 'Instructions Need a Missing Capability',
+                description: `The instructions mention ${need} ("${mention}"), but the agent has no ${capabilities.join(' or ')} capability.`,
+                suggestion: `Add the ${capabilities[0]} capability, or remove the reference from the instructions.`,
+                ruleId: 'consistency/missing-capability',
+                ...(fix ? { fix } : {})
+            });
+        }
+
+        for (const starter of agentInfo.conversationStarters || []) {
+            const starterMention = findMention(starter.text, pattern);
+            if (!starterMention) continue;
+            recommendations.push({
+                severity: Severity.SUGGESTION,
+                category: 'Consistency',
+                title: 'Starter Needs a Missing Capability',
+                description: `The starter "${starter.text}" asks for ${need}, but the agent has no ${capabilities.join(' or ')} capability.`,
+                suggestion: `Add the ${capabilities[0]} capability, or replace the starter with one the agent can answer.`,
+                ruleId: 'consistency/unsupported-starter'
+            });
+        }
+    }
+
+    recommendations.push(...analyzeActionMentions(agentInfo, instructions));
+
+    return recommendations;
+}
+
+/**
+ * Asks the configured AI provider to grade how well instructions, starters and capabilities fit
+ * @param {Object} agentInfo - The parsed agent information
+ * @returns {Promise<Array>} Array of recommendations; empty if AI is not configured or fails
+ */
+export async function reviewConsistency(agentInfo) {
+    if (!isLlmConfigured()) return [];
+
+    try {
+        const result = await requestCompletion({
+            system: `You review Microsoft 365 Copilot declarative agents. Compare the instructions and conversation starters with the capabilities and actions the agent has.
+Report instructions that rely on a capability or action the agent lacks, starters the agent cannot answer with its capabilities, and capabilities or actions the instructions never explain how to use.
+Only report real inconsistencies; return no findings if everything fits.`,
+            prompt: buildReviewPrompt(agentInfo),
+            schema: AI_CONSISTENCY_SCHEMA,
+            schemaName: 'consistency_review'
+        });
+
+        return (Array.isArray(result?.findings) ? result.findings : []).map(finding => ({
+            severity: finding.severity === Severity.WARNING ? Severity.WARNING : Severity.SUGGESTION,
+            category: 'Consistency',
+            title: finding.title || 'Inconsistency',
+            description: finding.description || '',
+            suggestion: finding.suggestion || '',
+            source: 'AI',
+            ruleId: 'consistency/ai-review'
+        }));
+    } catch (error) {
+        console.error('AI consistency review error:', error);
+        return [];
+    }
+}
+
+/**
+ * Checks that the instructions mention the functions of the agent's actions
+ * @param {Object} agentInfo - The parsed agent information
+ * @param {string} instructions - The instructions text
+ * @returns {Array} Array of recommendations
+ */
+function analyzeActionMentions(agentInfo, instructions) {
+    const recommendations = [];
+    const agentIndex = agentInfo.selectedAgentIndex || 0;
+    const resolution = resolveActions(agentInfo);
+    const pluginPaths = new Set(resolution.actions
+        .filter(action => action.agentIndex === agentIndex && action.pluginPath)
+        .map(action => action.pluginPath));
+
+    for (const path of pluginPaths) {
+        const plugin = resolution.plugins.get(path);
+        if (!plugin || plugin.error) continue;
+
+        const unmentioned = plugin.functions.filter(func => func.name && !mentionsName(instructions, func.name));
+        if (unmentioned.length === 0) continue;
+
+        const names = unmentioned.map(func => func.name);
+        recommendations.push({
+            severity: Severity.SUGGESTION,
+            category: 'Consistency',
+            title: 'Action Not Mentioned in Instructions',
+            description: unmentioned.length === plugin.functions.length
+                ? `The instructions never mention ${plugin.name} or its functions (${names.join(', ')}).`
+                : `The instructions never mention ${names.join(', ')} from ${plugin.name}.`,
+            suggestion: 'Say in the instructions when the agent should call each function, e.g. "Use getRepairs to list open repairs."',
+            ruleId: 'consistency/unmentioned-action',
+            location: { file: path, pointer: unmentioned[0].pointer }
+        });
+    }
+
+    return recommendations;
+}
+
+/**
+ * Finds the first mention of a pattern that is not negated in its sentence
+ * @param {string} text - Instructions or starter text
+ * @param {string} pattern - Regular expression source
+ * @returns {string|null} The matched text, or null
+ */
+function findMention(text, pattern) {
+    return findUnnegatedMatch(text, [compileRulePattern(pattern, 'i')])?.[0] ?? null;
+}
+
+/**
+ * Checks an entry of the consistency/missing-capability needs option
+ * @param {*} need - Entry like { pattern, capabilities }
+ * @returns {string|null} Why the entry is invalid, or null if it is valid
+ */
+function checkNeed(need) {
+    if (!need || typeof need !== 'object' || Array.isArray(need)) {
+        return 'must be an object with "pattern" and "capabilities"';
+    }
+    if (!Array.isArray(need.capabilities) || need.capabilities.length === 0
+        || !need.capabilities.every(name => typeof name === 'string')) {
+        return '"capabilities" must be a non-empty array of capability names';
+    }
+
+    const error = checkPattern(need.pattern);
+    return error ? `"pattern": ${error}` : null;
+}
+
+/**
+ * Checks whether text mentions a function name, as written or as words
+ * (getRepairs or get_repairs as "get repairs")
+ * @param {string} text - Instructions text
+ * @param {string} name - Function name
+ * @returns {boolean} True if mentioned
+ */
+function mentionsName(text, name) {
+    const lower = text.toLowerCase();
+    if (lower.includes(name.toLowerCase())) return true;
+
+    const words = name.replace(/([a-z0-9])([A-Z])/g, '$1 $2').split(/[^a-zA-Z0-9]+/).filter(Boolean).join(' ').toLowerCase();
+    return words.length > 0 && lower.replace(/[^a-z0-9]+/g, ' ').includes(words);
+}
+
+/**
+ * Builds the prompt for the AI consistency review
+ * @param {Object} agentInfo - The parsed agent information
+ * @returns {string} Prompt
+ */
+function buildReviewPrompt(agentInfo) {
+    const resolution = resolveActions(agentInfo);
+    const agentIndex = agentInfo.selectedAgentIndex || 0;
+    const functions = resolution.actions
+        .filter(action => action.agentIndex === agentIndex && action.pluginPath)
+        .flatMap(action => resolution.plugins.get(action.pluginPath)?.functions.map(func => func.name) || []);
+
+    return `Instructions:
+${agentInfo.instructions || 'None provided'}
+
+Conversation Starters:
+${(agentInfo.conversationStarters || []).map(starter => `- ${starter.text}`).join('\n') || 'None'}
+
+Capabilities: ${(agentInfo.capabilities || []).map(capability => capability.name).join(', ') || 'None'}
+
+Action functions: ${[...new Set(functions)].join(', ') || 'None'}`;
+}
@@ -0,0 +1,492 @@
+/**
+ * Custom Agent Analyzer Service for AgentAnalyzer
+ * Rule set for bot-based custom engine agents, message extensions and static tabs
+ */
+
+import { Severity } from './analysis-service.js';
+
+const GUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Static tab entity IDs reserved by Teams that don't need a content URL
+ */
+const RESERVED_TAB_ENTITY_IDS = ['conversations', 'about'];
+
+/**
+ * Minimum length for a command description to be useful to Copilot
+ */
+const MIN_COMMAND_DESCRIPTION_LENGTH = 20;
+
+/**
+ * Analyzes a parsed custom agent package
+ * @param {Object} agentInfo - Parsed custom agent information from parseAgentPackage
+ * @returns {Array} Array of recommendations
+ */
+export function analyzeCustomAgent(agentInfo) {
+    const recommendations = [];
+
+    if (!agentInfo.components || agentInfo.components.length === 0) {
+        recommendations.push({
+            severity: Severity.CRITICAL,
+            category: 'Components',
+            title: 'No Agent Components',
+            description: 'The manifest declares no declarative agent, custom engine agent, bot, message extension or static tab.',
+            suggestion: 'Add a copilotAgents entry or at least one bot or message extension to the manifest.'
+        });
+        return recommendations;
+    }
+
+    recommendations.push(...analyzeCustomEngineAgents(agentInfo));
+    recommendations.push(...analyzeBots(agentInfo.bots || []));
+    recommendations.push(...analyzeMessageExtensions(agentInfo.messageExtensions || []));
+    recommendations.push(...analyzeStaticTabs(agentInfo.staticTabs || []));
+    recommendations.push(...analyzeSingleSignOn(agentInfo));
+    recommendations.push(...analyzeValidDomains(agentInfo));
+
+    return recommendations;
+}
+
+/**
+ * Checks custom engine agents reference a personal-scope bot
+ * @param {Object} agentInfo - Parsed custom agent information
+ * @returns {Array} Array of recommendations
+ */
+function analyzeCustomEngineAgents(agentInfo) {
+    const recommendations = [];
+
+    for (const agent of agentInfo.customEngineAgents || []) {
+        if (!agent.bot) {
+            recommendations.push({
+                severity: Severity.CRITICAL,
+                category: 'Custom Engine Agent',
+                title: 'Custom Engine Agent Bot Not Found',
+                description: `Custom engine agent "${agent.id}" does not match the botId of any bot in the manifest.`,
+                suggestion: 'Set copilotAgents.customEngineAgents[].id to the botId of the bot that implements the agent.'
+            });
+            continue;
+        }
+
+        if (!agent.bot.scopes.includes('personal')) {
+            recommendations.push({
+                severity: Severity.CRITICAL,
+                category: 'Custom Engine Agent',
+                title: 'Custom Engine Agent Bot Missing Personal Scope',
+                description: `Bot "${agent.id}" backs a custom engine agent but does not include the "personal" scope.`,
+                suggestion: 'Add "personal" to the bot scopes so the agent can be used in Copilot.'
+            });
+        }
+
+        if (!agentInfo.shortName || !agentInfo.shortDescription) {
+            recommendations.push({
+                severity: Severity.WARNING,
+                category: 'Custom Engine Agent',
+                title: 'Short Name or Description Missing',
+                description: 'Custom engine agents require both name.short and description.short in the manifest.',
+                suggestion: 'Provide a short name and a short description for the app.'
+            });
+        }
+
+        if (!agent.disclaimer) {
+            recommendations.push({
+                severity: Severity.SUGGESTION,
+                category: 'Custom Engine Agent',
+                title: 'No Disclaimer',
+                description: 'The custom engine agent does not show a disclaimer before users interact with it.',
+                suggestion: 'Add a disclaimer if users should be told how their data is used or what the agent can do.'
+            });
+        }
+    }
+
+    return recommendations;
+}
+
+/**
+ * Checks bot IDs, scopes and command descriptions
+ * @param {Array} bots - Parsed bots
+ * @returns {Array} Array of recommendations
+ */
+function analyzeBots(bots) {
+    const recommendations = [];
+
+    bots.forEach((bot, index) => {
+        const label = bot.botId || `#${index + 1}`;
+
+        if (!bot.botId) {
+            recommendations.push({
+                severity: Severity.CRITICAL,
+                category: 'Bots',
+                title: 'Missing Bot ID',
+                description: `Bot ${index + 1} has no botId.`,
+                suggestion: 'Set botId to the Microsoft App ID of the Azure Bot registration.'
+            });
+        } else if (!GUID_PATTERN.test(bot.botId)) {
+            recommendations.push({
+                severity: Severity.WARNING,
+                category: 'Bots',
+                title: 'Bot ID Is Not a GUID',
+                description: `botId "${bot.botId}" is not a GUID. It may be an unreplaced placeholder.`,
+                suggestion: 'Replace the value with the Microsoft App ID of the bot registration.'
+            });
+        }
+
+        if (bot.scopes.length === 0) {
+            recommendations.push({
+                severity: Severity.CRITICAL,
+                category: 'Bots',
+                title: 'Bot Has No Scopes',
+                description: `Bot ${label} does not declare any scopes, so it can't be installed anywhere.`,
+                suggestion: 'Add at least one scope: personal, team, groupChat or copilot.'
+            });
+        }
+
+        if (bot.isNotificationOnly && bot.commandLists.length > 0) {
+            recommendations.push({
+                severity: Severity.WARNING,
+                category: 'Bots',
+                title: 'Notification-Only Bot Has Commands',
+                description: `Bot ${label} is notification-only, so users can't send it the commands it lists.`,
+                suggestion: 'Remove the commandLists or set isNotificationOnly to false.'
+            });
+        }
+
+        const commands = bot.commandLists.flatMap(list => list.commands);
+        const undescribed = commands.filter(command => !command.description);
+        if (undescribed.length > 0) {
+            recommendations.push({
+                severity: Severity.WARNING,
+                category: 'Bots',
+                title: 'Bot Commands Without Descriptions',
+                description: `${undescribed.length} command(s) on bot ${label} have no description: ${undescribed.map(c => c.title).join(', ')}.`,
+                suggestion: 'Describe what each command does; descriptions are shown to users in the command menu.'
+            });
+        }
+
+        // Command lists must not repeat a scope
+        const listedScopes = bot.commandLists.flatMap(list => list.scopes);
+        const duplicateScopes = listedScopes.filter((scope, i) => listedScopes.indexOf(scope) !== i);
+        if (duplicateScopes.length > 0) {
+            recommendations.push({
+                severity: Severity.WARNING,
+                category: 'Bots',
+                title: 'Duplicate Command List Scopes',
+                description: `Bot ${label} has more than one command list for: ${[...new Set(duplicateScopes)].join(', ')}.`,
+                suggestion: 'Use a single command list per scope.'
+            });
+        }
+
+        const unsupportedCommandScopes = [...new Set(listedScopes)].filter(scope => !bot.scopes.includes(scope));
+        if (unsupportedCommandScopes.length > 0) {
+            recommendations.push({
+                severity: Severity.WARNING,
+                category: 'Bots',
+                title: 'Command List Scope Not Enabled',
+                description: `Bot ${label} has commands for ${unsupportedCommandScopes.join(', ')} but the bot isn't installed in that scope.`,
+                suggestion: 'Add the scope to the bot or remove the command list.'
+            });
+        }
+    });
+
+    return recommendations;
+}
+
+/**
+ * Checks message extension commands, bot IDs and API specifications
+ * @param {Array} extensions - Parsed message extensions
+ * @returns {Array} Array of recommendations
+ */
+function analyzeMessageExtensions(extensions) {
+    const recommendations = [];
+
+    extensions.forEach((ext, index) => {
+        const label = getExtensionLabel(ext, index);
+
+        if (ext.type === 'botBased' && !ext.botId) {
+            recommendations.push({
+                severity: Severity.CRITICAL,
+                category: 'Message Extensions',
+                title: 'Missing Message Extension Bot ID',
+                description: `Bot-based message extension ${index + 1} has no botId.`,
+                suggestion: 'Set botId to the Microsoft App ID of the bot that handles the extension.'
+            });
+        }
+
+        if (ext.type === 'apiBased') {
+            if (!ext.apiSpecificationFile) {
+                recommendations.push({
+                    severity: Severity.CRITICAL,
+                    category: 'Message Extensions',
+                    title: 'Missing API Specification',
+                    description: `${label} is API-based but has no apiSpecificationFile.`,
+                    suggestion: 'Reference the OpenAPI description the extension calls.'
+                });
+            } else if (!ext.apiSpecificationPath) {
+                recommendations.push({
+                    severity: Severity.CRITICAL,
+                    category: 'Message Extensions',
+                    title: 'API Specification Not Found',
+                    description: `"${ext.apiSpecificationFile}" is referenced by ${label} but is not in the package.`,
+                    suggestion: 'Add the OpenAPI file to the package or fix the path.'
+                });
+            }
+        }
+
+        if (ext.commands.length === 0) {
+            recommendations.push({
+                severity: Severity.WARNING,
+                category: 'Message Extensions',
+                title: 'Message Extension Has No Commands',
+                description: `${label} does not define any commands.`,
+                suggestion: 'Add at least one search or action command.'
+            });
+        }
+
+        for (const command of ext.commands) {
+            const name = command.title || command.id;
+
+            if (!command.description) {
+                recommendations.push({
+                    severity: Severity.WARNING,
+                    category: 'Message Extensions',
+                    title: 'Command Without Description',
+                    description: `Command "${name}" on ${label} has no description.`,
+                    suggestion: 'Copilot uses the command description to decide when to call it. Describe what it does and returns.'
+                });
+            } else if (command.description.length < MIN_COMMAND_DESCRIPTION_LENGTH && !command.semanticDescription) {
+                recommendations.push({
+                    severity: Severity.SUGGESTION,
+                    category: 'Message Extensions',
+                    title: 'Brief Command Description',
+                    description: `Command "${name}" is described only as "${command.description}".`,
+                    suggestion: 'Expand the description or add a semanticDescription so Copilot can match user requests to the command.'
+                });
+            }
+
+            const undescribedParams = command.parameters.filter(param => !param.description && !param.semanticDescription);
+            if (undescribedParams.length > 0) {
+                recommendations.push({
+                    severity: Severity.SUGGESTION,
+                    category: 'Message Extensions',
+                    title: 'Parameters Without Descriptions',
+                    description: `Command "${name}" has parameters without descriptions: ${undescribedParams.map(p => p.name).join(', ')}.`,
+                    suggestion: 'Describe each parameter so Copilot can fill it from the conversation.'
+                });
+            }
+        }
+    });
+
+    return recommendations;
+}
+
+/**
+ * Checks static tab content URLs and scopes
+ * @param {Array} tabs - Parsed static tabs
+ * @returns {Array} Array of recommendations
+ */
+function analyzeStaticTabs(tabs) {
+    const recommendations = [];
+
+    for (const tab of tabs) {
+        const isReserved = RESERVED_TAB_ENTITY_IDS.includes(tab.entityId);
+
+        if (!isReserved && !tab.contentUrl && !tab.contentBotId) {
+            recommendations.push({
+                severity: Severity.WARNING,
+                category: 'Static Tabs',
+                title: 'Static Tab Without Content',
+                description: `Static tab "${tab.name}" has neither a contentUrl nor a contentBotId.`,
+                suggestion: 'Set contentUrl to the page the tab should show.'
+            });
+        }
+
+        if (tab.scopes.length === 0) {
+            recommendations.push({
+                severity: Severity.WARNING,
+                category: 'Static Tabs',
+                title: 'Static Tab Has No Scopes',
+                description: `Static tab "${tab.name}" does not declare any scopes.`,
+                suggestion: 'Add "personal" (and "team" or "groupChat" if needed) to the tab scopes.'
+            });
+        }
+    }
+
+    return recommendations;
+}
+
+/**
+ * Checks the SSO (webApplicationInfo) configuration
+ * @param {Object} agentInfo - Parsed custom agent information
+ * @returns {Array} Array of recommendations
+ */
+function analyzeSingleSignOn(agentInfo) {
+    const recommendations = [];
+    const webAppInfo = agentInfo.webApplicationInfo;
+    const entraExtensions = (agentInfo.messageExtensions || []).filter(ext => ext.authType === 'microsoftEntra');
+
+    if (!webAppInfo) {
+        if (entraExtensions.length > 0) {
+            recommendations.push({
+                severity: Severity.CRITICAL,
+                category: 'SSO',
+                title: 'Missing webApplicationInfo',
+                description: 'A message extension uses Microsoft Entra authentication but the manifest has no webApplicationInfo.',
+                suggestion: 'Add webApplicationInfo with the Entra app ID and the Application ID URI as resource.'
+            });
+        } else if ((agentInfo.bots || []).length > 0 || (agentInfo.staticTabs || []).length > 0) {
+            recommendations.push({
+                severity: Severity.SUGGESTION,
+                category: 'SSO',
+                title: 'Single Sign-On Not Configured',
+                description: 'The manifest has no webApplicationInfo, so bots and tabs can\'t use Teams SSO.',
+                suggestion: 'Add webApplicationInfo if the agent calls Microsoft Graph or your own APIs on behalf of the user.'
+            });
+        }
+        return recommendations;
+    }
+
+    if (!GUID_PATTERN.test(webAppInfo.id)) {
+        recommendations.push({
+            severity: Severity.CRITICAL,
+            category: 'SSO',
+            title: 'Invalid SSO App ID',
+            description: `webApplicationInfo.id "${webAppInfo.id}" is not a GUID.`,
+            suggestion: 'Use the Application (client) ID of the Entra app registration.'
+        });
+    }
+
+    if (webAppInfo.resource) {
+        const resourceHost = getResourceHost(webAppInfo.resource);
+
+        if (!webAppInfo.resource.startsWith('api://')) {
+            recommendations.push({
+                severity: Severity.WARNING,
+                category: 'SSO',
+                title: 'Unexpected SSO Resource',
+                description: `webApplicationInfo.resource "${webAppInfo.resource}" does not use the api:// scheme.`,
+                suggestion: 'Use the Application ID URI, e.g. api://contoso.com/<app-id>.'
+            });
+        } else if (resourceHost && !isDomainCovered(resourceHost, agentInfo.validDomains || [])) {
+            recommendations.push({
+                severity: Severity.WARNING,
+                category: 'SSO',
+                title: 'SSO Resource Domain Not in validDomains',
+                description: `The SSO resource domain "${resourceHost}" is not listed in validDomains.`,
+                suggestion: `Add "${resourceHost}" to validDomains.`
+            });
+        }
+
+        if (GUID_PATTERN.test(webAppInfo.id) && !webAppInfo.resource.includes(webAppInfo.id)) {
+            recommendations.push({
+                severity: Severity.WARNING,
+                category: 'SSO',
+                title: 'SSO Resource Does Not Match App ID',
+                description: 'webApplicationInfo.resource does not contain webApplicationInfo.id.',
+                suggestion: 'The Application ID URI usually ends with the Entra app ID, e.g. api://contoso.com/<app-id>.'
+            });
+        }
+    }
+
+    for (const ext of entraExtensions) {
+        if (!ext.supportsSingleSignOn) {
+            const label = getExtensionLabel(ext, agentInfo.messageExtensions.indexOf(ext));
+            recommendations.push({
+                severity: Severity.SUGGESTION,
+                category: 'SSO',
+                title: 'Message Extension SSO Disabled',
+                description: `${label} uses Microsoft Entra auth without single sign-on.`,
+                suggestion: 'Set microsoftEntraConfiguration.supportsSingleSignOn to true so users aren\'t asked to sign in again.'
+            });
+        }
+    }
+
+    return recommendations;
+}
+
+/**
+ * Checks that every domain the app loads content from is in validDomains
+ * @param {Object} agentInfo - Parsed custom agent information
+ * @returns {Array} Array of recommendations
+ */
+function analyzeValidDomains(agentInfo) {
+    const validDomains = agentInfo.validDomains || [];
+    const usedHosts = new Set();
+
+    for (const tab of agentInfo.staticTabs || []) {
+        for (const url of [tab.contentUrl, tab.websiteUrl]) {
+            const host = getUrlHost(url);
+            if (host) usedHosts.add(host);
+        }
+    }
+
+    for (const ext of agentInfo.messageExtensions || []) {
+        for (const domain of ext.domains) {
+            usedHosts.add(domain.toLowerCase());
+        }
+    }
+
+    const uncovered = [...usedHosts].filter(host => !isDomainCovered(host, validDomains));
+    if (uncovered.length === 0) return [];
+
+    return [{
+        severity: Severity.WARNING,
+        category: 'Domains',
+        title: 'Domains Missing from validDomains',
+        description: `Content is loaded from domains not listed in validDomains: ${uncovered.join(', ')}.`,
+        suggestion: 'Add each domain to validDomains, or Teams will open the content in a browser instead.'
+    }];
+}
+
+/**
+ * Gets a display label for a message extension
+ * @param {Object} ext - Parsed message extension
+ * @param {number} index - Index in the composeExtensions array
+ * @returns {string} Display label
+ */
+function getExtensionLabel(ext, index) {
+    const id = ext.botId || ext.id;
+    return id ? `Message extension ${id}` : `Message extension ${index + 1}`;
+}
+
+/**
+ * Gets the host name of a URL, ignoring URLs that still contain placeholders
+ * @param {string} url - The URL
+ * @returns {string|null} Lowercase host name or null
+ */
+function getUrlHost(url) {
+    if (!url || url.includes('{{') || url.includes('${')) return null;
+
+    try {
+        return new URL(url).hostname.toLowerCase();
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Gets the host name from an api:// Application ID URI
+ * @param {string} resource - The resource URI
+ * @returns {string|null} Lowercase host name or null
+ */
+function getResourceHost(resource) {
+    const match = resource.match(/^api:\/\/([^/]+)\//i);
+    if (!match || GUID_PATTERN.test(match[1]) || match[1].includes('{{') || match[1].includes('${')) {
+        return null;
+    }
+    return match[1].toLowerCase();
+}
+
+/**
+ * Checks whether a host is covered by validDomains (supports *. wildcards)
+ * @param {string} host - Host name
+ * @param {Array} validDomains - The manifest validDomains
+ * @returns {boolean} True if the host is allowed
+ */
+export function isDomainCovered(host, validDomains) {
+    return validDomains.some(domain => {
+        if (typeof domain !== 'string') return false;
+        const pattern = domain.toLowerCase().replace(/^https?:\/\//, '').split('/')[0];
+        if (pattern.startsWith('*.')) {
+            return host.endsWith(pattern.substring(1));
+        }
+        return host === pattern;
+    });
+}
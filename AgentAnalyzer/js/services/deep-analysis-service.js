@@ -5,7 +5,9 @@
 
 import { analyzeSharePointSources } from './sharepoint-analyzer.js';
 import { analyzeCopilotConnectors, analyzeApiConnectors } from './connector-analyzer.js';
-import { getSharePointSources, getGraphConnectors, findApiDefinitions } from './agent-parser.js';
+import { getSharePointSources, getGraphConnectors, findApiDefinitions, getDeclarativeAgentPath } from './agent-parser.js';
+import { applyRuleSettings } from './rule-registry.js';
+import { applySuppressions, getAgentKey } from './suppression-service.js';
 import { isSignedIn } from '../auth/msal-auth.js';
 
 /**
@@ -36,9 +38,11 @@ export async function runDeepAnalysis(agentInfo, options, progressCallback = nul
             totalRecommendations: 0,
             critical: 0,
             warnings: 0,
-            suggestions: 0
+            suggestions: 0,
+            suppressed: 0
         }
     };
+    const agentKey = getAgentKey(agentInfo);
 
     // Check if user is signed in for SharePoint and Copilot Connectors analysis
     if ((options.sharepoint || options.copilotConnectors) && !isSignedIn()) {
@@ -66,7 +70,8 @@ export async function runDeepAnalysis(agentInfo, options, progressCallback = nul
         try {
             const sources = getSharePointSources(agentInfo);
             if (sources.length > 0) {
-                results.sharepoint = await analyzeSharePointSources(sources);
+                results.sharepoint = await analyzeSharePointSources(sources, getDeclarativeAgentPath(agentInfo));
+                results.sharepoint.recommendations = applySuppressions(applyRuleSettings(results.sharepoint.recommendations), agentKey);
                 countRecommendations(results.sharepoint.recommendations, results.summary);
             } else {
                 results.sharepoint = {
@@ -104,6 +109,7 @@ export async function runDeepAnalysis(agentInfo, options, progressCallback = nul
             const connectors = getGraphConnectors(agentInfo);
             if (connectors.length > 0) {
                 results.copilotConnectors = analyzeCopilotConnectors(connectors);
+                results.copilotConnectors.recommendations = applySuppressions(applyRuleSettings(results.copilotConnectors.recommendations), agentKey);
                 countRecommendations(results.copilotConnectors.recommendations, results.summary);
             } else {
                 results.copilotConnectors = {
@@ -141,6 +147,7 @@ export async function runDeepAnalysis(agentInfo, options, progressCallback = nul
             const apiFiles = findApiDefinitions();
             if (apiFiles.length > 0) {
                 results.apiConnectors = analyzeApiConnectors(apiFiles);
+                results.apiConnectors.recommendations = applySuppressions(applyRuleSettings(results.apiConnectors.recommendations), agentKey);
                 countRecommendations(results.apiConnectors.recommendations, results.summary);
             } else {
                 results.apiConnectors = {
@@ -184,6 +191,11 @@ export async function runDeepAnalysis(agentInfo, options, progressCallback = nul
 function countRecommendations(recommendations, summary) {
     for (const rec of recommendations) {
         summary.totalRecommendations++;
+        // Suppressed findings are counted apart from the severities
+        if (rec.suppressed) {
+            summary.suppressed++;
+            continue;
+        }
         switch (rec.severity) {
             case 'critical':
                 summary.critical++;
@@ -198,6 +210,26 @@ function countRecommendations(recommendations, summary) {
     }
 }
 
+/**
+ * Recounts the summary of deep analysis results after their suppressions changed
+ * @param {Object} results - Deep analysis results
+ */
+export function updateDeepAnalysisSummary(results) {
+    Object.assign(results.summary, {
+        totalRecommendations: 0,
+        critical: 0,
+        warnings: 0,
+        suggestions: 0,
+        suppressed: 0
+    });
+
+    for (const section of [results.sharepoint, results.copilotConnectors, results.apiConnectors]) {
+        if (section?.recommendations) {
+            countRecommendations(section.recommendations, results.summary);
+        }
+    }
+}
+
 /**
  * Checks if deep analysis is available for the given agent
  * @param {Object} agentInfo - The parsed agent information
@@ -4,6 +4,7 @@
  */
 
 import { getFileContent, updateFileContent } from './zip-service.js';
+import { parseDocumentWithPointers } from '../utils/yaml-source-map.js';
 
 /**
  * File type definitions with associated properties
@@ -113,6 +114,25 @@ export function parseJsonFile(path) {
     }
 }
 
+/**
+ * Parses a JSON or YAML file from the extracted files, based on its extension
+ * @param {string} path - The file path
+ * @returns {Object|null} Parsed content or null if invalid
+ */
+export function parseDocumentFile(path) {
+    const fileData = getFileContent(path);
+    if (!fileData) {
+        return null;
+    }
+
+    try {
+        return parseDocumentWithPointers(fileData.content, path).data;
+    } catch (error) {
+        console.error(`Error parsing file ${path}:`, error);
+        return null;
+    }
+}
+
 /**
  * Formats JSON content with proper indentation
  * @param {string} content - The JSON string to format
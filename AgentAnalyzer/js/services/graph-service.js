@@ -288,6 +288,116 @@ export async function getFileByIds(siteId, driveId, itemId) {
     }
 }
 
+/**
+ * Gets a site from the SharePoint IDs an agent references it by
+ * @param {string} siteId - The site collection ID (GUID)
+ * @param {string} [webId] - The web ID (GUID); the site collection's root web if omitted
+ * @returns {Promise<Object|null>} Site information or null
+ */
+export async function getSiteByIds(siteId, webId = null) {
+    if (!graphClient) {
+        await initializeGraphClient();
+    }
+
+    if (!graphClient) {
+        return null;
+    }
+
+    try {
+        // Graph site IDs are "hostname,site collection ID,web ID"; the tenant's root site gives the hostname
+        const rootSite = await graphClient
+            .api('/sites/root')
+            .select('siteCollection')
+            .get();
+        const hostname = rootSite.siteCollection?.hostname;
+        const compositeId = [hostname, siteId, webId].filter(Boolean).join(',');
+
+        const site = await graphClient
+            .api(`/sites/${compositeId}`)
+            .get();
+
+        return site;
+    } catch (error) {
+        console.error('Error getting site by IDs:', error);
+        return null;
+    }
+}
+
+/**
+ * Gets a list of a site with its document library drive
+ * @param {string} siteId - The Graph site ID
+ * @param {string} listId - The list ID (GUID)
+ * @returns {Promise<Object|null>} List information with its drive (null for lists that are not document libraries), or null
+ */
+export async function getListWithDrive(siteId, listId) {
+    if (!graphClient) {
+        await initializeGraphClient();
+    }
+
+    if (!graphClient) {
+        return null;
+    }
+
+    try {
+        const list = await graphClient
+            .api(`/sites/${siteId}/lists/${listId}`)
+            .select('id,displayName,webUrl')
+            .expand('drive')
+            .get();
+
+        return {
+            id: list.id,
+            name: list.displayName,
+            webUrl: list.webUrl,
+            drive: list.drive || null
+        };
+    } catch (error) {
+        console.error('Error getting list:', error);
+        return null;
+    }
+}
+
+/**
+ * Gets a file or folder of a document library by its unique ID
+ * @param {string} siteId - The Graph site ID
+ * @param {string} listId - The list ID (GUID)
+ * @param {string} uniqueId - The item's unique ID (GUID)
+ * @returns {Promise<Object|null>} File or folder information or null
+ */
+export async function getItemByUniqueId(siteId, listId, uniqueId) {
+    if (!graphClient) {
+        await initializeGraphClient();
+    }
+
+    if (!graphClient) {
+        return null;
+    }
+
+    try {
+        // List items can be addressed by their unique ID as well as their list item ID
+        const listItem = await graphClient
+            .api(`/sites/${siteId}/lists/${listId}/items/${uniqueId}`)
+            .expand('driveItem($select=id,name,size,file,folder,sensitivityLabel,webUrl,parentReference)')
+            .get();
+        const item = listItem.driveItem;
+        if (!item) return null;
+
+        return {
+            id: item.id,
+            name: item.name,
+            size: item.size || 0,
+            mimeType: item.file?.mimeType,
+            isFolder: Boolean(item.folder),
+            driveId: item.parentReference?.driveId,
+            sensitivityLabel: item.sensitivityLabel,
+            webUrl: item.webUrl
+        };
+    } catch (error) {
+        console.error('Error getting item by unique ID:', error);
+        return null;
+    }
+}
+
 /**
  * Parses a SharePoint URL to extract site and path information
  * @param {string} url - The SharePoint URL
@@ -0,0 +1,128 @@
+/**
+ * History Archive Service for AgentAnalyzer
+ * Packs stored agents, with their revisions, files and dismissed findings, into one
+ * zip that another browser can import. The archive holds history.json with the
+ * revisions and their file index, and each file content once under files/<hash>.
+ * Analyses are not carried over; imported agents are analyzed again when opened.
+ */
+
+import { exportStoredData, importStoredData, findImportConflicts, getRevisionIdentity, normalizeImportedAgent } from './storage-service.js';
+
+const ARCHIVE_FORMAT = 'agent-analyzer-history';
+const ARCHIVE_VERSION = 1;
+const INDEX_FILE = 'history.json';
+const CONTENTS_FOLDER = 'files/';
+
+/**
+ * Creates a history archive
+ * @param {string[]} [ids] - Revision IDs to export; all revisions when omitted
+ * @returns {Promise<Object>} { blob, agentCount, revisionCount }
+ */
+export async function createHistoryArchive(ids) {
+    const { agents, contents } = await exportStoredData(ids);
+    const zip = new JSZip();
+
+    zip.file(INDEX_FILE, JSON.stringify({
+        format: ARCHIVE_FORMAT,
+        version: ARCHIVE_VERSION,
+        exportedAt: new Date().toISOString(),
+        agents
+    }, null, 2));
+    for (const [hash, content] of Object.entries(contents)) {
+        zip.file(`${CONTENTS_FOLDER}${hash}`, content);
+    }
+
+    const blob = await zip.generateAsync({
+        type: 'blob',
+        compression: 'DEFLATE',
+        compressionOptions: { level: 9 }
+    });
+
+    return {
+        blob,
+        agentCount: new Set(agents.map(getRevisionIdentity)).size,
+        revisionCount: agents.length
+    };
+}
+
+/**
+ * Checks whether a zip file is a history archive rather than an agent package
+ * @param {File|Blob} file - Zip file
+ * @returns {Promise<boolean>} True for history archives
+ */
+export async function isHistoryArchive(file) {
+    try {
+        const zip = await JSZip.loadAsync(file);
+        const index = zip.file(INDEX_FILE);
+        if (!index || zip.file('manifest.json')) return false;
+        return JSON.parse(await index.async('string'))?.format === ARCHIVE_FORMAT;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Reads a history archive
+ * @param {File|Blob} file - Archive from createHistoryArchive
+ * @returns {Promise<Object>} { exportedAt, agents, conflicts } with the revisions' file contents
+ *   and the identities of the agents that are already stored
+ * @throws {Error} If the file is not a history archive
+ */
+export async function readHistoryArchive(file) {
+    let zip;
+    let index;
+    try {
+        zip = await JSZip.loadAsync(file);
+        index = JSON.parse(await zip.file(INDEX_FILE)?.async('string'));
+    } catch (error) {
+        throw new Error(`${file.name || 'The file'} is not a history archive`);
+    }
+    if (index?.format !== ARCHIVE_FORMAT || !Array.isArray(index.agents)) {
+        throw new Error(`${file.name || 'The file'} is not a history archive`);
+    }
+    if (index.version > ARCHIVE_VERSION) {
+        throw new Error('The history archive was exported by a newer version of AgentAnalyzer');
+    }
+
+    const contents = new Map();
+    const readContent = async hash => {
+        if (!contents.has(hash)) {
+            const entry = zip.file(`${CONTENTS_FOLDER}${hash}`);
+            if (!entry) {
+                throw new Error(`The history archive is missing file ${hash}`);
+            }
+            contents.set(hash, await entry.async('string'));
+        }
+        return contents.get(hash);
+    };
+
+    const agents = [];
+    for (const agent of index.agents.map(normalizeImportedAgent)) {
+        if (!agent) continue;
+
+        let files = null;
+        if (agent.files) {
+            files = {};
+            for (const [path, file] of Object.entries(agent.files)) {
+                files[path] = { content: await readContent(file.hash), isImage: Boolean(file.isImage), modified: Boolean(file.modified) };
+            }
+        }
+        agents.push({ ...agent, files });
+    }
+
+    return { exportedAt: index.exportedAt || null, agents, conflicts: await findImportConflicts(agents) };
+}
+
+/**
+ * Imports the revisions of a read archive into the stored history
+ * @param {Object} archive - From readHistoryArchive
+ * @param {Object} [resolutions] - ImportResolution by identity for the conflicting agents
+ * @param {Set} [identities] - Agents to import; all when omitted
+ * @returns {Promise<Object>} { added, skipped } revision counts
+ */
+export function importHistoryArchive(archive, resolutions = {}, identities) {
+    const agents = identities
+        ? archive.agents.filter(agent => identities.has(getRevisionIdentity(agent)))
+        : archive.agents;
+    return importStoredData(agents, resolutions);
+}
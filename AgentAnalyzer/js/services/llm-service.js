@@ -0,0 +1,303 @@
+/**
+ * LLM Service for AgentAnalyzer
+ * Sends prompts to the configured AI provider and returns structured results.
+ * Settings come from app-config.json, then the settings the user saved, then
+ * settings made at runtime (an API key entered for this session, CLI options).
+ */
+
+import { getLlmConfig } from '../config.js';
+
+/**
+ * Supported AI providers
+ */
+export const LlmProvider = {
+    OPENAI: 'openai',
+    AZURE_OPENAI: 'azure-openai',
+    ANTHROPIC: 'anthropic',
+    OPENAI_COMPATIBLE: 'openai-compatible'
+};
+
+/**
+ * Display names and defaults of the providers
+ */
+export const PROVIDER_DEFAULTS = {
+    [LlmProvider.OPENAI]: {
+        label: 'OpenAI',
+        endpoint: 'https://api.openai.com/v1',
+        model: 'gpt-4o'
+    },
+    [LlmProvider.AZURE_OPENAI]: {
+        label: 'Azure OpenAI',
+        endpoint: '',
+        model: ''
+    },
+    [LlmProvider.ANTHROPIC]: {
+        label: 'Anthropic',
+        endpoint: 'https://api.anthropic.com',
+        model: 'claude-sonnet-4-5'
+    },
+    [LlmProvider.OPENAI_COMPATIBLE]: {
+        label: 'OpenAI-compatible (Ollama, llama.cpp, ...)',
+        endpoint: 'http://localhost:11434/v1',
+        model: 'llama3.1'
+    }
+};
+
+/**
+ * Anthropic Messages API version
+ */
+const ANTHROPIC_VERSION = '2023-06-01';
+
+const SETTINGS_KEY = 'agentAnalyzer_llmSettings';
+
+// Settings for this session only, such as an API key that is not remembered
+let runtimeSettings = {};
+
+/**
+ * Gets the effective AI settings
+ * @returns {Object} { provider, endpoint, model, deployment, apiVersion, apiKey, maxTokens, rememberKey }
+ */
+export function getLlmSettings() {
+    return { ...getLlmConfig(), ...getSavedSettings(), ...runtimeSettings };
+}
+
+/**
+ * Saves the AI settings the user chose. The API key is only written to
+ * localStorage when rememberKey is set; otherwise it lasts for the session.
+ * @param {Object} settings - { provider, endpoint, model, deployment, apiVersion, apiKey, rememberKey }
+ */
+export function saveLlmSettings(settings) {
+    const { apiKey, rememberKey, ...rest } = settings;
+    const saved = { ...rest, rememberKey: Boolean(rememberKey), ...(rememberKey && apiKey ? { apiKey } : {}) };
+
+    try {
+        localStorage.setItem(SETTINGS_KEY, JSON.stringify(saved));
+    } catch (error) {
+        console.error('Error saving AI settings:', error);
+    }
+
+    runtimeSettings = apiKey ? { apiKey } : {};
+}
+
+/**
+ * Overrides AI settings for this session without saving them
+ * @param {Object} settings - Settings to override, e.g. { apiKey }
+ */
+export function configureLlm(settings) {
+    runtimeSettings = { ...runtimeSettings, ...settings };
+}
+
+/**
+ * Checks whether the settings are complete enough to call the provider
+ * @param {Object} [settings] - Settings; by default the effective ones
+ * @returns {boolean} True if AI analysis can run
+ */
+export function isLlmConfigured(settings = getLlmSettings()) {
+    if (!settings.endpoint) return false;
+
+    switch (settings.provider) {
+        case LlmProvider.AZURE_OPENAI:
+            return Boolean(settings.deployment && settings.apiKey);
+        case LlmProvider.OPENAI_COMPATIBLE:
+            // Local servers usually need no key
+            return Boolean(settings.model);
+        case LlmProvider.OPENAI:
+        case LlmProvider.ANTHROPIC:
+            return Boolean(settings.model && settings.apiKey);
+        default:
+            return false;
+    }
+}
+
+/**
+ * Sends a prompt to the configured provider
+ * @param {Object} request - Request
+ * @param {string} request.system - System prompt
+ * @param {string} request.prompt - User prompt
+ * @param {Object} [request.schema] - JSON schema of the result (an object schema); without one the text is returned
+ * @param {string} [request.schemaName] - Name of the result, such as "agent_recommendations"
+ * @param {Object} [settings] - Settings; by default the effective ones
+ * @returns {Promise<Object|string>} Result matching the schema, or the response text
+ * @throws {Error} If the provider is not configured, the request fails or the result is not valid JSON
+ */
+export async function requestCompletion(request, settings = getLlmSettings()) {
+    if (!isLlmConfigured(settings)) {
+        throw new Error('AI is not configured. Choose a provider in AI Settings.');
+    }
+
+    const isAnthropic = settings.provider === LlmProvider.ANTHROPIC;
+    const { url, headers, body } = isAnthropic
+        ? buildAnthropicRequest(request, settings)
+        : buildChatCompletionsRequest(request, settings);
+
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body)
+    });
+
+    const data = await response.json().catch(() => null);
+    if (!response.ok) {
+        const label = PROVIDER_DEFAULTS[settings.provider].label;
+        throw new Error(`${label} request failed (${response.status})${data?.error?.message ? `: ${data.error.message}` : ''}`);
+    }
+
+    return isAnthropic ? readAnthropicResponse(data, request) : readChatCompletionsResponse(data, request);
+}
+
+/**
+ * Checks that the provider answers with a structured result
+ * @param {Object} settings - Settings to test, such as the ones in the settings dialog
+ * @returns {Promise<void>} Resolves if the provider answers
+ * @throws {Error} If the request fails
+ */
+export async function testLlmConnection(settings) {
+    await requestCompletion({
+        system: 'You check that an API connection works.',
+        prompt: 'Answer with ok set to true.',
+        schema: {
+            type: 'object',
+            properties: { ok: { type: 'boolean' } },
+            required: ['ok'],
+            additionalProperties: false
+        },
+        schemaName: 'connection_test'
+    }, settings);
+}
+
+/**
+ * Reads the settings saved in localStorage
+ * @returns {Object} Saved settings
+ */
+function getSavedSettings() {
+    // No localStorage when the rules run headless in the CLI
+    if (typeof localStorage === 'undefined') return {};
+
+    try {
+        return JSON.parse(localStorage.getItem(SETTINGS_KEY)) || {};
+    } catch (error) {
+        console.error('Error reading AI settings:', error);
+        return {};
+    }
+}
+
+/**
+ * Builds a chat completions request for OpenAI, Azure OpenAI and compatible servers
+ * @param {Object} request - Request from requestCompletion
+ * @param {Object} settings - Settings
+ * @returns {Object} { url, headers, body }
+ */
+function buildChatCompletionsRequest(request, settings) {
+    const endpoint = settings.endpoint.replace(/\/+$/, '');
+    const isAzure = settings.provider === LlmProvider.AZURE_OPENAI;
+
+    const body = {
+        messages: [
+            { role: 'system', content: request.system },
+            { role: 'user', content: request.prompt }
+        ],
+        max_tokens: settings.maxTokens,
+        temperature: 0.3
+    };
+    if (request.schema) {
+        body.response_format = {
+            type: 'json_schema',
+            json_schema: { name: request.schemaName || 'result', schema: request.schema, strict: true }
+        };
+    }
+
+    // Azure addresses the model by deployment and authenticates with an api-key header
+    if (isAzure) {
+        return {
+            url: `${endpoint}/openai/deployments/${encodeURIComponent(settings.deployment)}/chat/completions?api-version=${encodeURIComponent(settings.apiVersion)}`,
+            headers: { 'api-key': settings.apiKey },
+            body
+        };
+    }
+
+    return {
+        url: `${endpoint}/chat/completions`,
+        headers: settings.apiKey ? { 'Authorization': `Bearer ${settings.apiKey}` } : {},
+        body: { model: settings.model, ...body }
+    };
+}
+
+/**
+ * Builds an Anthropic Messages request. Structured results use a tool whose
+ * input schema is the result schema, and the model is made to call it.
+ * @param {Object} request - Request from requestCompletion
+ * @param {Object} settings - Settings
+ * @returns {Object} { url, headers, body }
+ */
+function buildAnthropicRequest(request, settings) {
+    const body = {
+        model: settings.model,
+        max_tokens: settings.maxTokens,
+        temperature: 0.3,
+        system: request.system,
+        messages: [{ role: 'user', content: request.prompt }]
+    };
+    if (request.schema) {
+        const name = request.schemaName || 'result';
+        body.tools = [{ name, description: 'Returns the result.', input_schema: request.schema }];
+        body.tool_choice = { type: 'tool', name };
+    }
+
+    return {
+        url: `${settings.endpoint.replace(/\/+$/, '')}/v1/messages`,
+        headers: {
+            'x-api-key': settings.apiKey,
+            'anthropic-version': ANTHROPIC_VERSION,
+            // The app calls the API from the browser with the user's own key
+            'anthropic-dangerous-direct-browser-access': 'true'
+        },
+        body
+    };
+}
+
+/**
+ * Reads the result of a chat completions response
+ * @param {Object} data - Response body
+ * @param {Object} request - Request from requestCompletion
+ * @returns {Object|string} Result
+ */
+function readChatCompletionsResponse(data, request) {
+    const message = data?.choices?.[0]?.message;
+    if (message?.refusal) {
+        throw new Error(`The model refused the request: ${message.refusal}`);
+    }
+
+    const content = message?.content || '';
+    return request.schema ? parseJsonResult(content) : content;
+}
+
+/**
+ * Reads the result of an Anthropic Messages response
+ * @param {Object} data - Response body
+ * @param {Object} request - Request from requestCompletion
+ * @returns {Object|string} Result
+ */
+function readAnthropicResponse(data, request) {
+    const blocks = Array.isArray(data?.content) ? data.content : [];
+
+    if (request.schema) {
+        const toolUse = blocks.find(block => block.type === 'tool_use');
+        if (!toolUse) throw new Error('The model did not return a structured result.');
+        return toolUse.input;
+    }
+
+    return blocks.filter(block => block.type === 'text').map(block => block.text).join('');
+}
+
+/**
+ * Parses a structured result
+ * @param {string} content - Response text
+ * @returns {Object} Parsed result
+ */
+function parseJsonResult(content) {
+    try {
+        return JSON.parse(content);
+    } catch (error) {
+        throw new Error('The model did not return valid JSON.');
+    }
+}
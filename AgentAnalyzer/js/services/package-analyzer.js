@@ -0,0 +1,133 @@
+/**
+ * Package Analyzer Service for AgentAnalyzer
+ * Package-level rules for app packages that contain several declarative agents
+ */
+
+import { Severity } from './analysis-service.js';
+
+/**
+ * Analyzes how the declarative agents in a package relate to each other
+ * @param {Object} agentInfo - Parsed package information from parseAgentPackage
+ * @returns {Array} Array of recommendations
+ */
+export function analyzePackage(agentInfo) {
+    const agents = agentInfo.declarativeAgents || [];
+    if (agents.length < 2) return [];
+
+    const recommendations = [];
+    const loaded = agents.filter(agent => !agent.error);
+
+    for (const agent of agents.filter(a => a.error)) {
+        recommendations.push({
+            severity: Severity.CRITICAL,
+            category: 'Package',
+            title: 'Declarative Agent Not Loaded',
+            description: `"${agent.file}" could not be loaded: ${agent.error}.`,
+            suggestion: 'Fix the file reference in manifest.json or the JSON in the agent file.'
+        });
+    }
+
+    recommendations.push(...findDuplicates(agents.map(agent => agent.file)).map(file => ({
+        severity: Severity.WARNING,
+        category: 'Package',
+        title: 'Agent File Referenced Twice',
+        description: `manifest.json lists "${file}" more than once in copilotAgents.declarativeAgents.`,
+        suggestion: 'Remove the duplicate entry or point it at a different agent file.'
+    })));
+
+    recommendations.push(...findSharedValues(loaded, agent => [agent.name]).map(({ value, names }) => ({
+        severity: Severity.WARNING,
+        category: 'Package',
+        title: 'Duplicate Agent Name',
+        description: `${names.length} agents are named "${value}".`,
+        suggestion: 'Give each agent a distinct name so users can tell them apart in Copilot.'
+    })));
+
+    recommendations.push(...findSharedValues(loaded, agent => [agent.id]).map(({ value, names }) => ({
+        severity: Severity.CRITICAL,
+        category: 'Package',
+        title: 'Duplicate Agent ID',
+        description: `Agents ${names.join(', ')} share the id "${value}".`,
+        suggestion: 'Each declarative agent needs a unique id.'
+    })));
+
+    recommendations.push(...findSharedValues(loaded, agent => agent.conversationStarters.map(s => s.text)).map(({ value, names }) => ({
+        severity: Severity.WARNING,
+        category: 'Package',
+        title: 'Conflicting Conversation Starters',
+        description: `The starter "${value}" is used by ${names.join(', ')}.`,
+        suggestion: 'Make each agent\'s starters specific to what that agent does.'
+    })));
+
+    recommendations.push(...findSharedValues(loaded, getActionKeys).map(({ value, names }) => ({
+        severity: Severity.SUGGESTION,
+        category: 'Package',
+        title: 'Shared Action',
+        description: `Action "${value}" is referenced by ${names.join(', ')}.`,
+        suggestion: 'Changes to this plugin affect every agent that uses it. Make sure each agent\'s instructions explain when to call it.'
+    })));
+
+    if (recommendations.length === 0) {
+        recommendations.push({
+            severity: Severity.SUCCESS,
+            category: 'Package',
+            title: 'Agents Are Distinct',
+            description: `${agents.length} declarative agents with unique names, IDs and starters.`
+        });
+    }
+
+    return recommendations;
+}
+
+/**
+ * Gets the identifiers of the actions an agent references
+ * @param {Object} agent - Parsed declarative agent
+ * @returns {Array} Action file names (or IDs when there is no file)
+ */
+function getActionKeys(agent) {
+    return (agent.actions || []).map(action => action.file || action.id).filter(Boolean);
+}
+
+/**
+ * Finds values that appear more than once in a list
+ * @param {Array} values - Values to check
+ * @returns {Array} Duplicated values
+ */
+function findDuplicates(values) {
+    const seen = new Set();
+    const duplicates = new Set();
+
+    for (const value of values.filter(Boolean)) {
+        if (seen.has(value)) {
+            duplicates.add(value);
+        }
+        seen.add(value);
+    }
+
+    return [...duplicates];
+}
+
+/**
+ * Finds values (compared case-insensitively) used by more than one agent
+ * @param {Array} agents - Parsed declarative agents
+ * @param {Function} getValues - Returns the values an agent uses
+ * @returns {Array} Array of { value, names } where names are the agents using it
+ */
+function findSharedValues(agents, getValues) {
+    const usage = new Map();
+
+    agents.forEach((agent, index) => {
+        const agentName = agent.name || agent.file || `Agent ${index + 1}`;
+        const values = new Set(getValues(agent).filter(Boolean).map(v => String(v).trim()));
+
+        for (const value of values) {
+            const key = value.toLowerCase();
+            if (!usage.has(key)) {
+                usage.set(key, { value, names: [] });
+            }
+            usage.get(key).names.push(agentName);
+        }
+    });
+
+    return [...usage.values()].filter(entry => entry.names.length > 1);
+}
@@ -0,0 +1,290 @@
+/**
+ * Package Diff Service for AgentAnalyzer
+ * Compares two versions of an agent package: the manifest, the selected declarative
+ * agent (capabilities, knowledge sources, instructions, starters and actions), the
+ * files and the analysis findings
+ */
+
+import { findFile } from './file-service.js';
+import { selectDeclarativeAgent } from './agent-parser.js';
+import { getAgentAnalysis } from './storage-service.js';
+import { collectRecommendations } from './report-service.js';
+import { getFingerprint } from './suppression-service.js';
+import { generateSummary } from './analysis-service.js';
+import { Severity } from './severity.js';
+import { diffWords } from '../utils/word-diff.js';
+import { escapePointerSegment } from '../utils/json-source-map.js';
+
+/**
+ * How a file differs between the two packages
+ */
+export const FileChange = {
+    ADDED: 'added',
+    REMOVED: 'removed',
+    MODIFIED: 'modified',
+    UNCHANGED: 'unchanged'
+};
+
+/**
+ * Creates a comparison side from the package that is open
+ * @param {Object} params - Package parameters
+ * @param {string} params.label - Display name
+ * @param {Object} params.agentInfo - Parsed agent information
+ * @param {Map} params.files - Extracted files map
+ * @param {Object} params.analysis - { basicAnalysis, deepAnalysis } of the selected agent
+ * @returns {Object} Snapshot
+ */
+export function createSnapshot({ label, agentInfo, files, analysis }) {
+    return {
+        label,
+        agentInfo,
+        files: files instanceof Map ? files : new Map(Object.entries(files || {})),
+        analysis: analysis || {}
+    };
+}
+
+/**
+ * Creates a comparison side from an agent in the history
+ * @param {Object} storedAgent - Stored agent record
+ * @param {number} [declarativeAgentIndex] - Declarative agent to compare; by default the one selected when it was saved
+ * @returns {Object} Snapshot
+ */
+export function createStoredSnapshot(storedAgent, declarativeAgentIndex) {
+    const index = declarativeAgentIndex ?? storedAgent.agentInfo?.selectedAgentIndex ?? 0;
+    const agentInfo = storedAgent.agentInfo?.declarativeAgents?.[index]
+        ? selectDeclarativeAgent(storedAgent.agentInfo, index)
+        : storedAgent.agentInfo || {};
+
+    return createSnapshot({
+        label: storedAgent.fileName,
+        agentInfo,
+        files: storedAgent.files,
+        analysis: getAgentAnalysis(storedAgent, index)
+    });
+}
+
+/**
+ * Compares two packages
+ * @param {Object} base - Older snapshot, from createSnapshot or createStoredSnapshot
+ * @param {Object} target - Newer snapshot
+ * @returns {Object} { manifest, agent, files, findings }
+ */
+export function comparePackages(base, target) {
+    return {
+        manifest: diffJson(readManifest(base), readManifest(target)),
+        agent: compareAgents(base.agentInfo, target.agentInfo),
+        files: compareFiles(base.files, target.files),
+        findings: {
+            basic: compareFindings(
+                base.analysis.basicAnalysis && { basicAnalysis: base.analysis.basicAnalysis },
+                target.analysis.basicAnalysis && { basicAnalysis: target.analysis.basicAnalysis }
+            ),
+            deep: compareFindings(
+                base.analysis.deepAnalysis && { deepAnalysis: base.analysis.deepAnalysis },
+                target.analysis.deepAnalysis && { deepAnalysis: target.analysis.deepAnalysis }
+            )
+        }
+    };
+}
+
+/**
+ * Lists the values that differ between two JSON documents
+ * @param {*} before - Older document
+ * @param {*} after - Newer document
+ * @param {string} [pointer] - JSON pointer of the documents
+ * @returns {Array} Changes like { pointer, before, after }; before or after is undefined when added or removed
+ */
+export function diffJson(before, after, pointer = '') {
+    if (JSON.stringify(before) === JSON.stringify(after)) return [];
+
+    const bothObjects = isContainer(before) && isContainer(after) && Array.isArray(before) === Array.isArray(after);
+    if (!bothObjects) {
+        return [{ pointer: pointer || '/', before, after }];
+    }
+
+    const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+    return keys.flatMap(key => diffJson(before[key], after[key], `${pointer}/${escapePointerSegment(key)}`));
+}
+
+/**
+ * Compares the selected declarative agents of two packages
+ * @param {Object} base - Older parsed agent information
+ * @param {Object} target - Newer parsed agent information
+ * @returns {Object} { capabilities, knowledge, instructions, starters, actions }
+ */
+function compareAgents(base, target) {
+    const baseCapabilities = new Map((base.capabilities || []).map(capability => [capability.name, capability]));
+    const targetCapabilities = new Map((target.capabilities || []).map(capability => [capability.name, capability]));
+    const changed = [...targetCapabilities.keys()].filter(name => baseCapabilities.has(name)
+        && JSON.stringify(baseCapabilities.get(name).raw) !== JSON.stringify(targetCapabilities.get(name).raw));
+
+    const instructionsChanged = (base.instructions || '') !== (target.instructions || '');
+
+    return {
+        capabilities: {
+            ...compareLists([...baseCapabilities.keys()], [...targetCapabilities.keys()]),
+            changed
+        },
+        knowledge: compareLists(listKnowledgeSources(base), listKnowledgeSources(target)),
+        instructions: {
+            changed: instructionsChanged,
+            parts: instructionsChanged ? diffWords(base.instructions || '', target.instructions || '') : []
+        },
+        starters: compareLists(
+            (base.conversationStarters || []).map(starter => starter.text),
+            (target.conversationStarters || []).map(starter => starter.text)
+        ),
+        actions: compareLists(listActions(base), listActions(target))
+    };
+}
+
+/**
+ * Compares the files of two packages
+ * @param {Map} base - Older files
+ * @param {Map} target - Newer files
+ * @returns {Array} Files like { path, change, isImage, original, modified }, sorted by path
+ */
+function compareFiles(base, target) {
+    const paths = [...new Set([...base.keys(), ...target.keys()])].sort();
+
+    return paths.map(path => {
+        const before = base.get(path);
+        const after = target.get(path);
+        let change = FileChange.UNCHANGED;
+        if (!before) {
+            change = FileChange.ADDED;
+        } else if (!after) {
+            change = FileChange.REMOVED;
+        } else if (before.content !== after.content) {
+            change = FileChange.MODIFIED;
+        }
+
+        return {
+            path,
+            change,
+            isImage: Boolean(before?.isImage || after?.isImage),
+            original: before?.content ?? '',
+            modified: after?.content ?? ''
+        };
+    });
+}
+
+/**
+ * Compares the findings of two analyses
+ * @param {Object|null} base - Older { basicAnalysis } or { deepAnalysis }, null if not analyzed
+ * @param {Object|null} target - Newer analysis, null if not analyzed
+ * @returns {Object|null} { before, after, added, resolved } with summaries and findings, or null if either side was not analyzed
+ */
+function compareFindings(base, target) {
+    if (!base || !target) return null;
+
+    const isOpen = recommendation => recommendation.severity !== Severity.SUCCESS && !recommendation.suppressed;
+    const before = collectRecommendations(base);
+    const after = collectRecommendations(target);
+    const beforeKeys = new Set(before.filter(isOpen).map(getFingerprint));
+    const afterKeys = new Set(after.filter(isOpen).map(getFingerprint));
+
+    return {
+        before: generateSummary(before),
+        after: generateSummary(after),
+        added: after.filter(recommendation => isOpen(recommendation) && !beforeKeys.has(getFingerprint(recommendation))),
+        resolved: before.filter(recommendation => isOpen(recommendation) && !afterKeys.has(getFingerprint(recommendation)))
+    };
+}
+
+/**
+ * Compares two lists of strings
+ * @param {Array} before - Older values
+ * @param {Array} after - Newer values
+ * @returns {Object} { added, removed }
+ */
+function compareLists(before, after) {
+    const beforeSet = new Set(before);
+    const afterSet = new Set(after);
+    return {
+        added: [...afterSet].filter(value => !beforeSet.has(value)),
+        removed: [...beforeSet].filter(value => !afterSet.has(value))
+    };
+}
+
+/**
+ * Describes each knowledge source of an agent, e.g. "WebSearch: https://contoso.com"
+ * @param {Object} agentInfo - Parsed agent information
+ * @returns {Array} Descriptions
+ */
+function listKnowledgeSources(agentInfo) {
+    return (agentInfo.capabilities || []).flatMap(capability => {
+        let sources = [];
+        switch (capability.type) {
+            case 'SharePoint':
+                sources = (capability.sources || []).map(source => source.type === 'url'
+                    ? source.url
+                    : [
+                        source.siteId && `site ${source.siteId}`,
+                        source.webId && `web ${source.webId}`,
+                        source.listId && `list ${source.listId}`,
+                        source.uniqueId && `item ${source.uniqueId}`
+                    ].filter(Boolean).join(', '));
+                break;
+            case 'GraphConnectors':
+                sources = (capability.connectors || []).map(connector => connector.connectionId);
+                break;
+            case 'WebSearch':
+                sources = (capability.sites || []).map(site => site.url);
+                break;
+            case 'TeamsMessages':
+                sources = (capability.urls || []).map(item => item.url);
+                break;
+            case 'Email':
+                sources = [
+                    ...(capability.scope?.folders || []).map(folder => `folder ${folder}`),
+                    ...(capability.scope?.sharedMailbox ? [`shared mailbox ${capability.scope.sharedMailbox}`] : []),
+                    ...(capability.scope?.groupMailboxes || []).map(mailbox => `group mailbox ${mailbox}`)
+                ];
+                break;
+            case 'Dataverse':
+                sources = (capability.knowledgeSources || []).map(source => `${source.hostName}${source.tables.length > 0 ? ` (${source.tables.join(', ')})` : ''}`);
+                break;
+            case 'EmbeddedKnowledge':
+                sources = (capability.files || []).map(file => file.file);
+                break;
+        }
+        return sources.filter(Boolean).map(source => `${capability.name}: ${source}`);
+    });
+}
+
+/**
+ * Describes each action of the selected declarative agent, e.g. "repairs (plugins/repairs.json)"
+ * @param {Object} agentInfo - Parsed agent information
+ * @returns {Array} Descriptions
+ */
+function listActions(agentInfo) {
+    const agent = agentInfo.declarativeAgents?.[agentInfo.selectedAgentIndex || 0];
+    return (Array.isArray(agent?.actions) ? agent.actions : [])
+        .map(action => `${action?.id || 'unnamed'} (${action?.file || 'no file'})`);
+}
+
+/**
+ * Reads the app manifest of a snapshot
+ * @param {Object} snapshot - Snapshot
+ * @returns {Object|null} Parsed manifest, or null if it is missing or invalid
+ */
+function readManifest(snapshot) {
+    const path = findFile(snapshot.files, 'manifest.json');
+    if (!path) return null;
+
+    try {
+        return JSON.parse(snapshot.files.get(path).content);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Checks whether a value is an object or array
+ * @param {*} value - Value
+ * @returns {boolean} True for objects and arrays
+ */
+function isContainer(value) {
+    return value !== null && typeof value === 'object';
+}
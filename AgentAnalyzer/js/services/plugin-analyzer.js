@@ -0,0 +1,667 @@
+/**
+ * Plugin Analyzer Service for AgentAnalyzer
+ * Deep checks for API plugin manifests (schema v2.x): runtimes and auth,
+ * response semantics, confirmations and conversation starters
+ */
+
+import { getAnalysisConfig } from '../config.js';
+import { Severity } from './analysis-service.js';
+import { getAllFiles } from './zip-service.js';
+import { parseDocumentFile } from './file-service.js';
+import { findApiDefinitions } from './agent-parser.js';
+import { resolvePackagePath, isRemoteUrl } from './action-resolver.js';
+import { createRefContext, resolveRef } from '../utils/openapi-refs.js';
+import { createSampleValue } from '../utils/openapi-sample.js';
+import { validateAdaptiveCard } from '../utils/adaptive-card.js';
+import { escapePointerSegment } from '../utils/json-source-map.js';
+import { getRuleOptions } from './rule-registry.js';
+
+/**
+ * Runtime auth types API plugins support
+ */
+const AUTH_TYPES = ['None', 'OAuthPluginVault', 'ApiKeyPluginVault'];
+
+/**
+ * Auth types that need a reference_id from the Teams developer portal
+ */
+const VAULT_AUTH_TYPES = ['OAuthPluginVault', 'ApiKeyPluginVault'];
+
+/**
+ * HTTP methods that can hold an OpenAPI operation
+ */
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+/**
+ * Recommendations raised from plugin manifest issues, by issue type; options holds
+ * the defaults of rules with limits
+ */
+export const PLUGIN_MANIFEST_RULES = {
+    invalid_auth: {
+        severity: Severity.CRITICAL,
+        title: 'Invalid Runtime Auth',
+        suggestion: 'Set each runtime\'s auth.type to None, OAuthPluginVault or ApiKeyPluginVault.'
+    },
+    missing_reference_id: {
+        severity: Severity.CRITICAL,
+        title: 'Missing Auth Reference ID',
+        suggestion: 'Register the OAuth client or API key in the Teams developer portal and put its registration ID in auth.reference_id.'
+    },
+    unresolved_reference_id: {
+        severity: Severity.CRITICAL,
+        title: 'Unresolved Auth Reference ID',
+        suggestion: 'The package still contains a ${{...}} placeholder. Provision the app so the toolkit fills in the registration ID, then rebuild the package.'
+    },
+    auth_mismatch: {
+        severity: Severity.WARNING,
+        title: 'Runtime Auth Does Not Match API',
+        suggestion: 'Use OAuthPluginVault or ApiKeyPluginVault for APIs that declare security, and None for APIs that do not.'
+    },
+    invalid_data_path: {
+        severity: Severity.WARNING,
+        title: 'Invalid Response Semantics Path',
+        suggestion: 'Response semantics paths are JSONPath queries that start with "$", such as "$.items".'
+    },
+    unknown_data_path: {
+        severity: Severity.WARNING,
+        title: 'Response Semantics Path Not in Response',
+        suggestion: 'Point data_path and the response semantics properties at fields that exist in the operation\'s success response schema.'
+    },
+    invalid_static_template: {
+        severity: Severity.WARNING,
+        title: 'Invalid Static Template',
+        suggestion: 'static_template must be an Adaptive Card ("type": "AdaptiveCard" with a "body") or a "file" reference to one in the package.'
+    },
+    unknown_card_element: {
+        severity: Severity.WARNING,
+        title: 'Unknown Adaptive Card Elements',
+        suggestion: 'Use only elements and actions from the Adaptive Card schema; Copilot drops elements it does not know.'
+    },
+    unsupported_card_version: {
+        severity: Severity.WARNING,
+        title: 'Unsupported Adaptive Card Version',
+        suggestion: 'Set the card "version" to one Copilot renders, and avoid features from newer versions.',
+        options: () => ({ maxVersion: getAnalysisConfig().apiPlugins.maxAdaptiveCardVersion })
+    },
+    unbound_card_expression: {
+        severity: Severity.WARNING,
+        title: 'Unbound Template Expressions',
+        suggestion: 'Template expressions are bound to each result selected by data_path; use field names from the response schema.'
+    },
+    incomplete_confirmation: {
+        severity: Severity.WARNING,
+        title: 'Incomplete Confirmation',
+        suggestion: 'Give Adaptive Card confirmations a title and body that tell the user what the function is about to do.'
+    },
+    invalid_plugin_starters: {
+        severity: Severity.WARNING,
+        title: 'Invalid Plugin Conversation Starters',
+        suggestion: 'Give every conversation starter a distinct, non-empty "text".'
+    },
+    missing_plugin_starters: {
+        severity: Severity.SUGGESTION,
+        title: 'Add Plugin Conversation Starters',
+        suggestion: 'Add capabilities.conversation_starters to show users how to invoke the plugin.'
+    }
+};
+
+/**
+ * Analyzes a plugin manifest
+ * @param {Object} manifest - The plugin manifest
+ * @param {Object} result - The result object to update (result.path is the manifest path)
+ */
+export function analyzePluginManifest(manifest, result) {
+    const specs = loadRuntimeSpecs(manifest, result.path);
+    const runtimes = Array.isArray(manifest.runtimes) ? manifest.runtimes : [];
+    runtimes.forEach((runtime, index) => {
+        if (runtime && typeof runtime === 'object') {
+            checkRuntimeAuth(runtime, specs[index]?.document, result, index, `/runtimes/${index}`);
+        }
+    });
+
+    const functions = Array.isArray(manifest.functions) ? manifest.functions : [];
+
+    functions.forEach((func, index) => {
+        if (!func || typeof func !== 'object') return;
+
+        const funcResult = {
+            path: func.name || 'unknown',
+            method: 'FUNCTION',
+            operationId: func.name || 'unknown',
+            hasDescription: !!func.description,
+            description: func.description || '',
+            issues: [],
+            parameters: []
+        };
+
+        if (!func.description) {
+            funcResult.issues.push({
+                type: 'missing_description',
+                message: 'Function is missing a description'
+            });
+        }
+
+        // Check parameters
+        if (func.parameters?.properties) {
+            for (const [name, param] of Object.entries(func.parameters.properties)) {
+                const paramResult = {
+                    name: name,
+                    hasDescription: !!param.description,
+                    required: func.parameters.required?.includes(name) || false
+                };
+
+                if (!param.description) {
+                    funcResult.issues.push({
+                        type: 'missing_param_description',
+                        message: `Parameter "${name}" is missing a description`
+                    });
+                }
+
+                funcResult.parameters.push(paramResult);
+            }
+        }
+
+        const pointer = `/functions/${index}/capabilities`;
+        const capabilities = func.capabilities || {};
+        if (capabilities.response_semantics) {
+            checkResponseSemantics(capabilities.response_semantics, findOperation(specs, func.name), result, func.name, `${pointer}/response_semantics`);
+        }
+        if (capabilities.confirmation) {
+            checkConfirmation(capabilities.confirmation, result, func.name, `${pointer}/confirmation`);
+        }
+
+        result.operations.push(funcResult);
+    });
+
+    checkConversationStarters(manifest.capabilities?.conversation_starters, result);
+}
+
+/**
+ * Gets the sample data and checks for each Adaptive Card static template in a
+ * plugin manifest, or for an Adaptive Card file that plugins use as a template
+ * @param {Object} document - Parsed plugin manifest or Adaptive Card
+ * @param {string} path - Package path of the document
+ * @returns {Array} Array of { name, card, data, issues } (data is null when no response schema is known)
+ */
+export function getStaticTemplatePreviews(document, path) {
+    if (!document || typeof document !== 'object') return [];
+
+    if (document.type === 'AdaptiveCard') {
+        const previews = findTemplateUses(path).map(use => createTemplatePreview(use.name, document, use.operation, use.dataPath));
+        return previews.length > 0 ? previews : [createTemplatePreview(path.split('/').pop(), document, null, null)];
+    }
+
+    const specs = loadRuntimeSpecs(document, path);
+    const previews = [];
+    for (const func of Array.isArray(document.functions) ? document.functions : []) {
+        const semantics = func?.capabilities?.response_semantics;
+        if (!semantics?.static_template) continue;
+
+        const { card } = resolveStaticTemplate(semantics.static_template, path);
+        if (isAdaptiveCard(card)) {
+            previews.push(createTemplatePreview(func.name || 'unnamed', card, findOperation(specs, func.name), parseJsonPath(semantics.data_path)));
+        }
+    }
+    return previews;
+}
+
+/**
+ * Finds the plugin functions that use an Adaptive Card file as their static template
+ * @param {string} cardPath - Package path of the card file
+ * @returns {Array} Array of { name, operation, dataPath }
+ */
+function findTemplateUses(cardPath) {
+    const uses = [];
+
+    for (const definition of findApiDefinitions().filter(def => def.type === 'plugin')) {
+        const manifest = parseDocumentFile(definition.path);
+        const functions = Array.isArray(manifest?.functions) ? manifest.functions : [];
+        const specs = loadRuntimeSpecs(manifest, definition.path);
+
+        for (const func of functions) {
+            const semantics = func?.capabilities?.response_semantics;
+            if (resolveStaticTemplate(semantics?.static_template, definition.path).cardPath === cardPath) {
+                uses.push({ name: func.name || 'unnamed', operation: findOperation(specs, func.name), dataPath: parseJsonPath(semantics.data_path) });
+            }
+        }
+    }
+
+    return uses;
+}
+
+/**
+ * Binds an Adaptive Card template to sample data for one result of a function and checks it
+ * @param {string} name - Function (or file) name shown with the preview
+ * @param {Object} card - The Adaptive Card template
+ * @param {Object|null} operation - { refs, operation } the function calls, if known
+ * @param {Array|null} dataPath - Segments of response_semantics.data_path
+ * @returns {Object} { name, card, data, issues }
+ */
+function createTemplatePreview(name, card, operation, dataPath) {
+    const element = getResultSchema(operation, dataPath).element;
+    const sample = element?.schema ? createSampleValue(operation.refs, element.schema, element.docPath) : undefined;
+    const data = sample === undefined ? null : sample;
+
+    return {
+        name,
+        card,
+        data,
+        issues: validateAdaptiveCard(card, data, getRuleOptions('api-plugins/unsupported-card-version').maxVersion)
+    };
+}
+
+/**
+ * Loads the OpenAPI descriptions of a plugin's local OpenAPI runtimes
+ * @param {Object} manifest - The plugin manifest
+ * @param {string} pluginPath - Package path of the plugin manifest
+ * @returns {Array} { refs, document } for each runtime, by runtime index (undefined when not loaded)
+ */
+function loadRuntimeSpecs(manifest, pluginPath) {
+    const files = getAllFiles();
+    const runtimes = Array.isArray(manifest?.runtimes) ? manifest.runtimes : [];
+
+    return runtimes.map(runtime => {
+        if (runtime?.type !== 'OpenApi' || !runtime.spec?.url || isRemoteUrl(runtime.spec.url)) return undefined;
+
+        const specPath = resolvePackagePath(files, pluginPath, runtime.spec.url);
+        const document = specPath ? parseDocumentFile(specPath) : null;
+        if (!document || typeof document !== 'object') return undefined;
+
+        return { refs: createRefContext(specPath, document, parseDocumentFile), document };
+    });
+}
+
+/**
+ * Checks a runtime's auth type and reference ID, and that it matches the API's security
+ * @param {Object} runtime - Runtime object from the manifest
+ * @param {Object|null} document - The runtime's OpenAPI description, when it is in the package
+ * @param {Object} result - File analysis result to add issues to
+ * @param {number} index - Index in the runtimes array
+ * @param {string} pointer - Pointer to the runtime
+ */
+function checkRuntimeAuth(runtime, document, result, index, pointer) {
+    const label = `Runtime #${index + 1}`;
+    const type = runtime.auth?.type ?? runtime.auth?.Type;
+
+    if (!runtime.auth || typeof runtime.auth !== 'object') {
+        result.issues.push({ type: 'invalid_auth', message: `${label} has no auth`, pointer });
+        return;
+    }
+    if (!AUTH_TYPES.includes(type)) {
+        result.issues.push({
+            type: 'invalid_auth',
+            message: `${label} uses auth type "${type ?? ''}"`,
+            pointer: `${pointer}/auth`
+        });
+        return;
+    }
+
+    if (VAULT_AUTH_TYPES.includes(type)) {
+        const referenceId = runtime.auth.reference_id;
+        if (!referenceId || typeof referenceId !== 'string') {
+            result.issues.push({
+                type: 'missing_reference_id',
+                message: `${label} uses ${type} without a reference_id`,
+                pointer: `${pointer}/auth`
+            });
+        } else if (referenceId.includes('${{')) {
+            result.issues.push({
+                type: 'unresolved_reference_id',
+                message: `${label} reference_id is the placeholder "${referenceId}"`,
+                pointer: `${pointer}/auth/reference_id`
+            });
+        }
+    }
+
+    if (!document) return;
+
+    const declaresSecurity = hasSecurity(document);
+    if (type === 'None' && declaresSecurity) {
+        result.issues.push({
+            type: 'auth_mismatch',
+            message: `${label} uses auth type None, but its OpenAPI description requires authentication`,
+            pointer: `${pointer}/auth`
+        });
+    } else if (VAULT_AUTH_TYPES.includes(type) && !declaresSecurity) {
+        result.issues.push({
+            type: 'auth_mismatch',
+            message: `${label} uses ${type}, but its OpenAPI description declares no security scheme`,
+            pointer: `${pointer}/auth`
+        });
+    }
+}
+
+/**
+ * Checks whether an OpenAPI description declares security schemes or requirements
+ * @param {Object} document - Parsed OpenAPI description
+ * @returns {boolean} True if the API requires authentication
+ */
+function hasSecurity(document) {
+    const schemes = document.swagger ? document.securityDefinitions : document.components?.securitySchemes;
+    return Object.keys(schemes || {}).length > 0 || (Array.isArray(document.security) && document.security.length > 0);
+}
+
+/**
+ * Finds the OpenAPI operation a function calls (function names match operationIds)
+ * @param {Array} specs - OpenAPI descriptions of the plugin's runtimes
+ * @param {string} name - Function name
+ * @returns {Object|null} { refs, operation } or null if no description has the operation
+ */
+function findOperation(specs, name) {
+    if (!name) return null;
+
+    for (const spec of specs.filter(Boolean)) {
+        for (const item of Object.values(spec.document.paths || {})) {
+            const pathItem = resolveRef(spec.refs, item).value;
+            if (!pathItem || typeof pathItem !== 'object') continue;
+
+            const method = HTTP_METHODS.find(m => pathItem[m]?.operationId === name);
+            if (method) {
+                return { refs: spec.refs, operation: pathItem[method] };
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Checks response semantics: the JSONPath queries and the static template
+ * @param {Object} semantics - response_semantics object of a function
+ * @param {Object|null} operation - { refs, operation } the function calls, if known
+ * @param {Object} result - File analysis result to add issues to
+ * @param {string} name - Function name, used in messages
+ * @param {string} pointer - Pointer to the response_semantics object
+ */
+function checkResponseSemantics(semantics, operation, result, name, pointer) {
+    const label = `Function "${name}"`;
+
+    // data_path selects the results; the properties are queries relative to each result
+    const dataPath = parseJsonPath(semantics.data_path);
+    const { response, element } = getResultSchema(operation, dataPath);
+    if (!dataPath) {
+        result.issues.push({
+            type: 'invalid_data_path',
+            message: `${label}: data_path "${semantics.data_path ?? ''}" is not a JSONPath query`,
+            pointer: `${pointer}/data_path`
+        });
+    } else if (response && !element) {
+        result.issues.push({
+            type: 'unknown_data_path',
+            message: `${label}: data_path "${semantics.data_path}" is not in the response schema`,
+            pointer: `${pointer}/data_path`
+        });
+    }
+
+    for (const [key, query] of Object.entries(semantics.properties || {})) {
+        const segments = parseJsonPath(query);
+        if (!segments) {
+            result.issues.push({
+                type: 'invalid_data_path',
+                message: `${label}: properties.${key} "${query}" is not a JSONPath query`,
+                pointer: `${pointer}/properties/${escapePointerSegment(key)}`
+            });
+        } else if (element?.schema && followJsonPath(operation.refs, element, segments) === null) {
+            result.issues.push({
+                type: 'unknown_data_path',
+                message: `${label}: properties.${key} "${query}" is not in the result schema`,
+                pointer: `${pointer}/properties/${escapePointerSegment(key)}`
+            });
+        }
+    }
+
+    if (semantics.static_template) {
+        checkStaticTemplate(semantics.static_template, result, name, `${pointer}/static_template`,
+            card => createTemplatePreview(name, card, operation, dataPath).issues);
+    }
+}
+
+/**
+ * Resolves the schema of one result of a function: what data_path selects in
+ * the success response, or an item of it when that is an array
+ * @param {Object|null} operation - { refs, operation } the function calls, if known
+ * @param {Array|null} dataPath - Segments of response_semantics.data_path
+ * @returns {Object} { response, element } where element is null if data_path is not in the response
+ */
+function getResultSchema(operation, dataPath) {
+    const response = operation ? getResponseSchema(operation.refs, operation.operation) : null;
+    if (!response || !dataPath) return { response, element: null };
+
+    let element = followJsonPath(operation.refs, response, dataPath);
+    if (element && (element.schema?.type === 'array' || element.schema?.items)) {
+        element = followJsonPath(operation.refs, element, [{ type: 'index' }]);
+    }
+    return { response, element };
+}
+
+/**
+ * Gets the schema of an operation's success response
+ * @param {Object} refs - Reference context of the OpenAPI description
+ * @param {Object} operation - The operation definition
+ * @returns {Object|null} { schema, docPath } or null if the operation has no response schema
+ */
+function getResponseSchema(refs, operation) {
+    const status = Object.keys(operation.responses || {}).find(code => /^2(\d\d|XX)$/i.test(code));
+    if (!status) return null;
+
+    const response = resolveRef(refs, operation.responses[status]);
+    if (response.error) return null;
+
+    // OpenAPI 3 nests the schema under a media type; Swagger 2 puts it on the response
+    const content = response.value?.content;
+    const schema = content
+        ? (content['application/json'] || Object.values(content)[0])?.schema
+        : response.value?.schema;
+
+    return schema ? { schema, docPath: response.docPath } : null;
+}
+
+/**
+ * Splits a simple JSONPath query into segments. Queries that use filters or
+ * recursive descent are accepted but cannot be followed through a schema.
+ * @param {string} query - JSONPath query, such as "$.items[*]" or "$['display name']"
+ * @returns {Array|null} Array of { type: 'property'|'index'|'any', name } or null if the query is invalid
+ *   ('any' stands for segments that cannot be followed through a schema)
+ */
+function parseJsonPath(query) {
+    if (typeof query !== 'string' || !query.startsWith('$')) return null;
+
+    const segments = [];
+    const pattern = /\.([A-Za-z0-9_@$-]+)|(\.\*)|\[\*\]|\[\d+\]|\['([^']*)'\]|\["([^"]*)"\]/y;
+    let position = 1;
+
+    while (position < query.length) {
+        pattern.lastIndex = position;
+        const match = pattern.exec(query);
+        if (!match) {
+            // Filters, slices and recursive descent: valid JSONPath we do not follow
+            return query.substring(position).startsWith('..') || query.substring(position).startsWith('[')
+                ? [...segments, { type: 'any' }]
+                : null;
+        }
+
+        const name = match[1] ?? match[3] ?? match[4];
+        if (name !== undefined) {
+            segments.push({ type: 'property', name });
+        } else {
+            segments.push({ type: match[2] ? 'any' : 'index' });
+        }
+        position = pattern.lastIndex;
+    }
+
+    return segments;
+}
+
+/**
+ * Follows JSONPath segments through a schema
+ * @param {Object} refs - Reference context of the OpenAPI description
+ * @param {Object} start - { schema, docPath } to start from
+ * @param {Array} segments - Segments from parseJsonPath
+ * @returns {Object|null} { schema, docPath } where the path leads (schema is null when
+ *   the schema is too loose to tell), or null if the path does not exist
+ */
+function followJsonPath(refs, start, segments) {
+    const resolved = resolveRef(refs, start.schema, start.docPath);
+    if (resolved.error || !resolved.value || typeof resolved.value !== 'object') {
+        return { schema: null, docPath: start.docPath };
+    }
+
+    const schema = resolved.value;
+    const current = { schema, docPath: resolved.docPath };
+    if (segments.length === 0) return current;
+
+    const [segment, ...rest] = segments;
+    if (segment.type === 'any') return { schema: null, docPath: current.docPath };
+
+    // A path exists if any branch of a combined schema has it
+    const branches = ['allOf', 'anyOf', 'oneOf'].flatMap(keyword => Array.isArray(schema[keyword]) ? schema[keyword] : []);
+    for (const branch of branches) {
+        const found = followJsonPath(refs, { schema: branch, docPath: current.docPath }, segments);
+        if (found) return found;
+    }
+
+    if (segment.type === 'index') {
+        if (schema.items && typeof schema.items === 'object') {
+            return followJsonPath(refs, { schema: schema.items, docPath: current.docPath }, rest);
+        }
+        return schema.type === 'array' || !schema.type ? { schema: null, docPath: current.docPath } : null;
+    }
+
+    const property = schema.properties?.[segment.name];
+    if (property) {
+        return followJsonPath(refs, { schema: property, docPath: current.docPath }, rest);
+    }
+
+    // Without declared properties (or with open additionalProperties) the field may still be there
+    const isOpen = !schema.properties || (schema.additionalProperties && schema.additionalProperties !== false);
+    return isOpen && branches.length === 0 && schema.type !== 'array' ? { schema: null, docPath: current.docPath } : null;
+}
+
+/**
+ * Resolves a static template to its Adaptive Card, loading file references
+ * @param {Object} template - static_template object
+ * @param {string} pluginPath - Package path of the plugin manifest
+ * @returns {Object} { card, cardPath } (cardPath is set for file references that resolve)
+ */
+function resolveStaticTemplate(template, pluginPath) {
+    if (!template || typeof template !== 'object') return { card: null, cardPath: null };
+    if (typeof template.file !== 'string') return { card: template, cardPath: null };
+
+    const cardPath = resolvePackagePath(getAllFiles(), pluginPath, template.file);
+    return { card: cardPath ? parseDocumentFile(cardPath) : null, cardPath };
+}
+
+/**
+ * Checks whether a value is an Adaptive Card
+ * @param {*} card - Parsed value
+ * @returns {boolean} True for objects with "type": "AdaptiveCard" and a body
+ */
+function isAdaptiveCard(card) {
+    return !!card && typeof card === 'object' && card.type === 'AdaptiveCard' && Array.isArray(card.body);
+}
+
+/**
+ * Checks that a static template is an Adaptive Card, or a file reference to one,
+ * and that its elements, version and data bindings work in Copilot
+ * @param {Object} template - static_template object
+ * @param {Object} result - File analysis result to add issues to
+ * @param {string} name - Function name, used in messages
+ * @param {string} pointer - Pointer to the static_template object
+ * @param {Function} checkCard - Checks the card against sample data: (card) => issues
+ */
+function checkStaticTemplate(template, result, name, pointer, checkCard) {
+    const label = `Function "${name}"`;
+    if (typeof template !== 'object') {
+        result.issues.push({
+            type: 'invalid_static_template',
+            message: `${label}: static_template is not a valid Adaptive Card template; use an Adaptive Card object or { "file": "<path>" }`,
+            pointer
+        });
+        return;
+    }
+
+    const { card, cardPath } = resolveStaticTemplate(template, result.path);
+    const isFile = typeof template.file === 'string';
+    const source = isFile ? `"${template.file}"` : 'static_template';
+
+    if (!card) {
+        result.issues.push({
+            type: 'invalid_static_template',
+            message: `${label}: static_template file ${source} ${cardPath ? 'is not valid JSON' : 'was not found in the package'}`,
+            pointer: `${pointer}/file`
+        });
+        return;
+    }
+    if (!isAdaptiveCard(card)) {
+        result.issues.push({
+            type: 'invalid_static_template',
+            message: `${label}: ${source} is not an Adaptive Card`,
+            pointer
+        });
+        return;
+    }
+
+    // Issues inside a card file are reported on the reference, naming where in the card they are
+    for (const issue of checkCard(card)) {
+        result.issues.push({
+            type: issue.type,
+            message: `${label}: ${issue.message}${isFile ? ` (${template.file}${issue.pointer ? ` at ${issue.pointer}` : ''})` : ''}`,
+            pointer: isFile ? `${pointer}/file` : `${pointer}${issue.pointer}`
+        });
+    }
+}
+
+/**
+ * Checks that an Adaptive Card confirmation has the text users see
+ * @param {Object} confirmation - confirmation object of a function
+ * @param {Object} result - File analysis result to add issues to
+ * @param {string} name - Function name, used in messages
+ * @param {string} pointer - Pointer to the confirmation object
+ */
+function checkConfirmation(confirmation, result, name, pointer) {
+    if (confirmation.type !== 'AdaptiveCard') return;
+
+    const missing = ['title', 'body'].filter(key => !confirmation[key]?.trim?.());
+    if (missing.length > 0) {
+        result.issues.push({
+            type: 'incomplete_confirmation',
+            message: `Function "${name}": confirmation has no ${missing.join(' or ')}`,
+            pointer
+        });
+    }
+}
+
+/**
+ * Checks the plugin's conversation starters
+ * @param {Array|undefined} starters - capabilities.conversation_starters
+ * @param {Object} result - File analysis result to add issues to
+ */
+function checkConversationStarters(starters, result) {
+    const pointer = '/capabilities/conversation_starters';
+
+    if (!Array.isArray(starters) || starters.length === 0) {
+        result.issues.push({
+            type: 'missing_plugin_starters',
+            message: 'Plugin has no conversation starters'
+        });
+        return;
+    }
+
+    const seen = new Set();
+    starters.forEach((starter, index) => {
+        const text = typeof starter?.text === 'string' ? starter.text.trim() : '';
+        if (!text) {
+            result.issues.push({
+                type: 'invalid_plugin_starters',
+                message: `Conversation starter #${index + 1} has no text`,
+                pointer: `${pointer}/${index}`
+            });
+        } else if (seen.has(text.toLowerCase())) {
+            result.issues.push({
+                type: 'invalid_plugin_starters',
+                message: `Conversation starter "${text}" is listed more than once`,
+                pointer: `${pointer}/${index}`
+            });
+        }
+        seen.add(text.toLowerCase());
+    });
+}
@@ -0,0 +1,297 @@
+/**
+ * Quick Fix Service for AgentAnalyzer
+ * Builds the concrete edits that fix a finding and applies them to the package files.
+ * A fix is plain data so it is stored and exported with its recommendation:
+ * { label, file, patch } where patch is a JSON Patch for the JSON file.
+ */
+
+import { getFileContent, updateFileContent } from './zip-service.js';
+import { applyJsonPatch } from '../utils/json-patch.js';
+import { escapePointerSegment } from '../utils/json-source-map.js';
+import { getRequiredSchemaVersion, compareVersions } from '../utils/schema-versions.js';
+
+/**
+ * HTTP methods of OpenAPI operations
+ */
+const OPERATION_METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+/**
+ * Creates a fix that bumps a declarative agent's "$schema" and "version" to a schema version
+ * @param {string} path - Package path of the declarative agent file
+ * @param {string} version - Schema version such as "1.5"
+ * @returns {Object|null} Fix, or null if the file declares no version
+ */
+export function createSchemaVersionFix(path, version) {
+    const document = readJsonDocument(path);
+    if (!document) return null;
+
+    const patch = getSchemaVersionPatch(document, version);
+    return patch.length > 0 ? { label: `Bump to schema v${version}`, file: path, patch } : null;
+}
+
+/**
+ * Creates a fix that adds a capability to a declarative agent, bumping its schema
+ * version when the capability needs a newer one
+ * @param {string} path - Package path of the declarative agent file
+ * @param {string} name - Capability name such as "CodeInterpreter"
+ * @returns {Object|null} Fix, or null if the agent already has the capability
+ */
+export function createCapabilityFix(path, name) {
+    const document = readJsonDocument(path);
+    if (!document) return null;
+
+    const capabilities = document.capabilities;
+    if (Array.isArray(capabilities) && capabilities.some(capability => capability?.name === name)) return null;
+
+    const patch = Array.isArray(capabilities)
+        ? [{ op: 'add', path: '/capabilities/-', value: { name } }]
+        : [{ op: 'add', path: '/capabilities', value: [{ name }] }];
+
+    let label = `Add the ${name} capability`;
+    const declared = getDeclaredVersion(document);
+    const required = getRequiredSchemaVersion(applyJsonPatch(document, patch));
+    if (declared && compareVersions(required, declared) > 0) {
+        patch.push(...getSchemaVersionPatch(document, required));
+        label += ` and bump to schema v${required}`;
+    }
+
+    return { label, file: path, patch };
+}
+
+/**
+ * Creates a fix that replaces a declarative agent's instructions
+ * @param {string} path - Package path of the declarative agent file
+ * @param {string} original - The instructions the new text is based on
+ * @param {string} instructions - New instructions
+ * @returns {Object|null} Fix, or null if the file has no inline instructions to replace
+ */
+export function createInstructionsFix(path, original, instructions) {
+    const document = readJsonDocument(path);
+    if (typeof document?.instructions !== 'string') return null;
+
+    // Test first so instructions edited since the rewrite was requested are not overwritten
+    return {
+        label: 'Rewrite instructions',
+        file: path,
+        patch: [
+            { op: 'test', path: '/instructions', value: original },
+            { op: 'replace', path: '/instructions', value: instructions }
+        ]
+    };
+}
+
+/**
+ * Creates a fix that removes conversation starters repeating an earlier one
+ * @param {string} path - Package path of the declarative agent file
+ * @returns {Object|null} Fix, or null if no starter is a duplicate
+ */
+export function createStarterDedupeFix(path) {
+    const document = readJsonDocument(path);
+    if (!document) return null;
+
+    const key = Array.isArray(document.conversation_starters) ? 'conversation_starters' : 'conversationStarters';
+    const starters = document[key];
+    if (!Array.isArray(starters)) return null;
+
+    const seen = new Set();
+    const duplicates = [];
+    starters.forEach((starter, index) => {
+        const text = String(starter?.text || starter?.title || '').trim().toLowerCase().replace(/\s+/g, ' ');
+        if (seen.has(text)) {
+            duplicates.push(index);
+        }
+        seen.add(text);
+    });
+    if (duplicates.length === 0) return null;
+
+    // Remove from the end so the earlier indexes stay valid; test first so a stale fix fails
+    const patch = duplicates.reverse().flatMap(index => [
+        { op: 'test', path: `/${key}/${index}`, value: starters[index] },
+        { op: 'remove', path: `/${key}/${index}` }
+    ]);
+
+    return { label: `Remove ${duplicates.length} duplicate starter(s)`, file: path, patch };
+}
+
+/**
+ * Creates a fix that replaces one conversation starter
+ * @param {string} path - Package path of the declarative agent file
+ * @param {number} index - Index of the starter
+ * @param {Object} starter - New starter like { title, text }
+ * @returns {Object|null} Fix, or null if the starter cannot be found
+ */
+export function createStarterReplacementFix(path, index, starter) {
+    const document = readJsonDocument(path);
+    if (!document) return null;
+
+    const key = Array.isArray(document.conversation_starters) ? 'conversation_starters' : 'conversationStarters';
+    const current = document[key]?.[index];
+    if (!current || typeof current !== 'object') return null;
+
+    // Keep the title only if the starter had one
+    const replacement = current.title !== undefined ? { title: starter.title, text: starter.text } : { text: starter.text };
+
+    return {
+        label: `Replace the starter with "${starter.text}"`,
+        file: path,
+        patch: [
+            { op: 'test', path: `/${key}/${index}`, value: current },
+            { op: 'replace', path: `/${key}/${index}`, value: { ...current, ...replacement } }
+        ]
+    };
+}
+
+/**
+ * Creates a fix that gives OpenAPI operations without an operationId one made from
+ * their method and path
+ * @param {string} path - Package path of the OpenAPI description (JSON only)
+ * @param {Array} pointers - JSON pointers of the operations, such as /paths/~1repairs/get
+ * @returns {Object|null} Fix, or null if the file cannot be edited
+ */
+export function createOperationIdFix(path, pointers) {
+    const document = readJsonDocument(path);
+    if (!document?.paths) return null;
+
+    const used = new Set();
+    for (const pathItem of Object.values(document.paths)) {
+        for (const method of OPERATION_METHODS) {
+            if (pathItem?.[method]?.operationId) used.add(pathItem[method].operationId);
+        }
+    }
+
+    const patch = [];
+    for (const [route, pathItem] of Object.entries(document.paths)) {
+        for (const method of OPERATION_METHODS) {
+            const pointer = `/paths/${escapePointerSegment(route)}/${method}`;
+            if (!pointers.includes(pointer) || !pathItem?.[method] || pathItem[method].operationId) continue;
+
+            let operationId = getOperationId(method, route);
+            for (let suffix = 2; used.has(operationId); suffix++) {
+                operationId = `${getOperationId(method, route)}${suffix}`;
+            }
+            used.add(operationId);
+            patch.push({ op: 'add', path: `${pointer}/operationId`, value: operationId });
+        }
+    }
+
+    return patch.length > 0 ? { label: `Add ${patch.length} operationId(s)`, file: path, patch } : null;
+}
+
+/**
+ * Computes the file content a fix produces, for a diff preview
+ * @param {Object} fix - Fix from one of the create functions
+ * @returns {Object} { file, label, original, modified }
+ * @throws {Error} If the file is missing or has changed so the fix no longer applies
+ */
+export function previewFix(fix) {
+    const fileData = getFileContent(fix.file);
+    if (!fileData || fileData.isImage) {
+        throw new Error(`${fix.file} is not in the package`);
+    }
+
+    let document;
+    try {
+        document = JSON.parse(fileData.content);
+    } catch (error) {
+        throw new Error(`${fix.file} is not valid JSON: ${error.message}`);
+    }
+
+    let patched;
+    try {
+        patched = applyJsonPatch(document, fix.patch);
+    } catch (error) {
+        throw new Error(`The fix no longer applies to ${fix.file}: ${error.message}. Analyze the package again.`);
+    }
+
+    const original = fileData.content;
+    const trailingNewline = original.endsWith('\n') ? '\n' : '';
+    return {
+        file: fix.file,
+        label: fix.label,
+        original,
+        modified: JSON.stringify(patched, null, detectIndent(original)) + trailingNewline
+    };
+}
+
+/**
+ * Applies a fix to the package file
+ * @param {Object} fix - Fix from one of the create functions
+ * @returns {Object} The applied { file, label, original, modified }
+ */
+export function applyFix(fix) {
+    const preview = previewFix(fix);
+    updateFileContent(preview.file, preview.modified);
+    return preview;
+}
+
+/**
+ * Reads and parses a JSON file of the package
+ * @param {string} path - Package path
+ * @returns {Object|null} Parsed document, or null for missing, YAML or invalid files
+ */
+function readJsonDocument(path) {
+    if (!path || !path.toLowerCase().endsWith('.json')) return null;
+
+    const fileData = getFileContent(path);
+    if (!fileData || fileData.isImage) return null;
+
+    try {
+        const document = JSON.parse(fileData.content);
+        return document && typeof document === 'object' && !Array.isArray(document) ? document : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Gets the schema version a declarative agent declares
+ * @param {Object} document - Parsed declarative agent
+ * @returns {string|null} Version such as "1.5"
+ */
+function getDeclaredVersion(document) {
+    const match = String(document.$schema || document.version || '').match(/v?(\d+\.\d+)/);
+    return match ? match[1] : null;
+}
+
+/**
+ * Gets the patch that sets a declarative agent's "$schema" and "version" to a schema version
+ * @param {Object} document - Parsed declarative agent
+ * @param {string} version - Schema version such as "1.5"
+ * @returns {Array} JSON Patch operations
+ */
+function getSchemaVersionPatch(document, version) {
+    const patch = [];
+    if (typeof document.$schema === 'string' && /v\d+\.\d+/.test(document.$schema)) {
+        patch.push({ op: 'replace', path: '/$schema', value: document.$schema.replace(/v\d+\.\d+/, `v${version}`) });
+    }
+    if (typeof document.version === 'string') {
+        patch.push({ op: 'replace', path: '/version', value: `v${version}` });
+    }
+    return patch;
+}
+
+/**
+ * Makes an operationId from a method and path, e.g. GET /repairs/{id} becomes getRepairsById
+ * @param {string} method - HTTP method
+ * @param {string} route - OpenAPI path
+ * @returns {string} operationId
+ */
+function getOperationId(method, route) {
+    const words = route.split('/').filter(Boolean).flatMap(segment => {
+        const parameter = segment.match(/^\{(.+)\}$/);
+        const text = parameter ? `by ${parameter[1]}` : segment;
+        return text.split(/[^a-zA-Z0-9]+/).filter(Boolean);
+    });
+
+    return method.toLowerCase() + words.map(word => word[0].toUpperCase() + word.slice(1)).join('');
+}
+
+/**
+ * Detects the indentation of a JSON file so fixed files keep their formatting
+ * @param {string} content - JSON text
+ * @returns {string|number} Indentation for JSON.stringify
+ */
+function detectIndent(content) {
+    const match = content.match(/^[{[][^\n]*\n([ \t]+)\S/);
+    return match ? match[1] : 2;
+}
@@ -0,0 +1,372 @@
+/**
+ * Report Service for AgentAnalyzer
+ * Turns analysis recommendations into reports: JSON, SARIF, JUnit XML, Markdown and HTML
+ */
+
+import { Severity, generateSummary } from './analysis-service.js';
+import { getAllFiles } from './zip-service.js';
+import { findFile } from './file-service.js';
+import { getRule, getRuleId } from './rule-registry.js';
+
+/**
+ * Tool name written into reports
+ */
+const TOOL_NAME = 'AgentAnalyzer';
+
+/**
+ * SARIF result level for each severity (successes are not reported)
+ */
+const SARIF_LEVELS = {
+    [Severity.CRITICAL]: 'error',
+    [Severity.WARNING]: 'warning',
+    [Severity.SUGGESTION]: 'note'
+};
+
+/**
+ * Severities from most to least severe
+ */
+export const SEVERITY_ORDER = [Severity.CRITICAL, Severity.WARNING, Severity.SUGGESTION, Severity.SUCCESS];
+
+/**
+ * Headings for each severity in the readable reports
+ */
+const SEVERITY_LABELS = {
+    [Severity.CRITICAL]: 'Critical',
+    [Severity.WARNING]: 'Warnings',
+    [Severity.SUGGESTION]: 'Suggestions',
+    [Severity.SUCCESS]: 'Passed',
+    suppressed: 'Suppressed'
+};
+
+/**
+ * Collects the recommendations of a basic and a deep analysis into one list
+ * @param {Object} analysis - { basicAnalysis, deepAnalysis } as stored for an agent
+ * @returns {Array} All recommendations
+ */
+export function collectRecommendations({ basicAnalysis, deepAnalysis }) {
+    const recommendations = [...(basicAnalysis?.recommendations || [])];
+
+    for (const section of ['sharepoint', 'copilotConnectors', 'apiConnectors']) {
+        recommendations.push(...(deepAnalysis?.[section]?.recommendations || []));
+    }
+
+    return recommendations;
+}
+
+/**
+ * Creates a report of the analysis of one package
+ * @param {string} packageName - Name of the analyzed package (zip or folder)
+ * @param {Object} agentInfo - Parsed agent information
+ * @param {Array} recommendations - Recommendations from the analyzers
+ * @returns {Object} Report with package, agents, summary and recommendations
+ */
+export function createReport(packageName, agentInfo, recommendations) {
+    const agents = agentInfo.declarativeAgents?.length > 0
+        ? agentInfo.declarativeAgents.map(agent => agent.name || agent.file)
+        : [agentInfo.agentName].filter(Boolean);
+
+    return {
+        tool: TOOL_NAME,
+        timestamp: new Date().toISOString(),
+        package: packageName,
+        manifestFile: findFile(getAllFiles(), 'manifest.json'),
+        agentType: agentInfo.type,
+        agents,
+        summary: generateSummary(recommendations),
+        recommendations: sortRecommendations(recommendations)
+    };
+}
+
+/**
+ * Sorts recommendations from most to least severe, keeping the analyzers' order otherwise
+ * @param {Array} recommendations - Recommendations
+ * @returns {Array} Sorted copy
+ */
+export function sortRecommendations(recommendations) {
+    return [...recommendations].sort((a, b) => SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity));
+}
+
+/**
+ * Formats a report as SARIF 2.1.0 for code scanning tools
+ * @param {Object} report - Report from createReport
+ * @param {Object} [options] - { baseUri } prefix for file paths, e.g. the package folder
+ * @returns {Object} SARIF log
+ */
+export function toSarif(report, options = {}) {
+    const rules = [];
+    const ruleIndexes = new Map();
+    const results = [];
+
+    for (const recommendation of report.recommendations) {
+        const level = SARIF_LEVELS[recommendation.severity];
+        if (!level) continue;
+
+        const ruleId = getRuleId(recommendation);
+        if (!ruleIndexes.has(ruleId)) {
+            const rule = getRule(ruleId);
+            ruleIndexes.set(ruleId, rules.length);
+            rules.push({
+                id: ruleId,
+                name: rule?.title || recommendation.title,
+                shortDescription: { text: rule?.title || recommendation.title },
+                ...(rule?.description ? { fullDescription: { text: rule.description } } : {}),
+                help: { text: recommendation.suggestion || recommendation.title },
+                ...(rule?.docs ? { helpUri: rule.docs } : {}),
+                properties: { category: recommendation.category }
+            });
+        }
+
+        const result = {
+            ruleId,
+            ruleIndex: ruleIndexes.get(ruleId),
+            level,
+            message: {
+                text: recommendation.suggestion
+                    ? `${recommendation.description} ${recommendation.suggestion}`
+                    : recommendation.description
+            }
+        };
+
+        // Viewers hide suppressed results but keep them for audits
+        if (recommendation.suppressed) {
+            result.suppressions = [{ kind: 'external', justification: recommendation.suppressed.reason }];
+        }
+
+        // Code scanning needs a file for every result; package-wide findings point at the manifest
+        const location = recommendation.location?.file ? recommendation.location : { file: report.manifestFile };
+        if (location.file) {
+            const region = location.line
+                ? { startLine: location.line, startColumn: location.column || 1 }
+                : undefined;
+            result.locations = [{
+                physicalLocation: {
+                    artifactLocation: { uri: joinUri(options.baseUri, location.file) },
+                    ...(region ? { region } : {})
+                },
+                ...(location.pointer !== undefined ? {
+                    logicalLocations: [{ fullyQualifiedName: location.pointer || '/', kind: 'member' }]
+                } : {})
+            }];
+        }
+
+        results.push(result);
+    }
+
+    return {
+        $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+        version: '2.1.0',
+        runs: [{
+            tool: {
+                driver: {
+                    name: TOOL_NAME,
+                    rules
+                }
+            },
+            results
+        }]
+    };
+}
+
+/**
+ * Formats a report as JUnit XML, with one test case per rule. Rules with critical
+ * or warning findings fail; suggestions and suppressed findings are listed in the
+ * output of a passing test.
+ * @param {Object} report - Report from createReport
+ * @returns {string} JUnit XML document
+ */
+export function toJUnit(report) {
+    const rules = new Map();
+    for (const recommendation of report.recommendations) {
+        const ruleId = getRuleId(recommendation);
+        if (!rules.has(ruleId)) {
+            rules.set(ruleId, { recommendation, findings: [] });
+        }
+        rules.get(ruleId).findings.push(recommendation);
+    }
+
+    const testCases = [];
+    let failures = 0;
+
+    for (const [ruleId, { recommendation, findings }] of rules) {
+        const failing = findings.filter(finding => !finding.suppressed &&
+            (finding.severity === Severity.CRITICAL || finding.severity === Severity.WARNING));
+        const details = findings
+            .filter(finding => finding.severity !== Severity.SUCCESS)
+            .map(finding => `${formatLocation(finding.location) || report.package}: ${finding.description}` +
+                (finding.suppressed ? ` (suppressed: ${finding.suppressed.reason})` : ''))
+            .join('\n');
+
+        let body = '';
+        if (failing.length > 0) {
+            failures++;
+            const severity = failing.some(finding => finding.severity === Severity.CRITICAL) ? Severity.CRITICAL : Severity.WARNING;
+            body = `\n      <failure type="${severity}" message="${escapeXml(failing[0].description)}">${escapeXml(details)}</failure>\n    `;
+        } else if (details) {
+            body = `\n      <system-out>${escapeXml(details)}</system-out>\n    `;
+        }
+
+        testCases.push(`    <testcase classname="${escapeXml(recommendation.category || 'General')}" name="${escapeXml(ruleId)}">${body}</testcase>`);
+    }
+
+    const suiteAttributes = `name="${escapeXml(report.package)}" tests="${testCases.length}" failures="${failures}" errors="0" timestamp="${report.timestamp}"`;
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites name="${TOOL_NAME}" tests="${testCases.length}" failures="${failures}" errors="0">`,
+        `  <testsuite ${suiteAttributes}>`,
+        ...testCases,
+        '  </testsuite>',
+        '</testsuites>'
+    ].join('\n');
+}
+
+/**
+ * Formats a report as Markdown for sharing with agent owners
+ * @param {Object} report - Report from createReport
+ * @returns {string} Markdown document
+ */
+export function toMarkdown(report) {
+    const { counts, message } = report.summary;
+    const lines = [
+        `# ${TOOL_NAME} report: ${escapeMarkdown(report.package)}`,
+        '',
+        `Generated ${report.timestamp}${report.agents.length > 0 ? ` for ${report.agents.map(escapeMarkdown).join(', ')}` : ''}.`,
+        '',
+        `**${counts.critical}** critical, **${counts.warning}** warnings, **${counts.suggestion}** suggestions` +
+            `${counts.suppressed ? `, **${counts.suppressed}** suppressed` : ''}. ${message}`
+    ];
+
+    for (const [severity, recommendations] of groupBySeverity(report.recommendations)) {
+        lines.push('', `## ${SEVERITY_LABELS[severity]} (${recommendations.length})`);
+
+        for (const recommendation of recommendations) {
+            const location = formatLocation(recommendation.location);
+            lines.push('', `### ${escapeMarkdown(recommendation.title)}`, '');
+            const docs = recommendation.docs ? ` · [Docs](${recommendation.docs})` : '';
+            lines.push(`*${escapeMarkdown(recommendation.category || 'General')}* · \`${getRuleId(recommendation)}\`${location ? ` · \`${location}\`` : ''}${docs}`);
+            lines.push('', escapeMarkdown(recommendation.description));
+            if (recommendation.suggestion) {
+                lines.push('', `> ${escapeMarkdown(recommendation.suggestion)}`);
+            }
+            if (recommendation.suppressed) {
+                lines.push('', `*Suppressed: ${escapeMarkdown(recommendation.suppressed.reason)}*`);
+            }
+        }
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Formats a report as a standalone HTML page for sharing with agent owners
+ * @param {Object} report - Report from createReport
+ * @returns {string} HTML document
+ */
+export function toHtml(report) {
+    const { counts, message } = report.summary;
+    const sections = groupBySeverity(report.recommendations).map(([severity, recommendations]) => `
+    <h2>${SEVERITY_LABELS[severity]} (${recommendations.length})</h2>
+    ${recommendations.map(recommendation => {
+        const location = formatLocation(recommendation.location);
+        return `<div class="finding ${recommendation.severity}${recommendation.suppressed ? ' suppressed' : ''}">
+        <h3>${escapeXml(recommendation.title)}</h3>
+        <p class="meta">${escapeXml(recommendation.category || 'General')} &middot; <code>${escapeXml(getRuleId(recommendation))}</code>${location ? ` &middot; <code>${escapeXml(location)}</code>` : ''}${recommendation.docs ? ` &middot; <a href="${escapeXml(recommendation.docs)}">Docs</a>` : ''}</p>
+        <p>${escapeXml(recommendation.description)}</p>
+        ${recommendation.suggestion ? `<p class="suggestion">${escapeXml(recommendation.suggestion)}</p>` : ''}
+        ${recommendation.suppressed ? `<p class="meta">Suppressed: ${escapeXml(recommendation.suppressed.reason)}</p>` : ''}
+    </div>`;
+    }).join('\n    ')}`).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${TOOL_NAME} report: ${escapeXml(report.package)}</title>
+<style>
+    body { font-family: 'Segoe UI', sans-serif; max-width: 960px; margin: 2rem auto; padding: 0 1rem; color: #242424; }
+    .summary span { margin-right: 1rem; font-weight: 600; }
+    .summary .critical { color: #D13438; }
+    .summary .warning { color: #8A6100; }
+    .summary .suggestion { color: #0078D4; }
+    .finding { border-left: 4px solid #D1D1D1; padding: 0.25rem 1rem; margin: 1rem 0; background: #FAFAFA; }
+    .finding.critical { border-color: #D13438; }
+    .finding.warning { border-color: #FFB900; }
+    .finding.suggestion { border-color: #0078D4; }
+    .finding.success { border-color: #107C10; }
+    .finding.suppressed { opacity: 0.7; }
+    .finding h3 { margin: 0.5rem 0 0.25rem; font-size: 1rem; }
+    .meta { color: #616161; font-size: 0.875rem; margin: 0; }
+    .suggestion { font-style: italic; }
+</style>
+</head>
+<body>
+    <h1>${TOOL_NAME} report: ${escapeXml(report.package)}</h1>
+    <p>Generated ${escapeXml(report.timestamp)}${report.agents.length > 0 ? ` for ${escapeXml(report.agents.join(', '))}` : ''}.</p>
+    <p class="summary">
+        <span class="critical">${counts.critical} critical</span>
+        <span class="warning">${counts.warning} warnings</span>
+        <span class="suggestion">${counts.suggestion} suggestions</span>
+        ${counts.suppressed ? `<span>${counts.suppressed} suppressed</span>` : ''}
+    </p>
+    <p>${escapeXml(message)}</p>
+${sections}
+</body>
+</html>
+`;
+}
+
+/**
+ * Groups recommendations by severity, most severe first, with suppressed findings last
+ * @param {Array} recommendations - Recommendations
+ * @returns {Array} Array of [severity or 'suppressed', recommendations] for groups that have any
+ */
+function groupBySeverity(recommendations) {
+    const active = recommendations.filter(recommendation => !recommendation.suppressed);
+    return [
+        ...SEVERITY_ORDER.map(severity => [severity, active.filter(recommendation => recommendation.severity === severity)]),
+        ['suppressed', recommendations.filter(recommendation => recommendation.suppressed)]
+    ].filter(([, group]) => group.length > 0);
+}
+
+/**
+ * Formats a recommendation location as file:line:column
+ * @param {Object} [location] - Location with file, line and column
+ * @returns {string} Formatted location, or '' when there is none
+ */
+export function formatLocation(location) {
+    if (!location?.file) return '';
+    return [location.file, location.line, location.line && location.column].filter(Boolean).join(':');
+}
+
+/**
+ * Escapes text for XML and HTML
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Escapes characters that Markdown would treat as formatting
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeMarkdown(text) {
+    return String(text ?? '').replace(/([\\`*_[\]<>|#])/g, '\\$1');
+}
+
+/**
+ * Joins a base URI and a package path with forward slashes
+ * @param {string} [base] - Base URI or folder
+ * @param {string} path - Package path
+ * @returns {string} Joined URI
+ */
+function joinUri(base, path) {
+    if (!base) return path;
+    return `${base.replace(/\\/g, '/').replace(/\/+$/, '')}/${path}`;
+}
@@ -0,0 +1,391 @@
+/**
+ * Rule Registry for AgentAnalyzer
+ * Keeps the analysis rules with their IDs, severities and options, and applies
+ * the project rules file (.agentanalyzerrc.json) and custom rules to the results
+ */
+
+import { Severity } from './severity.js';
+import { getAllFiles, getFileContent } from './zip-service.js';
+
+/**
+ * Name of the project rules file
+ */
+export const RULES_FILE_NAME = '.agentanalyzerrc.json';
+
+/**
+ * Rule setting that turns a rule off
+ */
+const RULE_OFF = 'off';
+
+/**
+ * Prefix of option patterns that match regardless of case
+ */
+const CASE_INSENSITIVE_PREFIX = '(?i)';
+
+/**
+ * Registered rules by ID
+ */
+const rules = new Map();
+
+/**
+ * Settings from the rules file by rule ID: { enabled, severity, options }
+ */
+let ruleSettings = new Map();
+
+/**
+ * Registers a rule. Built-in rules register when their analyzer loads; custom rules
+ * also have a check function that returns findings for an agent. patternOptions names
+ * the options that hold regular expressions, as an array or an object of sources;
+ * analyzers compile them with compileRulePattern. optionChecks maps other array or
+ * object options to a function that returns why an entry is invalid, or null.
+ * options can be a function that returns the defaults, for rules whose defaults come
+ * from app-config.json, which loads after the analyzers.
+ * @param {Object} rule - { id, severity, category, title, description, docs, options, patternOptions, optionChecks, check }
+ * @returns {Object} The registered rule
+ */
+export function registerRule(rule) {
+    if (!rule || typeof rule.id !== 'string' || !/^[a-z0-9-]+\/[a-z0-9-]+$/.test(rule.id)) {
+        throw new Error(`Rule ID "${rule?.id}" must look like "category/rule-name"`);
+    }
+    if (rules.has(rule.id)) {
+        throw new Error(`Rule "${rule.id}" is already registered`);
+    }
+    if (!isFindingSeverity(rule.severity)) {
+        throw new Error(`Rule "${rule.id}" has an invalid severity "${rule.severity}"`);
+    }
+    if (rule.check !== undefined && typeof rule.check !== 'function') {
+        throw new Error(`Rule "${rule.id}" check must be a function`);
+    }
+
+    const registered = {
+        category: 'General',
+        title: rule.id,
+        description: '',
+        docs: null,
+        options: {},
+        ...rule
+    };
+    rules.set(rule.id, registered);
+    return registered;
+}
+
+/**
+ * Registers several rules at once
+ * @param {Array} ruleList - Rules as accepted by registerRule
+ */
+export function registerRules(ruleList) {
+    for (const rule of ruleList) {
+        registerRule(rule);
+    }
+}
+
+/**
+ * Registers the rules of a custom rule module. The module exports a rule or an
+ * array of rules as its default export, or as "rules".
+ * @param {Object} module - Namespace of the imported ES module
+ * @param {string} source - Where the module came from, for error messages
+ * @returns {Array} The registered rules
+ */
+export function registerRuleModule(module, source) {
+    const exported = module.default ?? module.rules;
+    if (!exported) {
+        throw new Error(`${source} exports no rules; export a rule or an array of rules as default`);
+    }
+
+    try {
+        return (Array.isArray(exported) ? exported : [exported]).map(registerRule);
+    } catch (error) {
+        throw new Error(`${source}: ${error.message}`);
+    }
+}
+
+/**
+ * Gets a registered rule
+ * @param {string} id - Rule ID
+ * @returns {Object|null} The rule, or null if it is not registered
+ */
+export function getRule(id) {
+    return rules.get(id) || null;
+}
+
+/**
+ * Gets all registered rules with their effective settings
+ * @returns {Array} Array of rules with enabled, severity and options filled in from the rules file
+ */
+export function getRules() {
+    return [...rules.values()].map(rule => ({
+        ...rule,
+        enabled: isRuleEnabled(rule.id),
+        severity: getRuleSeverity(rule.id, rule.severity),
+        options: getRuleOptions(rule.id)
+    }));
+}
+
+/**
+ * Gets the options of a rule: its defaults overridden by the rules file
+ * @param {string} id - Rule ID
+ * @returns {Object} Rule options
+ */
+export function getRuleOptions(id) {
+    const defaults = rules.get(id)?.options;
+    return { ...(typeof defaults === 'function' ? defaults() : defaults), ...ruleSettings.get(id)?.options };
+}
+
+/**
+ * Compiles a regular expression from a rule option
+ * @param {string} pattern - Regular expression source; case-insensitive when it starts with (?i)
+ * @param {string} [flags] - Regular expression flags
+ * @returns {RegExp} The regular expression
+ * @throws {Error} If the pattern is not a string or not a valid regular expression
+ */
+export function compileRulePattern(pattern, flags = '') {
+    if (typeof pattern !== 'string') {
+        throw new Error('Pattern must be a string');
+    }
+    if (pattern.startsWith(CASE_INSENSITIVE_PREFIX)) {
+        return new RegExp(pattern.slice(CASE_INSENSITIVE_PREFIX.length), flags.includes('i') ? flags : `${flags}i`);
+    }
+    return new RegExp(pattern, flags);
+}
+
+/**
+ * Checks whether a rule is turned on
+ * @param {string} id - Rule ID
+ * @returns {boolean} False if the rules file turns the rule off
+ */
+export function isRuleEnabled(id) {
+    return ruleSettings.get(id)?.enabled !== false;
+}
+
+/**
+ * Gets a stable rule ID for a recommendation. Recommendations from registered rules
+ * carry their ID; others get one made from their category and title.
+ * @param {Object} recommendation - Recommendation
+ * @returns {string} Rule ID such as "instructions/length"
+ */
+export function getRuleId(recommendation) {
+    if (recommendation.ruleId) return recommendation.ruleId;
+
+    const slug = text => String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return `${slug(recommendation.category) || 'general'}/${slug(recommendation.title)}`;
+}
+
+/**
+ * Applies a rules file. Each entry of "rules" is "off", a severity, or
+ * [severity, options] / { severity, options } to also change the rule's options.
+ * Custom rule modules listed in "customRules" are loaded by the caller.
+ * @param {Object|null} config - Parsed rules file, or null to go back to the defaults
+ * @returns {Array} Warnings about rule IDs that no rule has registered and invalid option entries
+ */
+export function configureRules(config) {
+    const settings = new Map();
+    const warnings = [];
+
+    if (config !== null && config !== undefined) {
+        if (typeof config !== 'object' || Array.isArray(config)) {
+            throw new Error(`${RULES_FILE_NAME} must contain a JSON object`);
+        }
+        if (config.rules !== undefined && (typeof config.rules !== 'object' || Array.isArray(config.rules))) {
+            throw new Error(`"rules" in ${RULES_FILE_NAME} must be an object of rule IDs`);
+        }
+        if (config.customRules !== undefined && !Array.isArray(config.customRules)) {
+            throw new Error(`"customRules" in ${RULES_FILE_NAME} must be an array of module paths`);
+        }
+
+        for (const [id, value] of Object.entries(config.rules || {})) {
+            const setting = parseRuleSetting(id, value);
+            if (setting.options) {
+                setting.options = removeInvalidEntries(id, setting.options, warnings);
+            }
+            settings.set(id, setting);
+            if (!rules.has(id)) {
+                warnings.push(`Rule "${id}" is not a registered rule; it only applies to findings with that ID`);
+            }
+        }
+    }
+
+    ruleSettings = settings;
+    return warnings;
+}
+
+/**
+ * Reads the rules file at the root of the loaded package
+ * @returns {Object|null} Parsed rules file, or null if the package has none
+ */
+export function readPackageRulesFile() {
+    if (!getAllFiles().has(RULES_FILE_NAME)) return null;
+
+    try {
+        return JSON.parse(getFileContent(RULES_FILE_NAME).content);
+    } catch (error) {
+        throw new Error(`${RULES_FILE_NAME} is not valid JSON: ${error.message}`);
+    }
+}
+
+/**
+ * Runs the custom rules (rules with a check function) against an agent
+ * @param {Object} agentInfo - Parsed agent information
+ * @returns {Promise<Array>} Recommendations from the custom rules
+ */
+export async function runCustomRules(agentInfo) {
+    const recommendations = [];
+    const context = { getFileContent, getAllFiles, Severity };
+
+    for (const rule of rules.values()) {
+        if (!rule.check || !isRuleEnabled(rule.id)) continue;
+
+        try {
+            const findings = await rule.check(agentInfo, getRuleOptions(rule.id), context);
+            for (const finding of findings || []) {
+                recommendations.push({
+                    severity: rule.severity,
+                    category: rule.category,
+                    title: rule.title,
+                    ...finding,
+                    ruleId: rule.id
+                });
+            }
+        } catch (error) {
+            console.error(`Custom rule ${rule.id} failed:`, error);
+            recommendations.push({
+                severity: Severity.WARNING,
+                category: 'Rules',
+                title: 'Custom Rule Failed',
+                description: `Rule "${rule.id}" threw an error: ${error.message}`,
+                suggestion: 'Fix the rule module or turn the rule off in the rules file.',
+                ruleId: 'rules/custom-rule-failed'
+            });
+        }
+    }
+
+    return recommendations;
+}
+
+/**
+ * Gives each recommendation its rule ID and docs link, drops the ones whose rule is
+ * turned off and changes the severity of findings whose rule was re-severitied
+ * @param {Array} recommendations - Recommendations from the analyzers
+ * @returns {Array} Recommendations after the rules file
+ */
+export function applyRuleSettings(recommendations) {
+    const applied = [];
+
+    for (const recommendation of recommendations) {
+        const ruleId = getRuleId(recommendation);
+        if (!isRuleEnabled(ruleId)) continue;
+
+        const rule = rules.get(ruleId);
+        const result = { ...recommendation, ruleId };
+        if (rule?.docs && !result.docs) {
+            result.docs = rule.docs;
+        }
+        // Passed checks stay passed; only findings take the configured severity
+        if (recommendation.severity !== Severity.SUCCESS) {
+            result.severity = getRuleSeverity(ruleId, recommendation.severity);
+        }
+        applied.push(result);
+    }
+
+    return applied;
+}
+
+/**
+ * Gets the severity a rule's findings are reported with
+ * @param {string} id - Rule ID
+ * @param {string} severity - Severity the analyzer gave the finding
+ * @returns {string} Configured severity, or the analyzer's
+ */
+function getRuleSeverity(id, severity) {
+    return ruleSettings.get(id)?.severity || severity;
+}
+
+/**
+ * Parses one entry of the rules file
+ * @param {string} id - Rule ID
+ * @param {*} value - "off", a severity, [severity, options] or { severity, options }
+ * @returns {Object} { enabled, severity, options }
+ */
+function parseRuleSetting(id, value) {
+    let severity = value;
+    let options;
+
+    if (Array.isArray(value)) {
+        [severity, options] = value;
+    } else if (value && typeof value === 'object') {
+        ({ severity, options } = value);
+    }
+
+    if (severity === RULE_OFF || severity === false) {
+        return { enabled: false };
+    }
+    if (severity !== undefined && !isFindingSeverity(severity)) {
+        throw new Error(`Rule "${id}" in ${RULES_FILE_NAME} has an invalid severity "${severity}"; use off, critical, warning or suggestion`);
+    }
+    if (options !== undefined && (typeof options !== 'object' || options === null || Array.isArray(options))) {
+        throw new Error(`Options of rule "${id}" in ${RULES_FILE_NAME} must be an object`);
+    }
+
+    return { enabled: true, severity, options };
+}
+
+/**
+ * Drops the entries of pattern options and checked options that a rules file gives a
+ * rule but the rule cannot use, so one bad entry does not stop the analysis
+ * @param {string} id - Rule ID
+ * @param {Object} options - Options from the rules file
+ * @param {Array} warnings - Receives a warning for each entry dropped
+ * @returns {Object} Options with only valid entries
+ */
+function removeInvalidEntries(id, options, warnings) {
+    const rule = rules.get(id);
+    const checks = {
+        ...Object.fromEntries((rule?.patternOptions || []).map(name => [name, checkPattern])),
+        ...rule?.optionChecks
+    };
+    const result = { ...options };
+
+    for (const [name, check] of Object.entries(checks)) {
+        const value = options[name];
+        if (value === undefined) continue;
+        if (!value || typeof value !== 'object') {
+            warnings.push(`Rule "${id}" option "${name}" must be an array or object; the default is used`);
+            delete result[name];
+            continue;
+        }
+
+        const entries = Object.entries(value).filter(([key, entry]) => {
+            const error = check(entry);
+            if (error) {
+                const label = Array.isArray(value) ? JSON.stringify(entry) : JSON.stringify(key);
+                warnings.push(`Rule "${id}" option "${name}" has an invalid entry ${label} (${error}); it is ignored`);
+            }
+            return !error;
+        });
+        result[name] = Array.isArray(value) ? entries.map(([, entry]) => entry) : Object.fromEntries(entries);
+    }
+
+    return result;
+}
+
+/**
+ * Checks that an option entry is a pattern compileRulePattern accepts
+ * @param {*} pattern - Option entry
+ * @returns {string|null} Why the pattern is invalid, or null if it is valid
+ */
+export function checkPattern(pattern) {
+    try {
+        compileRulePattern(pattern);
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+/**
+ * Checks whether a severity can be given to findings
+ * @param {string} severity - Severity
+ * @returns {boolean} True for critical, warning and suggestion
+ */
+function isFindingSeverity(severity) {
+    return [Severity.CRITICAL, Severity.WARNING, Severity.SUGGESTION].includes(severity);
+}
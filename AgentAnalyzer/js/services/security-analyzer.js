@@ -0,0 +1,458 @@
+/**
+ * Security Analyzer Service for AgentAnalyzer
+ * Scans a declarative agent's instructions, plugin manifests and OpenAPI descriptions
+ * for prompt-injection and data-exfiltration risks
+ */
+
+import { Severity } from './severity.js';
+import { registerRules, getRuleOptions, compileRulePattern } from './rule-registry.js';
+import { resolveActions, isRemoteUrl } from './action-resolver.js';
+import { getDeclarativeAgentPath } from './agent-parser.js';
+import { getAllFiles, getFileContent } from './zip-service.js';
+import { findManifestFile } from './file-service.js';
+import { getLocation } from './action-analyzer.js';
+import { isDomainCovered } from './custom-agent-analyzer.js';
+import { escapePointerSegment } from '../utils/json-source-map.js';
+import { DOCS_BASE_URL, findUnnegatedMatch } from '../utils/analyzer-text.js';
+
+/**
+ * HTTP methods that change data or send it to the API
+ */
+const WRITE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+/**
+ * Values that are placeholders rather than real secrets
+ */
+const PLACEHOLDER_PATTERN = /your|example|sample|placeholder|changeme|dummy|x{6}|<|\{|\$/i;
+
+registerRules([
+    {
+        id: 'security/follow-user-urls',
+        severity: Severity.WARNING,
+        category: 'Security',
+        title: 'Instructions Follow User-Supplied Content',
+        description: 'Instructions do not tell the agent to open links or follow directions found in content it reads, which lets that content inject prompts.',
+        docs: DOCS_BASE_URL + 'declarative-agent-instructions',
+        patternOptions: ['patterns'],
+        options: {
+            patterns: [
+                '(follow|open|visit|browse|navigate to|fetch|retrieve|load|read|summari[sz]e) (any |every |all |the )?(links?|urls?|web ?pages?|websites?) (that |which )?(the )?(users?|they|people|customers?) (provides?|gives?|shares?|sends?|pastes?|supplies?)',
+                '(links?|urls?|web ?pages?) (provided|given|shared|sent|pasted|supplied) by (the )?(users?|customers?)',
+                '(follow|obey|carry out|execute) (any |all |the )?(instructions|directions|commands) (in|from|found in|contained in) (the )?(documents?|files?|pages?|websites?|emails?|messages?|links?)'
+            ]
+        }
+    },
+    {
+        id: 'security/secret',
+        severity: Severity.CRITICAL,
+        category: 'Security',
+        title: 'Secret in Package',
+        description: 'No API keys, tokens or passwords are written into instructions, plugin manifests or OpenAPI descriptions.',
+        docs: DOCS_BASE_URL + 'api-plugin-authentication',
+        // Patterns are case-sensitive unless they start with (?i); more specific kinds come first
+        patternOptions: ['patterns'],
+        options: {
+            patterns: {
+                'AWS access key': '\\bAKIA[0-9A-Z]{16}\\b',
+                'OpenAI API key': '\\bsk-(proj-)?[A-Za-z0-9_-]{20,}',
+                'GitHub token': '\\bgh[pousr]_[A-Za-z0-9]{36,}',
+                'Slack token': '\\bxox[abprs]-[A-Za-z0-9-]{10,}',
+                'Google API key': '\\bAIza[0-9A-Za-z_-]{35}',
+                'private key': '-----BEGIN [A-Z ]*PRIVATE KEY-----',
+                'Azure storage key': 'AccountKey=[A-Za-z0-9+/=]{40,}',
+                'Azure Functions key': '[?&]code=[A-Za-z0-9_-]{20,}',
+                'bearer token': '(?i)\\bBearer [A-Za-z0-9._~+/-]{20,}',
+                'credential': '(?i)(api[_-]?key|secret|password|passwd|access[_-]?token|client[_-]?secret)["\']?\\s*[:=]\\s*["\']?[A-Za-z0-9_+/=.-]{16,}'
+            }
+        }
+    },
+    {
+        id: 'security/insecure-server',
+        severity: Severity.WARNING,
+        category: 'Security',
+        title: 'API Served over HTTP',
+        description: 'APIs and OpenAPI descriptions are served over HTTPS so requests and user data are encrypted.',
+        docs: DOCS_BASE_URL + 'api-plugin-manifest-2.2'
+    },
+    {
+        id: 'security/external-write',
+        severity: Severity.WARNING,
+        category: 'Security',
+        title: 'Action Sends Data to an Unlisted Host',
+        description: 'Operations that send user data go to hosts listed in the app manifest\'s validDomains.',
+        docs: DOCS_BASE_URL + 'api-plugin-manifest-2.2'
+    },
+    {
+        id: 'security/invalid-domain',
+        severity: Severity.WARNING,
+        category: 'Security',
+        title: 'Invalid validDomains Entry',
+        description: 'Every validDomains entry in the app manifest is a host name, so the hosts actions send data to can be checked.',
+        docs: 'https://learn.microsoft.com/microsoftteams/platform/resources/schema/manifest-schema#validdomains'
+    },
+    {
+        id: 'security/unauthenticated-write',
+        severity: Severity.WARNING,
+        category: 'Security',
+        title: 'Unauthenticated Write Operation',
+        description: 'Operations that create, change or delete data require authentication.',
+        docs: DOCS_BASE_URL + 'api-plugin-authentication'
+    },
+    {
+        id: 'security/web-search-with-sharepoint',
+        severity: Severity.WARNING,
+        category: 'Security',
+        title: 'Web Search Combined with SharePoint Content',
+        description: 'Agents grounded on SharePoint or OneDrive content limit web search to specific sites, so internal content is less likely to end up in web queries.',
+        docs: DOCS_BASE_URL + 'knowledge-sources'
+    }
+]);
+
+/**
+ * Scans the selected declarative agent for security risks
+ * @param {Object} agentInfo - The parsed agent information
+ * @returns {Array} Array of recommendations
+ */
+export function analyzeSecurity(agentInfo) {
+    const agentPath = getDeclarativeAgentPath(agentInfo);
+    const resolution = resolveActions(agentInfo);
+    const agentIndex = agentInfo.selectedAgentIndex || 0;
+    const plugins = [...new Set(resolution.actions
+        .filter(action => action.agentIndex === agentIndex && action.pluginPath)
+        .map(action => action.pluginPath))]
+        .map(path => resolution.plugins.get(path))
+        .filter(plugin => plugin && !plugin.error);
+
+    const recommendations = [
+        ...analyzeInstructions(agentInfo.instructions || '', agentPath),
+        ...analyzeSecrets(agentPath, plugins),
+        ...analyzeKnowledge(agentInfo, agentPath)
+    ];
+
+    const manifestDomains = Array.isArray(agentInfo.manifest?.validDomains) ? agentInfo.manifest.validDomains : [];
+    const validDomains = manifestDomains.filter(domain => typeof domain === 'string');
+    recommendations.push(...analyzeDomains(manifestDomains));
+    for (const plugin of plugins) {
+        for (const runtime of plugin.runtimes.filter(r => r.type === 'OpenApi')) {
+            recommendations.push(...analyzeRuntime(plugin, runtime, validDomains));
+        }
+    }
+
+    if (recommendations.length === 0) {
+        recommendations.push({
+            severity: Severity.SUCCESS,
+            category: 'Security',
+            title: 'No Security Risks Found',
+            description: 'No risky instructions, embedded secrets or unprotected actions were found.'
+        });
+    }
+
+    return recommendations;
+}
+
+/**
+ * Reports validDomains entries that are not host names
+ * @param {Array} validDomains - The app manifest's validDomains
+ * @returns {Array} Array of recommendations
+ */
+function analyzeDomains(validDomains) {
+    const invalid = validDomains
+        .map((domain, index) => ({ domain, index }))
+        .filter(({ domain }) => typeof domain !== 'string');
+    if (invalid.length === 0) return [];
+
+    const manifestPath = findManifestFile(getAllFiles());
+    return [{
+        severity: Severity.WARNING,
+        category: 'Security',
+        title: 'Invalid validDomains Entry',
+        description: `These validDomains entries are not host names and are ignored when checking where actions send data: ${invalid.map(({ domain }) => JSON.stringify(domain)).join(', ')}.`,
+        suggestion: 'Replace them with host names such as "api.contoso.com", or remove them.',
+        ruleId: 'security/invalid-domain',
+        ...(manifestPath ? { location: getLocation(manifestPath, `/validDomains/${invalid[0].index}`) } : {})
+    }];
+}
+
+/**
+ * Checks instructions for directions that let content the agent reads take control
+ * @param {string} instructions - The instructions text
+ * @param {string|null} agentPath - Path of the declarative agent file
+ * @returns {Array} Array of recommendations
+ */
+function analyzeInstructions(instructions, agentPath) {
+    const patterns = (getRuleOptions('security/follow-user-urls').patterns || []).map(pattern => compileRulePattern(pattern, 'i'));
+
+    // "Never open links users send" is a restriction, not a risk
+    const match = findUnnegatedMatch(instructions, patterns);
+    if (!match) return [];
+
+    return [{
+        severity: Severity.WARNING,
+        category: 'Security',
+        title: 'Instructions Follow User-Supplied Content',
+        description: `The instructions say "${match[0]}". Pages and documents the agent opens can contain instructions of their own (prompt injection) or links that send data elsewhere.`,
+        suggestion: 'Limit the agent to known sources, and tell it to treat content it reads as data, never as instructions.',
+        ruleId: 'security/follow-user-urls',
+        ...(agentPath ? { location: getLocation(agentPath, '/instructions') } : {})
+    }];
+}
+
+/**
+ * Looks for secrets in the agent file, its plugin manifests and their OpenAPI descriptions
+ * @param {string|null} agentPath - Path of the declarative agent file
+ * @param {Array} plugins - Resolved plugins of the agent
+ * @returns {Array} Array of recommendations
+ */
+function analyzeSecrets(agentPath, plugins) {
+    const paths = new Set([
+        agentPath,
+        ...plugins.map(plugin => plugin.path),
+        ...plugins.flatMap(plugin => plugin.runtimes.map(runtime => runtime.specPath))
+    ].filter(Boolean));
+    const patterns = Object.entries(getRuleOptions('security/secret').patterns || {});
+    const recommendations = [];
+
+    for (const path of paths) {
+        const content = getFileContent(path)?.content;
+        if (typeof content !== 'string') continue;
+
+        // Text already reported by a more specific pattern, as [start, end] ranges
+        const reported = [];
+
+        for (const [kind, pattern] of patterns) {
+            const regex = compileRulePattern(pattern, 'g');
+            let match;
+            while ((match = regex.exec(content)) !== null) {
+                const start = match.index;
+                const end = start + match[0].length;
+                if (PLACEHOLDER_PATTERN.test(match[0].replace(/^[^:=]*[:=]/, ''))) continue;
+                if (reported.some(range => start < range[1] && end > range[0])) continue;
+
+                reported.push([start, end]);
+
+                recommendations.push({
+                    severity: Severity.CRITICAL,
+                    category: 'Security',
+                    title: 'Secret in Package',
+                    description: `${path.split('/').pop()} contains what looks like an embedded ${kind} (${maskSecret(match[0])}). Anyone with the package can read it.`,
+                    suggestion: 'Remove the secret and revoke it. Plugins authenticate with a key or OAuth registration stored in the Teams Developer Portal (ApiKeyPluginVault or OAuthPluginVault).',
+                    ruleId: 'security/secret',
+                    location: { file: path, ...getLineAndColumn(content, start) }
+                });
+                // One finding per kind and file is enough to act on
+                break;
+            }
+        }
+    }
+
+    return recommendations;
+}
+
+/**
+ * Checks for web search without site limits next to SharePoint or OneDrive knowledge
+ * @param {Object} agentInfo - The parsed agent information
+ * @param {string|null} agentPath - Path of the declarative agent file
+ * @returns {Array} Array of recommendations
+ */
+function analyzeKnowledge(agentInfo, agentPath) {
+    const capabilities = agentInfo.capabilities || [];
+    const webSearchIndex = capabilities.findIndex(capability => capability.type === 'WebSearch');
+    const sharePoint = capabilities.find(capability => capability.type === 'SharePoint');
+    if (webSearchIndex === -1 || !sharePoint || capabilities[webSearchIndex].sites?.length > 0) return [];
+
+    const sources = sharePoint.sources?.length > 0
+        ? `${sharePoint.sources.length} SharePoint or OneDrive source(s)`
+        : 'all of the user\'s SharePoint and OneDrive content';
+
+    return [{
+        severity: Severity.WARNING,
+        category: 'Security',
+        title: 'Web Search Combined with SharePoint Content',
+        description: `The agent searches the whole web and is grounded on ${sources}. Internal details can end up in web search queries.`,
+        suggestion: 'Limit WebSearch to the sites the agent needs with "sites", or remove it if the agent only answers from internal content.',
+        ruleId: 'security/web-search-with-sharepoint',
+        ...(agentPath ? { location: getLocation(agentPath, `/capabilities/${webSearchIndex}`) } : {})
+    }];
+}
+
+/**
+ * Checks the API behind one OpenAPI runtime
+ * @param {Object} plugin - Resolved plugin
+ * @param {Object} runtime - Resolved OpenAPI runtime
+ * @param {Array} validDomains - The app manifest's validDomains
+ * @returns {Array} Array of recommendations
+ */
+function analyzeRuntime(plugin, runtime, validDomains) {
+    const fileName = plugin.path.split('/').pop();
+    const recommendations = [];
+
+    if (runtime.remote && /^http:\/\//i.test(runtime.specUrl) && !isLocalUrl(runtime.specUrl)) {
+        recommendations.push({
+            severity: Severity.WARNING,
+            category: 'Security',
+            title: 'API Served over HTTP',
+            description: `${fileName}: runtime #${runtime.index + 1} loads its OpenAPI description from ${runtime.specUrl} without TLS.`,
+            suggestion: 'Serve the OpenAPI description over HTTPS.',
+            ruleId: 'security/insecure-server',
+            location: getLocation(plugin.path, `${runtime.pointer}/spec/url`)
+        });
+    }
+
+    const document = runtime.spec?.document;
+    if (!document || runtime.spec.error) return recommendations;
+
+    const specLabel = runtime.specPath ? runtime.specPath.split('/').pop() : `${fileName} runtime #${runtime.index + 1}`;
+    const specLocation = pointer => runtime.specPath
+        ? getLocation(runtime.specPath, pointer)
+        : getLocation(plugin.path, `${runtime.pointer}/spec/api_description`);
+
+    const insecure = listServers(document).filter(server => /^http:\/\//i.test(server.url) && !isLocalUrl(server.url));
+    if (insecure.length > 0) {
+        recommendations.push({
+            severity: Severity.WARNING,
+            category: 'Security',
+            title: 'API Served over HTTP',
+            description: `${specLabel} sends requests without TLS: ${[...new Set(insecure.map(server => server.url))].join(', ')}.`,
+            suggestion: 'Use https:// server URLs so requests and the user data in them are encrypted.',
+            ruleId: 'security/insecure-server',
+            location: specLocation(insecure[0].pointer)
+        });
+    }
+
+    const writes = runtime.spec.operations.filter(op =>
+        WRITE_METHODS.includes(op.method) && op.operationId && runtime.boundFunctions.includes(op.operationId));
+    if (writes.length === 0) return recommendations;
+
+    if (runtime.authType === 'None') {
+        recommendations.push({
+            severity: Severity.WARNING,
+            category: 'Security',
+            title: 'Unauthenticated Write Operation',
+            description: `${fileName}: runtime #${runtime.index + 1} has no authentication, but runs operations that change data: ${writes.map(op => `${op.operationId} (${op.method})`).join(', ')}.`,
+            suggestion: 'Protect the API and set the runtime\'s "auth" to ApiKeyPluginVault or OAuthPluginVault.',
+            ruleId: 'security/unauthenticated-write',
+            location: getLocation(plugin.path, runtime.pointer)
+        });
+    }
+
+    const unlisted = new Map();
+    for (const op of writes) {
+        for (const host of getOperationHosts(document, op)) {
+            if (!isDomainCovered(host, validDomains) && !unlisted.has(host)) {
+                unlisted.set(host, op);
+            }
+        }
+    }
+    for (const [host, op] of unlisted) {
+        recommendations.push({
+            severity: Severity.WARNING,
+            category: 'Security',
+            title: 'Action Sends Data to an Unlisted Host',
+            description: `${specLabel}: ${op.operationId} (${op.method}) sends data to ${host}, which is not in the app manifest's validDomains.`,
+            suggestion: `Check that ${host} is trusted with user data, and add it to validDomains.`,
+            ruleId: 'security/external-write',
+            location: specLocation(op.pointer)
+        });
+    }
+
+    return recommendations;
+}
+
+/**
+ * Lists the server URLs of an OpenAPI document at every level they can be declared
+ * @param {Object} document - Parsed OpenAPI document
+ * @returns {Array} Servers like { url, pointer }
+ */
+function listServers(document) {
+    const servers = [];
+    const add = (list, base) => {
+        if (!Array.isArray(list)) return;
+        list.forEach((server, index) => {
+            if (typeof server?.url === 'string') servers.push({ url: server.url, pointer: `${base}/servers/${index}/url` });
+        });
+    };
+
+    add(document.servers, '');
+    for (const [route, item] of Object.entries(document.paths || {})) {
+        if (!item || typeof item !== 'object') continue;
+        const base = `/paths/${escapePointerSegment(route)}`;
+        add(item.servers, base);
+        for (const [method, operation] of Object.entries(item)) {
+            if (operation && typeof operation === 'object') add(operation.servers, `${base}/${method}`);
+        }
+    }
+
+    // Swagger 2.0 declares schemes and a host instead
+    if (typeof document.host === 'string' && Array.isArray(document.schemes)) {
+        document.schemes.forEach((scheme, index) => {
+            servers.push({ url: `${scheme}://${document.host}`, pointer: `/schemes/${index}` });
+        });
+    }
+
+    return servers;
+}
+
+/**
+ * Gets the hosts an operation is sent to; operation servers override path servers,
+ * which override the document's
+ * @param {Object} document - Parsed OpenAPI document
+ * @param {Object} op - Operation from listOperations
+ * @returns {Array} Host names
+ */
+function getOperationHosts(document, op) {
+    const item = document.paths?.[op.path];
+    const operation = item?.[op.method.toLowerCase()];
+    const servers = [operation?.servers, item?.servers, document.servers].find(list => Array.isArray(list) && list.length > 0);
+    const urls = servers
+        ? servers.map(server => server?.url)
+        : typeof document.host === 'string' ? [`https://${document.host}`] : [];
+
+    // Relative URLs and URLs with server variables name no fixed host
+    return [...new Set(urls
+        .filter(url => isRemoteUrl(url) && !url.includes('{'))
+        .map(getHost)
+        .filter(Boolean))];
+}
+
+/**
+ * Gets the host name of a URL
+ * @param {string} url - Absolute URL
+ * @returns {string|null} Lowercase host name, or null if the URL is invalid
+ */
+function getHost(url) {
+    try {
+        return new URL(url).hostname.toLowerCase();
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Checks whether a URL points at the local machine, where plain HTTP is fine for development
+ * @param {string} url - URL
+ * @returns {boolean} True for localhost
+ */
+function isLocalUrl(url) {
+    return /^https?:\/\/(localhost|127\.0\.0\.1|\[::1\])([:/]|$)/i.test(url);
+}
+
+/**
+ * Hides most of a secret so the finding does not repeat it
+ * @param {string} text - Matched text
+ * @returns {string} Masked text
+ */
+function maskSecret(text) {
+    const value = text.replace(/^[^:=]*[:=]\s*["']?/, '').replace(/^(Bearer |[?&]code=)/i, '');
+    return `${value.substring(0, 4)}…`;
+}
+
+/**
+ * Converts an offset in a file to a line and column
+ * @param {string} content - File content
+ * @param {number} offset - Character offset
+ * @returns {Object} { line, column }, both 1-based
+ */
+function getLineAndColumn(content, offset) {
+    const before = content.substring(0, offset).split('\n');
+    return { line: before.length, column: before[before.length - 1].length + 1 };
+}
@@ -0,0 +1,14 @@
+/**
+ * Severity Levels for AgentAnalyzer
+ * Kept apart from the analysis service so the rule registry can use them without an import cycle
+ */
+
+/**
+ * Recommendation severity levels
+ */
+export const Severity = {
+    CRITICAL: 'critical',
+    WARNING: 'warning',
+    SUGGESTION: 'suggestion',
+    SUCCESS: 'success'
+};
@@ -9,17 +9,45 @@ import {
     getDrive,
     getAllFilesRecursive,
     getFileByUrl,
+    getSiteByIds,
+    getListWithDrive,
+    getItemByUniqueId,
     parseSharePointUrl
 } from './graph-service.js';
 import { getAnalysisConfig } from '../config.js';
 import { Severity } from './analysis-service.js';
+import { createCapabilityFix } from './quick-fix-service.js';
+import { registerRules, getRuleOptions } from './rule-registry.js';
+import { DOCS_BASE_URL } from '../utils/analyzer-text.js';
+
+registerRules([
+    {
+        id: 'sharepoint/large-files-detected',
+        severity: Severity.WARNING,
+        category: 'SharePoint',
+        title: 'Large Files Detected',
+        description: 'Knowledge sources hold no files larger than maxFileSize bytes, which may cause timeouts.',
+        docs: DOCS_BASE_URL + 'knowledge-sources',
+        options: () => ({ maxFileSize: getAnalysisConfig().sharepoint.largeFileSizeThreshold })
+    },
+    {
+        id: 'sharepoint/high-file-count',
+        severity: Severity.WARNING,
+        category: 'SharePoint',
+        title: 'High File Count',
+        description: 'Knowledge sources hold at most maxFiles files in total.',
+        docs: DOCS_BASE_URL + 'knowledge-sources',
+        options: () => ({ maxFiles: getAnalysisConfig().sharepoint.highFileCountThreshold })
+    }
+]);
 
 /**
  * Analyzes SharePoint knowledge sources
  * @param {Array} sources - Array of SharePoint sources from the agent
+ * @param {string|null} [agentPath] - Path of the declarative agent file, for quick fixes
  * @returns {Promise<Object>} Analysis results
  */
-export async function analyzeSharePointSources(sources) {
+export async function analyzeSharePointSources(sources, agentPath = null) {
     const results = {
         sources: [],
         recommendations: [],
@@ -39,7 +67,10 @@ export async function analyzeSharePointSources(sources) {
         return results;
     }
 
-    const config = getAnalysisConfig();
+    const config = {
+        maxFileSize: getRuleOptions('sharepoint/large-files-detected').maxFileSize,
+        maxFiles: getRuleOptions('sharepoint/high-file-count').maxFiles
+    };
 
     for (const source of sources) {
         const sourceResult = await analyzeSource(source, config);
@@ -59,7 +90,7 @@ export async function analyzeSharePointSources(sources) {
     }
 
     // Generate overall recommendations
-    const overallRecommendations = generateOverallRecommendations(results, config);
+    const overallRecommendations = generateOverallRecommendations(results, config, agentPath);
     results.recommendations.push(...overallRecommendations);
 
     return results;
@@ -68,7 +99,7 @@ export async function analyzeSharePointSources(sources) {
 /**
  * Analyzes a single SharePoint source
  * @param {Object} source - The source configuration
- * @param {Object} config - Analysis configuration
+ * @param {Object} config - { maxFileSize, maxFiles } from the SharePoint rules
  * @returns {Promise<Object>} Source analysis result
  */
 async function analyzeSource(source, config) {
@@ -105,7 +136,7 @@ async function analyzeSource(source, config) {
  * Analyzes a URL-based SharePoint source
  * @param {Object} source - The source configuration
  * @param {Object} result - The result object to populate
- * @param {Object} config - Analysis configuration
+ * @param {Object} config - { maxFileSize, maxFiles } from the SharePoint rules
  */
 async function analyzeUrlSource(source, result, config) {
     const parsedUrl = parseSharePointUrl(source.url);
@@ -120,10 +151,7 @@ async function analyzeUrlSource(source, result, config) {
     if (parsedUrl.isFile) {
         const fileInfo = await getFileByUrl(source.url);
         if (fileInfo) {
-            analyzeFile(fileInfo, result, config);
-            result.stats.totalFiles = 1;
-            result.stats.totalSize = fileInfo.size;
-            result.stats.averageSize = fileInfo.size;
+            analyzeFiles([fileInfo], result, config);
         } else {
             result.error = 'Unable to access file';
         }
@@ -157,35 +185,124 @@ async function analyzeUrlSource(source, result, config) {
 
     // Get all files recursively
     const files = await getAllFilesRecursive(drive.id);
+    analyzeFiles(files, result, config);
+}
+
+/**
+ * Analyzes an ID-based SharePoint source
+ * @param {Object} source - The source configuration
+ * @param {Object} result - The result object to populate
+ * @param {Object} config - { maxFileSize, maxFiles } from the SharePoint rules
+ */
+async function analyzeIdSource(source, result, config) {
+    if (!source.siteId) {
+        result.error = 'The source has no site_id';
+        return;
+    }
+
+    const siteInfo = await getSiteByIds(source.siteId, source.webId);
+    if (!siteInfo) {
+        result.error = 'Unable to access SharePoint site';
+        return;
+    }
+
+    result.siteInfo = {
+        id: siteInfo.id,
+        name: siteInfo.displayName,
+        webUrl: siteInfo.webUrl
+    };
+    result.resolvedUrl = siteInfo.webUrl;
+
+    // Without a list the source is the site's default document library
+    if (!source.listId) {
+        if (source.uniqueId) {
+            result.error = 'The source has a unique_id but no list_id';
+            return;
+        }
+
+        const drive = await getDrive(siteInfo.id);
+        if (!drive) {
+            result.error = 'Unable to access document library';
+            return;
+        }
+
+        result.driveInfo = {
+            id: drive.id,
+            name: drive.name
+        };
+        analyzeFiles(await getAllFilesRecursive(drive.id), result, config);
+        return;
+    }
 
+    const list = await getListWithDrive(siteInfo.id, source.listId);
+    if (!list) {
+        result.error = 'Unable to access SharePoint list';
+        return;
+    }
+
+    result.listInfo = {
+        id: list.id,
+        name: list.name,
+        webUrl: list.webUrl
+    };
+    result.resolvedUrl = list.webUrl;
+
+    // Lists that are not document libraries have no files to analyze
+    if (!list.drive) return;
+
+    result.driveInfo = {
+        id: list.drive.id,
+        name: list.drive.name
+    };
+
+    if (!source.uniqueId) {
+        analyzeFiles(await getAllFilesRecursive(list.drive.id), result, config);
+        return;
+    }
+
+    // The source is one folder or file of the library
+    const item = await getItemByUniqueId(siteInfo.id, source.listId, source.uniqueId);
+    if (!item) {
+        result.error = 'Unable to access file or folder';
+        return;
+    }
+
+    result.itemInfo = {
+        id: item.id,
+        name: item.name,
+        webUrl: item.webUrl,
+        isFolder: item.isFolder
+    };
+    result.resolvedUrl = item.webUrl;
+
+    const files = item.isFolder
+        ? await getAllFilesRecursive(item.driveId || list.drive.id, item.id)
+        : [item];
+    analyzeFiles(files, result, config);
+}
+
+/**
+ * Analyzes the files of a source and calculates its stats
+ * @param {Array} files - The file information
+ * @param {Object} result - The result object to update
+ * @param {Object} config - { maxFileSize, maxFiles } from the SharePoint rules
+ */
+function analyzeFiles(files, result, config) {
     for (const file of files) {
         analyzeFile(file, result, config);
     }
 
-    // Calculate stats
     result.stats.totalFiles = files.length;
     if (files.length > 0) {
         result.stats.averageSize = result.stats.totalSize / files.length;
     }
 }
 
-/**
- * Analyzes an ID-based SharePoint source
- * @param {Object} source - The source configuration
- * @param {Object} result - The result object to populate
- * @param {Object} config - Analysis configuration
- */
-async function analyzeIdSource(source, result, config) {
-    // For ID-based sources, we would need to use the specific IDs
-    // This is a simplified implementation
-    result.error = 'ID-based source analysis requires additional implementation';
-}
-
 /**
  * Analyzes a single file and updates the result
  * @param {Object} file - The file information
  * @param {Object} result - The result object to update
- * @param {Object} config - Analysis configuration
+ * @param {Object} config - { maxFileSize, maxFiles } from the SharePoint rules
  */
 function analyzeFile(file, result, config) {
     result.stats.totalSize += file.size || 0;
@@ -194,9 +311,8 @@ function analyzeFile(file, result, config) {
     const extension = getFileExtension(file.name).toLowerCase();
     result.stats.fileTypes[extension] = (result.stats.fileTypes[extension] || 0) + 1;
 
-    // Check for large files (>80MB)
-    const threshold = config.sharepoint.largeFileSizeThreshold;
-    if (file.size > threshold) {
+    // Check for large files
+    if (file.size > config.maxFileSize) {
         result.stats.largeFiles.push({
             name: file.name,
             size: file.size,
@@ -226,13 +342,13 @@ function analyzeFile(file, result, config) {
 /**
  * Generates recommendations for a single source
  * @param {Object} sourceResult - The source analysis result
- * @param {Object} config - Analysis configuration
+ * @param {Object} config - { maxFileSize, maxFiles } from the SharePoint rules
  * @returns {Array} Array of recommendations
  */
 function generateSourceRecommendations(sourceResult, config) {
     const recommendations = [];
     const stats = sourceResult.stats;
-    const sourceName = sourceResult.parsedUrl?.siteUrl || 'SharePoint Source';
+    const sourceName = sourceResult.parsedUrl?.siteUrl || sourceResult.resolvedUrl || 'SharePoint Source';
 
     // Large files warning
     if (stats.largeFiles.length > 0) {
@@ -240,9 +356,10 @@ function generateSourceRecommendations(sourceResult, config) {
             severity: Severity.WARNING,
             category: 'SharePoint',
             title: 'Large Files Detected',
-            description: `Found ${stats.largeFiles.length} file(s) exceeding 80MB in "${sourceName}":
+            description: `Found ${stats.largeFiles.length} file(s) exceeding ${formatSize(config.maxFileSize)} in "${sourceName}":
 ${stats.largeFiles.map(f => `- ${f.name} (${formatSize(f.size)})`).join('\n')}`,
-            suggestion: 'Large files may cause performance issues or timeouts. Consider breaking them into smaller sections or removing from the knowledge source.'
+            suggestion: 'Large files may cause performance issues or timeouts. Consider breaking them into smaller sections or removing from the knowledge source.',
+            ruleId: 'sharepoint/large-files-detected'
         });
     }
 
@@ -274,21 +391,23 @@ ${stats.largeFiles.map(f => `- ${f.name} (${formatSize(f.size)})`).join('\n')}`,
 /**
  * Generates overall recommendations for all sources
  * @param {Object} results - The complete analysis results
- * @param {Object} config - Analysis configuration
+ * @param {Object} config - { maxFileSize, maxFiles } from the SharePoint rules
+ * @param {string|null} agentPath - Path of the declarative agent file, for quick fixes
  * @returns {Array} Array of recommendations
  */
-function generateOverallRecommendations(results, config) {
+function generateOverallRecommendations(results, config, agentPath) {
     const recommendations = [];
     const summary = results.summary;
 
     // High file count warning
-    if (summary.totalFiles > config.sharepoint.highFileCountThreshold) {
+    if (summary.totalFiles > config.maxFiles) {
         recommendations.push({
             severity: Severity.WARNING,
             category: 'SharePoint',
             title: 'High File Count',
             description: `Total of ${summary.totalFiles} files across all knowledge sources. This may impact performance.`,
-            suggestion: 'Consider using more specific folder paths or file filters to reduce the number of files.'
+            suggestion: 'Consider using more specific folder paths or file filters to reduce the number of files.',
+            ruleId: 'sharepoint/high-file-count'
         });
     }
 
@@ -298,12 +417,14 @@ function generateOverallRecommendations(results, config) {
     );
 
     if (totalExcelFiles > 0) {
+        const fix = createCapabilityFix(agentPath, 'CodeInterpreter');
         recommendations.push({
             severity: Severity.SUGGESTION,
             category: 'SharePoint',
             title: 'Enable Code Interpreter',
             description: `Your knowledge sources contain ${totalExcelFiles} Excel document(s).`,
-            suggestion: 'Enable the Code Interpreter capability to allow data analysis and calculations on Excel files.'
+            suggestion: 'Enable the Code Interpreter capability to allow data analysis and calculations on Excel files.',
+            ...(fix ? { fix } : {})
         });
     }
 
@@ -0,0 +1,369 @@
+/**
+ * Starter Analyzer Service for AgentAnalyzer
+ * Quality rules for conversation starters: near-duplicates, title length, starters
+ * about the agent itself and starters that no capability or action backs, with
+ * replacement starters made from the agent's capabilities and actions
+ */
+
+import { Severity } from './severity.js';
+import { registerRules, getRuleOptions, compileRulePattern } from './rule-registry.js';
+import { resolveActions } from './action-resolver.js';
+import { getDeclarativeAgentPath } from './agent-parser.js';
+import { getFileContent } from './zip-service.js';
+import { createStarterReplacementFix } from './quick-fix-service.js';
+import { DOCS_BASE_URL } from '../utils/analyzer-text.js';
+
+const DOCS_URL = `${DOCS_BASE_URL}declarative-agent-manifest-1.5`;
+
+/**
+ * Words that say little about what a starter asks for
+ */
+const STOP_WORDS = new Set([
+    'a', 'an', 'the', 'my', 'me', 'i', 'to', 'for', 'of', 'in', 'on', 'at', 'and', 'or', 'with',
+    'about', 'from', 'please', 'can', 'could', 'you', 'your', 'what', 'is', 'are', 'be', 'do',
+    'all', 'any', 'some', 'this', 'that', 'it', 'our', 'us', 'we'
+]);
+
+/**
+ * Capabilities that ground answers on content in general, so any starter on the
+ * agent's topic can be backed by them
+ */
+const GROUNDING_CAPABILITIES = [
+    'OneDriveAndSharePoint', 'GraphConnectors', 'EmbeddedKnowledge', 'WebSearch',
+    'Dataverse', 'Email', 'TeamsMessages', 'Meetings'
+];
+
+/**
+ * Replacement starters for capabilities; {topic} is the agent's subject
+ */
+const CAPABILITY_STARTERS = {
+    WebSearch: { title: 'Latest news', text: 'Find the latest news about {topic}' },
+    OneDriveAndSharePoint: { title: 'Summarize documents', text: 'Summarize the latest documents about {topic}' },
+    GraphConnectors: { title: 'Search knowledge', text: 'What do our systems say about {topic}?' },
+    EmbeddedKnowledge: { title: 'Key facts', text: 'What are the key facts about {topic}?' },
+    CodeInterpreter: { title: 'Create a chart', text: 'Create a chart that summarizes {topic}' },
+    GraphicArt: { title: 'Create an image', text: 'Create an image that illustrates {topic}' },
+    Email: { title: 'Recent emails', text: 'Summarize my recent emails about {topic}' },
+    TeamsMessages: { title: 'Teams discussions', text: 'What was discussed about {topic} in Teams?' },
+    Meetings: { title: 'Meeting recap', text: 'Recap my last meeting about {topic}' },
+    People: { title: 'Find experts', text: 'Who in my organization works on {topic}?' },
+    Dataverse: { title: 'Look up records', text: 'Look up the latest records about {topic}' }
+};
+
+registerRules([
+    {
+        id: 'starters/title-length',
+        severity: Severity.SUGGESTION,
+        category: 'Starter Prompts',
+        title: 'Starter Title Too Long',
+        description: 'Starter titles are short enough to show without being cut off.',
+        docs: DOCS_URL,
+        options: { maxLength: 50 }
+    },
+    {
+        id: 'starters/about-agent',
+        severity: Severity.SUGGESTION,
+        category: 'Starter Prompts',
+        title: 'Starter Asks About the Agent',
+        description: 'Starters show a task the agent does rather than asking the agent about itself.',
+        docs: DOCS_URL,
+        patternOptions: ['patterns'],
+        options: {
+            patterns: [
+                'what (can|do) you (do|know)',
+                'who are you',
+                'what are you',
+                'how (can|do) you (help|work)',
+                'what (are )?your (capabilities|skills|features)',
+                'tell me about yourself',
+                '^(help|get started|getting started|hello|hi)\\W*$'
+            ]
+        }
+    },
+    {
+        id: 'starters/unbacked',
+        severity: Severity.SUGGESTION,
+        category: 'Starter Prompts',
+        title: 'Starter Not Backed by a Capability or Action',
+        description: 'Each starter exercises one of the agent\'s capabilities or actions.',
+        docs: DOCS_URL
+    }
+]);
+
+/**
+ * Finds pairs of starters whose words mostly overlap
+ * @param {Array} starters - Parsed conversation starters
+ * @param {number} threshold - Similarity (0 to 1) at which starters count as near-duplicates
+ * @returns {Array} Pairs like { first, second, similarity } with starter indexes
+ */
+export function findSimilarStarters(starters, threshold) {
+    const texts = starters.map(starter => normalizeText(starter.text || starter.title));
+    const tokens = texts.map(getTokens);
+    const pairs = [];
+
+    for (let first = 0; first < starters.length; first++) {
+        for (let second = first + 1; second < starters.length; second++) {
+            // A starter contained in another is as good as a duplicate
+            const contained = texts[first] && texts[second] && (texts[first].includes(texts[second]) || texts[second].includes(texts[first]));
+            const similarity = contained ? 1 : getSimilarity(tokens[first], tokens[second]);
+            if (similarity >= threshold) {
+                pairs.push({ first, second, similarity });
+            }
+        }
+    }
+
+    return pairs;
+}
+
+/**
+ * Checks the quality of a declarative agent's conversation starters
+ * @param {Object} agentInfo - The parsed agent information
+ * @returns {Array} Array of recommendations
+ */
+export function analyzeStarterQuality(agentInfo) {
+    const starters = agentInfo.conversationStarters || [];
+    if (starters.length === 0) return [];
+
+    const recommendations = [];
+    const agentPath = getDeclarativeAgentPath(agentInfo);
+    const { maxLength } = getRuleOptions('starters/title-length');
+    const aboutPatterns = (getRuleOptions('starters/about-agent').patterns || []).map(pattern => compileRulePattern(pattern, 'i'));
+    const backing = getBacking(agentInfo);
+    const replacements = createReplacementQueue(agentInfo, starters);
+    const titles = agentPath ? readStarterTitles(agentPath) : starters.map(starter => starter.title);
+
+    starters.forEach((starter, index) => {
+        const location = agentPath ? { file: agentPath, pointer: `/conversation_starters/${index}` } : undefined;
+        const title = titles[index];
+
+        if (typeof title === 'string' && title.length > maxLength) {
+            recommendations.push({
+                severity: Severity.SUGGESTION,
+                category: 'Starter Prompts',
+                title: 'Starter Title Too Long',
+                description: `The title "${title}" has ${title.length} characters and may be cut off.`,
+                suggestion: `Keep starter titles under ${maxLength} characters and put the full prompt in "text".`,
+                ruleId: 'starters/title-length',
+                ...(location ? { location } : {})
+            });
+        }
+
+        if (aboutPatterns.some(pattern => pattern.test(starter.text.trim()))) {
+            recommendations.push(createReplacementRecommendation({
+                title: 'Starter Asks About the Agent',
+                description: `"${starter.text}" asks the agent about itself instead of showing a task it does.`,
+                suggestion: 'Replace it with a concrete task, such as one of the agent\'s actions.',
+                ruleId: 'starters/about-agent'
+            }, agentPath, index, location, replacements));
+        } else if (backing && !isBacked(starter.text, backing)) {
+            recommendations.push(createReplacementRecommendation({
+                title: 'Starter Not Backed by a Capability or Action',
+                description: `"${starter.text}" does not match any of the agent's capabilities or action functions.`,
+                suggestion: 'Use starters that exercise what the agent can do, so users see its actions in use.',
+                ruleId: 'starters/unbacked'
+            }, agentPath, index, location, replacements));
+        }
+    });
+
+    return recommendations;
+}
+
+/**
+ * Reads the starter titles as written in the declarative agent file; the parsed starters
+ * use the text as the title when a starter has none
+ * @param {string} agentPath - Path of the declarative agent file
+ * @returns {Array} Titles by starter index, undefined where a starter has no title
+ */
+function readStarterTitles(agentPath) {
+    let content;
+    try {
+        content = JSON.parse(getFileContent(agentPath)?.content);
+    } catch (error) {
+        return [];
+    }
+
+    const starters = content?.conversation_starters || content?.conversationStarters;
+    return Array.isArray(starters) ? starters.map(starter => starter?.title) : [];
+}
+
+/**
+ * Suggests starters made from the agent's actions and capabilities
+ * @param {Object} agentInfo - The parsed agent information
+ * @returns {Array} Starters like { title, text }
+ */
+export function suggestStarters(agentInfo) {
+    const topic = getTopic(agentInfo);
+    const fromActions = getActionFunctions(agentInfo)
+        .map(func => humanizeName(func.name))
+        // Single words such as "Search" say too little to be a starter
+        .filter(text => text.includes(' '))
+        .map(text => ({ title: text, text }));
+    const fromCapabilities = (agentInfo.capabilities || [])
+        .map(capability => CAPABILITY_STARTERS[capability.name])
+        .filter(Boolean)
+        .map(template => ({ title: template.title, text: template.text.replace('{topic}', topic) }));
+
+    const seen = new Set();
+    return [...fromActions, ...fromCapabilities].filter(starter => {
+        const key = starter.text.toLowerCase();
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+/**
+ * Builds a recommendation that offers a replacement starter
+ * @param {Object} recommendation - Title, description, suggestion and ruleId
+ * @param {string|null} agentPath - Path of the declarative agent file
+ * @param {number} index - Index of the starter
+ * @param {Object|undefined} location - Location of the starter
+ * @param {Array} replacements - Unused suggested starters; the first one is taken
+ * @returns {Object} Recommendation
+ */
+function createReplacementRecommendation(recommendation, agentPath, index, location, replacements) {
+    const replacement = replacements.shift();
+    const fix = replacement ? createStarterReplacementFix(agentPath, index, replacement) : null;
+
+    return {
+        severity: Severity.SUGGESTION,
+        category: 'Starter Prompts',
+        ...recommendation,
+        ...(replacement ? { suggestion: `${recommendation.suggestion} Suggested: "${replacement.text}".` } : {}),
+        ...(location ? { location } : {}),
+        ...(fix ? { fix } : {})
+    };
+}
+
+/**
+ * Lists the suggested starters that are not already used
+ * @param {Object} agentInfo - The parsed agent information
+ * @param {Array} starters - Current starters
+ * @returns {Array} Starters like { title, text }
+ */
+function createReplacementQueue(agentInfo, starters) {
+    const used = starters.map(starter => getTokens(starter.text));
+    return suggestStarters(agentInfo).filter(suggestion => {
+        const tokens = getTokens(suggestion.text);
+        return !used.some(existing => getSimilarity(existing, tokens) >= 0.5);
+    });
+}
+
+/**
+ * Collects what can back a starter when the agent has no grounding capability
+ * @param {Object} agentInfo - The parsed agent information
+ * @returns {Object|null} { patterns, words }, or null if any starter on topic is backed
+ */
+function getBacking(agentInfo) {
+    const capabilityNames = (agentInfo.capabilities || []).map(capability => capability.name);
+    const functions = getActionFunctions(agentInfo);
+
+    // Grounding capabilities answer any question on the agent's topic; without capabilities or actions nothing can be checked
+    if (capabilityNames.some(name => GROUNDING_CAPABILITIES.includes(name))) return null;
+    if (capabilityNames.length === 0 && functions.length === 0) return null;
+
+    const needs = Object.values(getRuleOptions('consistency/missing-capability').needs || {});
+    const patterns = needs
+        .filter(need => need.capabilities.some(name => capabilityNames.includes(name)))
+        .map(need => compileRulePattern(need.pattern, 'i'));
+
+    const words = new Set();
+    for (const func of functions) {
+        for (const word of [...getTokens(humanizeName(func.name)), ...getTokens(func.description)]) {
+            words.add(stem(word));
+        }
+    }
+
+    return { patterns, words };
+}
+
+/**
+ * Checks whether a starter matches a capability or shares a word with an action function
+ * @param {string} text - Starter text
+ * @param {Object} backing - From getBacking
+ * @returns {boolean} True if backed
+ */
+function isBacked(text, backing) {
+    if (backing.patterns.some(pattern => pattern.test(text))) return true;
+    return [...getTokens(text)].some(word => word.length > 2 && backing.words.has(stem(word)));
+}
+
+/**
+ * Gets the functions of the selected agent's actions
+ * @param {Object} agentInfo - The parsed agent information
+ * @returns {Array} Functions like { name, description }
+ */
+function getActionFunctions(agentInfo) {
+    const agentIndex = agentInfo.selectedAgentIndex || 0;
+    const resolution = resolveActions(agentInfo);
+    const paths = new Set(resolution.actions
+        .filter(action => action.agentIndex === agentIndex && action.pluginPath)
+        .map(action => action.pluginPath));
+
+    return [...paths].flatMap(path => resolution.plugins.get(path)?.functions || []).filter(func => func.name);
+}
+
+/**
+ * Gets the subject of the agent for starter templates, e.g. "repairs" from
+ * "You are a repairs assistant", else the agent name
+ * @param {Object} agentInfo - The parsed agent information
+ * @returns {string} Topic
+ */
+function getTopic(agentInfo) {
+    const match = (agentInfo.instructions || '').match(/\byou are an? ([\w\s-]{3,40}?) (assistant|agent|expert|helper|bot)\b/i);
+    return (match ? match[1] : agentInfo.agentName || 'this topic').trim();
+}
+
+/**
+ * Turns a function name into a starter, e.g. listOpenRepairs becomes "List open repairs"
+ * @param {string} name - Function name
+ * @returns {string} Starter text
+ */
+function humanizeName(name) {
+    const words = String(name || '').replace(/([a-z0-9])([A-Z])/g, '$1 $2').split(/[^a-zA-Z0-9]+/).filter(Boolean);
+    if (words.length === 0) return '';
+    const text = words.join(' ').toLowerCase();
+    return text[0].toUpperCase() + text.slice(1);
+}
+
+/**
+ * Lowercases text and collapses punctuation and whitespace
+ * @param {string} text - Text
+ * @returns {string} Normalized text
+ */
+function normalizeText(text) {
+    return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Splits text into its meaningful lowercase words
+ * @param {string} text - Text
+ * @returns {Set} Words
+ */
+function getTokens(text) {
+    return new Set((String(text || '').toLowerCase().match(/[a-z0-9]+/g) || []).filter(word => !STOP_WORDS.has(word)));
+}
+
+/**
+ * Jaccard similarity of two word sets
+ * @param {Set} first - Words
+ * @param {Set} second - Words
+ * @returns {number} Similarity from 0 to 1
+ */
+function getSimilarity(first, second) {
+    if (first.size === 0 || second.size === 0) return 0;
+    let shared = 0;
+    for (const word of first) {
+        if (second.has(word)) shared++;
+    }
+    return shared / (first.size + second.size - shared);
+}
+
+/**
+ * Reduces a word to a rough stem so "repairs" matches "repair"
+ * @param {string} word - Lowercase word
+ * @returns {string} Stem
+ */
+function stem(word) {
+    return word.replace(/(ing|ed|es|s)$/, '') || word;
+}
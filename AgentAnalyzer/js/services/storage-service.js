@@ -1,25 +1,57 @@
 /**
  * Storage Service for AgentAnalyzer
- * Handles localStorage persistence for agents and analysis results
+ * Handles IndexedDB persistence for agents and analysis results.
+ * Each upload or save of an agent is kept as a revision; the revisions of an agent
+ * share its identity (manifest id plus package name) and make up its timeline.
+ * Revision records hold an index of their files; file contents are stored once per
+ * SHA-256 hash, so revisions that share files share their records.
  */
 
-const STORAGE_KEY = 'agentAnalyzer_agents';
-const MAX_STORED_AGENTS = 20; // Limit to prevent localStorage overflow
+const DB_NAME = 'agentAnalyzer';
+const DB_VERSION = 1;
+const AGENTS_STORE = 'agents';
+const FILES_STORE = 'files';
+const LEGACY_STORAGE_KEY = 'agentAnalyzer_agents';
+
+let databasePromise = null;
+
+/**
+ * How a revision was created
+ */
+export const RevisionSource = {
+    UPLOAD: 'upload',
+    SAVE: 'save'
+};
+
+/**
+ * What importStoredData does with an agent that is already stored
+ */
+export const ImportResolution = {
+    MERGE: 'merge', // Add the revisions it does not have to its timeline
+    REPLACE: 'replace', // Replace its timeline with the imported one
+    SKIP: 'skip' // Keep it as it is
+};
 
 /**
  * Agent storage record structure
  * @typedef {Object} StoredAgent
- * @property {string} id - Unique identifier
+ * @property {string} id - Unique identifier of the revision
+ * @property {string} identity - Agent the revision belongs to, from getAgentIdentity
+ * @property {number} revision - Revision number within the agent's timeline, from 1
+ * @property {string} source - How the revision was created, a RevisionSource
  * @property {string} fileName - Original zip file name
  * @property {string} agentName - Agent display name
  * @property {string} agentType - 'DA' or 'CA'
  * @property {string} description - Agent description
- * @property {number} uploadedAt - Timestamp of upload
+ * @property {number} uploadedAt - Timestamp of the upload or save that created the revision
  * @property {number} lastAnalyzedAt - Timestamp of last analysis
  * @property {Object} agentInfo - Parsed agent information
- * @property {Object} files - Stored file contents (base64 for images, string for text)
+ * @property {Object} files - File index by path { hash, isImage, modified, size }; getStoredAgent
+ *   returns the contents instead { content, isImage, modified } (base64 for images, string for text)
  * @property {Object} basicAnalysis - Basic analysis results
  * @property {Object} deepAnalysis - Deep analysis results
+ * @property {Array} agentAnalyses - Per declarative agent { basicAnalysis, deepAnalysis }, by agent index
+ * @property {Array} suppressions - Findings dismissed with a reason, from suppression-service; shared by the revisions of an agent
  */
 
 /**
@@ -34,99 +66,374 @@ function generateId(fileName) {
 }
 
 /**
- * Gets all stored agents from localStorage
- * @returns {StoredAgent[]} Array of stored agents
+ * Gets the identity that groups the revisions of an agent: the manifest id plus the package name
+ * @param {Object} agentInfo - Parsed agent information
+ * @param {string} fileName - Package file name, used when the manifest has no id
+ * @returns {string} Identity
  */
-export function getStoredAgents() {
-    try {
-        const data = localStorage.getItem(STORAGE_KEY);
-        if (!data) return [];
+export function getAgentIdentity(agentInfo, fileName) {
+    const manifestId = agentInfo?.manifest?.id;
+    return manifestId ? `${manifestId}|${agentInfo.name || ''}` : `|${fileName}`;
+}
 
-        const agents = JSON.parse(data);
-        // Sort by most recent first
-        return agents.sort((a, b) => (b.uploadedAt || 0) - (a.uploadedAt || 0));
+/**
+ * Gets the identity of a stored revision
+ * @param {StoredAgent} agent - Stored revision
+ * @returns {string} Identity; records saved before revisions are grouped by file name
+ */
+export function getRevisionIdentity(agent) {
+    return agent.identity || `|${agent.fileName}`;
+}
+
+/**
+ * Checks whether two file indexes hold the same files
+ * @param {Object|null} a - File index by path
+ * @param {Object|null} b - File index by path
+ * @returns {boolean} True if they have the same paths and contents
+ */
+function haveSameFiles(a, b) {
+    const paths = Object.keys(a || {});
+    return paths.length === Object.keys(b || {}).length && paths.every(path => a[path].hash === b?.[path]?.hash);
+}
+
+/**
+ * Opens the database, creating it and migrating the localStorage history on first use
+ * @returns {Promise<IDBDatabase>} Database
+ */
+function openDatabase() {
+    if (!databasePromise) {
+        databasePromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(AGENTS_STORE, { keyPath: 'id' });
+                request.result.createObjectStore(FILES_STORE, { keyPath: 'hash' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        }).then(async db => {
+            // A failed migration keeps the localStorage history for the next page load
+            try {
+                await migrateLocalStorage(db);
+            } catch (error) {
+                console.error('Error moving the localStorage history to IndexedDB:', error);
+            }
+            // Ask the browser not to evict the history under storage pressure
+            navigator.storage?.persist?.().catch(() => {});
+            return db;
+        });
+
+        // Let the next call try again rather than failing forever
+        databasePromise.catch(() => {
+            databasePromise = null;
+        });
+    }
+    return databasePromise;
+}
+
+/**
+ * Moves the history kept in localStorage by earlier versions into the database
+ * @param {IDBDatabase} db - Database
+ */
+async function migrateLocalStorage(db) {
+    let agents;
+    try {
+        agents = JSON.parse(localStorage.getItem(LEGACY_STORAGE_KEY) || 'null');
     } catch (error) {
-        console.error('Error reading stored agents:', error);
-        return [];
+        console.error('Error reading the localStorage history:', error);
+        return;
     }
+    if (!Array.isArray(agents)) return;
+
+    await putAgents(db, agents.filter(agent => agent?.id));
+    localStorage.removeItem(LEGACY_STORAGE_KEY);
 }
 
 /**
- * Gets a single stored agent by ID
- * @param {string} id - Agent ID
- * @returns {StoredAgent|null} Stored agent or null
+ * Runs work in a transaction over both stores
+ * @param {IDBDatabase} db - Database
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} work - Receives (agentsStore, filesStore); may only await requests of the transaction
+ * @returns {Promise<*>} What work returns, once the transaction completes
  */
-export function getStoredAgent(id) {
-    const agents = getStoredAgents();
-    return agents.find(a => a.id === id) || null;
+function runTransaction(db, mode, work) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([AGENTS_STORE, FILES_STORE], mode);
+        let result;
+        transaction.oncomplete = () => resolve(result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+
+        Promise.resolve(work(transaction.objectStore(AGENTS_STORE), transaction.objectStore(FILES_STORE)))
+            .then(value => {
+                result = value;
+            }, error => {
+                transaction.abort();
+                reject(error);
+            });
+    });
 }
 
 /**
- * Saves a new agent to localStorage
- * @param {Object} params - Agent parameters
- * @param {string} params.fileName - Original file name
- * @param {Object} params.agentInfo - Parsed agent information
- * @param {Map} params.files - Extracted files map
- * @returns {string} The saved agent ID
+ * Runs work in a transaction of the opened database
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} work - See runTransaction
+ * @returns {Promise<*>} What work returns
+ */
+async function withStores(mode, work) {
+    return runTransaction(await openDatabase(), mode, work);
+}
+
+/**
+ * Wraps an IndexedDB request in a promise
+ * @param {IDBRequest} request - Request
+ * @returns {Promise<*>} Request result
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Hashes file content
+ * @param {string} content - Text, or base64 for images
+ * @returns {Promise<string>} Hex SHA-256 hash
  */
-export function saveAgent({ fileName, agentInfo, files }) {
-    const agents = getStoredAgents();
+async function hashContent(content) {
+    const bytes = new TextEncoder().encode(content);
+    if (globalThis.crypto?.subtle) {
+        const digest = await crypto.subtle.digest('SHA-256', bytes);
+        return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+    }
 
-    // Check if agent with same name already exists
-    const existingIndex = agents.findIndex(a => a.fileName === fileName);
+    // crypto.subtle only exists in secure contexts; two FNV-1a passes and the length keep collisions unlikely
+    let first = 0x811c9dc5;
+    let second = 0x01000193;
+    for (const byte of bytes) {
+        first = Math.imul(first ^ byte, 0x01000193) >>> 0;
+        second = Math.imul(second ^ byte, 0x811c9dc5) >>> 0;
+    }
+    return `fnv-${first.toString(16)}${second.toString(16)}-${bytes.length}`;
+}
 
-    const id = existingIndex >= 0 ? agents[existingIndex].id : generateId(fileName);
+/**
+ * Splits file contents into the index kept on the agent record and the content records
+ * @param {Map|Object} files - Files by path { content, isImage, modified }
+ * @returns {Promise<Object>} { index, contents } where contents maps hash to content record
+ */
+async function indexFiles(files) {
+    const entries = files instanceof Map ? [...files] : Object.entries(files || {});
+    const index = {};
+    const contents = new Map();
+
+    for (const [path, fileData] of entries) {
+        const content = fileData?.content ?? '';
+        const hash = await hashContent(content);
+        const size = content.length;
+        index[path] = { hash, isImage: Boolean(fileData?.isImage), modified: Boolean(fileData?.modified), size };
+        contents.set(hash, { hash, content, size });
+    }
 
-    // Convert files Map to object for storage
-    const filesObject = {};
-    if (files instanceof Map) {
-        for (const [path, fileData] of files) {
-            filesObject[path] = {
-                content: fileData.content,
-                isImage: fileData.isImage,
-                modified: fileData.modified
-            };
+    return { index, contents };
+}
+
+/**
+ * Stores the content records not stored yet
+ * @param {IDBObjectStore} filesStore - Files store
+ * @param {Map} contents - Content records by hash, from indexFiles
+ */
+async function putContents(filesStore, contents) {
+    for (const [hash, record] of contents) {
+        const existing = await promisifyRequest(filesStore.getKey(hash));
+        if (existing === undefined) {
+            filesStore.put(record);
         }
     }
+}
 
-    const agentRecord = {
-        id,
-        fileName,
-        agentName: agentInfo.agentName || agentInfo.name || 'Unknown Agent',
-        agentType: agentInfo.type || 'UNKNOWN',
-        description: agentInfo.agentDescription || agentInfo.description || '',
-        uploadedAt: existingIndex >= 0 ? agents[existingIndex].uploadedAt : Date.now(),
-        lastModifiedAt: Date.now(),
-        agentInfo: sanitizeAgentInfo(agentInfo),
-        files: filesObject,
-        basicAnalysis: existingIndex >= 0 ? agents[existingIndex].basicAnalysis : null,
-        deepAnalysis: existingIndex >= 0 ? agents[existingIndex].deepAnalysis : null
-    };
+/**
+ * Deletes content records no agent refers to any more
+ * @param {IDBObjectStore} agentsStore - Agents store
+ * @param {IDBObjectStore} filesStore - Files store
+ */
+async function collectGarbage(agentsStore, filesStore) {
+    const agents = await promisifyRequest(agentsStore.getAll());
+    const referenced = new Set(agents.flatMap(agent => Object.values(agent.files || {}).map(file => file.hash)));
+    const hashes = await promisifyRequest(filesStore.getAllKeys());
+
+    for (const hash of hashes) {
+        if (!referenced.has(hash)) {
+            filesStore.delete(hash);
+        }
+    }
+}
 
-    if (existingIndex >= 0) {
-        agents[existingIndex] = agentRecord;
-    } else {
-        agents.unshift(agentRecord);
+/**
+ * Stores whole agent records, with file contents, replacing records with the same ID
+ * @param {IDBDatabase} db - Database
+ * @param {StoredAgent[]} agents - Records whose files hold contents
+ */
+async function putAgents(db, agents) {
+    const indexed = [];
+    for (const agent of agents) {
+        indexed.push({ agent, ...(agent.files ? await indexFiles(agent.files) : { index: null, contents: new Map() }) });
     }
 
-    // Limit storage size
-    const trimmedAgents = agents.slice(0, MAX_STORED_AGENTS);
+    await runTransaction(db, 'readwrite', async (agentsStore, filesStore) => {
+        for (const { agent, index, contents } of indexed) {
+            await putContents(filesStore, contents);
+            agentsStore.put({ ...agent, files: index });
+        }
+        await collectGarbage(agentsStore, filesStore);
+    });
+}
+
+/**
+ * Reads, changes and writes one agent record
+ * @param {string} id - Agent ID
+ * @param {Function} update - Receives the record and changes it; may return a value to pass on
+ * @returns {Promise<*>} What update returns, or undefined if the agent is not stored
+ */
+async function updateAgent(id, update) {
+    return withStores('readwrite', async agentsStore => {
+        const record = await promisifyRequest(agentsStore.get(id));
+        if (!record) {
+            console.error('Agent not found:', id);
+            return undefined;
+        }
 
+        const result = update(record);
+        agentsStore.put(record);
+        return result;
+    });
+}
+
+/**
+ * Gets all stored revisions, most recent first, with their file index but not the contents
+ * @returns {Promise<StoredAgent[]>} Array of stored revisions
+ */
+export async function getStoredAgents() {
     try {
-        localStorage.setItem(STORAGE_KEY, JSON.stringify(trimmedAgents));
-        return id;
+        const agents = await withStores('readonly', agentsStore => promisifyRequest(agentsStore.getAll()));
+        // Sort by most recent first
+        return agents.sort((a, b) => (b.uploadedAt || 0) - (a.uploadedAt || 0));
     } catch (error) {
-        if (error.name === 'QuotaExceededError') {
-            // Try to save without files to save space
-            agentRecord.files = null;
-            const minimalAgents = trimmedAgents.map(a => ({ ...a, files: null }));
-            localStorage.setItem(STORAGE_KEY, JSON.stringify(minimalAgents));
-            console.warn('Storage quota exceeded. Saved without file contents.');
-        } else {
-            console.error('Error saving agent:', error);
+        console.error('Error reading stored agents:', error);
+        return [];
+    }
+}
+
+/**
+ * Gets the stored agents with their timelines, the most recently changed agent first
+ * @returns {Promise<Array>} Agents like { identity, latest, revisions } with revisions newest first
+ */
+export async function getAgentTimelines() {
+    const timelines = new Map();
+    for (const agent of await getStoredAgents()) {
+        const identity = getRevisionIdentity(agent);
+        if (!timelines.has(identity)) {
+            timelines.set(identity, { identity, revisions: [] });
         }
-        return id;
+        timelines.get(identity).revisions.push(agent);
+    }
+
+    return [...timelines.values()]
+        .map(timeline => {
+            const revisions = timeline.revisions.sort((a, b) => (b.revision || 1) - (a.revision || 1) || (b.uploadedAt || 0) - (a.uploadedAt || 0));
+            return { ...timeline, latest: revisions[0], revisions };
+        })
+        .sort((a, b) => (b.latest.uploadedAt || 0) - (a.latest.uploadedAt || 0));
+}
+
+/**
+ * Gets a single stored agent by ID, with its file contents
+ * @param {string} id - Agent ID
+ * @returns {Promise<StoredAgent|null>} Stored agent or null
+ */
+export async function getStoredAgent(id) {
+    try {
+        return await withStores('readonly', async (agentsStore, filesStore) => {
+            const record = await promisifyRequest(agentsStore.get(id));
+            if (!record) return null;
+            if (!record.files) return record;
+
+            const files = {};
+            for (const [path, file] of Object.entries(record.files)) {
+                const stored = await promisifyRequest(filesStore.get(file.hash));
+                files[path] = { content: stored?.content ?? '', isImage: file.isImage, modified: file.modified };
+            }
+            return { ...record, files };
+        });
+    } catch (error) {
+        console.error('Error reading stored agent:', error);
+        return null;
+    }
+}
+
+/**
+ * Saves a package as a new revision of its agent. Nothing is added when the files are
+ * the same as the agent's latest revision, or as the revision it was opened from.
+ * @param {Object} params - Agent parameters
+ * @param {string} params.fileName - Original file name
+ * @param {Object} params.agentInfo - Parsed agent information
+ * @param {Map} params.files - Extracted files map
+ * @param {string} [params.source] - How the revision was created, a RevisionSource
+ * @param {string} [params.parentId] - Revision the package was opened from
+ * @returns {Promise<string|null>} ID of the new revision, or of the unchanged one; null if it could not be saved
+ */
+export async function saveAgent({ fileName, agentInfo, files, source = RevisionSource.UPLOAD, parentId = null }) {
+    const { index, contents } = await indexFiles(files);
+    let savedId = generateId(fileName);
+
+    try {
+        await withStores('readwrite', async (agentsStore, filesStore) => {
+            const agents = await promisifyRequest(agentsStore.getAll());
+            // A package opened from the history stays on the timeline it was opened from
+            const parentRecord = parentId ? agents.find(a => a.id === parentId) : null;
+            const identity = parentRecord?.identity || getAgentIdentity(agentInfo, fileName);
+            // Records saved before revisions were kept once per file name
+            const revisions = agents
+                .filter(a => a.identity === identity || (!a.identity && a.fileName === fileName))
+                .sort((a, b) => (a.revision || 1) - (b.revision || 1));
+            const latest = revisions[revisions.length - 1];
+            const parent = revisions.find(a => a.id === parentId);
+
+            const unchanged = [latest, parent].find(revision => revision && haveSameFiles(revision.files, index));
+            if (unchanged) {
+                savedId = unchanged.id;
+                return;
+            }
+
+            for (const revision of revisions.filter(a => !a.identity)) {
+                agentsStore.put({ ...revision, identity, revision: revision.revision || 1 });
+            }
+
+            await putContents(filesStore, contents);
+            agentsStore.put({
+                id: savedId,
+                identity,
+                revision: (latest ? latest.revision || 1 : 0) + 1,
+                source,
+                fileName,
+                agentName: agentInfo.agentName || agentInfo.name || 'Unknown Agent',
+                agentType: agentInfo.type || 'UNKNOWN',
+                description: agentInfo.agentDescription || agentInfo.description || '',
+                uploadedAt: Date.now(),
+                lastModifiedAt: Date.now(),
+                agentInfo: sanitizeAgentInfo(agentInfo),
+                files: index,
+                basicAnalysis: null,
+                deepAnalysis: null,
+                agentAnalyses: [],
+                suppressions: latest?.suppressions || []
+            });
+        });
+    } catch (error) {
+        console.error('Error saving agent:', error);
+        return null;
     }
+    return savedId;
 }
 
 /**
@@ -134,73 +441,141 @@ export function saveAgent({ fileName, agentInfo, files }) {
  * @param {string} id - Agent ID
  * @param {string} type - 'basic' or 'deep'
  * @param {Object} results - Analysis results
+ * @param {number} [declarativeAgentIndex=0] - Index of the declarative agent the results belong to
  */
-export function updateAnalysisResults(id, type, results) {
-    const agents = getStoredAgents();
-    const agentIndex = agents.findIndex(a => a.id === id);
+export async function updateAnalysisResults(id, type, results, declarativeAgentIndex = 0) {
+    try {
+        await updateAgent(id, record => {
+            const agentAnalyses = record.agentAnalyses || [];
+            const entry = agentAnalyses[declarativeAgentIndex] || { basicAnalysis: null, deepAnalysis: null };
+
+            if (type === 'basic') {
+                record.basicAnalysis = results;
+                entry.basicAnalysis = results;
+            } else if (type === 'deep') {
+                record.deepAnalysis = results;
+                entry.deepAnalysis = results;
+            }
+
+            agentAnalyses[declarativeAgentIndex] = entry;
+            record.agentAnalyses = agentAnalyses;
+            record.lastAnalyzedAt = Date.now();
+        });
+    } catch (error) {
+        console.error('Error updating analysis results:', error);
+    }
+}
 
-    if (agentIndex < 0) {
-        console.error('Agent not found:', id);
-        return;
+/**
+ * Gets the stored analysis results for one declarative agent of a stored package
+ * @param {StoredAgent} storedAgent - Stored agent record
+ * @param {number} [declarativeAgentIndex=0] - Index of the declarative agent
+ * @returns {Object} { basicAnalysis, deepAnalysis } (null when not analyzed)
+ */
+export function getAgentAnalysis(storedAgent, declarativeAgentIndex = 0) {
+    const entry = storedAgent?.agentAnalyses?.[declarativeAgentIndex];
+    if (entry) {
+        return { basicAnalysis: entry.basicAnalysis || null, deepAnalysis: entry.deepAnalysis || null };
     }
 
-    if (type === 'basic') {
-        agents[agentIndex].basicAnalysis = results;
-    } else if (type === 'deep') {
-        agents[agentIndex].deepAnalysis = results;
+    // Records saved before per-agent results only hold the first agent's analysis
+    if (declarativeAgentIndex === 0 && !storedAgent?.agentAnalyses?.length) {
+        return { basicAnalysis: storedAgent?.basicAnalysis || null, deepAnalysis: storedAgent?.deepAnalysis || null };
     }
 
-    agents[agentIndex].lastAnalyzedAt = Date.now();
+    return { basicAnalysis: null, deepAnalysis: null };
+}
 
+/**
+ * Gets the findings dismissed for a stored agent
+ * @param {string} id - Agent ID
+ * @returns {Promise<Array>} Suppressions, empty if the agent is not stored
+ */
+export async function getStoredSuppressions(id) {
     try {
-        localStorage.setItem(STORAGE_KEY, JSON.stringify(agents));
+        const record = await withStores('readonly', agentsStore => promisifyRequest(agentsStore.get(id)));
+        return record?.suppressions || [];
     } catch (error) {
-        console.error('Error updating analysis results:', error);
+        console.error('Error reading suppressions:', error);
+        return [];
     }
 }
 
 /**
- * Updates file contents for a stored agent
+ * Adds a dismissed finding to a stored agent
  * @param {string} id - Agent ID
- * @param {Map} files - Updated files map
+ * @param {Object} suppression - Suppression from createSuppression
+ * @returns {Promise<Array>} The agent's suppressions after the change
  */
-export function updateStoredFiles(id, files) {
-    const agents = getStoredAgents();
-    const agentIndex = agents.findIndex(a => a.id === id);
-
-    if (agentIndex < 0) return;
-
-    const filesObject = {};
-    if (files instanceof Map) {
-        for (const [path, fileData] of files) {
-            filesObject[path] = {
-                content: fileData.content,
-                isImage: fileData.isImage,
-                modified: fileData.modified
-            };
-        }
-    }
+export function addSuppression(id, suppression) {
+    return updateSuppressions(id, suppressions => [
+        ...suppressions.filter(s => !isSameSuppression(s, suppression)),
+        suppression
+    ]);
+}
 
-    agents[agentIndex].files = filesObject;
-    agents[agentIndex].lastModifiedAt = Date.now();
+/**
+ * Removes a dismissed finding from a stored agent
+ * @param {string} id - Agent ID
+ * @param {Object} suppression - Suppression to remove ({ ruleId, fingerprint, agent })
+ * @returns {Promise<Array>} The agent's suppressions after the change
+ */
+export function removeSuppression(id, suppression) {
+    return updateSuppressions(id, suppressions => suppressions.filter(s => !isSameSuppression(s, suppression)));
+}
 
+/**
+ * Updates the suppressions of a stored agent
+ * @param {string} id - Agent ID
+ * @param {Function} update - Receives the current suppressions and returns the new ones
+ * @returns {Promise<Array>} The new suppressions, empty if the agent is not stored
+ */
+async function updateSuppressions(id, update) {
     try {
-        localStorage.setItem(STORAGE_KEY, JSON.stringify(agents));
+        return await withStores('readwrite', async agentsStore => {
+            const record = await promisifyRequest(agentsStore.get(id));
+            if (!record) {
+                console.error('Agent not found:', id);
+                return [];
+            }
+
+            // Dismissals belong to the agent, so every revision of it gets them
+            const suppressions = update(record.suppressions || []);
+            const agents = await promisifyRequest(agentsStore.getAll());
+            for (const agent of agents.filter(a => getRevisionIdentity(a) === getRevisionIdentity(record))) {
+                agentsStore.put({ ...agent, suppressions });
+            }
+            return suppressions;
+        });
     } catch (error) {
-        console.error('Error updating stored files:', error);
+        console.error('Error updating suppressions:', error);
+        return [];
     }
 }
 
 /**
- * Deletes a stored agent
- * @param {string} id - Agent ID to delete
- * @returns {boolean} True if deleted successfully
+ * Checks whether two suppressions target the same finding of the same agent
+ * @param {Object} a - Suppression
+ * @param {Object} b - Suppression
+ * @returns {boolean} True if they match
+ */
+function isSameSuppression(a, b) {
+    return a.ruleId === b.ruleId && (a.fingerprint || null) === (b.fingerprint || null) && (a.agent || null) === (b.agent || null);
+}
+
+/**
+ * Deletes stored revisions, and the file contents no other revision shares
+ * @param {string|string[]} ids - Revision ID, or IDs, to delete
+ * @returns {Promise<boolean>} True if deleted successfully
  */
-export function deleteStoredAgent(id) {
+export async function deleteStoredAgent(ids) {
     try {
-        const agents = getStoredAgents();
-        const filtered = agents.filter(a => a.id !== id);
-        localStorage.setItem(STORAGE_KEY, JSON.stringify(filtered));
+        await withStores('readwrite', async (agentsStore, filesStore) => {
+            for (const id of [].concat(ids)) {
+                agentsStore.delete(id);
+            }
+            await collectGarbage(agentsStore, filesStore);
+        });
         return true;
     } catch (error) {
         console.error('Error deleting agent:', error);
@@ -211,9 +586,12 @@ export function deleteStoredAgent(id) {
 /**
  * Clears all stored agents
  */
-export function clearAllStoredAgents() {
+export async function clearAllStoredAgents() {
     try {
-        localStorage.removeItem(STORAGE_KEY);
+        await withStores('readwrite', (agentsStore, filesStore) => {
+            agentsStore.clear();
+            filesStore.clear();
+        });
     } catch (error) {
         console.error('Error clearing storage:', error);
     }
@@ -221,17 +599,39 @@ export function clearAllStoredAgents() {
 
 /**
  * Gets storage usage statistics
- * @returns {Object} Storage stats
+ * @returns {Promise<Object>} { agentCount, dataSize, savedSize, usage, quota } in bytes, with formatted variants
  */
-export function getStorageStats() {
-    const agents = getStoredAgents();
-    const dataSize = localStorage.getItem(STORAGE_KEY)?.length || 0;
+export async function getStorageStats() {
+    const agents = await getStoredAgents();
+
+    // Count each stored content once; what the agents share is saved by deduplication
+    const unique = new Map();
+    let referencedSize = 0;
+    for (const agent of agents) {
+        for (const file of Object.values(agent.files || {})) {
+            unique.set(file.hash, file.size || 0);
+            referencedSize += file.size || 0;
+        }
+    }
+    const dataSize = [...unique.values()].reduce((sum, size) => sum + size, 0);
+
+    let estimate = {};
+    try {
+        estimate = await navigator.storage?.estimate?.() || {};
+    } catch (error) {
+        console.warn('Storage estimate unavailable:', error);
+    }
 
     return {
         agentCount: agents.length,
-        dataSize: dataSize,
+        dataSize,
         dataSizeFormatted: formatBytes(dataSize),
-        maxAgents: MAX_STORED_AGENTS
+        savedSize: referencedSize - dataSize,
+        savedSizeFormatted: formatBytes(referencedSize - dataSize),
+        usage: estimate.usage ?? null,
+        usageFormatted: estimate.usage != null ? formatBytes(estimate.usage) : null,
+        quota: estimate.quota ?? null,
+        quotaFormatted: estimate.quota != null ? formatBytes(estimate.quota) : null
     };
 }
 
@@ -250,10 +650,27 @@ function sanitizeAgentInfo(agentInfo) {
         agentDescription: agentInfo.agentDescription,
         version: agentInfo.version,
         schemaVersion: agentInfo.schemaVersion,
+        requiredSchemaVersion: agentInfo.requiredSchemaVersion,
+        unsupportedFeatures: agentInfo.unsupportedFeatures,
         instructions: agentInfo.instructions,
         capabilities: agentInfo.capabilities,
         conversationStarters: agentInfo.conversationStarters,
-        properties: agentInfo.properties
+        properties: agentInfo.properties,
+        declarativeAgents: agentInfo.declarativeAgents,
+        selectedAgentIndex: agentInfo.selectedAgentIndex,
+        // Custom agent components
+        shortName: agentInfo.shortName,
+        shortDescription: agentInfo.shortDescription,
+        manifestVersion: agentInfo.manifestVersion,
+        bots: agentInfo.bots,
+        messageExtensions: agentInfo.messageExtensions,
+        staticTabs: agentInfo.staticTabs,
+        customEngineAgents: agentInfo.customEngineAgents,
+        webApplicationInfo: agentInfo.webApplicationInfo,
+        validDomains: agentInfo.validDomains,
+        components: agentInfo.components,
+        // The manifest id is part of the agent's identity
+        manifest: agentInfo.manifest
     };
 }
 
@@ -263,45 +680,188 @@ function sanitizeAgentInfo(agentInfo) {
  * @returns {string} Formatted string
  */
 function formatBytes(bytes) {
-    if (bytes === 0) return '0 Bytes';
+    if (!bytes) return '0 Bytes';
     const k = 1024;
-    const sizes = ['Bytes', 'KB', 'MB'];
+    const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
     const i = Math.floor(Math.log(bytes) / Math.log(k));
     return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
 }
 
 /**
  * Checks if there's stored data for quick restore
- * @returns {boolean} True if stored agents exist
+ * @returns {Promise<boolean>} True if stored agents exist
  */
-export function hasStoredAgents() {
-    return getStoredAgents().length > 0;
+export async function hasStoredAgents() {
+    return (await getStoredAgents()).length > 0;
 }
 
 /**
- * Exports all stored data as JSON
- * @returns {string} JSON string of all data
+ * Exports stored revisions with the file contents they refer to, each content once
+ * @param {string[]} [ids] - Revision IDs; all revisions when omitted
+ * @returns {Promise<Object>} { agents, contents } where agents hold their file index and contents maps hash to content
  */
-export function exportStoredData() {
-    const agents = getStoredAgents();
-    return JSON.stringify(agents, null, 2);
+export async function exportStoredData(ids) {
+    return withStores('readonly', async (agentsStore, filesStore) => {
+        const agents = (await promisifyRequest(agentsStore.getAll()))
+            .filter(agent => !ids || ids.includes(agent.id));
+        const contents = {};
+
+        for (const agent of agents) {
+            for (const file of Object.values(agent.files || {})) {
+                if (file.hash in contents) continue;
+                contents[file.hash] = (await promisifyRequest(filesStore.get(file.hash)))?.content ?? '';
+            }
+        }
+
+        // Imports drop analyses, so they are not exported
+        return {
+            agents: agents.map(({ basicAnalysis, deepAnalysis, agentAnalyses, lastAnalyzedAt, ...agent }) => agent),
+            contents
+        };
+    });
 }
 
 /**
- * Imports stored data from JSON
- * @param {string} jsonData - JSON string to import
- * @returns {boolean} True if import successful
+ * Keeps the fields of an imported revision that the history uses, with the types it
+ * expects. Imported analyses are dropped rather than checked, since results are
+ * rendered as HTML; the agent is analyzed again when it is opened.
+ * @param {Object} agent - Revision read from an archive, its files holding contents
+ * @returns {StoredAgent|null} Revision to import, or null if it has no id or file name
  */
-export function importStoredData(jsonData) {
-    try {
-        const agents = JSON.parse(jsonData);
-        if (!Array.isArray(agents)) {
-            throw new Error('Invalid data format');
-        }
-        localStorage.setItem(STORAGE_KEY, JSON.stringify(agents));
-        return true;
-    } catch (error) {
-        console.error('Error importing data:', error);
-        return false;
+export function normalizeImportedAgent(agent) {
+    if (!agent || typeof agent !== 'object' || !isText(agent.id) || !isText(agent.fileName)) return null;
+
+    const agentInfo = isPlainObject(agent.agentInfo) ? sanitizeAgentInfo(agent.agentInfo) : {};
+    if (!Number.isInteger(agentInfo.selectedAgentIndex) || agentInfo.selectedAgentIndex < 0) {
+        agentInfo.selectedAgentIndex = 0;
+    }
+    const uploadedAt = Number.isFinite(agent.uploadedAt) ? agent.uploadedAt : Date.now();
+
+    return {
+        id: agent.id,
+        ...(isText(agent.identity) ? { identity: agent.identity } : {}),
+        revision: Number.isInteger(agent.revision) && agent.revision > 0 ? agent.revision : 1,
+        source: Object.values(RevisionSource).includes(agent.source) ? agent.source : RevisionSource.UPLOAD,
+        fileName: agent.fileName,
+        agentName: typeof agent.agentName === 'string' ? agent.agentName : '',
+        agentType: typeof agent.agentType === 'string' ? agent.agentType : 'UNKNOWN',
+        description: typeof agent.description === 'string' ? agent.description : '',
+        uploadedAt,
+        lastModifiedAt: Number.isFinite(agent.lastModifiedAt) ? agent.lastModifiedAt : uploadedAt,
+        agentInfo,
+        files: isPlainObject(agent.files) ? agent.files : null,
+        basicAnalysis: null,
+        deepAnalysis: null,
+        agentAnalyses: [],
+        suppressions: (Array.isArray(agent.suppressions) ? agent.suppressions : [])
+            .filter(suppression => isPlainObject(suppression) && isText(suppression.ruleId))
+            .map(suppression => ({
+                ruleId: suppression.ruleId,
+                fingerprint: isText(suppression.fingerprint) ? suppression.fingerprint : null,
+                agent: isText(suppression.agent) ? suppression.agent : null,
+                reason: typeof suppression.reason === 'string' ? suppression.reason : '',
+                source: typeof suppression.source === 'string' ? suppression.source : '',
+                createdAt: typeof suppression.createdAt === 'string' ? suppression.createdAt : new Date().toISOString()
+            }))
+    };
+}
+
+/**
+ * Checks whether a value is a non-empty string
+ * @param {*} value - Value
+ * @returns {boolean} True for non-empty strings
+ */
+function isText(value) {
+    return typeof value === 'string' && value.length > 0;
+}
+
+/**
+ * Checks whether a value is an object other than an array
+ * @param {*} value - Value
+ * @returns {boolean} True for plain objects
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Lists the imported agents that are already stored
+ * @param {StoredAgent[]} agents - Imported revisions
+ * @returns {Promise<Set>} Identities of the agents with stored revisions
+ */
+export async function findImportConflicts(agents) {
+    const stored = new Set((await getStoredAgents()).map(getRevisionIdentity));
+    return new Set(agents.map(getRevisionIdentity).filter(identity => stored.has(identity)));
+}
+
+/**
+ * Imports revisions, for example from another browser, into the stored history
+ * @param {Object[]} agents - Revisions whose files hold contents ({ content, isImage, modified }),
+ *   kept as normalizeImportedAgent returns them
+ * @param {Object} [resolutions] - ImportResolution by identity, for agents that are already stored; merge by default
+ * @returns {Promise<Object>} { added, skipped } revision counts
+ */
+export async function importStoredData(agents, resolutions = {}) {
+    const incoming = [];
+    for (const agent of agents.map(normalizeImportedAgent).filter(Boolean)) {
+        const { index, contents } = agent.files ? await indexFiles(agent.files) : { index: null, contents: new Map() };
+        incoming.push({ record: { ...agent, identity: getRevisionIdentity(agent), files: index }, contents });
     }
+
+    const counts = { added: 0, skipped: 0 };
+    await withStores('readwrite', async (agentsStore, filesStore) => {
+        const stored = await promisifyRequest(agentsStore.getAll());
+        const identities = [...new Set(incoming.map(({ record }) => record.identity))];
+
+        for (const identity of identities) {
+            const revisions = incoming
+                .filter(({ record }) => record.identity === identity)
+                .sort((a, b) => (a.record.revision || 1) - (b.record.revision || 1));
+            let local = stored.filter(a => getRevisionIdentity(a) === identity);
+            const resolution = local.length > 0 ? resolutions[identity] || ImportResolution.MERGE : ImportResolution.MERGE;
+
+            if (resolution === ImportResolution.SKIP) {
+                counts.skipped += revisions.length;
+                continue;
+            }
+            if (resolution === ImportResolution.REPLACE) {
+                local.forEach(a => agentsStore.delete(a.id));
+                local = [];
+            }
+
+            // Add the revisions the agent does not have yet after its latest one
+            let latestRevision = Math.max(0, ...local.map(a => a.revision || 1));
+            const added = [];
+            for (const { record, contents } of revisions) {
+                const duplicate = local.find(a => a.id === record.id || haveSameFiles(a.files, record.files));
+                if (duplicate) {
+                    counts.skipped++;
+                    continue;
+                }
+
+                await putContents(filesStore, contents);
+                added.push({
+                    ...record,
+                    id: stored.some(a => a.id === record.id) ? generateId(record.fileName) : record.id,
+                    revision: ++latestRevision
+                });
+            }
+            counts.added += added.length;
+
+            // Both sides keep the findings either side dismissed
+            const suppressions = [];
+            for (const suppression of [...local, ...revisions.map(({ record }) => record)].flatMap(a => a.suppressions || [])) {
+                if (!suppressions.some(s => isSameSuppression(s, suppression))) {
+                    suppressions.push(suppression);
+                }
+            }
+            for (const agent of [...local, ...added]) {
+                agentsStore.put({ ...agent, suppressions });
+            }
+        }
+
+        await collectGarbage(agentsStore, filesStore);
+    });
+
+    return counts;
 }
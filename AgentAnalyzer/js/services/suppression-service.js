@@ -0,0 +1,182 @@
+/**
+ * Suppression Service for AgentAnalyzer
+ * Suppresses known findings: dismissed in the UI with a reason, or listed in a
+ * baseline file next to the package so re-analysis only surfaces new findings
+ */
+
+import { getAllFiles, getFileContent } from './zip-service.js';
+import { getRuleId } from './rule-registry.js';
+import { getDeclarativeAgentPath } from './agent-parser.js';
+
+/**
+ * Name of the baseline file at the root of a package
+ */
+export const BASELINE_FILE_NAME = '.agentanalyzer-baseline.json';
+
+/**
+ * Version of the baseline file format
+ */
+const BASELINE_VERSION = 1;
+
+/**
+ * Where a suppression came from
+ */
+export const SuppressionSource = {
+    BASELINE: 'baseline',
+    DISMISSED: 'dismissed'
+};
+
+/**
+ * Suppressions applied to the results: { ruleId, fingerprint, agent, reason, source, createdAt }
+ */
+let activeSuppressions = [];
+
+/**
+ * Sets the suppressions the next analyses apply
+ * @param {Array} suppressions - Suppressions from the baseline file and the saved agent
+ */
+export function setSuppressions(suppressions) {
+    activeSuppressions = suppressions || [];
+}
+
+/**
+ * Gets the suppressions the analyses apply
+ * @returns {Array} Suppressions set with setSuppressions
+ */
+export function getSuppressions() {
+    return activeSuppressions;
+}
+
+/**
+ * Gets a fingerprint that identifies a finding across analyses. Numbers in the
+ * description are ignored so e.g. a changed character count is the same finding.
+ * @param {Object} recommendation - Recommendation with a rule ID
+ * @returns {string} Fingerprint
+ */
+export function getFingerprint(recommendation) {
+    return [
+        getRuleId(recommendation),
+        recommendation.location?.file || '',
+        recommendation.location?.pointer || '',
+        String(recommendation.description || '').replace(/\b\d+(\.\d+)?\b/g, '#')
+    ].join('|');
+}
+
+/**
+ * Gets the key suppressions use to target one agent of a package
+ * @param {Object} agentInfo - Parsed agent information
+ * @returns {string|null} Path of the selected declarative agent file, or null for the whole package
+ */
+export function getAgentKey(agentInfo) {
+    return getDeclarativeAgentPath(agentInfo);
+}
+
+/**
+ * Creates a suppression for one finding
+ * @param {Object} recommendation - The finding
+ * @param {string} reason - Why it is acceptable
+ * @param {string|null} agent - Agent key from getAgentKey
+ * @param {string} [source] - SuppressionSource
+ * @returns {Object} Suppression
+ */
+export function createSuppression(recommendation, reason, agent, source = SuppressionSource.DISMISSED) {
+    return {
+        ruleId: getRuleId(recommendation),
+        fingerprint: getFingerprint(recommendation),
+        agent,
+        reason,
+        source,
+        createdAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Marks the recommendations that a suppression matches. A suppression without a
+ * fingerprint suppresses every finding of its rule; one without an agent applies to all agents.
+ * @param {Array} recommendations - Recommendations with rule IDs
+ * @param {string|null} agent - Agent key of the analyzed agent
+ * @returns {Array} Recommendations, suppressed ones with suppressed: { reason, source }
+ */
+export function applySuppressions(recommendations, agent) {
+    return recommendations.map(recommendation => {
+        const { suppressed, ...rest } = recommendation;
+        if (recommendation.severity === 'success') return rest;
+
+        const ruleId = getRuleId(recommendation);
+        const fingerprint = getFingerprint(recommendation);
+        const match = activeSuppressions.find(suppression =>
+            suppression.ruleId === ruleId &&
+            (!suppression.fingerprint || suppression.fingerprint === fingerprint) &&
+            (!suppression.agent || !agent || suppression.agent === agent)
+        );
+
+        return match
+            ? { ...rest, suppressed: { reason: match.reason, source: match.source || SuppressionSource.BASELINE } }
+            : rest;
+    });
+}
+
+/**
+ * Reads the baseline file at the root of the loaded package
+ * @returns {Array} Suppressions from the file, or an empty array if the package has none
+ */
+export function readPackageBaseline() {
+    if (!getAllFiles().has(BASELINE_FILE_NAME)) return [];
+
+    let data;
+    try {
+        data = JSON.parse(getFileContent(BASELINE_FILE_NAME).content);
+    } catch (error) {
+        throw new Error(`${BASELINE_FILE_NAME} is not valid JSON: ${error.message}`);
+    }
+    return parseBaseline(data, BASELINE_FILE_NAME);
+}
+
+/**
+ * Validates a baseline file
+ * @param {Object} data - Parsed baseline file
+ * @param {string} source - Name of the file, for error messages
+ * @returns {Array} Suppressions from the file
+ */
+export function parseBaseline(data, source) {
+    if (!data || typeof data !== 'object' || !Array.isArray(data.suppressions)) {
+        throw new Error(`${source} must contain a "suppressions" array`);
+    }
+
+    return data.suppressions.map((suppression, index) => {
+        if (!suppression || typeof suppression.ruleId !== 'string') {
+            throw new Error(`Suppression ${index + 1} in ${source} has no ruleId`);
+        }
+        return {
+            ruleId: suppression.ruleId,
+            fingerprint: suppression.fingerprint || null,
+            agent: suppression.agent || null,
+            reason: suppression.reason || 'Listed in the baseline',
+            source: SuppressionSource.BASELINE,
+            createdAt: suppression.createdAt || null
+        };
+    });
+}
+
+/**
+ * Creates a baseline file that accepts the current findings: the given suppressions
+ * plus every unsuppressed finding, so only later findings are reported
+ * @param {Array} recommendations - Current recommendations
+ * @param {Array} suppressions - Suppressions to keep (dismissed findings and rules)
+ * @param {string|null} agent - Agent key the findings belong to
+ * @returns {Object} Baseline file content
+ */
+export function createBaseline(recommendations, suppressions, agent) {
+    const entries = suppressions.map(({ ruleId, fingerprint, agent: target, reason, createdAt }) =>
+        ({ ruleId, fingerprint, agent: target, reason, createdAt }));
+
+    for (const recommendation of recommendations) {
+        if (recommendation.severity === 'success' || recommendation.suppressed) continue;
+        const { source, ...entry } = createSuppression(recommendation, 'Accepted in baseline', agent, SuppressionSource.BASELINE);
+        entries.push(entry);
+    }
+
+    // One entry per finding
+    const unique = new Map(entries.map(entry => [`${entry.agent}|${entry.fingerprint || entry.ruleId}`, entry]));
+    return { version: BASELINE_VERSION, suppressions: [...unique.values()] };
+}
@@ -66,6 +66,27 @@ export async function extractZip(file) {
     }
 }
 
+/**
+ * Loads package files that were read some other way (e.g. by the CLI from a folder)
+ * @param {Array} files - Array of { path, content, isImage } with image content in base64
+ * @returns {Map} Map of file paths to file data
+ */
+export function loadFiles(files) {
+    currentZip = null;
+    extractedFiles.clear();
+
+    for (const file of [...files].sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0))) {
+        extractedFiles.set(file.path, {
+            content: file.content,
+            originalContent: file.content,
+            isImage: file.isImage,
+            modified: false
+        });
+    }
+
+    return extractedFiles;
+}
+
 /**
  * Adds a file path to the file tree structure
  * @param {Object} tree - The file tree object
@@ -175,12 +196,13 @@ export function getModifiedFiles() {
 /**
  * Creates a new zip file with all files (including modifications)
  * @param {string} filename - The name for the new zip file
+ * @param {Map} [files] - Files to zip instead of the current package, e.g. a stored revision
  * @returns {Promise<Blob>} The zip file as a Blob
  */
-export async function createZip(filename) {
+export async function createZip(filename, files = extractedFiles) {
     const zip = new JSZip();
 
-    for (const [path, fileData] of extractedFiles) {
+    for (const [path, fileData] of files) {
         if (fileData.isImage) {
             zip.file(path, fileData.content, { base64: true });
         } else {
@@ -198,10 +220,11 @@ export async function createZip(filename) {
 /**
  * Downloads the current package as a zip file
  * @param {string} filename - The filename for download
+ * @param {Map} [files] - Files to download instead of the current package
  */
-export async function downloadZip(filename) {
+export async function downloadZip(filename, files) {
     try {
-        const blob = await createZip(filename);
+        const blob = await createZip(filename, files);
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
@@ -237,7 +260,7 @@ export function getAllFiles() {
  * @param {string} filename - The filename to check
  * @returns {boolean} True if the file is an image
  */
-function isImageFile(filename) {
+export function isImageFile(filename) {
     const imageExtensions = ['.png', '.jpg', '.jpeg', '.gif', '.bmp', '.ico', '.svg', '.webp'];
     const ext = getFileExtension(filename).toLowerCase();
     return imageExtensions.includes(ext);
@@ -0,0 +1,241 @@
+/**
+ * Adaptive Card Checks for AgentAnalyzer
+ * Validates Adaptive Card templates: element types, card version and data bindings
+ */
+
+import { compareVersions } from './schema-versions.js';
+import { escapePointerSegment } from './json-source-map.js';
+
+/**
+ * Element, input and action types defined by the Adaptive Card schema (up to 1.6)
+ */
+const CARD_ELEMENT_TYPES = new Set([
+    'TextBlock', 'RichTextBlock', 'TextRun', 'Image', 'Media', 'ImageSet',
+    'Container', 'ColumnSet', 'Column', 'FactSet', 'ActionSet',
+    'Table', 'TableColumnDefinition', 'TableRow', 'TableCell',
+    'Input.Text', 'Input.Number', 'Input.Date', 'Input.Time', 'Input.Toggle', 'Input.ChoiceSet',
+    'Action.OpenUrl', 'Action.Submit', 'Action.ShowCard', 'Action.ToggleVisibility', 'Action.Execute'
+]);
+
+/**
+ * Properties whose values are host data rather than card elements
+ */
+const DATA_PROPERTIES = ['data', 'msteams', 'metadata'];
+
+/**
+ * Expression names that are not data paths
+ */
+const EXPRESSION_KEYWORDS = new Set(['true', 'false', 'null', '$index', '$host', '$when', '$_acTemplateVersion']);
+
+/**
+ * Validates an Adaptive Card template
+ * @param {Object} card - The card (its root "type" is "AdaptiveCard")
+ * @param {*} data - Sample data the template is bound to, or null to skip binding checks
+ * @param {string} maxVersion - Highest card version the host supports, such as "1.5"
+ * @returns {Array} Array of { type, message, pointer } issues
+ */
+export function validateAdaptiveCard(card, data, maxVersion) {
+    const issues = [];
+
+    if (typeof card.version !== 'string' || !/^\d+\.\d+$/.test(card.version)) {
+        issues.push({
+            type: 'unsupported_card_version',
+            message: card.version === undefined ? 'Card has no version' : `Card version "${card.version}" is not a valid version`,
+            pointer: card.version === undefined ? '' : '/version'
+        });
+    } else if (compareVersions(card.version, maxVersion) > 0) {
+        issues.push({
+            type: 'unsupported_card_version',
+            message: `Card version ${card.version} is newer than ${maxVersion}, the highest Copilot renders`,
+            pointer: '/version'
+        });
+    }
+
+    const state = { issues, root: data, unbound: new Set(), checkBindings: data !== null && data !== undefined };
+    walkCard(card, '', data, state, false);
+
+    return issues;
+}
+
+/**
+ * Finds the ${...} template expressions in a string
+ * @param {string} text - A string value from the card
+ * @returns {Array} Expression bodies, without the ${ and }
+ */
+export function findTemplateExpressions(text) {
+    const expressions = [];
+    let index = text.indexOf('${');
+
+    while (index >= 0) {
+        let depth = 0;
+        let quote = null;
+        let end = -1;
+
+        for (let i = index + 2; i < text.length; i++) {
+            const char = text[i];
+            if (quote) {
+                if (char === quote) quote = null;
+            } else if (char === '\'' || char === '"') {
+                quote = char;
+            } else if (char === '{') {
+                depth++;
+            } else if (char === '}') {
+                if (depth === 0) {
+                    end = i;
+                    break;
+                }
+                depth--;
+            }
+        }
+
+        if (end < 0) break;
+        expressions.push(text.substring(index + 2, end));
+        index = text.indexOf('${', end + 1);
+    }
+
+    return expressions;
+}
+
+/**
+ * Walks a card value, checking element types and the data each expression binds to
+ * @param {*} node - Current value
+ * @param {string} pointer - JSON pointer of the value in the card
+ * @param {*} scope - Data the value is bound to ($data), or undefined when unknown
+ * @param {Object} state - { issues, root, unbound, checkBindings }
+ * @param {boolean} inData - Whether the value is host data rather than card elements
+ */
+function walkCard(node, pointer, scope, state, inData) {
+    if (typeof node === 'string') {
+        checkBindings(node, pointer, scope, state);
+        return;
+    }
+    if (Array.isArray(node)) {
+        node.forEach((item, index) => walkCard(item, `${pointer}/${index}`, scope, state, inData));
+        return;
+    }
+    if (!node || typeof node !== 'object') return;
+
+    // $data rebinds the element (repeated elements are checked against their first item)
+    let elementScope = scope;
+    if (node.$data !== undefined) {
+        elementScope = resolveDataBinding(node.$data, `${pointer}/$data`, scope, state);
+    }
+    if (typeof node.$when === 'string') {
+        checkBindings(node.$when, `${pointer}/$when`, elementScope, state);
+    }
+
+    if (!inData && pointer !== '' && typeof node.type === 'string' && !node.type.includes('${') && !CARD_ELEMENT_TYPES.has(node.type)) {
+        state.issues.push({
+            type: 'unknown_card_element',
+            message: `Unknown element type "${node.type}"`,
+            pointer: `${pointer}/type`
+        });
+    }
+
+    for (const [key, value] of Object.entries(node)) {
+        if (key === '$data' || key === '$when') continue;
+        walkCard(value, `${pointer}/${escapePointerSegment(key)}`, elementScope, state, inData || DATA_PROPERTIES.includes(key));
+    }
+}
+
+/**
+ * Resolves a $data binding to the data its element is bound to
+ * @param {*} binding - Value of $data
+ * @param {string} pointer - JSON pointer of the $data property
+ * @param {*} scope - Data the parent is bound to
+ * @param {Object} state - Walk state
+ * @returns {*} The new scope, or undefined when it cannot be worked out
+ */
+function resolveDataBinding(binding, pointer, scope, state) {
+    let value = binding;
+
+    if (typeof binding === 'string') {
+        const match = binding.match(/^\$\{([^}]*)\}$/);
+        if (!match || !state.checkBindings || scope === undefined) return undefined;
+
+        const path = parseDataPath(match[1].trim());
+        if (!path) return undefined;
+
+        value = lookupPath(path, scope, state.root);
+        if (value === undefined) {
+            reportUnbound(match[1].trim(), pointer, state);
+            return undefined;
+        }
+    }
+
+    return Array.isArray(value) ? value[0] : value;
+}
+
+/**
+ * Checks that every data path in a string's expressions exists in the bound data
+ * @param {string} text - A string value from the card
+ * @param {string} pointer - JSON pointer of the string
+ * @param {*} scope - Data the string is bound to, or undefined when unknown
+ * @param {Object} state - Walk state
+ */
+function checkBindings(text, pointer, scope, state) {
+    if (!state.checkBindings || scope === undefined || !text.includes('${')) return;
+
+    for (const expression of findTemplateExpressions(text)) {
+        // Drop string literals, then take every name that is not a function call
+        const code = expression.replace(/'[^']*'|"[^"]*"/g, '""');
+        const pattern = /(^|[^\w.$])(\$?[A-Za-z_]\w*(?:\.[A-Za-z_]\w*|\[\d+\])*)(?![\w.[]|\s*\()/g;
+
+        for (const match of code.matchAll(pattern)) {
+            const path = parseDataPath(match[2]);
+            if (path && lookupPath(path, scope, state.root) === undefined) {
+                reportUnbound(match[2], pointer, state);
+            }
+        }
+    }
+}
+
+/**
+ * Splits a data path such as "$root.items[0].name" into segments
+ * @param {string} text - The data path
+ * @returns {Array|null} Segments, or null for keywords that are not data paths
+ */
+function parseDataPath(text) {
+    if (!/^\$?[A-Za-z_]\w*(?:\.[A-Za-z_]\w*|\[\d+\])*$/.test(text)) return null;
+
+    const segments = text.match(/\$?[A-Za-z_]\w*|\d+/g);
+    return EXPRESSION_KEYWORDS.has(segments[0]) ? null : segments;
+}
+
+/**
+ * Looks up a data path in the sample data
+ * @param {Array} segments - Segments from parseDataPath
+ * @param {*} scope - Data the expression is bound to ($data)
+ * @param {*} root - Root data ($root)
+ * @returns {*} The value, or undefined if the path does not exist
+ */
+function lookupPath(segments, scope, root) {
+    let value = segments[0] === '$root' ? root : scope;
+    const rest = segments[0] === '$root' || segments[0] === '$data' ? segments.slice(1) : segments;
+
+    for (const segment of rest) {
+        if (value === null || typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, segment)) {
+            return undefined;
+        }
+        value = value[segment];
+    }
+
+    return value;
+}
+
+/**
+ * Records an expression whose data path does not exist, once per path
+ * @param {string} path - The data path as written in the card
+ * @param {string} pointer - JSON pointer of the value that uses it
+ * @param {Object} state - Walk state
+ */
+function reportUnbound(path, pointer, state) {
+    if (state.unbound.has(path)) return;
+    state.unbound.add(path);
+
+    state.issues.push({
+        type: 'unbound_card_expression',
+        message: `\${${path}} does not match any field of the response`,
+        pointer
+    });
+}
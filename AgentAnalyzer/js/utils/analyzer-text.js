@@ -0,0 +1,43 @@
+/**
+ * Analyzer Text Helpers for AgentAnalyzer
+ * Shared by the analyzers that read instructions and starters: the docs their rules
+ * link to, sentence splitting and the check for negated mentions
+ */
+
+/**
+ * Base URL of the Microsoft 365 Copilot extensibility docs the rules link to
+ */
+export const DOCS_BASE_URL = 'https://learn.microsoft.com/microsoft-365-copilot/extensibility/';
+
+/**
+ * Words that turn a mention into a restriction, e.g. "Do not search the web"
+ */
+const NEGATION_PATTERN = /\b(not|never|don't|doesn't|without|avoid|instead of)\b/i;
+
+/**
+ * Splits text into sentences and lines
+ * @param {string} text - Instructions or starter text
+ * @returns {Array} Sentences
+ */
+export function splitSentences(text) {
+    return String(text || '').split(/(?<=[.!?])\s+|\n+/);
+}
+
+/**
+ * Finds the first match of any of the patterns that is not negated in its sentence
+ * @param {string} text - Instructions or starter text
+ * @param {Array} patterns - Regular expressions, without the global flag
+ * @returns {Array|null} The match, or null
+ */
+export function findUnnegatedMatch(text, patterns) {
+    for (const sentence of splitSentences(text)) {
+        for (const pattern of patterns) {
+            const match = sentence.match(pattern);
+            if (match && !NEGATION_PATTERN.test(sentence.substring(0, match.index))) {
+                return match;
+            }
+        }
+    }
+
+    return null;
+}
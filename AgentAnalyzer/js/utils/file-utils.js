@@ -268,3 +268,26 @@ export function joinPath(...segments) {
         .join('/')
         .replace(/\/+/g, '/');
 }
+
+/**
+ * Resolves a relative reference against the file that contains it
+ * (e.g. "../specs/api.yaml" from "plugins/plugin.json" is "specs/api.yaml")
+ * @param {string} basePath - Path of the referencing file
+ * @param {string} reference - Relative path as written in the referencing file
+ * @returns {string} Normalized path
+ */
+export function resolveRelativePath(basePath, reference) {
+    const baseDir = basePath && basePath.includes('/') ? basePath.substring(0, basePath.lastIndexOf('/')) : '';
+    const segments = [];
+
+    for (const segment of `${baseDir}/${reference.replace(/\\/g, '/')}`.split('/')) {
+        if (!segment || segment === '.') continue;
+        if (segment === '..') {
+            segments.pop();
+        } else {
+            segments.push(segment);
+        }
+    }
+
+    return segments.join('/');
+}
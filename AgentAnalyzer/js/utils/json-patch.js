@@ -0,0 +1,111 @@
+/**
+ * JSON Patch for AgentAnalyzer
+ * Applies the add, replace, remove and test operations of RFC 6902 to parsed JSON
+ */
+
+/**
+ * Applies a JSON Patch to a document without changing it
+ * @param {*} document - Parsed JSON document
+ * @param {Array} operations - Operations like { op: 'add', path: '/capabilities/-', value }
+ * @returns {*} Patched copy of the document
+ */
+export function applyJsonPatch(document, operations) {
+    let result = structuredClone(document);
+
+    for (const operation of operations) {
+        const segments = parsePointer(operation.path);
+
+        if (operation.op === 'test') {
+            const actual = getValue(result, segments, operation.path);
+            if (JSON.stringify(actual) !== JSON.stringify(operation.value)) {
+                throw new Error(`${operation.path} has changed`);
+            }
+            continue;
+        }
+
+        // Operations on the root replace the whole document
+        if (segments.length === 0) {
+            if (operation.op === 'remove') throw new Error('Cannot remove the document root');
+            result = structuredClone(operation.value);
+            continue;
+        }
+
+        const parent = getValue(result, segments.slice(0, -1), operation.path);
+        const key = segments[segments.length - 1];
+
+        switch (operation.op) {
+            case 'add':
+                if (Array.isArray(parent)) {
+                    parent.splice(key === '-' ? parent.length : getIndex(parent, key, operation.path, true), 0, structuredClone(operation.value));
+                } else {
+                    parent[key] = structuredClone(operation.value);
+                }
+                break;
+            case 'replace':
+                getValue(result, segments, operation.path);
+                parent[Array.isArray(parent) ? getIndex(parent, key, operation.path) : key] = structuredClone(operation.value);
+                break;
+            case 'remove':
+                getValue(result, segments, operation.path);
+                if (Array.isArray(parent)) {
+                    parent.splice(getIndex(parent, key, operation.path), 1);
+                } else {
+                    delete parent[key];
+                }
+                break;
+            default:
+                throw new Error(`Unsupported JSON Patch operation "${operation.op}"`);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Splits a JSON pointer into its unescaped segments
+ * @param {string} pointer - JSON pointer such as /paths/~1items/get
+ * @returns {Array} Segments
+ */
+function parsePointer(pointer) {
+    if (pointer === '') return [];
+    if (!pointer.startsWith('/')) throw new Error(`"${pointer}" is not a JSON pointer`);
+    return pointer.substring(1).split('/').map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+/**
+ * Gets the value at a list of pointer segments
+ * @param {*} document - Document
+ * @param {Array} segments - Pointer segments
+ * @param {string} pointer - Full pointer, for error messages
+ * @returns {*} Value
+ */
+function getValue(document, segments, pointer) {
+    let value = document;
+    for (const segment of segments) {
+        if (value === null || typeof value !== 'object') {
+            throw new Error(`${pointer} does not exist`);
+        }
+        const key = Array.isArray(value) ? getIndex(value, segment, pointer) : segment;
+        if (!Object.prototype.hasOwnProperty.call(value, key)) {
+            throw new Error(`${pointer} does not exist`);
+        }
+        value = value[key];
+    }
+    return value;
+}
+
+/**
+ * Parses an array index segment
+ * @param {Array} array - The array
+ * @param {string} segment - Pointer segment
+ * @param {string} pointer - Full pointer, for error messages
+ * @param {boolean} [allowEnd] - Whether the index after the last item is valid (for add)
+ * @returns {number} Index
+ */
+function getIndex(array, segment, pointer, allowEnd = false) {
+    const index = /^(0|[1-9]\d*)$/.test(segment) ? Number(segment) : -1;
+    if (index < 0 || index > array.length || (index === array.length && !allowEnd)) {
+        throw new Error(`${pointer} does not exist`);
+    }
+    return index;
+}
@@ -0,0 +1,513 @@
+/**
+ * JSON Schema Engine for AgentAnalyzer
+ * Validates values against JSON Schema documents (draft-04 through 2020-12 core keywords)
+ */
+
+import { escapePointerSegment } from './json-source-map.js';
+
+/**
+ * Validates a value against a JSON schema
+ * @param {*} value - The value to validate
+ * @param {Object} schema - The root JSON schema
+ * @returns {Array} Array of errors with pointer, keyword and message
+ */
+export function validateJsonSchema(value, schema) {
+    const context = { root: schema };
+    const errors = validateNode(value, schema, '', context);
+
+    // Drop duplicates and const errors already covered by an enum error at the same pointer
+    const enumPointers = new Set(errors.filter(e => e.keyword === 'enum').map(e => e.pointer));
+    const seen = new Set();
+    return errors.filter(error => {
+        const key = `${error.pointer}|${error.message}`;
+        if (seen.has(key) || (error.keyword === 'const' && enumPointers.has(error.pointer))) {
+            return false;
+        }
+        seen.add(key);
+        return true;
+    });
+}
+
+/**
+ * Validates a value against a schema node
+ * @param {*} value - The value to validate
+ * @param {Object|boolean} schema - The schema node
+ * @param {string} pointer - JSON pointer of the value
+ * @param {Object} context - Validation context (root schema)
+ * @returns {Array} Array of errors
+ */
+function validateNode(value, schema, pointer, context) {
+    if (schema === true || schema === undefined) return [];
+    if (schema === false) {
+        return [createError(pointer, 'false', 'Value is not allowed here')];
+    }
+
+    const errors = [];
+
+    if (schema.$ref) {
+        const target = resolveRef(context.root, schema.$ref);
+        if (target) {
+            errors.push(...validateNode(value, target, pointer, context));
+        }
+    }
+
+    errors.push(...validateType(value, schema, pointer));
+    if (errors.some(e => e.keyword === 'type' && e.pointer === pointer)) {
+        // Further checks on a wrongly-typed value only add noise
+        return errors;
+    }
+
+    if (schema.enum && !schema.enum.some(e => deepEqual(e, value))) {
+        errors.push(createError(pointer, 'enum', `Must be one of: ${schema.enum.map(formatValue).join(', ')}`));
+    }
+
+    if (schema.const !== undefined && !deepEqual(schema.const, value)) {
+        errors.push(createError(pointer, 'const', `Must be ${formatValue(schema.const)}`));
+    }
+
+    if (typeof value === 'string') {
+        errors.push(...validateString(value, schema, pointer));
+    } else if (typeof value === 'number') {
+        errors.push(...validateNumber(value, schema, pointer));
+    } else if (Array.isArray(value)) {
+        errors.push(...validateArray(value, schema, pointer, context));
+    } else if (value !== null && typeof value === 'object') {
+        errors.push(...validateObject(value, schema, pointer, context));
+    }
+
+    errors.push(...validateCombinators(value, schema, pointer, context));
+
+    return errors;
+}
+
+/**
+ * Validates the type keyword
+ * @param {*} value - The value
+ * @param {Object} schema - The schema node
+ * @param {string} pointer - JSON pointer
+ * @returns {Array} Array of errors
+ */
+function validateType(value, schema, pointer) {
+    if (!schema.type) return [];
+
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const actual = getJsonType(value);
+
+    const matches = types.some(type =>
+        type === actual || (type === 'number' && actual === 'integer')
+    );
+
+    if (!matches) {
+        return [createError(pointer, 'type', `Expected ${types.join(' or ')} but found ${actual}`)];
+    }
+
+    return [];
+}
+
+/**
+ * Validates string keywords
+ * @param {string} value - The string value
+ * @param {Object} schema - The schema node
+ * @param {string} pointer - JSON pointer
+ * @returns {Array} Array of errors
+ */
+function validateString(value, schema, pointer) {
+    const errors = [];
+    const length = [...value].length;
+
+    if (schema.minLength !== undefined && length < schema.minLength) {
+        errors.push(createError(pointer, 'minLength', `Must be at least ${schema.minLength} character(s) (found ${length})`));
+    }
+
+    if (schema.maxLength !== undefined && length > schema.maxLength) {
+        errors.push(createError(pointer, 'maxLength', `Must be ${schema.maxLength} characters or less (found ${length})`));
+    }
+
+    if (schema.pattern) {
+        const regex = compilePattern(schema.pattern);
+        if (regex && !regex.test(value)) {
+            errors.push(createError(pointer, 'pattern', `Does not match the required pattern ${schema.pattern}`));
+        }
+    }
+
+    if (schema.format && !checkFormat(value, schema.format)) {
+        errors.push(createError(pointer, 'format', `Is not a valid ${schema.format}`));
+    }
+
+    return errors;
+}
+
+/**
+ * Validates numeric keywords
+ * @param {number} value - The numeric value
+ * @param {Object} schema - The schema node
+ * @param {string} pointer - JSON pointer
+ * @returns {Array} Array of errors
+ */
+function validateNumber(value, schema, pointer) {
+    const errors = [];
+
+    // draft-04 uses boolean exclusive flags, later drafts use numeric bounds
+    if (schema.minimum !== undefined) {
+        const exclusive = schema.exclusiveMinimum === true;
+        if (exclusive ? value <= schema.minimum : value < schema.minimum) {
+            errors.push(createError(pointer, 'minimum', `Must be ${exclusive ? 'greater than' : 'at least'} ${schema.minimum}`));
+        }
+    }
+
+    if (schema.maximum !== undefined) {
+        const exclusive = schema.exclusiveMaximum === true;
+        if (exclusive ? value >= schema.maximum : value > schema.maximum) {
+            errors.push(createError(pointer, 'maximum', `Must be ${exclusive ? 'less than' : 'at most'} ${schema.maximum}`));
+        }
+    }
+
+    if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) {
+        errors.push(createError(pointer, 'exclusiveMinimum', `Must be greater than ${schema.exclusiveMinimum}`));
+    }
+
+    if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) {
+        errors.push(createError(pointer, 'exclusiveMaximum', `Must be less than ${schema.exclusiveMaximum}`));
+    }
+
+    if (schema.multipleOf && Math.abs(value / schema.multipleOf - Math.round(value / schema.multipleOf)) > 1e-9) {
+        errors.push(createError(pointer, 'multipleOf', `Must be a multiple of ${schema.multipleOf}`));
+    }
+
+    return errors;
+}
+
+/**
+ * Validates array keywords
+ * @param {Array} value - The array value
+ * @param {Object} schema - The schema node
+ * @param {string} pointer - JSON pointer
+ * @param {Object} context - Validation context
+ * @returns {Array} Array of errors
+ */
+function validateArray(value, schema, pointer, context) {
+    const errors = [];
+
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push(createError(pointer, 'minItems', `Must contain at least ${schema.minItems} item(s) (found ${value.length})`));
+    }
+
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        errors.push(createError(pointer, 'maxItems', `Must contain ${schema.maxItems} item(s) or fewer (found ${value.length})`));
+    }
+
+    if (schema.uniqueItems) {
+        const seen = new Set();
+        value.forEach((item, index) => {
+            const key = stableStringify(item);
+            if (seen.has(key)) {
+                errors.push(createError(`${pointer}/${index}`, 'uniqueItems', 'Duplicate item; items must be unique'));
+            }
+            seen.add(key);
+        });
+    }
+
+    // Tuple validation: prefixItems (2020-12) or items array (draft-04 to 2019-09)
+    const tupleSchemas = schema.prefixItems || (Array.isArray(schema.items) ? schema.items : null);
+    const restSchema = schema.prefixItems ? schema.items
+        : Array.isArray(schema.items) ? schema.additionalItems
+            : schema.items;
+
+    value.forEach((item, index) => {
+        const itemPointer = `${pointer}/${index}`;
+        if (tupleSchemas && index < tupleSchemas.length) {
+            errors.push(...validateNode(item, tupleSchemas[index], itemPointer, context));
+        } else if (restSchema !== undefined) {
+            errors.push(...validateNode(item, restSchema, itemPointer, context));
+        }
+    });
+
+    if (schema.contains !== undefined) {
+        const containsMatch = value.some(item => validateNode(item, schema.contains, pointer, context).length === 0);
+        if (!containsMatch) {
+            errors.push(createError(pointer, 'contains', 'Does not contain a required item'));
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Validates object keywords
+ * @param {Object} value - The object value
+ * @param {Object} schema - The schema node
+ * @param {string} pointer - JSON pointer
+ * @param {Object} context - Validation context
+ * @returns {Array} Array of errors
+ */
+function validateObject(value, schema, pointer, context) {
+    const errors = [];
+    const keys = Object.keys(value);
+
+    for (const field of schema.required || []) {
+        if (!(field in value)) {
+            errors.push(createError(pointer, 'required', `Missing required property "${field}"`));
+        }
+    }
+
+    if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+        errors.push(createError(pointer, 'minProperties', `Must have at least ${schema.minProperties} propert(ies)`));
+    }
+
+    if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) {
+        errors.push(createError(pointer, 'maxProperties', `Must have ${schema.maxProperties} propert(ies) or fewer`));
+    }
+
+    const properties = schema.properties || {};
+    const patternProperties = Object.entries(schema.patternProperties || {})
+        .map(([pattern, subSchema]) => ({ regex: compilePattern(pattern), schema: subSchema }))
+        .filter(p => p.regex);
+
+    for (const key of keys) {
+        const childPointer = `${pointer}/${escapePointerSegment(key)}`;
+        let matched = false;
+
+        if (key in properties) {
+            matched = true;
+            errors.push(...validateNode(value[key], properties[key], childPointer, context));
+        }
+
+        for (const pattern of patternProperties) {
+            if (pattern.regex.test(key)) {
+                matched = true;
+                errors.push(...validateNode(value[key], pattern.schema, childPointer, context));
+            }
+        }
+
+        if (!matched && schema.additionalProperties !== undefined) {
+            if (schema.additionalProperties === false) {
+                errors.push(createError(childPointer, 'additionalProperties', `Property "${key}" is not allowed`));
+            } else {
+                errors.push(...validateNode(value[key], schema.additionalProperties, childPointer, context));
+            }
+        }
+
+        if (schema.propertyNames !== undefined) {
+            const nameErrors = validateNode(key, schema.propertyNames, childPointer, context);
+            if (nameErrors.length > 0) {
+                errors.push(createError(childPointer, 'propertyNames', `Property "${key}" is not allowed`));
+            }
+        }
+    }
+
+    // draft-04 "dependencies" and 2019-09 "dependentRequired"
+    const dependencies = { ...(schema.dependencies || {}), ...(schema.dependentRequired || {}) };
+    for (const [key, dependency] of Object.entries(dependencies)) {
+        if (!(key in value)) continue;
+
+        if (Array.isArray(dependency)) {
+            for (const required of dependency) {
+                if (!(required in value)) {
+                    errors.push(createError(pointer, 'dependencies', `Property "${required}" is required when "${key}" is present`));
+                }
+            }
+        } else {
+            errors.push(...validateNode(value, dependency, pointer, context));
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Validates allOf, anyOf, oneOf, not and if/then/else
+ * @param {*} value - The value
+ * @param {Object} schema - The schema node
+ * @param {string} pointer - JSON pointer
+ * @param {Object} context - Validation context
+ * @returns {Array} Array of errors
+ */
+function validateCombinators(value, schema, pointer, context) {
+    const errors = [];
+
+    if (schema.allOf) {
+        for (const subSchema of schema.allOf) {
+            errors.push(...validateNode(value, subSchema, pointer, context));
+        }
+    }
+
+    if (schema.anyOf) {
+        const branchErrors = schema.anyOf.map(s => validateNode(value, s, pointer, context));
+        if (!branchErrors.some(e => e.length === 0)) {
+            errors.push(...summarizeBranchErrors(schema.anyOf, branchErrors, pointer));
+        }
+    }
+
+    if (schema.oneOf) {
+        const branchErrors = schema.oneOf.map(s => validateNode(value, s, pointer, context));
+        const passing = branchErrors.filter(e => e.length === 0).length;
+        if (passing === 0) {
+            errors.push(...summarizeBranchErrors(schema.oneOf, branchErrors, pointer));
+        } else if (passing > 1) {
+            errors.push(createError(pointer, 'oneOf', 'Matches more than one allowed definition'));
+        }
+    }
+
+    if (schema.not !== undefined && validateNode(value, schema.not, pointer, context).length === 0) {
+        errors.push(createError(pointer, 'not', 'Matches a definition that is not allowed'));
+    }
+
+    if (schema.if !== undefined) {
+        const ifPasses = validateNode(value, schema.if, pointer, context).length === 0;
+        if (ifPasses && schema.then !== undefined) {
+            errors.push(...validateNode(value, schema.then, pointer, context));
+        } else if (!ifPasses && schema.else !== undefined) {
+            errors.push(...validateNode(value, schema.else, pointer, context));
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Picks the most relevant errors when no anyOf/oneOf branch matches
+ * @param {Array} branches - The branch schemas
+ * @param {Array} branchErrors - Errors for each branch
+ * @param {string} pointer - JSON pointer
+ * @returns {Array} Array of errors
+ */
+function summarizeBranchErrors(branches, branchErrors, pointer) {
+    // A list of plain constants reads better as a single enum error
+    const constants = branches.map(b => (b && b.const !== undefined ? b.const : undefined));
+    if (constants.every(c => c !== undefined)) {
+        return [createError(pointer, 'enum', `Must be one of: ${constants.map(formatValue).join(', ')}`)];
+    }
+
+    // Otherwise prefer the branch that got furthest into the value (its discriminator matched)
+    let best = branchErrors[0];
+    let bestDepth = -1;
+    for (const errors of branchErrors) {
+        const depth = Math.min(...errors.map(e => e.pointer.split('/').length));
+        if (depth > bestDepth || (depth === bestDepth && errors.length < best.length)) {
+            best = errors;
+            bestDepth = depth;
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Resolves a local $ref against the root schema
+ * @param {Object} root - The root schema
+ * @param {string} ref - The $ref value
+ * @returns {Object|null} The referenced schema or null
+ */
+function resolveRef(root, ref) {
+    if (ref === '#') return root;
+    if (!ref.startsWith('#/')) return null;
+
+    let node = root;
+    for (const segment of ref.substring(2).split('/')) {
+        const key = decodeURIComponent(segment).replace(/~1/g, '/').replace(/~0/g, '~');
+        if (node === null || typeof node !== 'object' || !(key in node)) {
+            return null;
+        }
+        node = node[key];
+    }
+
+    return node;
+}
+
+/**
+ * Checks a string against a known format
+ * @param {string} value - The string value
+ * @param {string} format - The format name
+ * @returns {boolean} True if valid or the format is not checked
+ */
+function checkFormat(value, format) {
+    switch (format) {
+        case 'uri':
+            return /^[a-zA-Z][a-zA-Z0-9+.-]*:[^\s]*$/.test(value);
+        case 'email':
+            return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value);
+        case 'uuid':
+            return /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value);
+        case 'date-time':
+            return !isNaN(Date.parse(value));
+        default:
+            return true;
+    }
+}
+
+const patternCache = new Map();
+
+/**
+ * Compiles a schema pattern, caching the result
+ * @param {string} pattern - The regex source
+ * @returns {RegExp|null} The compiled regex or null if unsupported
+ */
+function compilePattern(pattern) {
+    if (!patternCache.has(pattern)) {
+        let regex = null;
+        try {
+            regex = new RegExp(pattern);
+        } catch (error) {
+            console.warn(`Unsupported schema pattern: ${pattern}`);
+        }
+        patternCache.set(pattern, regex);
+    }
+    return patternCache.get(pattern);
+}
+
+/**
+ * Gets the JSON type name of a value
+ * @param {*} value - The value
+ * @returns {string} JSON type name
+ */
+function getJsonType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+/**
+ * Compares two JSON values for equality
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if equal
+ */
+function deepEqual(a, b) {
+    return stableStringify(a) === stableStringify(b);
+}
+
+/**
+ * Serializes a value with sorted object keys
+ * @param {*} value - The value
+ * @returns {string} Stable JSON string
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value !== null && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Formats a value for an error message
+ * @param {*} value - The value
+ * @returns {string} Display string
+ */
+function formatValue(value) {
+    return typeof value === 'string' ? `"${value}"` : JSON.stringify(value);
+}
+
+/**
+ * Creates a validation error object
+ * @param {string} pointer - JSON pointer
+ * @param {string} keyword - The failing keyword
+ * @param {string} message - Error message
+ * @returns {Object} Error object
+ */
+function createError(pointer, keyword, message) {
+    return { pointer, keyword, message };
+}
@@ -0,0 +1,320 @@
+/**
+ * JSON Source Map for AgentAnalyzer
+ * Parses JSON while recording the editor position of every value
+ */
+
+/**
+ * Parses a JSON string and records a position for every JSON pointer
+ * @param {string} text - The JSON text
+ * @returns {Object} Object with the parsed data and a pointers map
+ * @throws {SyntaxError} With line and column properties when the JSON is invalid
+ */
+export function parseWithPointers(text) {
+    const state = {
+        text: text.charCodeAt(0) === 0xFEFF ? text.substring(1) : text,
+        pos: 0,
+        line: 1,
+        column: 1,
+        pointers: {}
+    };
+
+    skipWhitespace(state);
+    const data = parseValue(state, '');
+    skipWhitespace(state);
+
+    if (state.pos < state.text.length) {
+        throwError(state, `Unexpected token ${state.text[state.pos]}`);
+    }
+
+    return { data, pointers: state.pointers };
+}
+
+/**
+ * Gets the editor location for a JSON pointer
+ * @param {Object} pointers - Pointers map from parseWithPointers
+ * @param {string} pointer - The JSON pointer
+ * @returns {Object|null} Location with line and column (1-based), or null
+ */
+export function getPointerLocation(pointers, pointer) {
+    if (!pointers) return null;
+
+    // Walk up to the nearest pointer that exists (e.g. for a missing property)
+    let current = pointer;
+    while (current !== undefined) {
+        const entry = pointers[current];
+        if (entry) {
+            const location = entry.key || entry.value;
+            return {
+                line: location.line,
+                column: location.column,
+                endLine: entry.valueEnd.line,
+                endColumn: entry.valueEnd.column
+            };
+        }
+        current = current === '' ? undefined : current.substring(0, current.lastIndexOf('/'));
+    }
+
+    return null;
+}
+
+/**
+ * Escapes a property name for use in a JSON pointer
+ * @param {string} segment - The property name
+ * @returns {string} Escaped pointer segment
+ */
+export function escapePointerSegment(segment) {
+    return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Parses any JSON value at the current position
+ * @param {Object} state - Parser state
+ * @param {string} pointer - JSON pointer of the value
+ * @returns {*} The parsed value
+ */
+function parseValue(state, pointer) {
+    const entry = state.pointers[pointer] || {};
+    entry.value = getPosition(state);
+    state.pointers[pointer] = entry;
+
+    let value;
+    const char = state.text[state.pos];
+
+    switch (char) {
+        case '{':
+            value = parseObject(state, pointer);
+            break;
+        case '[':
+            value = parseArray(state, pointer);
+            break;
+        case '"':
+            value = parseString(state);
+            break;
+        case 't':
+            value = parseLiteral(state, 'true', true);
+            break;
+        case 'f':
+            value = parseLiteral(state, 'false', false);
+            break;
+        case 'n':
+            value = parseLiteral(state, 'null', null);
+            break;
+        default:
+            if (char === '-' || (char >= '0' && char <= '9')) {
+                value = parseNumber(state);
+            } else {
+                throwError(state, char === undefined ? 'Unexpected end of JSON input' : `Unexpected token ${char}`);
+            }
+    }
+
+    entry.valueEnd = getPosition(state);
+    return value;
+}
+
+/**
+ * Parses a JSON object
+ * @param {Object} state - Parser state
+ * @param {string} pointer - JSON pointer of the object
+ * @returns {Object} The parsed object
+ */
+function parseObject(state, pointer) {
+    const obj = {};
+    advance(state); // {
+    skipWhitespace(state);
+
+    if (state.text[state.pos] === '}') {
+        advance(state);
+        return obj;
+    }
+
+    while (true) {
+        if (state.text[state.pos] !== '"') {
+            throwError(state, 'Expected property name');
+        }
+
+        const keyPosition = getPosition(state);
+        const key = parseString(state);
+        const childPointer = `${pointer}/${escapePointerSegment(key)}`;
+        state.pointers[childPointer] = { key: keyPosition };
+
+        skipWhitespace(state);
+        expect(state, ':');
+        skipWhitespace(state);
+
+        obj[key] = parseValue(state, childPointer);
+        skipWhitespace(state);
+
+        if (state.text[state.pos] === ',') {
+            advance(state);
+            skipWhitespace(state);
+            continue;
+        }
+
+        expect(state, '}');
+        return obj;
+    }
+}
+
+/**
+ * Parses a JSON array
+ * @param {Object} state - Parser state
+ * @param {string} pointer - JSON pointer of the array
+ * @returns {Array} The parsed array
+ */
+function parseArray(state, pointer) {
+    const arr = [];
+    advance(state); // [
+    skipWhitespace(state);
+
+    if (state.text[state.pos] === ']') {
+        advance(state);
+        return arr;
+    }
+
+    while (true) {
+        arr.push(parseValue(state, `${pointer}/${arr.length}`));
+        skipWhitespace(state);
+
+        if (state.text[state.pos] === ',') {
+            advance(state);
+            skipWhitespace(state);
+            continue;
+        }
+
+        expect(state, ']');
+        return arr;
+    }
+}
+
+/**
+ * Parses a JSON string
+ * @param {Object} state - Parser state
+ * @returns {string} The parsed string
+ */
+function parseString(state) {
+    const start = state.pos;
+    advance(state); // opening quote
+
+    while (state.pos < state.text.length) {
+        const char = state.text[state.pos];
+
+        if (char === '"') {
+            advance(state);
+            try {
+                return JSON.parse(state.text.substring(start, state.pos));
+            } catch (error) {
+                throwError(state, 'Invalid string escape');
+            }
+        }
+
+        if (char === '\n') {
+            throwError(state, 'Unterminated string');
+        }
+
+        if (char === '\\') {
+            advance(state);
+        }
+        advance(state);
+    }
+
+    throwError(state, 'Unterminated string');
+}
+
+/**
+ * Parses a JSON number
+ * @param {Object} state - Parser state
+ * @returns {number} The parsed number
+ */
+function parseNumber(state) {
+    const match = state.text.substring(state.pos).match(/^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?/);
+    if (!match) {
+        throwError(state, 'Invalid number');
+    }
+
+    for (let i = 0; i < match[0].length; i++) {
+        advance(state);
+    }
+
+    return Number(match[0]);
+}
+
+/**
+ * Parses a literal (true, false, null)
+ * @param {Object} state - Parser state
+ * @param {string} literal - The expected literal text
+ * @param {*} value - The value the literal represents
+ * @returns {*} The literal value
+ */
+function parseLiteral(state, literal, value) {
+    if (state.text.substring(state.pos, state.pos + literal.length) !== literal) {
+        throwError(state, `Unexpected token ${state.text[state.pos]}`);
+    }
+
+    for (let i = 0; i < literal.length; i++) {
+        advance(state);
+    }
+
+    return value;
+}
+
+/**
+ * Skips whitespace, tracking line and column
+ * @param {Object} state - Parser state
+ */
+function skipWhitespace(state) {
+    while (state.pos < state.text.length) {
+        const char = state.text[state.pos];
+        if (char !== ' ' && char !== '\t' && char !== '\n' && char !== '\r') {
+            break;
+        }
+        advance(state);
+    }
+}
+
+/**
+ * Consumes an expected character
+ * @param {Object} state - Parser state
+ * @param {string} char - The expected character
+ */
+function expect(state, char) {
+    if (state.text[state.pos] !== char) {
+        const found = state.text[state.pos];
+        throwError(state, found === undefined ? 'Unexpected end of JSON input' : `Expected '${char}' but found '${found}'`);
+    }
+    advance(state);
+}
+
+/**
+ * Advances the parser by one character
+ * @param {Object} state - Parser state
+ */
+function advance(state) {
+    if (state.text[state.pos] === '\n') {
+        state.line++;
+        state.column = 1;
+    } else {
+        state.column++;
+    }
+    state.pos++;
+}
+
+/**
+ * Gets the current parser position
+ * @param {Object} state - Parser state
+ * @returns {Object} Position with line, column and offset
+ */
+function getPosition(state) {
+    return { line: state.line, column: state.column, pos: state.pos };
+}
+
+/**
+ * Throws a syntax error at the current position
+ * @param {Object} state - Parser state
+ * @param {string} message - Error message
+ */
+function throwError(state, message) {
+    const error = new SyntaxError(`${message} at line ${state.line} column ${state.column}`);
+    error.line = state.line;
+    error.column = state.column;
+    throw error;
+}
@@ -0,0 +1,200 @@
+/**
+ * OpenAPI References for AgentAnalyzer
+ * Resolves local and in-package relative $refs in OpenAPI documents, with cycle detection
+ */
+
+import { resolveRelativePath } from './file-utils.js';
+
+/**
+ * Schema keywords whose values are subschemas (or arrays/maps of subschemas)
+ */
+const SUBSCHEMA_KEYWORDS = ['items', 'additionalProperties', 'not'];
+const SUBSCHEMA_LIST_KEYWORDS = ['allOf', 'anyOf', 'oneOf'];
+const SUBSCHEMA_MAP_KEYWORDS = ['properties', 'patternProperties'];
+
+/**
+ * Creates the context used to resolve $refs across the documents of a package
+ * @param {string} rootPath - Package path of the document being analyzed
+ * @param {Object} rootDocument - The parsed document being analyzed
+ * @param {Function} loadDocument - Loads another package document: (path) => parsed value or null
+ * @returns {Object} Reference context
+ */
+export function createRefContext(rootPath, rootDocument, loadDocument) {
+    return {
+        rootPath,
+        loadDocument,
+        documents: new Map([[rootPath, rootDocument]])
+    };
+}
+
+/**
+ * Follows a $ref (and any $refs it points at) to the referenced value
+ * @param {Object} context - Reference context from createRefContext
+ * @param {*} node - A value that may be a { $ref } object
+ * @param {string} [docPath] - Package path of the document that holds the node
+ * @returns {Object} { value, docPath, refs, error } where refs is the followed chain
+ */
+export function resolveRef(context, node, docPath = context.rootPath) {
+    const refs = [];
+    let value = node;
+    let currentPath = docPath;
+
+    while (value && typeof value === 'object' && typeof value.$ref === 'string') {
+        const target = parseRef(value.$ref, currentPath);
+        if (target.error) {
+            return { value: null, docPath: currentPath, refs, error: target.error };
+        }
+
+        const key = `${target.path}#${target.pointer}`;
+        if (refs.includes(key)) {
+            return { value: null, docPath: currentPath, refs, error: `Circular $ref: ${[...refs, key].join(' → ')}` };
+        }
+        refs.push(key);
+
+        const document = getDocument(context, target.path);
+        if (document === null) {
+            return { value: null, docPath: currentPath, refs, error: `"${target.path}" was not found or could not be parsed` };
+        }
+
+        value = getAtPointer(document, target.pointer);
+        if (value === undefined) {
+            return { value: null, docPath: currentPath, refs, error: `"${target.pointer || '/'}" does not exist in ${target.path}` };
+        }
+        currentPath = target.path;
+    }
+
+    return { value, docPath: currentPath, refs, error: null };
+}
+
+/**
+ * Walks a schema depth-first, resolving $refs. Recursive schemas are visited
+ * once; the point where they refer back to themselves is reported as a cycle.
+ * @param {Object} context - Reference context from createRefContext
+ * @param {Object} schema - The schema (or a { $ref } to it)
+ * @param {Function} visit - Called with (schema, { depth, path, docPath }) for every resolved subschema
+ * @param {string} [docPath] - Package path of the document that holds the schema
+ * @returns {Object} { errors, cycles } lists of $ref problems found while walking
+ */
+export function walkSchema(context, schema, visit, docPath = context.rootPath) {
+    const result = { errors: [], cycles: [] };
+    walkSubschema(context, schema, docPath, visit, { depth: 0, path: [], stack: [] }, result);
+    return result;
+}
+
+/**
+ * Walks one subschema
+ * @param {Object} context - Reference context
+ * @param {*} schema - The subschema
+ * @param {string} docPath - Package path of the document that holds it
+ * @param {Function} visit - Visitor callback
+ * @param {Object} position - { depth, path, stack } where stack holds the $refs being expanded
+ * @param {Object} result - Collected errors and cycles
+ */
+function walkSubschema(context, schema, docPath, visit, position, result) {
+    if (!schema || typeof schema !== 'object') return;
+
+    const resolved = resolveRef(context, schema, docPath);
+    if (resolved.error) {
+        (resolved.error.startsWith('Circular') ? result.cycles : result.errors).push(resolved.error);
+        return;
+    }
+
+    const recursion = resolved.refs.find(ref => position.stack.includes(ref));
+    if (recursion) {
+        result.cycles.push(`Recursive schema: ${[...position.stack.slice(position.stack.indexOf(recursion)), recursion].join(' → ')}`);
+        return;
+    }
+
+    const node = resolved.value;
+    if (!node || typeof node !== 'object') return;
+
+    visit(node, { depth: position.depth, path: position.path, docPath: resolved.docPath });
+
+    const child = (value, segment) => walkSubschema(context, value, resolved.docPath, visit, {
+        depth: position.depth + 1,
+        path: [...position.path, segment],
+        stack: [...position.stack, ...resolved.refs]
+    }, result);
+
+    for (const keyword of SUBSCHEMA_KEYWORDS) {
+        if (node[keyword] && typeof node[keyword] === 'object') {
+            child(node[keyword], keyword === 'items' ? '[]' : keyword);
+        }
+    }
+    for (const keyword of SUBSCHEMA_LIST_KEYWORDS) {
+        if (Array.isArray(node[keyword])) {
+            node[keyword].forEach((subschema, index) => child(subschema, `${keyword}[${index}]`));
+        }
+    }
+    for (const keyword of SUBSCHEMA_MAP_KEYWORDS) {
+        if (node[keyword] && typeof node[keyword] === 'object') {
+            for (const [name, subschema] of Object.entries(node[keyword])) {
+                child(subschema, name);
+            }
+        }
+    }
+}
+
+/**
+ * Splits a $ref into the target document path and JSON pointer
+ * @param {string} ref - The $ref value
+ * @param {string} docPath - Package path of the document that holds the $ref
+ * @returns {Object} { path, pointer } or { error }
+ */
+function parseRef(ref, docPath) {
+    const hashIndex = ref.indexOf('#');
+    const file = hashIndex >= 0 ? ref.substring(0, hashIndex) : ref;
+    const fragment = hashIndex >= 0 ? ref.substring(hashIndex + 1) : '';
+
+    if (/^[a-z][a-z0-9+.-]*:/i.test(file)) {
+        return { error: `Remote $ref "${ref}" is not supported; bundle it into the package` };
+    }
+    if (fragment && !fragment.startsWith('/')) {
+        return { error: `$ref "${ref}" does not use a JSON pointer fragment` };
+    }
+
+    let pointer;
+    try {
+        pointer = decodeURIComponent(fragment);
+    } catch (error) {
+        return { error: `$ref "${ref}" is not a valid URI fragment` };
+    }
+
+    return {
+        path: file ? resolveRelativePath(docPath, file) : docPath,
+        pointer
+    };
+}
+
+/**
+ * Gets a document by path, loading and caching it on first use
+ * @param {Object} context - Reference context
+ * @param {string} path - Package path of the document
+ * @returns {*} Parsed document, or null if it could not be loaded
+ */
+function getDocument(context, path) {
+    if (!context.documents.has(path)) {
+        context.documents.set(path, context.loadDocument(path) ?? null);
+    }
+    return context.documents.get(path);
+}
+
+/**
+ * Gets the value at a JSON pointer
+ * @param {*} document - Parsed document
+ * @param {string} pointer - JSON pointer ("" for the whole document)
+ * @returns {*} The value, or undefined if the pointer does not exist
+ */
+function getAtPointer(document, pointer) {
+    if (!pointer) return document;
+
+    let value = document;
+    for (const segment of pointer.substring(1).split('/')) {
+        const key = segment.replace(/~1/g, '/').replace(/~0/g, '~');
+        if (!value || typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, key)) {
+            return undefined;
+        }
+        value = value[key];
+    }
+    return value;
+}
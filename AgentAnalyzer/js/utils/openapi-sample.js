@@ -0,0 +1,116 @@
+/**
+ * OpenAPI Sample Data for AgentAnalyzer
+ * Builds example values from OpenAPI schemas, for previewing response templates
+ */
+
+import { resolveRef } from './openapi-refs.js';
+
+/**
+ * Deepest nesting that is filled in; deeper values are left out
+ */
+const MAX_SAMPLE_DEPTH = 8;
+
+/**
+ * Sample strings for well-known string formats
+ */
+const FORMAT_SAMPLES = {
+    'date-time': '2024-05-01T09:30:00Z',
+    'date': '2024-05-01',
+    'time': '09:30:00',
+    'email': 'user@contoso.com',
+    'uri': 'https://contoso.com',
+    'url': 'https://contoso.com',
+    'uuid': '3f2504e0-4f89-11d3-9a0c-0305e82c3301'
+};
+
+/**
+ * Creates a sample value for a schema. Examples, defaults and enums in the
+ * schema win; otherwise values are made up from the type and property name.
+ * @param {Object} context - Reference context from createRefContext
+ * @param {Object} schema - The schema (or a { $ref } to it)
+ * @param {string} [docPath] - Package path of the document that holds the schema
+ * @returns {*} Sample value, or undefined if the schema cannot be resolved
+ */
+export function createSampleValue(context, schema, docPath = context.rootPath) {
+    return sampleSchema(context, schema, docPath, '', [], 0);
+}
+
+/**
+ * Creates a sample value for one subschema
+ * @param {Object} context - Reference context
+ * @param {*} schema - The subschema
+ * @param {string} docPath - Package path of the document that holds it
+ * @param {string} name - Name of the property the value is for ('' at the root)
+ * @param {Array} stack - $refs being expanded, to stop at recursive schemas
+ * @param {number} depth - Nesting depth of the value
+ * @returns {*} Sample value, or undefined
+ */
+function sampleSchema(context, schema, docPath, name, stack, depth) {
+    if (!schema || typeof schema !== 'object' || depth > MAX_SAMPLE_DEPTH) return undefined;
+
+    const resolved = resolveRef(context, schema, docPath);
+    if (resolved.error || resolved.refs.some(ref => stack.includes(ref))) return undefined;
+
+    const node = resolved.value;
+    if (!node || typeof node !== 'object') return undefined;
+
+    if (node.example !== undefined) return node.example;
+    if (Array.isArray(node.examples) && node.examples.length > 0) return node.examples[0];
+    if (node.default !== undefined) return node.default;
+    if (node.const !== undefined) return node.const;
+    if (Array.isArray(node.enum) && node.enum.length > 0) return node.enum[0];
+
+    const nextStack = [...stack, ...resolved.refs];
+    const sample = (subschema, propertyName) => sampleSchema(context, subschema, resolved.docPath, propertyName, nextStack, depth + 1);
+
+    // oneOf/anyOf use their first option; allOf merges its parts
+    const option = (node.oneOf || node.anyOf || [])[0];
+    if (option) return sample(option, name);
+
+    if (Array.isArray(node.allOf)) {
+        const merged = {};
+        for (const part of node.allOf) {
+            const value = sample(part, name);
+            if (value && typeof value === 'object' && !Array.isArray(value)) Object.assign(merged, value);
+        }
+        Object.assign(merged, sampleProperties(node, sample));
+        return merged;
+    }
+
+    const type = Array.isArray(node.type) ? node.type.find(t => t !== 'null') : node.type;
+    switch (type || (node.properties ? 'object' : node.items ? 'array' : null)) {
+        case 'object':
+            return sampleProperties(node, sample);
+        case 'array': {
+            const item = sample(node.items, name);
+            return item === undefined ? [] : [item];
+        }
+        case 'string':
+            return FORMAT_SAMPLES[node.format] || (name ? `Sample ${name}` : 'Sample text');
+        case 'integer':
+            return 1;
+        case 'number':
+            return 1.5;
+        case 'boolean':
+            return true;
+        default:
+            return undefined;
+    }
+}
+
+/**
+ * Creates sample values for the properties of an object schema
+ * @param {Object} node - Resolved object schema
+ * @param {Function} sample - Samples a subschema: (schema, name) => value
+ * @returns {Object} Object with a sample for each property
+ */
+function sampleProperties(node, sample) {
+    const value = {};
+
+    for (const [name, property] of Object.entries(node.properties || {})) {
+        const propertyValue = sample(property, name);
+        if (propertyValue !== undefined) value[name] = propertyValue;
+    }
+
+    return value;
+}
@@ -1,111 +1,357 @@
 /**
  * Schema Validator for AgentAnalyzer
- * Validates agent manifests against known schemas
+ * Validates agent manifests against bundled copies of the official JSON schemas
  */
 
+import { parseWithPointers, getPointerLocation } from './json-source-map.js';
+import { validateJsonSchema } from './json-schema.js';
+import { findUnsupportedFeatures, getRequiredSchemaVersion, compareVersions, CAPABILITY_VERSIONS } from './schema-versions.js';
+
 /**
- * Known schema versions and their required fields
+ * Document kinds that have bundled JSON schemas
  */
-const SCHEMA_DEFINITIONS = {
-    'manifest': {
-        required: ['$schema', 'version', 'name', 'description'],
-        optional: ['icons', 'copilotAgents', 'developer', 'packageName']
-    },
-    'declarativeAgent_1.0': {
-        required: ['$schema', 'name', 'description'],
-        optional: ['instructions', 'capabilities', 'conversation_starters', 'actions']
+export const DocumentKind = {
+    MANIFEST: 'manifest',
+    DECLARATIVE_AGENT: 'declarativeAgent',
+    PLUGIN: 'plugin'
+};
+
+/**
+ * Bundled copies of the official schemas, keyed by document kind and version
+ * (paths are relative to the schemas/ folder)
+ */
+const BUNDLED_SCHEMAS = {
+    [DocumentKind.MANIFEST]: {
+        '1.17': 'teams/v1.17/MicrosoftTeams.schema.json',
+        '1.19': 'teams/v1.19/MicrosoftTeams.schema.json',
+        '1.20': 'teams/v1.20/MicrosoftTeams.schema.json',
+        '1.21': 'teams/v1.21/MicrosoftTeams.schema.json',
+        '1.22': 'teams/v1.22/MicrosoftTeams.schema.json',
+        '1.23': 'teams/v1.23/MicrosoftTeams.schema.json',
+        '1.24': 'teams/v1.24/MicrosoftTeams.schema.json'
     },
-    'declarativeAgent_1.2': {
-        required: ['$schema', 'name', 'description'],
-        optional: ['version', 'instructions', 'capabilities', 'conversation_starters', 'actions']
+    [DocumentKind.DECLARATIVE_AGENT]: {
+        '1.0': 'declarative-agent/v1.0/schema.json',
+        '1.2': 'declarative-agent/v1.2/schema.json',
+        '1.3': 'declarative-agent/v1.3/schema.json',
+        '1.4': 'declarative-agent/v1.4/schema.json',
+        '1.5': 'declarative-agent/v1.5/schema.json',
+        '1.6': 'declarative-agent/v1.6/schema.json',
+        '1.7': 'declarative-agent/v1.7/schema.json',
+        '1.8': 'declarative-agent/v1.8/schema.json'
     },
-    'declarativeAgent_1.5': {
-        required: ['$schema', 'name', 'description'],
-        optional: ['version', 'instructions', 'capabilities', 'conversation_starters', 'conversationStarters', 'actions']
+    [DocumentKind.PLUGIN]: {
+        '2.1': 'plugin/v2.1/schema.json',
+        '2.2': 'plugin/v2.2/schema.json',
+        '2.3': 'plugin/v2.3/schema.json',
+        '2.4': 'plugin/v2.4/schema.json'
     }
 };
 
+/**
+ * Field that carries the version for each document kind
+ */
+const VERSION_POINTERS = {
+    [DocumentKind.MANIFEST]: '/manifestVersion',
+    [DocumentKind.DECLARATIVE_AGENT]: '/version',
+    [DocumentKind.PLUGIN]: '/schema_version'
+};
+
+const SCHEMA_BASE_PATH = './schemas/';
+const schemaCache = new Map();
+let schemaLoader = fetchSchema;
+
 /**
  * Validates a manifest.json file
  * @param {Object} manifest - Parsed manifest object
- * @returns {Object} Validation result
+ * @returns {Promise<Object>} Validation result
  */
-export function validateManifest(manifest) {
-    return validateAgainstSchema(manifest, 'manifest');
+export async function validateManifest(manifest) {
+    return validateParsedDocument(manifest, null, DocumentKind.MANIFEST);
 }
 
 /**
  * Validates a declarative agent JSON file
  * @param {Object} agentConfig - Parsed agent config object
- * @returns {Object} Validation result
+ * @returns {Promise<Object>} Validation result
+ */
+export async function validateDeclarativeAgent(agentConfig) {
+    return validateParsedDocument(agentConfig, null, DocumentKind.DECLARATIVE_AGENT);
+}
+
+/**
+ * Validates an API plugin manifest
+ * @param {Object} pluginManifest - Parsed plugin manifest object
+ * @returns {Promise<Object>} Validation result
+ */
+export async function validatePluginManifest(pluginManifest) {
+    return validateParsedDocument(pluginManifest, null, DocumentKind.PLUGIN);
+}
+
+/**
+ * Validates JSON text against the bundled schema for its document kind.
+ * Issues carry JSON pointers plus editor line/column positions.
+ * @param {string} text - The raw JSON text
+ * @returns {Promise<Object>} Validation result (kind is null for unrecognized documents)
+ */
+export async function validateDocument(text) {
+    let parsed;
+    try {
+        parsed = parseWithPointers(text);
+    } catch (error) {
+        const result = createResult(null);
+        addIssue(result, {
+            severity: 'error',
+            keyword: 'syntax',
+            pointer: '',
+            message: error.message,
+            line: error.line || 1,
+            column: error.column || 1
+        });
+        return result;
+    }
+
+    const kind = detectDocumentKind(parsed.data);
+    if (!kind) {
+        return createResult(null);
+    }
+
+    return validateParsedDocument(parsed.data, parsed.pointers, kind);
+}
+
+/**
+ * Detects which kind of agent package document a parsed JSON object is
+ * @param {Object} document - Parsed JSON document
+ * @returns {string|null} A DocumentKind value or null
  */
-export function validateDeclarativeAgent(agentConfig) {
-    // Determine schema version
-    const schemaVersion = extractSchemaVersion(agentConfig.$schema);
-    const schemaKey = `declarativeAgent_${schemaVersion || '1.0'}`;
+export function detectDocumentKind(document) {
+    if (!document || typeof document !== 'object' || Array.isArray(document)) {
+        return null;
+    }
+
+    const schemaUrl = typeof document.$schema === 'string' ? document.$schema.toLowerCase() : '';
 
-    // Use closest matching schema
-    const schema = SCHEMA_DEFINITIONS[schemaKey] || SCHEMA_DEFINITIONS['declarativeAgent_1.0'];
+    if (document.manifestVersion || schemaUrl.includes('microsoftteams.schema')) {
+        return DocumentKind.MANIFEST;
+    }
+    if (schemaUrl.includes('declarative-agent') || schemaUrl.includes('declarativeagent')) {
+        return DocumentKind.DECLARATIVE_AGENT;
+    }
+    if (document.schema_version || schemaUrl.includes('plugin')) {
+        return DocumentKind.PLUGIN;
+    }
+    if (typeof document.instructions === 'string' && document.name && /^v1\.\d+$/.test(document.version || '')) {
+        return DocumentKind.DECLARATIVE_AGENT;
+    }
 
-    return validateAgainstSchema(agentConfig, schemaKey, schema);
+    return null;
 }
 
 /**
- * Validates an object against a schema definition
- * @param {Object} obj - Object to validate
- * @param {string} schemaName - Schema name for error messages
- * @param {Object} schema - Schema definition (optional, looks up by name)
- * @returns {Object} Validation result
+ * Gets the schema version a document declares
+ * @param {Object} document - Parsed JSON document
+ * @param {string} kind - The DocumentKind
+ * @returns {string|null} Version string such as "1.5"
  */
-function validateAgainstSchema(obj, schemaName, schema = null) {
-    const result = {
-        isValid: true,
-        errors: [],
-        warnings: [],
-        schemaName: schemaName
-    };
+export function getDocumentVersion(document, kind) {
+    switch (kind) {
+        case DocumentKind.MANIFEST:
+            return document.manifestVersion || extractSchemaVersion(document.$schema);
+        case DocumentKind.DECLARATIVE_AGENT:
+            return extractSchemaVersion(document.$schema) || extractSchemaVersion(document.version);
+        case DocumentKind.PLUGIN:
+            return extractSchemaVersion(document.schema_version) || extractSchemaVersion(document.$schema);
+        default:
+            return null;
+    }
+}
 
-    if (!obj) {
-        result.isValid = false;
-        result.errors.push('Object is null or undefined');
+/**
+ * Validates a parsed document against its bundled schema
+ * @param {Object} document - Parsed JSON document
+ * @param {Object|null} pointers - Pointer positions from parseWithPointers (optional)
+ * @param {string} kind - The DocumentKind
+ * @returns {Promise<Object>} Validation result
+ */
+async function validateParsedDocument(document, pointers, kind) {
+    const result = createResult(kind);
+
+    if (!document) {
+        addIssue(result, { severity: 'error', keyword: 'null', pointer: '', message: 'Object is null or undefined' });
         return result;
     }
 
-    schema = schema || SCHEMA_DEFINITIONS[schemaName];
+    const declaredVersion = getDocumentVersion(document, kind);
+    const bundled = resolveBundledSchema(kind, declaredVersion);
+    result.version = declaredVersion;
+    result.schemaVersion = bundled.version;
+    result.schemaName = `${kind}_${bundled.version}`;
+
+    const isFallback = bundled.version !== declaredVersion;
+    if (isFallback) {
+        addIssue(result, {
+            severity: 'warning',
+            keyword: 'version',
+            pointer: document[VERSION_POINTERS[kind].substring(1)] !== undefined ? VERSION_POINTERS[kind] : '/$schema',
+            message: declaredVersion
+                ? `No bundled schema for version ${declaredVersion}; validated against ${bundled.version}`
+                : `Schema version could not be determined; validated against ${bundled.version}`
+        }, pointers);
+    }
 
-    if (!schema) {
-        result.warnings.push(`Unknown schema: ${schemaName}`);
+    let schema;
+    try {
+        schema = await loadSchema(bundled.path);
+    } catch (error) {
+        addIssue(result, { severity: 'warning', keyword: 'schema', pointer: '', message: `Unable to load schema: ${error.message}` });
         return result;
     }
 
-    // Check required fields
-    for (const field of schema.required || []) {
-        if (!(field in obj)) {
-            result.isValid = false;
-            result.errors.push(`Missing required field: ${field}`);
-        } else if (obj[field] === null || obj[field] === undefined || obj[field] === '') {
-            result.warnings.push(`Required field is empty: ${field}`);
+    // Fields newer than the declared schema are reported once, with the version they need
+    const unsupported = kind === DocumentKind.DECLARATIVE_AGENT
+        ? findUnsupportedFeatures(document, declaredVersion)
+        : [];
+
+    if (unsupported.length > 0) {
+        const requiredVersion = getRequiredSchemaVersion(document);
+        for (const feature of unsupported) {
+            addIssue(result, {
+                severity: 'error',
+                keyword: 'schemaVersion',
+                pointer: feature.pointer,
+                message: `${feature.feature} requires schema v${feature.requiredVersion} or later, but the file declares v${declaredVersion}`,
+                requiredVersion
+            }, pointers);
         }
     }
 
-    // Check for unknown fields (informational)
-    const knownFields = [...(schema.required || []), ...(schema.optional || [])];
-    for (const field of Object.keys(obj)) {
-        if (!knownFields.includes(field) && !field.startsWith('$')) {
-            result.warnings.push(`Unknown field: ${field}`);
-        }
+    for (const error of validateJsonSchema(document, schema)) {
+        // The fallback schema pins its own version number, which is already reported above
+        if (isFallback && error.pointer === VERSION_POINTERS[kind]) continue;
+        if (unsupported.some(feature => isSameOrChildPointer(error.pointer, feature.pointer))) continue;
+        addIssue(result, { severity: 'error', ...error }, pointers);
     }
 
     return result;
 }
 
+/**
+ * Picks the bundled schema for a kind and version, falling back to the
+ * nearest older version (or the oldest bundled one)
+ * @param {string} kind - The DocumentKind
+ * @param {string|null} version - Declared version
+ * @returns {Object} Object with the bundled version and path
+ */
+function resolveBundledSchema(kind, version) {
+    const schemas = BUNDLED_SCHEMAS[kind];
+    const versions = Object.keys(schemas).sort(compareVersions);
+
+    let selected = versions[versions.length - 1];
+    if (version && schemas[version]) {
+        selected = version;
+    } else if (version) {
+        const older = versions.filter(v => compareVersions(v, version) < 0);
+        selected = older.length > 0 ? older[older.length - 1] : versions[0];
+    }
+
+    return { version: selected, path: schemas[selected] };
+}
+
+/**
+ * Checks whether a JSON pointer equals or is nested under another
+ * @param {string} pointer - Pointer to test
+ * @param {string} parent - Parent pointer
+ * @returns {boolean} True if pointer is parent or one of its descendants
+ */
+function isSameOrChildPointer(pointer, parent) {
+    return pointer === parent || pointer.startsWith(`${parent}/`);
+}
+
+/**
+ * Loads a bundled schema file (cached)
+ * @param {string} path - Path relative to the schemas folder
+ * @returns {Promise<Object>} The schema object
+ */
+async function loadSchema(path) {
+    if (!schemaCache.has(path)) {
+        const promise = schemaLoader(path);
+        schemaCache.set(path, promise);
+        promise.catch(() => schemaCache.delete(path));
+    }
+    return schemaCache.get(path);
+}
+
+/**
+ * Fetches a bundled schema file from the web server
+ * @param {string} path - Path relative to the schemas folder
+ * @returns {Promise<Object>} The schema object
+ */
+async function fetchSchema(path) {
+    const response = await fetch(SCHEMA_BASE_PATH + path);
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status} for ${path}`);
+    }
+    return response.json();
+}
+
+/**
+ * Replaces how bundled schema files are loaded, e.g. from disk when running in Node
+ * @param {Function} loader - (path relative to the schemas folder) => Promise of the schema object
+ */
+export function setSchemaLoader(loader) {
+    schemaLoader = loader;
+    schemaCache.clear();
+}
+
+/**
+ * Creates an empty validation result
+ * @param {string|null} kind - The DocumentKind
+ * @returns {Object} Validation result
+ */
+function createResult(kind) {
+    return {
+        isValid: true,
+        kind: kind,
+        version: null,
+        schemaVersion: null,
+        schemaName: null,
+        issues: [],
+        errors: [],
+        warnings: []
+    };
+}
+
+/**
+ * Adds an issue to a validation result, resolving its editor position
+ * @param {Object} result - Validation result to update
+ * @param {Object} issue - Issue with severity, keyword, pointer and message
+ * @param {Object|null} pointers - Pointer positions (optional)
+ */
+function addIssue(result, issue, pointers = null) {
+    if (issue.line === undefined) {
+        const location = getPointerLocation(pointers, issue.pointer);
+        issue.line = location?.line || null;
+        issue.column = location?.column || null;
+    }
+
+    result.issues.push(issue);
+
+    const text = issue.pointer ? `${issue.pointer}: ${issue.message}` : issue.message;
+    if (issue.severity === 'error') {
+        result.isValid = false;
+        result.errors.push(text);
+    } else {
+        result.warnings.push(text);
+    }
+}
+
 /**
  * Extracts schema version from schema URL
  * @param {string} schemaUrl - The schema URL
  * @returns {string|null} Version string
  */
 function extractSchemaVersion(schemaUrl) {
-    if (!schemaUrl) return null;
+    if (!schemaUrl || typeof schemaUrl !== 'string') return null;
 
     // Match patterns like "v1.5", "1.5", or "-1.5"
     const patterns = [
@@ -244,13 +490,7 @@ export function validateCapabilities(capabilities) {
         return result;
     }
 
-    const knownCapabilities = [
-        'OneDriveAndSharePoint',
-        'GraphConnectors',
-        'WebSearch',
-        'CodeInterpreter',
-        'ImageGenerator'
-    ];
+    const knownCapabilities = Object.keys(CAPABILITY_VERSIONS);
 
     for (let i = 0; i < capabilities.length; i++) {
         const cap = capabilities[i];
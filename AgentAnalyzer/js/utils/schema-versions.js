@@ -0,0 +1,195 @@
+/**
+ * Schema Versions for AgentAnalyzer
+ * Registry of the declarative agent schema version that introduced each field and capability
+ */
+
+import { escapePointerSegment } from './json-source-map.js';
+
+/**
+ * Published declarative agent schema versions, oldest first
+ */
+export const DECLARATIVE_AGENT_VERSIONS = ['1.0', '1.2', '1.3', '1.4', '1.5', '1.6', '1.7', '1.8'];
+
+/**
+ * Latest published declarative agent schema version
+ */
+export const LATEST_DECLARATIVE_AGENT_VERSION = DECLARATIVE_AGENT_VERSIONS[DECLARATIVE_AGENT_VERSIONS.length - 1];
+
+/**
+ * Top-level and nested fields added after v1.0 (paths use "*" for array items)
+ */
+const FIELD_VERSIONS = {
+    'behavior_overrides': '1.4',
+    'disclaimer': '1.4',
+    'sensitivity_label': '1.6',
+    'worker_agents': '1.6',
+    'user_overrides': '1.6',
+    'editorial_answers': '1.7',
+    'behavior_overrides/default_response_mode': '1.7',
+    'conversation_starters/*/depends_on': '1.7',
+    'worker_agents/*/file': '1.7'
+};
+
+/**
+ * Capabilities and the capability fields added after the capability itself
+ */
+export const CAPABILITY_VERSIONS = {
+    WebSearch: { version: '1.0', fields: { 'sites': '1.2' } },
+    OneDriveAndSharePoint: {
+        version: '1.0',
+        fields: {
+            'items_by_sharepoint_ids/*/search_associated_sites': '1.3',
+            'items_by_sharepoint_ids/*/part_id': '1.4',
+            'items_by_sharepoint_ids/*/part_type': '1.4'
+        }
+    },
+    GraphConnectors: {
+        version: '1.0',
+        fields: {
+            'connections/*/additional_search_terms': '1.4',
+            'connections/*/items_by_external_id': '1.4',
+            'connections/*/items_by_external_url': '1.4',
+            'connections/*/items_by_path': '1.4',
+            'connections/*/items_by_container_name': '1.4',
+            'connections/*/items_by_container_url': '1.4'
+        }
+    },
+    CodeInterpreter: { version: '1.2', fields: {} },
+    GraphicArt: { version: '1.2', fields: {} },
+    People: { version: '1.3', fields: { 'include_related_content': '1.6' } },
+    Email: { version: '1.3', fields: { 'group_mailboxes': '1.6' } },
+    Dataverse: { version: '1.3', fields: {} },
+    TeamsMessages: { version: '1.3', fields: {} },
+    ScenarioModels: { version: '1.4', fields: {} },
+    Meetings: { version: '1.5', fields: { 'items_by_id': '1.6' } },
+    EmbeddedKnowledge: { version: '1.6', fields: { 'embedded_resource_snapshot_id': '1.7' } },
+    EmailActions: { version: '1.8', fields: {} },
+    MeetingActions: { version: '1.8', fields: {} }
+};
+
+/**
+ * Finds the fields and capabilities of a declarative agent that the given schema version does not support
+ * @param {Object} agentConfig - Parsed declarative agent JSON
+ * @param {string|null} version - Declared schema version (e.g. "1.3")
+ * @returns {Array} Array of { pointer, feature, requiredVersion }
+ */
+export function findUnsupportedFeatures(agentConfig, version) {
+    if (!agentConfig || typeof agentConfig !== 'object' || !version) return [];
+
+    return findUsedFeatures(agentConfig)
+        .filter(feature => compareVersions(feature.requiredVersion, version) > 0);
+}
+
+/**
+ * Gets the minimum schema version that supports every field and capability the agent uses
+ * @param {Object} agentConfig - Parsed declarative agent JSON
+ * @returns {string} Minimum schema version
+ */
+export function getRequiredSchemaVersion(agentConfig) {
+    let required = DECLARATIVE_AGENT_VERSIONS[0];
+
+    if (agentConfig && typeof agentConfig === 'object') {
+        for (const feature of findUsedFeatures(agentConfig)) {
+            if (compareVersions(feature.requiredVersion, required) > 0) {
+                required = feature.requiredVersion;
+            }
+        }
+    }
+
+    return required;
+}
+
+/**
+ * Gets the schema version that introduced a capability
+ * @param {string} capabilityName - The capability name
+ * @returns {string|null} Version string, or null for unknown capabilities
+ */
+export function getCapabilityVersion(capabilityName) {
+    return CAPABILITY_VERSIONS[capabilityName]?.version || null;
+}
+
+/**
+ * Compares two dotted version strings
+ * @param {string} a - First version
+ * @param {string} b - Second version
+ * @returns {number} Negative if a < b, positive if a > b, 0 if equal
+ */
+export function compareVersions(a, b) {
+    const pa = String(a).split('.').map(Number);
+    const pb = String(b).split('.').map(Number);
+    for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+        const diff = (pa[i] || 0) - (pb[i] || 0);
+        if (diff !== 0) return diff;
+    }
+    return 0;
+}
+
+/**
+ * Lists every versioned field and capability used by a declarative agent
+ * @param {Object} agentConfig - Parsed declarative agent JSON
+ * @returns {Array} Array of { pointer, feature, requiredVersion }
+ */
+function findUsedFeatures(agentConfig) {
+    const used = [];
+
+    for (const [path, requiredVersion] of Object.entries(FIELD_VERSIONS)) {
+        for (const pointer of expandPath(agentConfig, path, '')) {
+            used.push({ pointer, feature: formatFieldPath(path), requiredVersion });
+        }
+    }
+
+    const capabilities = Array.isArray(agentConfig.capabilities) ? agentConfig.capabilities : [];
+    capabilities.forEach((capability, index) => {
+        const entry = CAPABILITY_VERSIONS[capability?.name];
+        if (!entry) return;
+
+        const capabilityPointer = `/capabilities/${index}`;
+        used.push({ pointer: capabilityPointer, feature: `${capability.name} capability`, requiredVersion: entry.version });
+
+        for (const [path, requiredVersion] of Object.entries(entry.fields)) {
+            for (const pointer of expandPath(capability, path, capabilityPointer)) {
+                used.push({
+                    pointer,
+                    feature: `${capability.name} ${formatFieldPath(path)}`,
+                    requiredVersion
+                });
+            }
+        }
+    });
+
+    return used;
+}
+
+/**
+ * Formats a field path for display (e.g. "conversation_starters[].depends_on")
+ * @param {string} path - Slash-separated field path
+ * @returns {string} Display name
+ */
+function formatFieldPath(path) {
+    return path.replace(/\/\*/g, '[]').replace(/\//g, '.');
+}
+
+/**
+ * Expands a field path into the JSON pointers present in a value
+ * @param {*} value - The value to search
+ * @param {string} path - Slash-separated path, "*" matches every array item
+ * @param {string} basePointer - JSON pointer of the value
+ * @returns {Array} Array of JSON pointers
+ */
+function expandPath(value, path, basePointer) {
+    const [segment, ...rest] = path.split('/');
+    const remaining = rest.join('/');
+
+    if (segment === '*') {
+        if (!Array.isArray(value)) return [];
+        return value.flatMap((item, index) =>
+            remaining ? expandPath(item, remaining, `${basePointer}/${index}`) : [`${basePointer}/${index}`]);
+    }
+
+    if (!value || typeof value !== 'object' || Array.isArray(value) || value[segment] === undefined) {
+        return [];
+    }
+
+    const pointer = `${basePointer}/${escapePointerSegment(segment)}`;
+    return remaining ? expandPath(value[segment], remaining, pointer) : [pointer];
+}
@@ -0,0 +1,144 @@
+/**
+ * Word Diff for AgentAnalyzer
+ * Compares two texts word by word and merges the changes a user accepts
+ */
+
+/**
+ * Diffs two texts into equal parts and change hunks. Words and the whitespace
+ * between them are compared separately so reflowed text still lines up.
+ * @param {string} original - Current text
+ * @param {string} modified - Proposed text
+ * @returns {Array} Parts like { type: 'equal', text } or { type: 'change', removed, added }
+ */
+export function diffWords(original, modified) {
+    const a = tokenize(original);
+    const b = tokenize(modified);
+
+    // Skip the common prefix and suffix so the table only covers the changed middle
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    const parts = [];
+    addPart(parts, 'equal', a.slice(0, start).join(''));
+
+    // Longest common subsequence of the middle tokens, counting only words so that
+    // matching the spaces between unrelated words does not break up a hunk
+    const rows = endA - start;
+    const cols = endB - start;
+    const width = cols + 1;
+    const table = new Uint32Array((rows + 1) * width);
+    const matchWeight = (i, j) => (a[start + i] === b[start + j] ? (/\S/.test(a[start + i]) ? 1 : 0) : -1);
+    for (let i = rows - 1; i >= 0; i--) {
+        for (let j = cols - 1; j >= 0; j--) {
+            const weight = matchWeight(i, j);
+            const skip = Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+            table[i * width + j] = weight >= 0 ? Math.max(skip, table[(i + 1) * width + j + 1] + weight) : skip;
+        }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < rows || j < cols) {
+        const weight = i < rows && j < cols ? matchWeight(i, j) : -1;
+        if (weight >= 0 && table[i * width + j] === table[(i + 1) * width + j + 1] + weight) {
+            addPart(parts, 'equal', a[start + i]);
+            i++;
+            j++;
+        } else if (j < cols && (i === rows || table[i * width + j] === table[i * width + j + 1])) {
+            addChange(parts, '', b[start + j]);
+            j++;
+        } else {
+            addChange(parts, a[start + i], '');
+            i++;
+        }
+    }
+
+    addPart(parts, 'equal', a.slice(endA).join(''));
+    return mergeWhitespaceGaps(parts);
+}
+
+/**
+ * Builds the text with only the accepted change hunks applied
+ * @param {Array} parts - Parts from diffWords
+ * @param {Set} accepted - Indexes of the accepted change parts
+ * @returns {string} Merged text
+ */
+export function applyWordDiff(parts, accepted) {
+    return parts.map((part, index) => {
+        if (part.type === 'equal') return part.text;
+        return accepted.has(index) ? part.added : part.removed;
+    }).join('');
+}
+
+/**
+ * Splits text into word and whitespace tokens
+ * @param {string} text - Text
+ * @returns {Array} Tokens
+ */
+function tokenize(text) {
+    return String(text || '').match(/\s+|[^\s]+/g) || [];
+}
+
+/**
+ * Appends an equal part, joining it to a preceding equal part
+ * @param {Array} parts - Parts so far
+ * @param {string} type - Part type ('equal')
+ * @param {string} text - Text to append
+ */
+function addPart(parts, type, text) {
+    if (!text) return;
+    const last = parts[parts.length - 1];
+    if (last?.type === type) {
+        last.text += text;
+    } else {
+        parts.push({ type, text });
+    }
+}
+
+/**
+ * Appends removed or added text, joining it to a preceding change hunk
+ * @param {Array} parts - Parts so far
+ * @param {string} removed - Removed text
+ * @param {string} added - Added text
+ */
+function addChange(parts, removed, added) {
+    const last = parts[parts.length - 1];
+    if (last?.type === 'change') {
+        last.removed += removed;
+        last.added += added;
+    } else {
+        parts.push({ type: 'change', removed, added });
+    }
+}
+
+/**
+ * Joins change hunks that are only separated by whitespace, so a reworded
+ * sentence is one hunk rather than one per word
+ * @param {Array} parts - Parts from the diff
+ * @returns {Array} Merged parts
+ */
+function mergeWhitespaceGaps(parts) {
+    const merged = [];
+    for (let index = 0; index < parts.length; index++) {
+        const part = parts[index];
+        const previous = merged[merged.length - 1];
+        const next = parts[index + 1];
+        if (part.type === 'equal' && /^[ \t]+$/.test(part.text) && previous?.type === 'change' && next?.type === 'change') {
+            previous.removed += part.text + next.removed;
+            previous.added += part.text + next.added;
+            index++;
+        } else if (part.type === 'change' && previous?.type === 'change') {
+            previous.removed += part.removed;
+            previous.added += part.added;
+        } else {
+            merged.push({ ...part });
+        }
+    }
+    return merged;
+}
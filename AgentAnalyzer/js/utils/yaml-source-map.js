@@ -0,0 +1,838 @@
+/**
+ * YAML Source Map for AgentAnalyzer
+ * Parses YAML (the subset used by OpenAPI descriptions) while recording the
+ * editor position of every value, in the same pointer format as json-source-map
+ */
+
+import { parseWithPointers, escapePointerSegment } from './json-source-map.js';
+
+/**
+ * Parses a JSON or YAML document, picking the parser from the file extension
+ * @param {string} text - The document text
+ * @param {string} path - File path or name
+ * @returns {Object} Object with the parsed data and a pointers map
+ * @throws {SyntaxError} With line and column properties when the document is invalid
+ */
+export function parseDocumentWithPointers(text, path) {
+    return isYamlPath(path) ? parseYamlWithPointers(text) : parseWithPointers(text);
+}
+
+/**
+ * Checks whether a file path has a YAML extension
+ * @param {string} path - File path or name
+ * @returns {boolean} True for .yaml and .yml files
+ */
+export function isYamlPath(path) {
+    return /\.ya?ml$/i.test(path || '');
+}
+
+/**
+ * Parses a YAML string and records a position for every JSON pointer.
+ * Supports block and flow collections, quoted, plain and block scalars,
+ * comments, anchors, aliases and merge keys. Only one document is read.
+ * @param {string} text - The YAML text
+ * @returns {Object} Object with the parsed data and a pointers map
+ * @throws {SyntaxError} With line and column properties when the YAML is invalid
+ */
+export function parseYamlWithPointers(text) {
+    const source = text.charCodeAt(0) === 0xFEFF ? text.substring(1) : text;
+    const state = {
+        lines: source.split(/\r?\n/).map((raw, index) => createLine(raw, index + 1)),
+        index: 0,
+        pointers: {},
+        anchors: {}
+    };
+
+    // Directives and the document start marker
+    let line = peekLine(state);
+    while (line && (line.content.startsWith('%') || line.content === '---')) {
+        state.index++;
+        line = peekLine(state);
+    }
+
+    let data = null;
+    if (line) {
+        data = parseNode(state, line.indent, '');
+    } else {
+        state.pointers[''] = { value: { line: 1, column: 1 }, valueEnd: { line: 1, column: 1 } };
+    }
+
+    line = peekLine(state);
+    if (line && line.content === '---') {
+        throwError(line.number, 1, 'Multiple YAML documents are not supported');
+    }
+    if (line && line.content !== '...') {
+        throwError(line.number, line.indent + 1, 'Bad indentation');
+    }
+
+    return { data, pointers: state.pointers };
+}
+
+/**
+ * Splits a raw line into its indentation and comment-free content
+ * @param {string} raw - The raw line text
+ * @param {number} number - 1-based line number
+ * @returns {Object} Line record
+ */
+function createLine(raw, number) {
+    const indent = raw.length - raw.replace(/^ */, '').length;
+    return {
+        number,
+        raw,
+        indent,
+        content: stripComment(raw.substring(indent)).trimEnd()
+    };
+}
+
+/**
+ * Removes a trailing comment, ignoring "#" inside quotes or inside a word
+ * @param {string} text - Line content
+ * @returns {string} Content without the comment
+ */
+function stripComment(text) {
+    let quote = null;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quote) {
+            if (char === '\\' && quote === '"') {
+                i++;
+            } else if (char === quote) {
+                quote = null;
+            }
+        } else if (char === '"' || char === '\'') {
+            if (i === 0 || /[\s[{,:-]/.test(text[i - 1])) {
+                quote = char;
+            }
+        } else if (char === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+            return text.substring(0, i);
+        }
+    }
+
+    return text;
+}
+
+/**
+ * Returns the next line with content, skipping blank and comment lines
+ * @param {Object} state - Parser state
+ * @returns {Object|null} Line record, or null at the end of the document
+ */
+function peekLine(state) {
+    while (state.index < state.lines.length) {
+        const line = state.lines[state.index];
+        if (line.content) {
+            if (/^ *\t/.test(line.raw) && line.raw.trim()) {
+                throwError(line.number, line.indent + 1, 'Tabs are not allowed for indentation');
+            }
+            return line;
+        }
+        state.index++;
+    }
+    return null;
+}
+
+/**
+ * Parses a block node starting at the current line
+ * @param {Object} state - Parser state
+ * @param {number} indent - Indentation of the node
+ * @param {string} pointer - JSON pointer of the node
+ * @returns {*} The parsed value
+ */
+function parseNode(state, indent, pointer) {
+    const line = peekLine(state);
+    const entry = getEntry(state, pointer);
+    entry.value = { line: line.number, column: line.indent + 1 };
+
+    let value;
+    if (isSequenceItem(line.content)) {
+        value = parseSequence(state, indent, pointer);
+    } else if (findMappingColon(line.content) >= 0) {
+        value = parseMapping(state, indent, pointer);
+    } else {
+        state.index++;
+        value = parseInlineValue(state, line, line.content, line.indent + 1, indent - 1, pointer);
+    }
+
+    if (!entry.valueEnd) {
+        entry.valueEnd = getLineEnd(state);
+    }
+    return value;
+}
+
+/**
+ * Parses a block mapping
+ * @param {Object} state - Parser state
+ * @param {number} indent - Indentation of the mapping keys
+ * @param {string} pointer - JSON pointer of the mapping
+ * @returns {Object} The parsed mapping
+ */
+function parseMapping(state, indent, pointer) {
+    const obj = {};
+    const seen = new Set();
+    let line;
+
+    while ((line = peekLine(state)) && line.indent >= indent) {
+        if (line.content === '---' || line.content === '...') break;
+        if (line.indent > indent) {
+            throwError(line.number, line.indent + 1, 'Bad indentation of a mapping entry');
+        }
+        if (isSequenceItem(line.content)) {
+            throwError(line.number, line.indent + 1, 'Expected a mapping key, found a sequence item');
+        }
+
+        const colon = findMappingColon(line.content);
+        if (colon < 0) {
+            throwError(line.number, line.indent + 1, 'Expected a mapping key followed by ":"');
+        }
+
+        const key = parseKey(line.content.substring(0, colon).trim(), line);
+        const afterColon = line.content.substring(colon + 1);
+        const rest = afterColon.trim();
+        const restColumn = line.indent + colon + 2 + (afterColon.length - afterColon.trimStart().length);
+        state.index++;
+
+        if (key === '<<') {
+            const merged = parseEntryValue(state, line, rest, restColumn, indent, `${pointer}/<<`, true);
+            for (const source of Array.isArray(merged) ? merged : [merged]) {
+                if (source && typeof source === 'object') {
+                    for (const [name, value] of Object.entries(source)) {
+                        if (!seen.has(name)) obj[name] = value;
+                    }
+                }
+            }
+            delete state.pointers[`${pointer}/<<`];
+            continue;
+        }
+
+        if (seen.has(key)) {
+            throwError(line.number, line.indent + 1, `Duplicate key "${key}"`);
+        }
+        seen.add(key);
+
+        const childPointer = `${pointer}/${escapePointerSegment(key)}`;
+        state.pointers[childPointer] = { key: { line: line.number, column: line.indent + 1 } };
+        obj[key] = parseEntryValue(state, line, rest, restColumn, indent, childPointer, true);
+    }
+
+    return obj;
+}
+
+/**
+ * Parses a block sequence
+ * @param {Object} state - Parser state
+ * @param {number} indent - Indentation of the "-" indicators
+ * @param {string} pointer - JSON pointer of the sequence
+ * @returns {Array} The parsed sequence
+ */
+function parseSequence(state, indent, pointer) {
+    const arr = [];
+    let line;
+
+    while ((line = peekLine(state)) && line.indent >= indent && isSequenceItem(line.content)) {
+        if (line.indent > indent) {
+            throwError(line.number, line.indent + 1, 'Bad indentation of a sequence entry');
+        }
+
+        const childPointer = `${pointer}/${arr.length}`;
+        const rest = line.content.substring(1).trimStart();
+        const offset = line.content.length - rest.length;
+
+        // "- key: value" and "- - item" open a nested block at the item's column
+        if (rest && (isSequenceItem(rest) || (findMappingColon(rest) >= 0 && !/^[&!*]/.test(rest)))) {
+            line.indent += offset;
+            line.content = rest;
+            arr.push(parseNode(state, line.indent, childPointer));
+            continue;
+        }
+
+        state.index++;
+        arr.push(parseEntryValue(state, line, rest, line.indent + offset + 1, indent, childPointer, false));
+    }
+
+    return arr;
+}
+
+/**
+ * Parses the value after a mapping key or sequence indicator
+ * @param {Object} state - Parser state
+ * @param {Object} line - Line holding the key or indicator
+ * @param {string} rest - Text after the ":" or "-"
+ * @param {number} column - 1-based column of rest
+ * @param {number} indent - Indentation of the parent collection
+ * @param {string} pointer - JSON pointer of the value
+ * @param {boolean} allowSequenceAtIndent - Whether a sequence may start at the parent's indentation
+ * @returns {*} The parsed value
+ */
+function parseEntryValue(state, line, rest, column, indent, pointer, allowSequenceAtIndent) {
+    const entry = getEntry(state, pointer);
+    let anchor = null;
+    let forceString = false;
+
+    // Node properties: tags and anchors
+    let match;
+    while ((match = rest.match(/^(!\S*|&\S+)(\s+|$)/))) {
+        if (match[1].startsWith('&')) {
+            anchor = match[1].substring(1);
+        } else if (match[1] === '!!str') {
+            forceString = true;
+        }
+        column += match[0].length;
+        rest = rest.substring(match[0].length);
+    }
+
+    let value;
+    if (!rest) {
+        const next = peekLine(state);
+        if (next && next.indent > indent) {
+            value = parseNode(state, next.indent, pointer);
+        } else if (next && allowSequenceAtIndent && next.indent === indent && isSequenceItem(next.content)) {
+            entry.value = { line: next.number, column: next.indent + 1 };
+            value = parseSequence(state, indent, pointer);
+            entry.valueEnd = getLineEnd(state);
+        } else {
+            entry.value = { line: line.number, column };
+            entry.valueEnd = { line: line.number, column };
+            value = forceString ? '' : null;
+        }
+    } else if (rest[0] === '|' || rest[0] === '>') {
+        entry.value = { line: line.number, column };
+        value = parseBlockScalar(state, line, rest, indent);
+        entry.valueEnd = getLineEnd(state);
+    } else {
+        value = parseInlineValue(state, line, rest, column, indent, pointer);
+        if (forceString && value !== null && typeof value !== 'object') {
+            value = String(value);
+        }
+    }
+
+    if (anchor) {
+        state.anchors[anchor] = value;
+    }
+    return value;
+}
+
+/**
+ * Parses a value that starts on the current line: an alias, a flow
+ * collection, or a quoted or plain scalar (which may continue on later lines)
+ * @param {Object} state - Parser state
+ * @param {Object} line - Line the value starts on
+ * @param {string} rest - Value text on that line
+ * @param {number} column - 1-based column of the value
+ * @param {number} indent - Indentation of the parent collection
+ * @param {string} pointer - JSON pointer of the value
+ * @returns {*} The parsed value
+ */
+function parseInlineValue(state, line, rest, column, indent, pointer) {
+    const entry = getEntry(state, pointer);
+    entry.value = { line: line.number, column };
+
+    let value;
+    if (rest[0] === '*') {
+        const name = rest.substring(1).trim();
+        if (!Object.prototype.hasOwnProperty.call(state.anchors, name)) {
+            throwError(line.number, column, `Unknown alias "${name}"`);
+        }
+        value = state.anchors[name];
+    } else if (rest[0] === '[' || rest[0] === '{') {
+        const segments = collectFlowText(state, line, rest, column);
+        value = parseFlow(segments, pointer, state);
+    } else if (rest[0] === '"' || rest[0] === '\'') {
+        value = parseQuotedScalar(state, line, rest, column);
+    } else {
+        const colon = findMappingColon(rest);
+        if (colon >= 0) {
+            throwError(line.number, column + colon, 'Mapping values are not allowed here');
+        }
+
+        const parts = [rest];
+        let next;
+        while ((next = peekLine(state)) && next.indent > indent && !isDocumentMarker(next.content)) {
+            if (findMappingColon(next.content) >= 0 && !isSequenceItem(next.content)) {
+                throwError(next.number, next.indent + 1, 'Bad indentation of a mapping entry');
+            }
+            parts.push(next.content);
+            state.index++;
+        }
+        value = resolvePlainScalar(parts.join(' '));
+    }
+
+    entry.valueEnd = getLineEnd(state);
+    return value;
+}
+
+/**
+ * Parses a literal (|) or folded (>) block scalar
+ * @param {Object} state - Parser state
+ * @param {Object} line - Line holding the block scalar header
+ * @param {string} header - Header text (e.g. "|-", ">2")
+ * @param {number} indent - Indentation of the parent collection
+ * @returns {string} The scalar text
+ */
+function parseBlockScalar(state, line, header, indent) {
+    const match = header.match(/^([|>])([+-]?)([1-9]?)([+-]?)$/);
+    if (!match) {
+        throwError(line.number, line.indent + 1, `Invalid block scalar header "${header}"`);
+    }
+
+    const folded = match[1] === '>';
+    const chomping = match[2] || match[4];
+    let blockIndent = match[3] ? indent + parseInt(match[3], 10) : null;
+    const lines = [];
+
+    while (state.index < state.lines.length) {
+        const raw = state.lines[state.index].raw;
+        const lineIndent = raw.length - raw.replace(/^ */, '').length;
+
+        if (raw.trim() === '') {
+            lines.push('');
+            state.index++;
+            continue;
+        }
+        if (blockIndent === null) {
+            if (lineIndent <= indent) break;
+            blockIndent = lineIndent;
+        }
+        if (lineIndent < blockIndent) break;
+
+        lines.push(raw.substring(blockIndent));
+        state.index++;
+    }
+
+    // Trailing blank lines belong to the scalar only for "keep" chomping
+    let trailing = 0;
+    while (lines.length > 0 && lines[lines.length - 1] === '') {
+        lines.pop();
+        trailing++;
+    }
+
+    let text = '';
+    lines.forEach((current, i) => {
+        const previous = lines[i - 1];
+        if (i === 0) {
+            text = current;
+        } else if (!folded) {
+            text += `\n${current}`;
+        } else if (!current) {
+            // A blank line in folded text becomes the line break
+            text += '\n';
+        } else if (previous === '') {
+            text += current;
+        } else if (!/^\s/.test(current) && !/^\s/.test(previous)) {
+            text += ` ${current}`;
+        } else {
+            text += `\n${current}`;
+        }
+    });
+
+    if (lines.length === 0 || chomping === '-') return text;
+    return chomping === '+' ? text + '\n'.repeat(trailing + 1) : `${text}\n`;
+}
+
+/**
+ * Parses a single or double quoted scalar, which may span several lines
+ * @param {Object} state - Parser state
+ * @param {Object} line - Line the scalar starts on
+ * @param {string} rest - Text starting at the opening quote
+ * @param {number} column - 1-based column of the opening quote
+ * @returns {string} The unquoted string
+ */
+function parseQuotedScalar(state, line, rest, column) {
+    const quote = rest[0];
+    let text = line.raw.substring(column - 1);
+    let end = findClosingQuote(text, quote);
+
+    while (end < 0) {
+        if (state.index >= state.lines.length) {
+            throwError(line.number, column, 'Unterminated quoted string');
+        }
+        const next = state.lines[state.index++].raw.trim();
+        text += next ? ` ${next}` : '\n';
+        end = findClosingQuote(text, quote);
+    }
+
+    const trailing = stripComment(text.substring(end + 1)).trim();
+    if (trailing) {
+        throwError(line.number, column + end + 1, `Unexpected text after the quoted string: "${trailing}"`);
+    }
+
+    const body = text.substring(1, end);
+    return quote === '\'' ? body.replace(/''/g, '\'') : unescapeDoubleQuoted(body, line, column);
+}
+
+/**
+ * Finds the closing quote of a quoted scalar
+ * @param {string} text - Text starting at the opening quote
+ * @param {string} quote - The quote character
+ * @returns {number} Index of the closing quote, or -1
+ */
+function findClosingQuote(text, quote) {
+    for (let i = 1; i < text.length; i++) {
+        if (quote === '"' && text[i] === '\\') {
+            i++;
+        } else if (text[i] === quote) {
+            if (quote === '\'' && text[i + 1] === '\'') {
+                i++;
+            } else {
+                return i;
+            }
+        }
+    }
+    return -1;
+}
+
+/**
+ * Resolves the escape sequences of a double quoted scalar
+ * @param {string} body - Text between the quotes
+ * @param {Object} line - Line the scalar starts on (for errors)
+ * @param {number} column - Column of the opening quote (for errors)
+ * @returns {string} The unescaped string
+ */
+function unescapeDoubleQuoted(body, line, column) {
+    const escapes = { '0': '\0', 'a': '\x07', 'b': '\b', 't': '\t', 'n': '\n', 'v': '\v', 'f': '\f', 'r': '\r', 'e': '\x1b', ' ': ' ', '"': '"', '/': '/', '\\': '\\', 'N': '\x85', '_': '\xa0' };
+
+    return body.replace(/\\(x[0-9a-fA-F]{2}|u[0-9a-fA-F]{4}|U[0-9a-fA-F]{8}|.)/g, (match, code) => {
+        if (code.length > 1) {
+            return String.fromCodePoint(parseInt(code.substring(1), 16));
+        }
+        if (!(code in escapes)) {
+            throwError(line.number, column, `Invalid escape sequence "\\${code}"`);
+        }
+        return escapes[code];
+    });
+}
+
+/**
+ * Gathers the text of a flow collection, which may span several lines
+ * @param {Object} state - Parser state
+ * @param {Object} line - Line the collection starts on
+ * @param {string} rest - Text starting at the opening bracket
+ * @param {number} column - 1-based column of the opening bracket
+ * @returns {Object} { text, segments } where segments map text offsets to positions
+ */
+function collectFlowText(state, line, rest, column) {
+    let text = rest;
+    const segments = [{ offset: 0, line: line.number, column }];
+
+    while (!isFlowClosed(text)) {
+        const next = peekLine(state);
+        if (!next) {
+            throwError(line.number, column, 'Unclosed flow collection');
+        }
+        segments.push({ offset: text.length + 1, line: next.number, column: next.indent + 1 });
+        text += ` ${next.content}`;
+        state.index++;
+    }
+
+    return { text, segments };
+}
+
+/**
+ * Checks whether the brackets of a flow collection are balanced
+ * @param {string} text - Flow collection text
+ * @returns {boolean} True when every bracket is closed
+ */
+function isFlowClosed(text) {
+    let depth = 0;
+    let quote = null;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quote) {
+            if (char === '\\' && quote === '"') i++;
+            else if (char === quote) quote = null;
+        } else if (char === '"' || char === '\'') {
+            quote = char;
+        } else if (char === '[' || char === '{') {
+            depth++;
+        } else if (char === ']' || char === '}') {
+            depth--;
+        }
+    }
+
+    return depth <= 0 && !quote;
+}
+
+/**
+ * Parses a flow collection ([a, b] or {a: b})
+ * @param {Object} source - { text, segments } from collectFlowText
+ * @param {string} pointer - JSON pointer of the collection
+ * @param {Object} state - Parser state (for pointers and anchors)
+ * @returns {*} The parsed collection
+ */
+function parseFlow(source, pointer, state) {
+    const flow = { ...source, pos: 0, state };
+    const value = parseFlowValue(flow, pointer);
+
+    skipFlowSpace(flow);
+    if (flow.pos < flow.text.length) {
+        flowError(flow, `Unexpected "${flow.text[flow.pos]}" after flow collection`);
+    }
+    return value;
+}
+
+/**
+ * Parses one value inside a flow collection
+ * @param {Object} flow - Flow parser state
+ * @param {string} pointer - JSON pointer of the value
+ * @returns {*} The parsed value
+ */
+function parseFlowValue(flow, pointer) {
+    skipFlowSpace(flow);
+    const entry = getEntry(flow.state, pointer);
+    entry.value = flowPosition(flow);
+
+    const char = flow.text[flow.pos];
+    let value;
+
+    if (char === '[') {
+        value = [];
+        flow.pos++;
+        while (true) {
+            skipFlowSpace(flow);
+            if (flow.text[flow.pos] === ']') break;
+            value.push(parseFlowValue(flow, `${pointer}/${value.length}`));
+            skipFlowSpace(flow);
+            if (flow.text[flow.pos] === ',') {
+                flow.pos++;
+            } else if (flow.text[flow.pos] !== ']') {
+                flowError(flow, 'Expected "," or "]" in flow sequence');
+            }
+        }
+        flow.pos++;
+    } else if (char === '{') {
+        value = {};
+        flow.pos++;
+        while (true) {
+            skipFlowSpace(flow);
+            if (flow.text[flow.pos] === '}') break;
+
+            const keyPosition = flowPosition(flow);
+            const key = String(readFlowScalar(flow, true) ?? '');
+            const childPointer = `${pointer}/${escapePointerSegment(key)}`;
+            if (Object.prototype.hasOwnProperty.call(value, key)) {
+                flowError(flow, `Duplicate key "${key}"`);
+            }
+            flow.state.pointers[childPointer] = { key: keyPosition };
+
+            skipFlowSpace(flow);
+            if (flow.text[flow.pos] === ':') {
+                flow.pos++;
+                value[key] = parseFlowValue(flow, childPointer);
+            } else {
+                value[key] = null;
+                flow.state.pointers[childPointer].value = keyPosition;
+                flow.state.pointers[childPointer].valueEnd = flowPosition(flow);
+            }
+
+            skipFlowSpace(flow);
+            if (flow.text[flow.pos] === ',') {
+                flow.pos++;
+            } else if (flow.text[flow.pos] !== '}') {
+                flowError(flow, 'Expected "," or "}" in flow mapping');
+            }
+        }
+        flow.pos++;
+    } else if (char === undefined) {
+        flowError(flow, 'Unexpected end of flow collection');
+    } else {
+        value = readFlowScalar(flow, false);
+    }
+
+    entry.valueEnd = flowPosition(flow);
+    return value;
+}
+
+/**
+ * Reads a scalar inside a flow collection
+ * @param {Object} flow - Flow parser state
+ * @param {boolean} isKey - Whether the scalar is a mapping key
+ * @returns {*} The scalar value
+ */
+function readFlowScalar(flow, isKey) {
+    const char = flow.text[flow.pos];
+
+    if (char === '"' || char === '\'') {
+        const end = findClosingQuote(flow.text.substring(flow.pos), char);
+        if (end < 0) {
+            flowError(flow, 'Unterminated quoted string');
+        }
+        const body = flow.text.substring(flow.pos + 1, flow.pos + end);
+        const position = flowPosition(flow);
+        flow.pos += end + 1;
+        return char === '\'' ? body.replace(/''/g, '\'') : unescapeDoubleQuoted(body, { number: position.line }, position.column);
+    }
+
+    if (char === '*') {
+        const match = flow.text.substring(flow.pos + 1).match(/^[^\s,[\]{}]+/);
+        const name = match ? match[0] : '';
+        if (!Object.prototype.hasOwnProperty.call(flow.state.anchors, name)) {
+            flowError(flow, `Unknown alias "${name}"`);
+        }
+        flow.pos += name.length + 1;
+        return flow.state.anchors[name];
+    }
+
+    const start = flow.pos;
+    while (flow.pos < flow.text.length) {
+        const current = flow.text[flow.pos];
+        if (current === ',' || current === ']' || current === '}' || current === '[' || current === '{') break;
+        if (current === ':' && (isKey || /[\s,[\]{}]/.test(flow.text[flow.pos + 1] || ' '))) break;
+        flow.pos++;
+    }
+
+    const text = flow.text.substring(start, flow.pos).trim();
+    return isKey ? text : resolvePlainScalar(text);
+}
+
+/**
+ * Skips whitespace inside a flow collection
+ * @param {Object} flow - Flow parser state
+ */
+function skipFlowSpace(flow) {
+    while (flow.pos < flow.text.length && /\s/.test(flow.text[flow.pos])) {
+        flow.pos++;
+    }
+}
+
+/**
+ * Maps the current flow offset back to a line and column
+ * @param {Object} flow - Flow parser state
+ * @returns {Object} Position with line and column
+ */
+function flowPosition(flow) {
+    let segment = flow.segments[0];
+    for (const candidate of flow.segments) {
+        if (candidate.offset <= flow.pos) segment = candidate;
+    }
+    return { line: segment.line, column: segment.column + flow.pos - segment.offset };
+}
+
+/**
+ * Throws a syntax error at the current flow position
+ * @param {Object} flow - Flow parser state
+ * @param {string} message - Error message
+ */
+function flowError(flow, message) {
+    const position = flowPosition(flow);
+    throwError(position.line, position.column, message);
+}
+
+/**
+ * Parses a mapping key
+ * @param {string} text - Key text before the ":"
+ * @param {Object} line - Line holding the key
+ * @returns {string} The key
+ */
+function parseKey(text, line) {
+    if (text[0] === '"' || text[0] === '\'') {
+        const end = findClosingQuote(text, text[0]);
+        const body = text.substring(1, end);
+        return text[0] === '\'' ? body.replace(/''/g, '\'') : unescapeDoubleQuoted(body, line, line.indent + 1);
+    }
+    if (text === '?' || text.startsWith('? ')) {
+        throwError(line.number, line.indent + 1, 'Complex mapping keys are not supported');
+    }
+    return text;
+}
+
+/**
+ * Finds the ":" that separates a mapping key from its value
+ * @param {string} content - Line content
+ * @returns {number} Index of the ":", or -1 if the line is not a mapping entry
+ */
+function findMappingColon(content) {
+    let i = 0;
+
+    if (content[0] === '"' || content[0] === '\'') {
+        const end = findClosingQuote(content, content[0]);
+        if (end < 0) return -1;
+        i = end + 1;
+        while (content[i] === ' ') i++;
+        return content[i] === ':' && (i + 1 === content.length || content[i + 1] === ' ') ? i : -1;
+    }
+
+    if (content[0] === '[' || content[0] === '{' || content[0] === '*' || content[0] === '|' || content[0] === '>') {
+        return -1;
+    }
+
+    for (; i < content.length; i++) {
+        if (content[i] === ':' && (i + 1 === content.length || content[i + 1] === ' ')) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Checks whether line content is a block sequence item
+ * @param {string} content - Line content
+ * @returns {boolean} True for "-" and "- value"
+ */
+function isSequenceItem(content) {
+    return content === '-' || content.startsWith('- ');
+}
+
+/**
+ * Checks whether line content is a document start or end marker
+ * @param {string} content - Line content
+ * @returns {boolean} True for "---" and "..."
+ */
+function isDocumentMarker(content) {
+    return content === '---' || content === '...';
+}
+
+/**
+ * Resolves a plain scalar to null, a boolean, a number or a string
+ * @param {string} text - The scalar text
+ * @returns {*} The resolved value
+ */
+function resolvePlainScalar(text) {
+    if (text === '' || text === '~' || /^(null|Null|NULL)$/.test(text)) return null;
+    if (/^(true|True|TRUE)$/.test(text)) return true;
+    if (/^(false|False|FALSE)$/.test(text)) return false;
+    if (/^[-+]?[0-9]+$/.test(text)) return parseInt(text, 10);
+    if (/^0x[0-9a-fA-F]+$/.test(text)) return parseInt(text.substring(2), 16);
+    if (/^0o[0-7]+$/.test(text)) return parseInt(text.substring(2), 8);
+    if (/^[-+]?(\.[0-9]+|[0-9]+(\.[0-9]*)?)([eE][-+]?[0-9]+)?$/.test(text)) return parseFloat(text);
+    if (/^[-+]?\.(inf|Inf|INF)$/.test(text)) return text[0] === '-' ? -Infinity : Infinity;
+    if (/^\.(nan|NaN|NAN)$/.test(text)) return NaN;
+    return text;
+}
+
+/**
+ * Gets or creates the pointers entry for a JSON pointer
+ * @param {Object} state - Parser state
+ * @param {string} pointer - JSON pointer
+ * @returns {Object} Pointers entry
+ */
+function getEntry(state, pointer) {
+    if (!state.pointers[pointer]) {
+        state.pointers[pointer] = {};
+    }
+    return state.pointers[pointer];
+}
+
+/**
+ * Gets the position just after the last line consumed by the parser
+ * @param {Object} state - Parser state
+ * @returns {Object} Position with line and column
+ */
+function getLineEnd(state) {
+    let index = Math.min(state.index, state.lines.length) - 1;
+    while (index > 0 && !state.lines[index].raw.trim()) index--;
+    const line = state.lines[Math.max(index, 0)];
+    return { line: line.number, column: line.raw.trimEnd().length + 1 };
+}
+
+/**
+ * Throws a syntax error at a position
+ * @param {number} line - 1-based line number
+ * @param {number} column - 1-based column
+ * @param {string} message - Error message
+ */
+function throwError(line, column, message) {
+    const error = new SyntaxError(`${message} at line ${line} column ${column}`);
+    error.line = line;
+    error.column = column;
+    throw error;
+}